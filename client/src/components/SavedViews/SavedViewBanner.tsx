@@ -0,0 +1,58 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Alert, Box, Chip } from '@mui/material';
+import toast from 'react-hot-toast';
+import savedViewService from '../../services/savedViewService';
+import { SavedView, SavedViewResource } from '../../types';
+
+interface SavedViewBannerProps {
+  resource: SavedViewResource;
+  // Called with the list query parameters once the view in the URL has loaded.
+  // Pass a stable (memoized) callback: the view is reloaded whenever it changes.
+  onLoad?: (params: Record<string, string>, view: SavedView) => void;
+}
+
+// Loads the saved view named in the `?view=` URL parameter and shows what it applies
+const SavedViewBanner: React.FC<SavedViewBannerProps> = ({ resource, onLoad }) => {
+  const [searchParams] = useSearchParams();
+  const viewId = searchParams.get('view');
+  const [view, setView] = useState<SavedView | null>(null);
+
+  useEffect(() => {
+    if (!viewId) {
+      setView(null);
+      return;
+    }
+
+    savedViewService.getSavedView(viewId)
+      .then((response) => {
+        const loaded = response.data;
+        if (!loaded || loaded.resource !== resource) {
+          toast.error('This saved view is for a different list');
+          return;
+        }
+        setView(loaded);
+        onLoad?.(savedViewService.getListParams(loaded), loaded);
+      })
+      .catch(() => toast.error('Saved view not found or not shared with you'));
+  }, [viewId, resource, onLoad]);
+
+  if (!view) return null;
+
+  return (
+    <Alert severity="success" sx={{ mb: 3 }}>
+      Showing saved view <strong>{view.name}</strong>
+      {view.isShared && view.department ? ` (shared with ${view.department})` : ''}
+      <Box sx={{ mt: 1, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+        {Object.entries(view.filters).map(([key, value]) => (
+          <Chip key={key} size="small" label={`${key}: ${value}`} />
+        ))}
+        {view.sort?.field && (
+          <Chip size="small" variant="outlined" label={`sort: ${view.sort.field} ${view.sort.order}`} />
+        )}
+      </Box>
+    </Alert>
+  );
+};
+
+export default SavedViewBanner;
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Card,
+  CardContent,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+import { ApiResponse, SavedViewResource } from '../../types';
+
+interface SavedViewResultsProps {
+  resource: SavedViewResource;
+  // List query parameters from the saved view
+  params: Record<string, string>;
+  // Columns chosen in the view; the resource's defaults when empty
+  columns?: string[];
+}
+
+type Row = Record<string, any>;
+
+const COLUMNS: Record<SavedViewResource, Record<string, { label: string; value: (row: Row) => React.ReactNode }>> = {
+  expenses: {
+    title: { label: 'Title', value: row => row.title },
+    date: { label: 'Date', value: row => new Date(row.date).toLocaleDateString() },
+    amount: { label: 'Amount', value: row => `${row.amount} ${row.currency || 'USD'}` },
+    category: { label: 'Category', value: row => row.category?.name },
+    vendor: { label: 'Vendor', value: row => row.vendor },
+    department: { label: 'Department', value: row => row.department },
+    status: { label: 'Status', value: row => row.status },
+  },
+  budgets: {
+    name: { label: 'Name', value: row => row.name },
+    amount: { label: 'Amount', value: row => row.amount },
+    startDate: { label: 'Start', value: row => new Date(row.startDate).toLocaleDateString() },
+    endDate: { label: 'End', value: row => new Date(row.endDate).toLocaleDateString() },
+    category: { label: 'Category', value: row => row.category?.name },
+    department: { label: 'Department', value: row => row.department },
+    period: { label: 'Period', value: row => row.period },
+    status: { label: 'Status', value: row => row.status },
+  },
+};
+
+const DEFAULT_COLUMNS: Record<SavedViewResource, string[]> = {
+  expenses: ['title', 'date', 'amount', 'category', 'status'],
+  budgets: ['name', 'amount', 'startDate', 'endDate', 'status'],
+};
+
+// Lists the rows a saved view selects, using the view's filters, sort and columns
+const SavedViewResults: React.FC<SavedViewResultsProps> = ({ resource, params, columns = [] }) => {
+  const [rows, setRows] = useState<Row[]>([]);
+  const [total, setTotal] = useState<number | undefined>();
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    api.get<ApiResponse<Row[]>>(`/${resource}`, { params })
+      .then((response) => {
+        if (cancelled) return;
+        setRows(response.data.data || []);
+        setTotal(response.data.pagination?.total);
+      })
+      .catch(() => {
+        if (!cancelled) toast.error(`Failed to load ${resource} for this view`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [resource, params]);
+
+  const shownColumns = columns.filter(column => COLUMNS[resource][column]);
+  const keys = shownColumns.length > 0 ? shownColumns : DEFAULT_COLUMNS[resource];
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      {loading && <LinearProgress />}
+      <CardContent>
+        <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+          {total ?? rows.length} {resource} match this view
+        </Typography>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              {keys.map(key => (
+                <TableCell key={key}>{COLUMNS[resource][key].label}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map(row => (
+              <TableRow key={row._id}>
+                {keys.map(key => (
+                  <TableCell key={key}>{COLUMNS[resource][key].value(row)}</TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SavedViewResults;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useCallback, useState } from 'react';
 import {
   Typography,
   Box,
@@ -6,13 +6,26 @@ import {
   CardContent,
   Alert,
 } from '@mui/material';
+import SavedViewBanner from '../components/SavedViews/SavedViewBanner';
+import SavedViewResults from '../components/SavedViews/SavedViewResults';
+import { SavedView } from '../types';
 
 const Budgets: React.FC = () => {
+  const [view, setView] = useState<{ params: Record<string, string>; columns: string[] } | null>(null);
+
+  // Apply the saved view from the URL to the list
+  const handleViewLoad = useCallback((params: Record<string, string>, loaded: SavedView) => {
+    setView({ params, columns: loaded.columns });
+  }, []);
+
   return (
     <Box>
       <Typography variant="h4" gutterBottom>
         Budget Management
       </Typography>
+
+      <SavedViewBanner resource="budgets" onLoad={handleViewLoad} />
+      {view && <SavedViewResults resource="budgets" params={view.params} columns={view.columns} />}
       
       <Alert severity="info" sx={{ mb: 3 }}>
         This is a demo implementation. The full budget management interface would include:
@@ -0,0 +1,40 @@
+import api from './api';
+import { ApiResponse, Comment, CommentResourceType, CommentThread } from '../types';
+
+class CommentService {
+  // Comment threads on an expense or budget, oldest first
+  async getComments(resourceType: CommentResourceType, resource: string): Promise<ApiResponse<CommentThread[]>> {
+    const response = await api.get('/comments', { params: { resourceType, resource } });
+    return response.data;
+  }
+
+  // Post a comment, or a reply when parent is set
+  async addComment(resourceType: CommentResourceType, resource: string, body: string, parent?: string): Promise<ApiResponse<Comment>> {
+    const response = await api.post('/comments', { resourceType, resource, body, parent });
+    return response.data;
+  }
+
+  // Edit a comment within the edit window
+  async updateComment(id: string, body: string): Promise<ApiResponse<Comment>> {
+    const response = await api.put(`/comments/${id}`, { body });
+    return response.data;
+  }
+
+  // Delete a comment within the delete window
+  async deleteComment(id: string): Promise<ApiResponse> {
+    const response = await api.delete(`/comments/${id}`);
+    return response.data;
+  }
+
+  // Mention markup the server picks up for notifications
+  formatMention(user: { _id: string; name: string }): string {
+    return `@[${user.name}](${user._id})`;
+  }
+
+  // Comment text with mentions shown as @Name
+  toPlainText(body: string | null): string {
+    return (body || '').replace(/@\[([^\]\n]{1,100})\]\(([a-f\d]{24})\)/gi, '@$1');
+  }
+}
+
+export default new CommentService();
@@ -24,6 +24,23 @@ export interface CurrencyConversion {
   formattedConverted: string;
 }
 
+export interface ExchangeRateHistoryEntry {
+  _id: string;
+  date: string;
+  baseCurrency: string;
+  rates: Record<string, number>;
+  source: 'API' | 'MANUAL';
+  createdBy?: { _id: string; name: string; email: string };
+}
+
+export interface HistoricalRate {
+  fromCurrency: string;
+  toCurrency: string;
+  exchangeRate: number;
+  source: 'API' | 'MANUAL' | 'DEFAULT' | 'BASE';
+  rateDate: string;
+}
+
 class CurrencyService {
   // Get supported currencies
   async getSupportedCurrencies(): Promise<{ success: boolean; data: Currency[] }> {
@@ -78,6 +95,24 @@ class CurrencyService {
     return response.data;
   }
 
+  // Get the stored daily rates (Admin)
+  async getRateHistory(params?: { startDate?: string; endDate?: string; limit?: number }): Promise<{ success: boolean; count: number; data: ExchangeRateHistoryEntry[] }> {
+    const response = await api.get('/currency/history', { params });
+    return response.data;
+  }
+
+  // Record rates for a day by hand, as units of each currency per USD (Admin)
+  async recordRates(date: string, rates: Record<string, number>): Promise<{ success: boolean; data: ExchangeRateHistoryEntry }> {
+    const response = await api.post('/currency/history', { date, rates });
+    return response.data;
+  }
+
+  // Get the rate an expense in a currency would be converted at on a date
+  async getHistoricalRate(currency: string, date: string): Promise<{ success: boolean; data: HistoricalRate }> {
+    const response = await api.get(`/currency/history/${currency}/${date}`);
+    return response.data;
+  }
+
   // Client-side currency formatting (faster for UI)
   formatCurrencyClient(amount: number, currencyCode: string, locale = 'en-US'): string {
     try {
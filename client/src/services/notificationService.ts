@@ -0,0 +1,24 @@
+import api from './api';
+import { ApiResponse, AppNotification } from '../types';
+
+class NotificationService {
+  // Latest notifications for the signed-in user
+  async getNotifications(unreadOnly = false, limit = 20): Promise<ApiResponse<AppNotification[]> & { unreadCount?: number }> {
+    const response = await api.get('/notifications', { params: { unread: unreadOnly || undefined, limit } });
+    return response.data;
+  }
+
+  // Mark one notification as read
+  async markRead(id: string): Promise<ApiResponse<AppNotification>> {
+    const response = await api.put(`/notifications/${id}/read`);
+    return response.data;
+  }
+
+  // Mark every notification as read
+  async markAllRead(): Promise<ApiResponse> {
+    const response = await api.put('/notifications/read-all');
+    return response.data;
+  }
+}
+
+export default new NotificationService();
@@ -24,6 +24,8 @@ export interface ReportResponse {
   };
 }
 
+export type ExportFormat = 'csv' | 'xlsx';
+
 export interface ReportType {
   id: string;
   name: string;
@@ -69,26 +71,44 @@ class ReportService {
   async downloadAndSaveReport(filename: string, originalFilename?: string): Promise<void> {
     try {
       const blob = await this.downloadReport(filename);
-      
-      // Create download link
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = originalFilename || filename;
-      
-      // Trigger download
-      document.body.appendChild(link);
-      link.click();
-      
-      // Cleanup
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
+      this.saveBlob(blob, originalFilename || filename);
     } catch (error) {
       console.error('Error downloading report:', error);
       throw error;
     }
   }
 
+  // Export the expense or budget list (same filters as the list pages) as CSV or Excel
+  async exportSpreadsheet(
+    resource: 'expenses' | 'budgets',
+    filters: Record<string, string | undefined>,
+    format: ExportFormat = 'csv'
+  ): Promise<void> {
+    const response = await api.get(`/${resource}/export`, {
+      params: { ...filters, format },
+      responseType: 'blob'
+    });
+    const filename = `${resource}-${new Date().toISOString().split('T')[0]}.${format}`;
+    this.saveBlob(response.data, filename);
+  }
+
+  // Save a downloaded file through a temporary link
+  private saveBlob(blob: Blob, filename: string): void {
+    // Create download link
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+
+    // Trigger download
+    document.body.appendChild(link);
+    link.click();
+
+    // Cleanup
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  }
+
   // Generate and download expense report in one step
   async generateAndDownloadExpenseReport(filters: ReportFilters): Promise<void> {
     const report = await this.generateExpenseReport(filters);
@@ -0,0 +1,62 @@
+import api from './api';
+import { ApiResponse, SavedView, SavedViewResource } from '../types';
+
+export interface SavedViewInput {
+  name: string;
+  resource: SavedViewResource;
+  filters?: Record<string, string>;
+  sort?: { field: string; order: 'asc' | 'desc' };
+  columns?: string[];
+  isShared?: boolean;
+  department?: string;
+}
+
+class SavedViewService {
+  // List own views and views shared with the user's department
+  async getSavedViews(resource?: SavedViewResource): Promise<ApiResponse<SavedView[]>> {
+    const response = await api.get('/saved-views', { params: { resource } });
+    return response.data;
+  }
+
+  // Get single view
+  async getSavedView(id: string): Promise<ApiResponse<SavedView>> {
+    const response = await api.get(`/saved-views/${id}`);
+    return response.data;
+  }
+
+  // Save the current filters, sort and columns as a view
+  async createSavedView(view: SavedViewInput): Promise<ApiResponse<SavedView>> {
+    const response = await api.post('/saved-views', view);
+    return response.data;
+  }
+
+  // Update a view
+  async updateSavedView(id: string, view: Partial<SavedViewInput>): Promise<ApiResponse<SavedView>> {
+    const response = await api.put(`/saved-views/${id}`, view);
+    return response.data;
+  }
+
+  // Share a view with a department, or stop sharing it
+  async shareSavedView(id: string, isShared: boolean, department?: string): Promise<ApiResponse<SavedView>> {
+    const response = await api.put(`/saved-views/${id}/share`, { isShared, department });
+    return response.data;
+  }
+
+  // Delete a view
+  async deleteSavedView(id: string): Promise<ApiResponse> {
+    const response = await api.delete(`/saved-views/${id}`);
+    return response.data;
+  }
+
+  // Shareable link that opens the list page with the view applied
+  getViewUrl(view: SavedView): string {
+    return `${window.location.origin}/${view.resource}?view=${view._id}`;
+  }
+
+  // Query parameters to send to the list endpoint for a view
+  getListParams(view: SavedView): Record<string, string> {
+    return Object.fromEntries(new URLSearchParams(view.queryString));
+  }
+}
+
+export default new SavedViewService();
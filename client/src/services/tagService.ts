@@ -0,0 +1,61 @@
+import api from './api';
+import { ApiResponse, DepartmentTagPolicy, Tag } from '../types';
+
+export interface TagInput {
+  name?: string;
+  description?: string;
+  color?: string;
+  isActive?: boolean;
+}
+
+class TagService {
+  // Tags the department may use; `q` autocompletes on the start of the name
+  async getTags(params?: { q?: string; department?: string; all?: boolean; includeInactive?: boolean }): Promise<ApiResponse<Tag[]> & { restrictedTo?: string }> {
+    const response = await api.get('/tags', { params });
+    return response.data;
+  }
+
+  // Add a tag to the catalogue (admin only)
+  async createTag(tag: TagInput): Promise<ApiResponse<Tag>> {
+    const response = await api.post('/tags', tag);
+    return response.data;
+  }
+
+  // Update a tag; renaming updates tagged expenses (admin only)
+  async updateTag(id: string, tag: TagInput): Promise<ApiResponse<Tag> & { updatedExpenses?: number }> {
+    const response = await api.put(`/tags/${id}`, tag);
+    return response.data;
+  }
+
+  // Deactivate a tag (admin only)
+  async deleteTag(id: string): Promise<ApiResponse> {
+    const response = await api.delete(`/tags/${id}`);
+    return response.data;
+  }
+
+  // Merge other tags into this one (admin only)
+  async mergeTags(id: string, tagIds: string[]): Promise<ApiResponse<Tag> & { updatedExpenses?: number }> {
+    const response = await api.post(`/tags/${id}/merge`, { tagIds });
+    return response.data;
+  }
+
+  // Department tag restrictions
+  async getDepartmentTagPolicies(): Promise<ApiResponse<DepartmentTagPolicy[]>> {
+    const response = await api.get('/tags/policies');
+    return response.data;
+  }
+
+  // Limit a department to a set of tags (admin only)
+  async setDepartmentTagPolicy(department: string, allowedTags: string[]): Promise<ApiResponse<DepartmentTagPolicy>> {
+    const response = await api.put(`/tags/policies/${encodeURIComponent(department)}`, { allowedTags });
+    return response.data;
+  }
+
+  // Let a department use any tag again (admin only)
+  async deleteDepartmentTagPolicy(department: string): Promise<ApiResponse> {
+    const response = await api.delete(`/tags/policies/${encodeURIComponent(department)}`);
+    return response.data;
+  }
+}
+
+export default new TagService();
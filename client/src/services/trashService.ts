@@ -0,0 +1,24 @@
+import api from './api';
+import { ApiResponse, Budget, Category, Expense, TrashItem, TrashType } from '../types';
+
+class TrashService {
+  // Deleted items of one type, most recently deleted first
+  async getTrash(type: TrashType, params?: { limit?: number; cursor?: string }): Promise<ApiResponse<TrashItem[]> & { retentionDays?: number }> {
+    const response = await api.get('/trash', { params: { type, ...params } });
+    return response.data;
+  }
+
+  // Restore a deleted item (admin only)
+  async restore(type: TrashType, id: string): Promise<ApiResponse<Expense | Budget | Category>> {
+    const response = await api.put(`/trash/${type}/${id}/restore`);
+    return response.data;
+  }
+
+  // Purge items past the retention period now (admin only)
+  async purge(): Promise<ApiResponse<{ expenses: number; budgets: number; categories: number; skipped: number; failed: number }>> {
+    const response = await api.post('/trash/purge');
+    return response.data;
+  }
+}
+
+export default new TrashService();
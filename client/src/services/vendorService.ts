@@ -0,0 +1,58 @@
+import api from './api';
+import { ApiResponse, Vendor, VendorAnalytics, VendorTaxIdType } from '../types';
+
+export interface VendorInput {
+  name?: string;
+  aliases?: string[];
+  defaultCategory?: string | null;
+  taxIds?: { type: VendorTaxIdType; value: string }[];
+  isActive?: boolean;
+}
+
+type VendorWriteResponse = ApiResponse<Vendor> & { linkedExpenses?: number };
+
+class VendorService {
+  // List vendors; `q` autocompletes on names and aliases
+  async getVendors(q?: string, includeInactive = false): Promise<ApiResponse<Vendor[]>> {
+    const response = await api.get('/vendors', { params: { q: q || undefined, includeInactive: includeInactive || undefined } });
+    return response.data;
+  }
+
+  // Get single vendor
+  async getVendor(id: string): Promise<ApiResponse<Vendor>> {
+    const response = await api.get(`/vendors/${id}`);
+    return response.data;
+  }
+
+  // Spend per vendor in the base currency
+  async getVendorAnalytics(params?: { startDate?: string; endDate?: string; department?: string; status?: string; limit?: number }): Promise<ApiResponse<VendorAnalytics>> {
+    const response = await api.get('/vendors/analytics', { params });
+    return response.data;
+  }
+
+  // Create vendor (admin only)
+  async createVendor(vendor: VendorInput): Promise<VendorWriteResponse> {
+    const response = await api.post('/vendors', vendor);
+    return response.data;
+  }
+
+  // Update vendor (admin only)
+  async updateVendor(id: string, vendor: VendorInput): Promise<VendorWriteResponse> {
+    const response = await api.put(`/vendors/${id}`, vendor);
+    return response.data;
+  }
+
+  // Delete a vendor without linked expenses (admin only)
+  async deleteVendor(id: string): Promise<ApiResponse> {
+    const response = await api.delete(`/vendors/${id}`);
+    return response.data;
+  }
+
+  // Merge other vendors into this one (admin only)
+  async mergeVendors(id: string, vendorIds: string[]): Promise<VendorWriteResponse & { movedExpenses?: number }> {
+    const response = await api.post(`/vendors/${id}/merge`, { vendorIds });
+    return response.data;
+  }
+}
+
+export default new VendorService();
@@ -5,11 +5,26 @@ export interface User {
   role: 'admin' | 'manager' | 'user';
   department?: string;
   isActive: boolean;
+  bankDetails?: {
+    accountHolder?: string;
+    iban?: string;
+    bic?: string;
+    routingNumber?: string;
+    accountNumber?: string;
+    accountType?: 'checking' | 'savings';
+  };
   createdAt: string;
   updatedAt: string;
 }
 
-export interface Category {
+// Set on items in the trash
+export interface SoftDeleted {
+  isDeleted?: boolean;
+  deletedAt?: string;
+  deletedBy?: User | string;
+}
+
+export interface Category extends SoftDeleted {
   _id: string;
   name: string;
   description?: string;
@@ -21,7 +36,7 @@ export interface Category {
   updatedAt: string;
 }
 
-export interface Budget {
+export interface Budget extends SoftDeleted {
   _id: string;
   name: string;
   description?: string;
@@ -40,51 +55,532 @@ export interface Budget {
   spentAmount?: number;
   remainingAmount?: number;
   usagePercentage?: number;
+  // Included by GET /budgets/:id
+  comments?: CommentThread[];
   createdAt: string;
   updatedAt: string;
 }
 
-export interface Expense {
+export interface Expense extends SoftDeleted {
   _id: string;
   title: string;
   description?: string;
   amount: number;
+  currency?: string;
+  // Rate into the base currency for the expense date, looked up by the server
+  exchangeRate?: number;
+  exchangeRateSource?: 'API' | 'MANUAL' | 'DEFAULT' | 'BASE';
+  exchangeRateDate?: string;
+  // Set on approval; the rate no longer changes after this
+  exchangeRateLockedAt?: string;
+  convertedAmount?: number;
   date: string;
   category: Category | string;
   budget?: Budget | string;
   paymentMethod: 'cash' | 'credit_card' | 'debit_card' | 'bank_transfer' | 'check' | 'other';
   vendor?: string;
+  // Vendor record the free-text vendor was matched to
+  matchedVendor?: Vendor | string;
   receipt?: {
     fileName: string;
     fileUrl: string;
     uploadDate: string;
   };
+  receiptRequired?: boolean;
+  missingReceipt?: boolean;
+  duplicateCheck?: ExpenseDuplicateCheck;
+  slaEscalation?: {
+    level: number;
+    notifiedAt?: string;
+  };
+  // Included by GET /expenses/:id
+  comments?: CommentThread[];
+  policyViolations?: PolicyViolation[];
+  policyCheckedAt?: string;
+  hasPolicyBlocks?: boolean;
   status: 'pending' | 'approved' | 'rejected' | 'reimbursed';
   submittedBy: User | string;
+  // Delegate who filed the expense for submittedBy
+  filedBy?: User | string;
+  expenseReport?: ExpenseReport | string;
+  importBatchId?: string;
+  // Present on text search results (`q`)
+  score?: number;
+  highlights?: ExpenseSearchHighlights;
+  reimbursementBatch?: string;
+  reimbursementDate?: string;
   approvedBy?: User | string;
   approvalDate?: string;
+  autoApproved?: boolean;
   rejectionReason?: string;
+  approvals?: ExpenseApprovalStep[];
   tags?: string[];
   department?: string;
+  allocations?: ExpenseAllocation[];
   isRecurring: boolean;
   recurringPeriod?: 'daily' | 'weekly' | 'monthly' | 'quarterly' | 'yearly';
   nextRecurringDate?: string;
+  recurringEndDate?: string;
+  recurringOccurrenceLimit?: number;
+  recurringOccurrenceCount?: number;
+  isRecurringPaused?: boolean;
+  parentExpenseId?: string;
+  notes?: string;
+  metadata?: {
+    businessPurpose?: string;
+    attendees?: { name: string; email?: string }[];
+    mileage?: ExpenseMileage;
+    perDiem?: ExpensePerDiem;
+  };
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ExpenseSearchHighlights {
+  title?: string;
+  vendor?: string;
+  description?: string;
   notes?: string;
+  tags?: string[];
+  'receipts.originalName'?: string[];
+}
+
+export type PolicyRuleType =
+  | 'max_amount'
+  | 'max_amount_per_day'
+  | 'no_weekend'
+  | 'attendees_required'
+  | 'business_purpose_required';
+
+export interface PolicyRule {
+  _id: string;
+  name: string;
+  description?: string;
+  type: PolicyRuleType;
+  action: 'warn' | 'block';
+  categories: Category[] | string[];
+  departments: string[];
+  params?: {
+    amount?: number;
+    minAttendees?: number;
+  };
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PolicyViolation {
+  rule: string;
+  name: string;
+  type: PolicyRuleType;
+  action: 'warn' | 'block';
+  message: string;
+}
+
+export interface ExpenseDuplicateCandidate {
+  expense: Expense | string;
+  score: number;
+  reasons: string[];
+}
+
+export interface ExpenseDuplicateCheck {
+  status: 'clear' | 'flagged' | 'dismissed' | 'confirmed';
+  candidates: ExpenseDuplicateCandidate[];
+  checkedAt?: string;
+  reviewedBy?: User | string;
+  reviewedAt?: string;
+  reviewComments?: string;
+}
+
+export type VehicleType = 'car' | 'electric_car' | 'motorcycle' | 'bicycle' | 'van';
+
+export interface ExpenseMileage {
+  distance: number;
+  rate?: number;
+  unit?: 'km' | 'mi';
+  vehicleType?: VehicleType;
+  country?: string;
+  startLocation?: string;
+  endLocation?: string;
+  rateTable?: string;
+}
+
+export type Meal = 'breakfast' | 'lunch' | 'dinner';
+
+export interface ExpensePerDiem {
+  tripId: string;
+  rateTable?: string;
+  country: string;
+  city?: string;
+  dayType: 'travel' | 'full';
+  mealsAllowance: number;
+  lodgingAllowance: number;
+  deductions: number;
+  providedMeals: Meal[];
+}
+
+export interface PerDiemRate {
+  _id: string;
+  country: string;
+  city?: string;
+  currency: string;
+  lodging: number;
+  meals: Record<Meal, number>;
+  incidentals: number;
+  travelDayPercentage: number;
+  effectiveFrom: string;
+  effectiveTo?: string;
+  isActive: boolean;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface PerDiemRequest {
+  title?: string;
+  destination: { country: string; city?: string };
+  startDate: string;
+  endDate: string;
+  category: string;
+  budget?: string;
+  includeLodging?: boolean;
+  providedMeals?: { date: string; meals: Meal[] }[];
+  description?: string;
+  businessPurpose?: string;
+  preview?: boolean;
+}
+
+export interface MileageRate {
+  _id: string;
+  vehicleType: VehicleType;
+  country: string;
+  rate: number;
+  unit: 'km' | 'mi';
+  currency: string;
+  effectiveFrom: string;
+  effectiveTo?: string;
+  description?: string;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ExpenseAllocation {
+  _id?: string;
+  category?: Category | string;
+  budget?: Budget | string;
+  department?: string;
+  percentage?: number;
+  amount: number;
+  notes?: string;
+}
+
+export interface ExpenseApprovalStep {
+  _id: string;
+  approver: User | string;
+  order: number;
+  status: 'pending' | 'approved' | 'rejected';
+  decidedBy?: User | string;
+  decidedAt?: string;
+  comments?: string;
+}
+
+export interface ExpenseReportTotal {
+  currency: string;
+  amount: number;
+  approvedAmount: number;
+  count: number;
+}
+
+export interface ExpenseReport {
+  _id: string;
+  title: string;
+  description?: string;
+  businessPurpose?: string;
+  startDate?: string;
+  endDate?: string;
+  expenses: Expense[] | string[];
+  totals: ExpenseReportTotal[];
+  status: 'draft' | 'submitted' | 'approved' | 'partially_approved' | 'rejected';
+  submittedBy: User | string;
+  department?: string;
+  submittedAt?: string;
+  reviewedBy?: User | string;
+  reviewedAt?: string;
+  reviewComments?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type ImportField =
+  | 'title'
+  | 'amount'
+  | 'currency'
+  | 'date'
+  | 'category'
+  | 'budget'
+  | 'vendor'
+  | 'paymentMethod'
+  | 'description'
+  | 'notes'
+  | 'tags'
+  | 'department'
+  | 'businessPurpose';
+
+export interface ImportTemplate {
+  _id: string;
+  name: string;
+  mapping: Partial<Record<ImportField, string>>;
+  isShared: boolean;
+  department?: string;
+  createdBy: User | string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ImportRowResult {
+  row: number;
+  valid: boolean;
+  errors: { field: string | null; message: string }[];
+  preview?: {
+    title: string;
+    amount: number;
+    currency: string;
+    date: string;
+    category: string;
+    budget?: string;
+    vendor?: string;
+    status: Expense['status'];
+    duplicateStatus?: ExpenseDuplicateCheck['status'];
+    policyViolations: PolicyViolation[];
+  };
+  expenseId?: string;
+}
+
+export interface ImportResult {
+  dryRun: boolean;
+  batchId: string | null;
+  mapping: Partial<Record<ImportField, string>>;
+  total: number;
+  valid: number;
+  invalid: number;
+  imported: number;
+  rows: ImportRowResult[];
+}
+
+export interface Delegation {
+  _id: string;
+  principal: User | string;
+  delegate: User | string;
+  type: 'submission' | 'approval';
+  // Out-of-office window for approval delegations
+  startDate?: string;
+  endDate?: string;
+  notes?: string;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ApprovalSla {
+  _id: string;
+  department: string;
+  businessDays: number;
+  escalationDays: number;
+  departmentHead?: User | string;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ApprovalAgingItem {
+  _id: string;
+  title: string;
+  amount: number;
+  currency: string;
+  convertedAmount?: number;
+  department?: string;
+  submittedBy: User | string;
+  expenseReport?: string;
+  currentApprover: User | string | null;
+  pendingSince: string;
+  ageDays: number;
+  dueAt: string;
+  overdue: boolean;
+  // 0 none, 1 reminded, 2 department head, 3 admins
+  escalationLevel: number;
+}
+
+export interface ApprovalAgingBucket {
+  label: string;
+  count: number;
+  totalAmount: number;
+  expenses: ApprovalAgingItem[];
+}
+
+export type CommentResourceType = 'expense' | 'budget';
+
+export interface Comment {
+  _id: string;
+  resourceType: 'Expense' | 'Budget';
+  resource: string;
+  parent?: string;
+  author: User | string;
+  // Mentions are written as @[Name](userId); null once deleted
+  body: string | null;
+  mentions: (User | string)[];
+  editedAt?: string;
+  isDeleted: boolean;
+  deletedAt?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CommentThread extends Comment {
+  replies: Comment[];
+}
+
+export interface AppNotification {
+  _id: string;
+  type: 'mention' | 'comment';
+  title: string;
+  message?: string;
+  link?: string;
+  comment?: string;
+  isRead: boolean;
+  readAt?: string;
+  createdAt: string;
+}
+
+export type VendorTaxIdType = 'VAT' | 'EIN' | 'GST' | 'ABN' | 'TIN' | 'other';
+
+export interface Vendor {
+  _id: string;
+  name: string;
+  aliases: string[];
+  normalizedNames: string[];
+  defaultCategory?: Category | string;
+  taxIds: { type: VendorTaxIdType; value: string }[];
+  isActive: boolean;
+  createdBy: User | string;
+  // Included by GET /vendors/:id
+  expenseCount?: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface VendorSpend {
+  // Empty for spend grouped by a spelling without a vendor record
+  vendor: { _id: string; name: string } | null;
+  name: string;
+  spellings: string[];
+  amount: number;
+  count: number;
+  averageAmount: number;
+  lastExpenseDate: string;
+}
+
+export interface VendorAnalytics {
+  overview: {
+    totalAmount: number;
+    vendorCount: number;
+    unmatchedAmount: number;
+    unmatchedCount: number;
+  };
+  vendors: VendorSpend[];
+}
+
+export interface Tag {
+  _id: string;
+  name: string;
+  key: string;
+  description?: string;
+  color: string;
+  isActive: boolean;
+  createdBy: User | string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface DepartmentTagPolicy {
+  _id: string;
+  department: string;
+  allowedTags: (Tag | string)[];
+  createdBy: User | string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type TrashType = 'expenses' | 'budgets' | 'categories';
+
+// A deleted item with the date it will be purged
+export type TrashItem<T = Expense | Budget | Category> = T & { purgeAt: string };
+
+export interface AuditEvent {
+  _id: string;
+  sequence: number;
+  timestamp: string;
+  // Empty for background jobs and unauthenticated requests
+  actor?: User | string;
+  action: string;
+  entityType: string;
+  entityId?: string;
+  changes: { field: string; before: unknown; after: unknown }[];
+  request?: { method: string; path: string; ip?: string };
+  metadata?: Record<string, unknown>;
+  previousHash: string;
+  hash: string;
+}
+
+export interface AuditChainVerification {
+  valid: boolean;
+  checked: number;
+  lastSequence?: number;
+  lastHash?: string;
+  brokenAt?: { sequence: number; reason: string };
+}
+
+export type SavedViewResource = 'expenses' | 'budgets';
+
+export interface SavedView {
+  _id: string;
+  name: string;
+  resource: SavedViewResource;
+  filters: Record<string, string>;
+  sort?: {
+    field?: string;
+    order: 'asc' | 'desc';
+  };
+  columns: string[];
+  owner: User | string;
+  isShared: boolean;
+  department?: string;
+  // Query string for the list endpoint, e.g. "status=pending&sort=amount&order=desc"
+  queryString: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type ListSort = 'date' | 'amount' | 'createdAt' | 'status';
+
+// Lists page by cursor unless a `page` is requested; `total`/`pages` are
+// omitted when the list was requested with `count=false`
+export interface Pagination {
+  limit: number;
+  sort: ListSort | 'relevance';
+  order: 'asc' | 'desc';
+  hasMore: boolean;
+  page?: number;
+  nextCursor?: string | null;
+  total?: number;
+  pages?: number;
+}
+
 export interface ApiResponse<T = any> {
   success: boolean;
   data?: T;
   message?: string;
   count?: number;
-  pagination?: {
-    page: number;
-    limit: number;
-    total: number;
-    pages: number;
-  };
+  pagination?: Pagination;
   errors?: any[];
 }
 
@@ -145,7 +641,25 @@ export interface ExpenseAnalytics {
       count: number;
     };
   };
+  departmentBreakdown: {
+    [key: string]: {
+      amount: number;
+      count: number;
+    };
+  };
+  // Each expense counts in full under every tag it has
+  tagBreakdown: {
+    [key: string]: {
+      amount: number;
+      count: number;
+    };
+  };
   monthlyTrend: {
     [key: string]: number;
   };
+  autoApproval: {
+    count: number;
+    amount: number;
+    shareOfApprovedAmount: number;
+  };
 }
\ No newline at end of file
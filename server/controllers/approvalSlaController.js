@@ -0,0 +1,274 @@
+const { validationResult } = require('express-validator');
+const ApprovalSla = require('../models/ApprovalSla');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const {
+  DEFAULT_SLA,
+  AGE_BUCKETS,
+  getDueDate,
+  getAgeDays,
+  getAgeBucket,
+  getSlaPolicies,
+  getSlaFor,
+  processApprovalSlas
+} = require('../utils/approvalSlaService');
+
+// @desc    Get approval SLAs
+// @route   GET /api/approval-slas
+// @access  Private (Manager/Admin)
+const getApprovalSlas = async (req, res, next) => {
+  try {
+    let query = {};
+
+    if (req.user.role !== 'admin' || req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const slas = await ApprovalSla.find(query)
+      .populate('departmentHead', 'name email')
+      .sort({ department: 1 });
+
+    res.json({
+      success: true,
+      count: slas.length,
+      data: slas,
+      defaults: DEFAULT_SLA
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create approval SLA for a department
+// @route   POST /api/approval-slas
+// @access  Private (Admin)
+const createApprovalSla = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const headError = await checkDepartmentHead(req.body.departmentHead);
+    if (headError) {
+      return res.status(400).json({
+        success: false,
+        message: headError
+      });
+    }
+
+    const existing = await ApprovalSla.findOne({ department: req.body.department });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `An approval SLA already exists for ${req.body.department}`
+      });
+    }
+
+    const sla = await ApprovalSla.create({
+      department: req.body.department,
+      businessDays: req.body.businessDays,
+      escalationDays: req.body.escalationDays,
+      departmentHead: req.body.departmentHead,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Approval SLA created successfully',
+      data: sla
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update approval SLA
+// @route   PUT /api/approval-slas/:id
+// @access  Private (Admin)
+const updateApprovalSla = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const sla = await ApprovalSla.findById(req.params.id);
+
+    if (!sla) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval SLA not found'
+      });
+    }
+
+    const headError = await checkDepartmentHead(req.body.departmentHead);
+    if (headError) {
+      return res.status(400).json({
+        success: false,
+        message: headError
+      });
+    }
+
+    ['businessDays', 'escalationDays', 'departmentHead', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        sla[field] = req.body[field];
+      }
+    });
+    await sla.save();
+
+    res.json({
+      success: true,
+      message: 'Approval SLA updated successfully',
+      data: sla
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete approval SLA
+// @route   DELETE /api/approval-slas/:id
+// @access  Private (Admin)
+const deleteApprovalSla = async (req, res, next) => {
+  try {
+    const sla = await ApprovalSla.findById(req.params.id);
+
+    if (!sla) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval SLA not found'
+      });
+    }
+
+    await sla.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Approval SLA deleted; ${sla.department} falls back to the default of ${DEFAULT_SLA.businessDays} business days`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get pending expenses grouped by how long they have waited
+// @route   GET /api/approval-slas/aging
+// @access  Private (Manager/Admin)
+const getApprovalAging = async (req, res, next) => {
+  try {
+    const query = { status: 'pending' };
+
+    // Managers see their own department; admins can filter by one
+    if (req.user.role === 'manager') {
+      query.department = req.user.department;
+    } else if (req.query.department) {
+      query.department = req.query.department;
+    }
+
+    const [expenses, policies] = await Promise.all([
+      Expense.find(query)
+        .select('title amount currency convertedAmount department submittedBy approvals expenseReport slaEscalation createdAt')
+        .populate('submittedBy', 'name email')
+        .populate('approvals.approver', 'name email')
+        .sort({ createdAt: 1 }),
+      getSlaPolicies()
+    ]);
+
+    const now = new Date();
+    const buckets = AGE_BUCKETS.map(bucket => ({
+      label: bucket.label,
+      count: 0,
+      totalAmount: 0,
+      expenses: []
+    }));
+    let overdueCount = 0;
+
+    expenses.forEach(expense => {
+      const pendingSince = expense.getPendingSince();
+      const ageDays = getAgeDays(pendingSince, now);
+      const dueAt = getDueDate(pendingSince, getSlaFor(policies, expense.department));
+      const overdue = now >= dueAt;
+      const currentStep = expense.getCurrentApprovalStep();
+      if (overdue) overdueCount++;
+
+      const bucket = buckets.find(b => b.label === getAgeBucket(ageDays));
+      bucket.count++;
+      bucket.totalAmount += expense.convertedAmount || expense.amount;
+      bucket.expenses.push({
+        _id: expense._id,
+        title: expense.title,
+        amount: expense.amount,
+        currency: expense.currency,
+        convertedAmount: expense.convertedAmount,
+        department: expense.department,
+        submittedBy: expense.submittedBy,
+        expenseReport: expense.expenseReport,
+        currentApprover: currentStep ? currentStep.approver : null,
+        pendingSince,
+        ageDays,
+        dueAt,
+        overdue,
+        escalationLevel: expense.slaEscalation?.level || 0
+      });
+    });
+
+    buckets.forEach(bucket => {
+      bucket.totalAmount = Math.round(bucket.totalAmount * 100) / 100;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        totalPending: expenses.length,
+        overdue: overdueCount,
+        buckets
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send due approval reminders and escalations now
+// @route   POST /api/approval-slas/run
+// @access  Private (Admin)
+const runApprovalSlas = async (req, res, next) => {
+  try {
+    const summary = await processApprovalSlas();
+
+    res.json({
+      success: true,
+      message: `${summary.reminded} reminder(s) and ${summary.escalated} escalation(s) sent`,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to check a department head exists. Returns an error message or null.
+const checkDepartmentHead = async (departmentHeadId) => {
+  if (!departmentHeadId) return null;
+  const head = await User.findById(departmentHeadId);
+  return head && head.isActive ? null : 'Department head not found';
+};
+
+module.exports = {
+  getApprovalSlas,
+  createApprovalSla,
+  updateApprovalSla,
+  deleteApprovalSla,
+  getApprovalAging,
+  runApprovalSlas
+};
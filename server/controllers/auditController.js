@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { verifyAuditChain } = require('../utils/auditService');
+const { parseListOptions, paginate } = require('../utils/paginationService');
+
+// @desc    Get audit events
+// @route   GET /api/audit
+// @access  Private (Admin)
+const getAuditEvents = async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (req.query.actor) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.actor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Actor must be a valid user ID'
+        });
+      }
+      query.actor = req.query.actor;
+    }
+    if (req.query.entityType) {
+      query.entityType = req.query.entityType;
+    }
+    if (req.query.entityId) {
+      query.entityId = req.query.entityId;
+    }
+    if (req.query.action) {
+      query.action = req.query.action;
+    }
+    if (req.query.startDate || req.query.endDate) {
+      query.timestamp = {};
+      if (req.query.startDate) query.timestamp.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) query.timestamp.$lte = new Date(req.query.endDate);
+    }
+
+    const listOptions = parseListOptions(req.query, 'audit');
+    if (listOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: listOptions.error
+      });
+    }
+
+    const { docs: events, pagination } = await paginate(AuditEvent, query, listOptions, eventsQuery => eventsQuery
+      .populate('actor', 'name email role'));
+
+    res.json({
+      success: true,
+      count: events.length,
+      pagination,
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Check the audit hash chain for tampering
+// @route   GET /api/audit/verify
+// @access  Private (Admin)
+const verifyAuditEvents = async (req, res, next) => {
+  try {
+    const fromSequence = Math.max(parseInt(req.query.from, 10) || 1, 1);
+    const toSequence = parseInt(req.query.to, 10) || undefined;
+
+    const result = await verifyAuditChain({ fromSequence, toSequence });
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? `Audit chain intact (${result.checked} event(s) checked)`
+        : `Audit chain broken at event ${result.brokenAt.sequence}: ${result.brokenAt.reason}`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAuditEvents,
+  verifyAuditEvents
+};
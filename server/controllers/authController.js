@@ -157,11 +157,16 @@ const updateProfile = async (req, res, next) => {
       });
     }
 
-    const { name, department } = req.body;
+    const { name, department, bankDetails } = req.body;
+
+    const updates = { name, department };
+    if (bankDetails) {
+      updates.bankDetails = bankDetails;
+    }
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      { name, department },
+      updates,
       { new: true, runValidators: true }
     );
 
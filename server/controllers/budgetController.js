@@ -2,80 +2,41 @@ const { validationResult } = require('express-validator');
 const Budget = require('../models/Budget');
 const Expense = require('../models/Expense');
 const { sendBudgetAlert } = require('../utils/emailService');
+const { EXPORT_FORMATS, BUDGET_COLUMNS, streamExport } = require('../utils/exportService');
+const { parseListOptions, buildSort, paginate } = require('../utils/paginationService');
+const { getCommentThreads } = require('../utils/commentService');
 
 // @desc    Get all budgets
 // @route   GET /api/budgets
 // @access  Private
 const getBudgets = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
+    const query = buildBudgetQuery(req);
 
-    // Build query
-    let query = {};
-
-    // Filter by user role
-    if (req.user.role === 'user') {
-      query.owner = req.user._id;
-    } else if (req.user.role === 'manager') {
-      query.$or = [
-        { owner: req.user._id },
-        { department: req.user.department }
-      ];
-    }
-    // Admin can see all budgets
-
-    // Additional filters
-    if (req.query.status) {
-      query.status = req.query.status;
-    }
-    if (req.query.department) {
-      query.department = req.query.department;
-    }
-    if (req.query.category) {
-      query.category = req.query.category;
+    const listOptions = parseListOptions(req.query, 'budgets');
+    if (listOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: listOptions.error
+      });
     }
 
-    const budgets = await Budget.find(query)
+    const { docs: budgets, pagination } = await paginate(Budget, query, listOptions, budgetsQuery => budgetsQuery
       .populate('owner', 'name email')
-      .populate('category', 'name color')
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(startIndex);
+      .populate('category', 'name color'));
 
     // Calculate spent amounts for each budget
     const budgetsWithSpent = await Promise.all(
-      budgets.map(async (budget) => {
-        const expenses = await Expense.find({
-          budget: budget._id,
-          status: 'approved'
-        });
-        
-        const spentAmount = expenses.reduce((total, expense) => total + expense.amount, 0);
-        const remainingAmount = budget.amount - spentAmount;
-        const usagePercentage = budget.amount > 0 ? Math.round((spentAmount / budget.amount) * 100) : 0;
-
-        return {
-          ...budget.toObject(),
-          spentAmount,
-          remainingAmount,
-          usagePercentage
-        };
-      })
+      budgets.map(async (budget) => ({
+        ...budget.toObject(),
+        ...await getBudgetUsage(budget)
+      }))
     );
 
-    const total = await Budget.countDocuments(query);
-
     res.json({
       success: true,
       count: budgets.length,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      },
+      pagination,
       data: budgetsWithSpent
     });
   } catch (error) {
@@ -83,6 +44,47 @@ const getBudgets = async (req, res, next) => {
   }
 };
 
+// @desc    Export budgets to CSV or Excel
+// @route   GET /api/budgets/export
+// @access  Private
+const exportBudgets = async (req, res, next) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const listOptions = parseListOptions({ ...req.query, cursor: undefined, page: undefined }, 'budgets');
+    if (listOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: listOptions.error
+      });
+    }
+
+    const cursor = Budget.find(buildBudgetQuery(req))
+      .populate('owner', 'name email')
+      .populate('approvers', 'name')
+      .populate('category', 'name')
+      .sort(buildSort(listOptions))
+      .lean()
+      .cursor({ batchSize: 200 });
+
+    await streamExport(res, {
+      cursor,
+      columns: BUDGET_COLUMNS,
+      format,
+      filename: 'budgets',
+      transform: async (budget) => ({ ...budget, ...await getBudgetUsage(budget) })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get single budget
 // @route   GET /api/budgets/:id
 // @access  Private
@@ -110,11 +112,11 @@ const getBudget = async (req, res, next) => {
 
     // Calculate spent amount
     const expenses = await Expense.find({
-      budget: budget._id,
+      ...Expense.chargedToBudget(budget._id),
       status: 'approved'
     });
 
-    const spentAmount = expenses.reduce((total, expense) => total + expense.amount, 0);
+    const spentAmount = expenses.reduce((total, expense) => total + expense.amount * expense.getBudgetShare(budget._id), 0);
     const remainingAmount = budget.amount - spentAmount;
     const usagePercentage = budget.amount > 0 ? Math.round((spentAmount / budget.amount) * 100) : 0;
 
@@ -125,7 +127,8 @@ const getBudget = async (req, res, next) => {
         spentAmount,
         remainingAmount,
         usagePercentage,
-        expenses
+        expenses,
+        comments: await getCommentThreads('Budget', budget._id)
       }
     });
   } catch (error) {
@@ -238,7 +241,7 @@ const deleteBudget = async (req, res, next) => {
     }
 
     // Check if there are associated expenses
-    const expenseCount = await Expense.countDocuments({ budget: budget._id });
+    const expenseCount = await Expense.countDocuments(Expense.chargedToBudget(budget._id));
     if (expenseCount > 0) {
       return res.status(400).json({
         success: false,
@@ -246,11 +249,13 @@ const deleteBudget = async (req, res, next) => {
       });
     }
 
-    await budget.deleteOne();
+    // Kept in the trash until the retention period ends
+    budget.addAuditLog('deleted', req.user._id);
+    await budget.softDelete(req.user._id);
 
     res.json({
       success: true,
-      message: 'Budget deleted successfully'
+      message: 'Budget moved to trash'
     });
   } catch (error) {
     next(error);
@@ -294,11 +299,11 @@ const getBudgetAnalytics = async (req, res, next) => {
 
       // Get expenses for this budget
       const expenses = await Expense.find({
-        budget: budget._id,
+        ...Expense.chargedToBudget(budget._id),
         status: 'approved'
       });
 
-      const spentAmount = expenses.reduce((total, expense) => total + expense.amount, 0);
+      const spentAmount = expenses.reduce((total, expense) => total + expense.amount * expense.getBudgetShare(budget._id), 0);
       totalSpent += spentAmount;
 
       // Category breakdown
@@ -337,11 +342,57 @@ const getBudgetAnalytics = async (req, res, next) => {
   }
 };
 
+// Helper function to build the budget list query: role scoping plus the
+// filters accepted by GET /api/budgets (shared with the export)
+const buildBudgetQuery = (req) => {
+  const query = {};
+
+  // Filter by user role
+  if (req.user.role === 'user') {
+    query.owner = req.user._id;
+  } else if (req.user.role === 'manager') {
+    query.$or = [
+      { owner: req.user._id },
+      { department: req.user.department }
+    ];
+  }
+  // Admin can see all budgets
+
+  // Additional filters
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+  if (req.query.department) {
+    query.department = req.query.department;
+  }
+  if (req.query.category) {
+    query.category = req.query.category;
+  }
+
+  return query;
+};
+
+// Helper function to work out a budget's approved spend, remaining amount and usage
+const getBudgetUsage = async (budget) => {
+  const expenses = await Expense.find({
+    ...Expense.chargedToBudget(budget._id),
+    status: 'approved'
+  });
+
+  const spentAmount = expenses.reduce((total, expense) => total + expense.amount * expense.getBudgetShare(budget._id), 0);
+  const remainingAmount = budget.amount - spentAmount;
+  const usagePercentage = budget.amount > 0 ? Math.round((spentAmount / budget.amount) * 100) : 0;
+
+  return { spentAmount, remainingAmount, usagePercentage };
+};
+
 module.exports = {
   getBudgets,
+  exportBudgets,
   getBudget,
   createBudget,
   updateBudget,
   deleteBudget,
-  getBudgetAnalytics
+  getBudgetAnalytics,
+  buildBudgetQuery
 };
\ No newline at end of file
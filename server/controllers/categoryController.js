@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const Category = require('../models/Category');
+const { getCategoryUsage, isInUse } = require('../utils/trashService');
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -128,13 +129,24 @@ const deleteCategory = async (req, res, next) => {
       });
     }
 
-    // Soft delete by setting isActive to false
-    category.isActive = false;
-    await category.save();
+    // Categories still in use are only deactivated, so nothing ends up
+    // pointing at a trashed category
+    if (isInUse(await getCategoryUsage(category._id))) {
+      category.isActive = false;
+      await category.save();
+
+      return res.json({
+        success: true,
+        message: 'Category is in use and was deactivated instead of moved to trash'
+      });
+    }
+
+    // Kept in the trash until the retention period ends
+    await category.softDelete(req.user._id);
 
     res.json({
       success: true,
-      message: 'Category deactivated successfully'
+      message: 'Category moved to trash'
     });
   } catch (error) {
     next(error);
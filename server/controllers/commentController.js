@@ -0,0 +1,348 @@
+const { validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const User = require('../models/User');
+const { isOwnExpense } = require('./expenseController');
+const {
+  COMMENT_EDIT_WINDOW_MINUTES,
+  COMMENT_DELETE_WINDOW_MINUTES,
+  extractMentionIds,
+  isWithinWindow,
+  getCommentThreads,
+  notifyCommentRecipients
+} = require('../utils/commentService');
+
+const isUser = (id, user) => Boolean(id) && (id._id || id).toString() === user._id.toString();
+
+// Resources that can be commented on: who may read them, who owns them and
+// where the client shows them
+const RESOURCES = {
+  expense: {
+    Model: Expense,
+    modelName: 'Expense',
+    label: 'Expense',
+    getTitle: doc => doc.title,
+    getOwner: doc => doc.submittedBy,
+    getLink: doc => `/expenses?expense=${doc._id}`,
+    canView: (doc, user) => user.role !== 'user'
+      || isOwnExpense(doc, user)
+      || doc.approvals.some(step => isUser(step.approver, user))
+  },
+  budget: {
+    Model: Budget,
+    modelName: 'Budget',
+    label: 'Budget',
+    getTitle: doc => doc.name,
+    getOwner: doc => doc.owner,
+    getLink: doc => `/budgets?budget=${doc._id}`,
+    canView: (doc, user) => user.role !== 'user'
+      || isUser(doc.owner, user)
+      || doc.approvers.some(approver => isUser(approver, user))
+  }
+};
+
+// @desc    Get comment threads on an expense or budget
+// @route   GET /api/comments?resourceType=expense&resource=:id
+// @access  Private
+const getComments = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const config = RESOURCES[req.query.resourceType];
+    const resource = await config.Model.findById(req.query.resource);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: `${config.label} not found`
+      });
+    }
+
+    if (!config.canView(resource, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to access this ${config.label.toLowerCase()}`
+      });
+    }
+
+    const threads = await getCommentThreads(config.modelName, resource._id);
+
+    res.json({
+      success: true,
+      count: threads.length,
+      data: threads
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Comment on an expense or budget, or reply to a comment
+// @route   POST /api/comments
+// @access  Private
+const createComment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const config = RESOURCES[req.body.resourceType];
+    const resource = await config.Model.findById(req.body.resource);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: `${config.label} not found`
+      });
+    }
+
+    if (!config.canView(resource, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to comment on this ${config.label.toLowerCase()}`
+      });
+    }
+
+    // Replies join the thread of the comment they answer
+    let parentId;
+    if (req.body.parent) {
+      const parent = await Comment.findById(req.body.parent);
+      if (!parent || parent.resource.toString() !== resource._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+      parentId = parent.parent || parent._id;
+    }
+
+    const mentionIds = extractMentionIds(req.body.body);
+    const mentionError = await checkMentions(mentionIds, resource, config);
+    if (mentionError) {
+      return res.status(400).json({
+        success: false,
+        message: mentionError
+      });
+    }
+
+    const comment = await Comment.create({
+      resourceType: config.modelName,
+      resource: resource._id,
+      parent: parentId,
+      author: req.user._id,
+      body: req.body.body,
+      mentions: mentionIds
+    });
+
+    resource.addAuditLog('commented', req.user._id, { comment: comment._id, event: 'added', parent: parentId || null });
+    await resource.save();
+
+    await notifyCommentRecipients({
+      comment,
+      author: req.user,
+      mentionIds,
+      ownerId: config.getOwner(resource),
+      resourceLabel: config.label,
+      resourceTitle: config.getTitle(resource),
+      link: config.getLink(resource)
+    });
+
+    await comment.populate([
+      { path: 'author', select: 'name email' },
+      { path: 'mentions', select: 'name email' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: comment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Edit a comment
+// @route   PUT /api/comments/:id
+// @access  Private (Author, within the edit window)
+const updateComment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (!isUser(comment.author, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    if (!isWithinWindow(comment, COMMENT_EDIT_WINDOW_MINUTES)) {
+      return res.status(400).json({
+        success: false,
+        message: `Comments can only be edited within ${COMMENT_EDIT_WINDOW_MINUTES} minutes of posting`
+      });
+    }
+
+    const config = getConfig(comment);
+    const resource = await config.Model.findById(comment.resource);
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: `${config.label} not found`
+      });
+    }
+
+    const mentionIds = extractMentionIds(req.body.body);
+    const mentionError = await checkMentions(mentionIds, resource, config);
+    if (mentionError) {
+      return res.status(400).json({
+        success: false,
+        message: mentionError
+      });
+    }
+
+    // Only users mentioned for the first time are notified again
+    const previousMentions = comment.mentions.map(id => id.toString());
+    const newMentions = mentionIds.filter(id => !previousMentions.includes(id));
+
+    comment.body = req.body.body;
+    comment.mentions = mentionIds;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    resource.addAuditLog('commented', req.user._id, { comment: comment._id, event: 'edited' });
+    await resource.save();
+
+    if (newMentions.length > 0) {
+      await notifyCommentRecipients({
+        comment,
+        author: req.user,
+        mentionIds: newMentions,
+        resourceLabel: config.label,
+        resourceTitle: config.getTitle(resource),
+        link: config.getLink(resource)
+      });
+    }
+
+    await comment.populate([
+      { path: 'author', select: 'name email' },
+      { path: 'mentions', select: 'name email' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a comment
+// @route   DELETE /api/comments/:id
+// @access  Private (Author within the delete window, or Admin)
+const deleteComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (req.user.role !== 'admin') {
+      if (!isUser(comment.author, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to delete this comment'
+        });
+      }
+      if (!isWithinWindow(comment, COMMENT_DELETE_WINDOW_MINUTES)) {
+        return res.status(400).json({
+          success: false,
+          message: `Comments can only be deleted within ${COMMENT_DELETE_WINDOW_MINUTES} minutes of posting`
+        });
+      }
+    }
+
+    // Soft delete so replies keep their thread
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user._id;
+    await comment.save();
+
+    const resource = await getConfig(comment).Model.findById(comment.resource);
+    if (resource) {
+      resource.addAuditLog('commented', req.user._id, { comment: comment._id, event: 'deleted' });
+      await resource.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getConfig = (comment) => Object.values(RESOURCES).find(config => config.modelName === comment.resourceType);
+
+// Helper function to check that every mentioned user exists and can see the
+// resource. Returns an error message or null.
+const checkMentions = async (mentionIds, resource, config) => {
+  if (mentionIds.length === 0) return null;
+
+  const users = await User.find({ _id: { $in: mentionIds }, isActive: true });
+  if (users.length !== mentionIds.length) {
+    return 'Some mentioned users were not found';
+  }
+
+  const hidden = users.filter(user => !config.canView(resource, user));
+  if (hidden.length > 0) {
+    return `Mentioned users cannot see this ${config.label.toLowerCase()}: ${hidden.map(user => user.name).join(', ')}`;
+  }
+  return null;
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
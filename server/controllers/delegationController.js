@@ -0,0 +1,198 @@
+const { validationResult } = require('express-validator');
+const Delegation = require('../models/Delegation');
+const User = require('../models/User');
+
+// @desc    Get delegations
+// @route   GET /api/delegations
+// @access  Private
+const getDelegations = async (req, res, next) => {
+  try {
+    let query = {};
+
+    // Users see delegations they granted or received; admins see all
+    if (req.user.role !== 'admin') {
+      query.$or = [
+        { principal: req.user._id },
+        { delegate: req.user._id }
+      ];
+    } else {
+      if (req.query.principal) query.principal = req.query.principal;
+      if (req.query.delegate) query.delegate = req.query.delegate;
+    }
+
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+      // Approval windows that have ended no longer apply
+      query.$and = [{
+        $or: [
+          { type: { $ne: 'approval' } },
+          { endDate: { $gte: new Date() } }
+        ]
+      }];
+    }
+
+    const delegations = await Delegation.find(query)
+      .populate('principal', 'name email department')
+      .populate('delegate', 'name email department')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: delegations.length,
+      data: delegations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create delegation
+// @route   POST /api/delegations
+// @access  Private
+const createDelegation = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Users grant delegations for themselves; admins can set them up for anyone
+    const principalId = req.user.role === 'admin' && req.body.principal ? req.body.principal : req.user._id;
+
+    const [principal, delegate] = await Promise.all([
+      User.findById(principalId),
+      User.findById(req.body.delegate)
+    ]);
+
+    if (!principal || !principal.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Principal not found'
+      });
+    }
+    if (!delegate || !delegate.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delegate not found'
+      });
+    }
+
+    const type = req.body.type || 'submission';
+
+    if (type === 'approval') {
+      // Substitutes decide through the manager review routes
+      if (!['manager', 'admin'].includes(principal.role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only managers and admins can delegate approvals'
+        });
+      }
+      if (!['manager', 'admin'].includes(delegate.role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A substitute approver must be a manager or admin'
+        });
+      }
+
+      // One substitute at a time, so reviews and notifications have a single target
+      const overlapping = await Delegation.findOne({
+        principal: principal._id,
+        type,
+        isActive: true,
+        startDate: { $lt: new Date(req.body.endDate) },
+        endDate: { $gt: new Date(req.body.startDate) }
+      });
+      if (overlapping) {
+        return res.status(400).json({
+          success: false,
+          message: `${principal.name} already has a substitute approver during this period`
+        });
+      }
+    } else {
+      const existing = await Delegation.findOne({
+        principal: principal._id,
+        delegate: delegate._id,
+        type,
+        isActive: true
+      });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `${delegate.name} is already a delegate for ${principal.name}`
+        });
+      }
+    }
+
+    const delegation = await Delegation.create({
+      principal: principal._id,
+      delegate: delegate._id,
+      type,
+      startDate: type === 'approval' ? req.body.startDate : undefined,
+      endDate: type === 'approval' ? req.body.endDate : undefined,
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+
+    await delegation.populate([
+      { path: 'principal', select: 'name email department' },
+      { path: 'delegate', select: 'name email department' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Delegation created successfully',
+      data: delegation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke delegation
+// @route   DELETE /api/delegations/:id
+// @access  Private (Principal, Delegate or Admin)
+const deleteDelegation = async (req, res, next) => {
+  try {
+    const delegation = await Delegation.findById(req.params.id);
+
+    if (!delegation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delegation not found'
+      });
+    }
+
+    const userId = req.user._id.toString();
+    if (req.user.role !== 'admin' && ![delegation.principal.toString(), delegation.delegate.toString()].includes(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to revoke this delegation'
+      });
+    }
+
+    // Soft delete so expenses filed under it keep their history
+    delegation.isActive = false;
+    await delegation.save();
+
+    res.json({
+      success: true,
+      message: 'Delegation revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDelegations,
+  createDelegation,
+  deleteDelegation
+};
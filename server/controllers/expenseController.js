@@ -2,72 +2,129 @@ const { validationResult } = require('express-validator');
 const Expense = require('../models/Expense');
 const Budget = require('../models/Budget');
 const User = require('../models/User');
-const { sendBudgetAlert, sendExpenseNotification } = require('../utils/emailService');
+const MileageRate = require('../models/MileageRate');
+const Delegation = require('../models/Delegation');
+const ExpenseReport = require('../models/ExpenseReport');
+const { sendBudgetAlert, sendExpenseNotification, sendApprovalRequest, sendOnBehalfNotification } = require('../utils/emailService');
+const { getFileHash } = require('../utils/fileUpload');
+const { checkForDuplicates } = require('../utils/duplicateDetectionService');
+const { evaluateExpensePolicies } = require('../utils/policyService');
+const { EXPORT_FORMATS, EXPENSE_COLUMNS, streamExport } = require('../utils/exportService');
+const { MAX_QUERY_LENGTH, getSearchTerms, getExpenseHighlights } = require('../utils/searchService');
+const { parseListOptions, buildSort, paginate } = require('../utils/paginationService');
+const { getCommentThreads } = require('../utils/commentService');
+const { matchVendor } = require('../utils/vendorService');
+const { resolveExpenseTags, getTagBreakdown } = require('../utils/tagService');
+const { getHistoricalRate } = require('../utils/currencyService');
+
+// Fields owned by the approval, duplicate and reimbursement workflows. They are
+// never taken from a create or update payload; status only changes through
+// review and reimbursement.
+const WORKFLOW_FIELDS = [
+  'status',
+  'approvals',
+  'autoApproved',
+  'approvedBy',
+  'approvalDate',
+  'rejectionReason',
+  'receiptRequired',
+  'duplicateCheck',
+  'slaEscalation',
+  'expenseReport',
+  'reimbursementBatch',
+  'reimbursementDate'
+];
+
+// Schedule state of a recurring series, kept by the save hook and the
+// recurring expense service. A client setting these could backdate the next
+// occurrence, reset the occurrence limit or detach a claim from its series.
+const RECURRENCE_STATE_FIELDS = [
+  'nextRecurringDate',
+  'recurringOccurrenceCount',
+  'isRecurringPaused',
+  'parentExpenseId'
+];
 
 // @desc    Get all expenses
 // @route   GET /api/expenses
 // @access  Private
 const getExpenses = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
-
-    // Build query
-    let query = {};
+    const query = buildExpenseQuery(req);
 
-    // Filter by user role
-    if (req.user.role === 'user') {
-      query.submittedBy = req.user._id;
-    } else if (req.user.role === 'manager') {
-      query.$or = [
-        { submittedBy: req.user._id },
-        { department: req.user.department }
-      ];
-    }
-    // Admin can see all expenses
-
-    // Additional filters
-    if (req.query.status) {
-      query.status = req.query.status;
-    }
-    if (req.query.category) {
-      query.category = req.query.category;
-    }
-    if (req.query.budget) {
-      query.budget = req.query.budget;
-    }
-    if (req.query.department) {
-      query.department = req.query.department;
-    }
-    if (req.query.startDate && req.query.endDate) {
-      query.date = {
-        $gte: new Date(req.query.startDate),
-        $lte: new Date(req.query.endDate)
-      };
+    // Keyset pagination by default; `page` keeps offset paging, and text
+    // searches without an explicit sort are ranked by relevance
+    const listOptions = parseListOptions(req.query, 'expenses', { relevance: Boolean(query.$text) });
+    if (listOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: listOptions.error
+      });
     }
 
-    const expenses = await Expense.find(query)
+    const { docs: expenses, pagination } = await paginate(Expense, query, listOptions, expensesQuery => expensesQuery
       .populate('submittedBy', 'name email department')
       .populate('approvedBy', 'name email')
       .populate('category', 'name color')
-      .populate('budget', 'name amount')
-      .sort({ date: -1 })
-      .limit(limit)
-      .skip(startIndex);
+      .populate('budget', 'name amount'));
 
-    const total = await Expense.countDocuments(query);
+    let data = expenses;
+    if (query.$text) {
+      const terms = getSearchTerms(req.query.q);
+      data = expenses.map(expense => ({
+        ...expense.toObject(),
+        score: expense.get('score'),
+        highlights: getExpenseHighlights(expense, terms)
+      }));
+    }
 
     res.json({
       success: true,
       count: expenses.length,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      },
-      data: expenses
+      pagination,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export expenses to CSV or Excel
+// @route   GET /api/expenses/export
+// @access  Private
+const exportExpenses = async (req, res, next) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const listOptions = parseListOptions({ ...req.query, cursor: undefined, page: undefined }, 'expenses');
+    if (listOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: listOptions.error
+      });
+    }
+
+    const cursor = Expense.find(buildExpenseQuery(req))
+      .populate('submittedBy', 'name email department')
+      .populate('approvedBy', 'name email')
+      .populate('approvals.approver', 'name')
+      .populate('category', 'name')
+      .populate('budget', 'name')
+      .sort(buildSort(listOptions))
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    await streamExport(res, {
+      cursor,
+      columns: EXPENSE_COLUMNS,
+      format,
+      filename: 'expenses'
     });
   } catch (error) {
     next(error);
@@ -81,9 +138,13 @@ const getExpense = async (req, res, next) => {
   try {
     const expense = await Expense.findById(req.params.id)
       .populate('submittedBy', 'name email department')
+      .populate('filedBy', 'name email')
       .populate('approvedBy', 'name email')
       .populate('category', 'name color description')
-      .populate('budget', 'name amount owner');
+      .populate('budget', 'name amount owner')
+      .populate('allocations.category', 'name color')
+      .populate('allocations.budget', 'name amount')
+      .populate('duplicateCheck.reviewedBy', 'name email');
 
     if (!expense) {
       return res.status(404).json({
@@ -93,16 +154,30 @@ const getExpense = async (req, res, next) => {
     }
 
     // Check access permissions
-    if (req.user.role === 'user' && expense.submittedBy._id.toString() !== req.user._id.toString()) {
+    if (req.user.role === 'user' && !isOwnExpense(expense, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this expense'
       });
     }
 
+    // Approvers see the suspected duplicates alongside the expense
+    if (req.user.role !== 'user' && expense.duplicateCheck?.candidates?.length > 0) {
+      await expense.populate({
+        path: 'duplicateCheck.candidates.expense',
+        select: 'title amount currency date vendor status submittedBy receipts',
+        populate: { path: 'submittedBy', select: 'name email' }
+      });
+    }
+
+    const comments = await getCommentThreads('Expense', expense._id);
+
     res.json({
       success: true,
-      data: expense
+      data: {
+        ...expense.toObject(),
+        comments
+      }
     });
   } catch (error) {
     next(error);
@@ -124,50 +199,61 @@ const createExpense = async (req, res, next) => {
       });
     }
 
-    // Add user as submitter
-    req.body.submittedBy = req.user._id;
-    req.body.department = req.body.department || req.user.department;
-
-    // Check if budget exists and is active
-    if (req.body.budget) {
-      const budget = await Budget.findById(req.body.budget);
-      
-      if (!budget) {
+    // Delegates file expenses for the claimant named in onBehalfOf
+    let claimant = req.user;
+    if (req.body.onBehalfOf && req.body.onBehalfOf !== req.user._id.toString()) {
+      claimant = await User.findById(req.body.onBehalfOf);
+      if (!claimant || !claimant.isActive) {
         return res.status(400).json({
           success: false,
-          message: 'Budget not found'
+          message: 'Claimant not found'
         });
       }
 
-      if (budget.status !== 'active' && budget.status !== 'approved') {
-        return res.status(400).json({
+      if (req.user.role !== 'admin' && !await Delegation.canSubmitFor(req.user._id, claimant._id)) {
+        return res.status(403).json({
           success: false,
-          message: 'Budget is not active'
+          message: 'Not authorized to submit expenses on behalf of this user'
         });
       }
+    }
+    delete req.body.onBehalfOf;
 
-      // Check if expense date is within budget period
-      const expenseDate = new Date(req.body.date || Date.now());
-      if (expenseDate < budget.startDate || expenseDate > budget.endDate) {
-        return res.status(400).json({
-          success: false,
-          message: 'Expense date is outside budget period'
-        });
-      }
+    const { expense, error: buildError } = await buildExpense(req.body, claimant);
+    if (buildError) {
+      return res.status(400).json({
+        success: false,
+        message: buildError
+      });
     }
 
-    const expense = await Expense.create(req.body);
+    const isOnBehalf = claimant !== req.user;
+    if (isOnBehalf) {
+      expense.filedBy = req.user._id;
+      expense.addAuditLog('created', req.user._id, null, null, claimant._id);
+    }
+
+    await expense.save();
 
     const populatedExpense = await Expense.findById(expense._id)
       .populate('submittedBy', 'name email')
+      .populate('filedBy', 'name email')
       .populate('category', 'name color')
       .populate('budget', 'name amount');
 
+    // The claimant hears about anything filed in their name
+    if (isOnBehalf) {
+      await sendOnBehalfNotification(claimant, expense, req.user);
+    }
+
     // Check for budget alerts if expense is approved
-    if (expense.status === 'approved' && expense.budget) {
-      await checkBudgetAlert(expense.budget);
+    if (expense.status === 'approved') {
+      await checkExpenseBudgetAlerts(expense);
     }
 
+    // Let the first approver in the workflow know the expense is waiting
+    await notifyNextApprover(expense);
+
     res.status(201).json({
       success: true,
       message: 'Expense created successfully',
@@ -203,13 +289,20 @@ const updateExpense = async (req, res, next) => {
     }
 
     // Check ownership or admin/manager role
-    if (req.user.role === 'user' && expense.submittedBy.toString() !== req.user._id.toString()) {
+    if (req.user.role === 'user' && !isOwnExpense(expense, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this expense'
       });
     }
 
+    // Who claimed and who filed the expense never change, and workflow state
+    // only changes through review and reimbursement
+    delete req.body.submittedBy;
+    delete req.body.filedBy;
+    WORKFLOW_FIELDS.forEach(field => delete req.body[field]);
+    RECURRENCE_STATE_FIELDS.forEach(field => delete req.body[field]);
+
     // Users can only edit pending expenses
     if (req.user.role === 'user' && expense.status !== 'pending') {
       return res.status(400).json({
@@ -218,8 +311,118 @@ const updateExpense = async (req, res, next) => {
       });
     }
 
-    const oldStatus = expense.status;
-    
+    // Report lines are frozen once the report leaves draft
+    if (expense.expenseReport) {
+      const report = await ExpenseReport.findById(expense.expenseReport).select('status');
+      if (report && report.status !== 'draft') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot edit an expense that belongs to a submitted expense report'
+        });
+      }
+    }
+
+    // Re-price mileage claims whenever the distance, date or amount changes
+    const isMileageClaim = expense.metadata?.mileage?.distance !== undefined && expense.metadata?.mileage?.distance !== null;
+    if (req.body.metadata?.mileage || (isMileageClaim && ['amount', 'currency', 'date', 'metadata'].some(field => req.body[field] !== undefined))) {
+      const mileageError = await applyMileageRate(req.body, expense.toObject());
+      if (mileageError) {
+        return res.status(400).json({
+          success: false,
+          message: mileageError
+        });
+      }
+    }
+
+    // The rate follows the currency and date until it's locked at approval
+    ['exchangeRate', 'exchangeRateSource', 'exchangeRateDate', 'exchangeRateLockedAt'].forEach(field => delete req.body[field]);
+    const currencyChanged = req.body.currency !== undefined && req.body.currency !== expense.currency;
+    if (expense.exchangeRateLockedAt) {
+      if (currencyChanged) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the currency of an expense whose exchange rate is locked'
+        });
+      }
+    } else if (currencyChanged || req.body.date !== undefined) {
+      const rate = {
+        currency: req.body.currency !== undefined ? req.body.currency : expense.currency,
+        date: req.body.date !== undefined ? req.body.date : expense.date
+      };
+      const rateError = await applyExchangeRate(rate);
+      if (rateError) {
+        return res.status(400).json({
+          success: false,
+          message: rateError
+        });
+      }
+      req.body.exchangeRate = rate.exchangeRate;
+      req.body.exchangeRateSource = rate.exchangeRateSource;
+      req.body.exchangeRateDate = rate.exchangeRateDate;
+    }
+
+    // Updates skip the save hook, so keep the base-currency amount in step here
+    if (req.body.amount !== undefined || req.body.exchangeRate !== undefined) {
+      const amount = Number(req.body.amount !== undefined ? req.body.amount : expense.amount);
+      req.body.convertedAmount = amount * (req.body.exchangeRate !== undefined ? req.body.exchangeRate : expense.exchangeRate || 1);
+    }
+
+    // Re-resolve the split whenever the lines or the amount change
+    if (req.body.allocations !== undefined || (req.body.amount !== undefined && expense.allocations.length > 0)) {
+      const lines = req.body.allocations !== undefined
+        ? req.body.allocations
+        : expense.allocations.map(line => line.toObject());
+      const amount = Number(req.body.amount !== undefined ? req.body.amount : expense.amount);
+      const { allocations, error: allocationError } = Expense.resolveAllocations(lines, amount);
+      const allocationBudgetError = allocationError || await checkAllocationBudgets(allocations, req.body.date || expense.date);
+      if (allocationBudgetError) {
+        return res.status(400).json({
+          success: false,
+          message: allocationBudgetError
+        });
+      }
+      req.body.allocations = allocations;
+    }
+
+    // New tags must come from the catalogue; tags already on the expense stay
+    if (req.body.tags !== undefined) {
+      const { tags, error: tagError } = await resolveExpenseTags(
+        req.body.tags,
+        req.body.department !== undefined ? req.body.department : expense.department,
+        expense.tags
+      );
+      if (tagError) {
+        return res.status(400).json({
+          success: false,
+          message: tagError
+        });
+      }
+      req.body.tags = tags;
+    }
+
+    // The vendor link follows the free-text vendor
+    delete req.body.matchedVendor;
+    if (req.body.vendor !== undefined) {
+      const vendor = await matchVendor(req.body.vendor);
+      req.body.matchedVendor = vendor ? vendor._id : null;
+    }
+
+    // Updates skip the save hook that schedules a series, so do it here
+    const recurrenceError = rescheduleRecurrence(req.body, expense);
+    if (recurrenceError) {
+      return res.status(400).json({
+        success: false,
+        message: recurrenceError
+      });
+    }
+
+    // Re-evaluate policy rules against the expense as it will be after the update
+    const proposed = Expense.hydrate(expense.toObject({ virtuals: false }));
+    proposed.set(req.body);
+    const { violations } = await evaluateExpensePolicies(proposed);
+    req.body.policyViolations = violations;
+    req.body.policyCheckedAt = new Date();
+
     expense = await Expense.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
@@ -227,15 +430,24 @@ const updateExpense = async (req, res, next) => {
       .populate('category', 'name color')
       .populate('budget', 'name amount');
 
-    // Send notification if status changed
-    if (oldStatus !== expense.status && (expense.status === 'approved' || expense.status === 'rejected')) {
-      const user = await User.findById(expense.submittedBy._id);
-      await sendExpenseNotification(user, expense, expense.status);
+    // Re-evaluate the receipt policy when the amount or budget changes
+    if (['amount', 'exchangeRate', 'budget'].some(field => req.body[field] !== undefined)) {
+      const budget = expense.budget ? await Budget.findById(expense.budget._id) : null;
+      const wasRequired = expense.receiptRequired;
+      if (expense.refreshReceiptRequirement(budget) !== wasRequired) {
+        await expense.save();
+      }
+    }
+
+    // Re-run duplicate detection when the fields it compares change
+    if (['amount', 'currency', 'date', 'vendor'].some(field => req.body[field] !== undefined)) {
+      await checkForDuplicates(expense);
+      await expense.save();
     }
 
     // Check for budget alerts if expense was approved
-    if (expense.status === 'approved' && expense.budget) {
-      await checkBudgetAlert(expense.budget._id);
+    if (expense.status === 'approved') {
+      await checkExpenseBudgetAlerts(expense);
     }
 
     res.json({
@@ -263,7 +475,7 @@ const deleteExpense = async (req, res, next) => {
     }
 
     // Check ownership or admin role
-    if (req.user.role !== 'admin' && expense.submittedBy.toString() !== req.user._id.toString()) {
+    if (req.user.role !== 'admin' && !isOwnExpense(expense, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this expense'
@@ -278,11 +490,29 @@ const deleteExpense = async (req, res, next) => {
       });
     }
 
-    await expense.deleteOne();
+    // Lines must be removed from their expense report first
+    if (expense.expenseReport) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete expense that belongs to an expense report'
+      });
+    }
+
+    // Batched and paid expenses stay on the batch's payment record
+    if (expense.reimbursementBatch || expense.status === 'reimbursed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete expense that is in a reimbursement batch or already reimbursed'
+      });
+    }
+
+    // Kept in the trash until the retention period ends
+    expense.addAuditLog('deleted', req.user._id);
+    await expense.softDelete(req.user._id);
 
     res.json({
       success: true,
-      message: 'Expense deleted successfully'
+      message: 'Expense moved to trash'
     });
   } catch (error) {
     next(error);
@@ -294,7 +524,7 @@ const deleteExpense = async (req, res, next) => {
 // @access  Private (Manager/Admin)
 const reviewExpense = async (req, res, next) => {
   try {
-    const { status, rejectionReason } = req.body;
+    const { status, rejectionReason, comments } = req.body;
 
     if (!['approved', 'rejected'].includes(status)) {
       return res.status(400).json({
@@ -326,12 +556,106 @@ const reviewExpense = async (req, res, next) => {
       });
     }
 
-    // Update expense
-    expense.status = status;
-    expense.approvedBy = req.user._id;
-    expense.approvalDate = new Date();
-    if (rejectionReason) {
-      expense.rejectionReason = rejectionReason;
+    // Report lines are decided together through the expense report review
+    if (expense.expenseReport) {
+      return res.status(400).json({
+        success: false,
+        message: 'This expense belongs to an expense report. Review it through the report.'
+      });
+    }
+
+    // Delegates cannot approve the expenses of the people they file for
+    if (await isDelegateOf(req.user, expense)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review expenses of a user you submit expenses for'
+      });
+    }
+
+    // Nobody decides on their own expense, whatever step or role they hold
+    if (isOwnExpense(expense, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review your own expense'
+      });
+    }
+
+    const budget = expense.budget ? await Budget.findById(expense.budget) : null;
+
+    // Expenses submitted before their budget had a workflow pick it up on first review
+    if (expense.approvals.length === 0 && budget) {
+      expense.approvals = budget.getApprovalSteps(expense.convertedAmount || expense.amount);
+    }
+
+    // Hard policy blocks have to be fixed by the submitter before approval
+    if (status === 'approved' && expense.hasPolicyBlocks) {
+      return res.status(400).json({
+        success: false,
+        message: 'This expense violates a blocking policy rule and cannot be approved until it is corrected',
+        violations: expense.policyViolations.filter(violation => violation.action === 'block')
+      });
+    }
+
+    // Suspected duplicates must be dismissed before the expense can be approved
+    if (status === 'approved' && expense.duplicateCheck?.status === 'flagged') {
+      return res.status(400).json({
+        success: false,
+        message: 'This expense is flagged as a possible duplicate. Dismiss or confirm the flag before approving.'
+      });
+    }
+
+    // Expenses above the budget's receipt threshold cannot be approved without one
+    if (status === 'approved' && expense.refreshReceiptRequirement(budget) && !expense.hasReceipts) {
+      return res.status(400).json({
+        success: false,
+        message: `A receipt is required for expenses above ${budget.allocationRules.requireReceiptAbove}. Attach one before approving.`
+      });
+    }
+
+    const currentStep = expense.getCurrentApprovalStep();
+    let isFinalDecision = true;
+    // Approver the user is standing in for while they are out of office
+    let actingFor = null;
+
+    if (currentStep) {
+      // Only the step's approver or their substitute may decide it; admins can act on their behalf
+      if (currentStep.approver.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        const substitution = await Delegation.findApprovalSubstitute(currentStep.approver);
+        if (!substitution || substitution.delegate.toString() !== req.user._id.toString()) {
+          return res.status(403).json({
+            success: false,
+            message: `Approval step ${currentStep.order} is assigned to another approver`
+          });
+        }
+        actingFor = currentStep.approver;
+      }
+
+      currentStep.status = status;
+      currentStep.decidedBy = req.user._id;
+      currentStep.decidedAt = new Date();
+      currentStep.comments = comments || rejectionReason;
+      expense.resetSlaEscalation();
+
+      isFinalDecision = status === 'rejected' || !expense.getCurrentApprovalStep();
+    }
+
+    if (isFinalDecision) {
+      // Update expense
+      expense.status = status;
+      expense.approvedBy = req.user._id;
+      expense.approvalDate = new Date();
+      if (rejectionReason) {
+        expense.rejectionReason = rejectionReason;
+      }
+      if (status === 'approved') {
+        expense.lockExchangeRate();
+      }
+      expense.addAuditLog(status, req.user._id, currentStep ? { step: currentStep.order } : null, rejectionReason || comments, actingFor);
+    } else {
+      expense.addAuditLog('updated', req.user._id, {
+        action: 'approval_step_approved',
+        step: currentStep.order
+      }, comments, actingFor);
     }
 
     await expense.save();
@@ -340,20 +664,27 @@ const reviewExpense = async (req, res, next) => {
       .populate('submittedBy', 'name email')
       .populate('approvedBy', 'name email')
       .populate('category', 'name color')
-      .populate('budget', 'name amount');
+      .populate('budget', 'name amount')
+      .populate('approvals.approver', 'name email');
 
-    // Send notification to expense submitter
-    const user = await User.findById(expense.submittedBy);
-    await sendExpenseNotification(user, expense, status);
+    if (isFinalDecision) {
+      // Send notification to expense submitter
+      const user = await User.findById(expense.submittedBy);
+      await sendExpenseNotification(user, expense, status);
 
-    // Check for budget alerts if approved
-    if (status === 'approved' && expense.budget) {
-      await checkBudgetAlert(expense.budget);
+      // Check for budget alerts if approved
+      if (status === 'approved') {
+        await checkExpenseBudgetAlerts(expense);
+      }
+    } else {
+      await notifyNextApprover(expense);
     }
 
     res.json({
       success: true,
-      message: `Expense ${status} successfully`,
+      message: isFinalDecision
+        ? `Expense ${status} successfully`
+        : `Approval step ${currentStep.order} of ${expense.approvals.length} approved`,
       data: populatedExpense
     });
   } catch (error) {
@@ -361,6 +692,129 @@ const reviewExpense = async (req, res, next) => {
   }
 };
 
+// @desc    Get approval progress for an expense
+// @route   GET /api/expenses/:id/approvals
+// @access  Private
+const getExpenseApprovals = async (req, res, next) => {
+  try {
+    const expense = await Expense.findById(req.params.id)
+      .populate('approvals.approver', 'name email')
+      .populate('approvals.decidedBy', 'name email');
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    // Users may see their own expenses and those they are asked to approve
+    const isApprover = expense.approvals.some(step => step.approver?._id.toString() === req.user._id.toString());
+    if (req.user.role === 'user' && !isOwnExpense(expense, req.user) && !isApprover) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this expense'
+      });
+    }
+
+    const steps = [...expense.approvals].sort((a, b) => a.order - b.order);
+    const currentStep = expense.status === 'pending' ? expense.getCurrentApprovalStep() : null;
+
+    res.json({
+      success: true,
+      data: {
+        expenseId: expense._id,
+        status: expense.status,
+        totalSteps: steps.length,
+        completedSteps: steps.filter(step => step.status === 'approved').length,
+        currentStep,
+        steps
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Dismiss or confirm a suspected duplicate flag
+// @route   PUT /api/expenses/:id/duplicates
+// @access  Private (Manager/Admin)
+const reviewDuplicateFlag = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, comments } = req.body;
+
+    const expense = await Expense.findById(req.params.id);
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    if (expense.duplicateCheck?.status !== 'flagged') {
+      return res.status(400).json({
+        success: false,
+        message: 'Expense is not flagged as a possible duplicate'
+      });
+    }
+
+    if (req.user.role === 'manager' && expense.submittedBy.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review the duplicate flag on your own expense'
+      });
+    }
+
+    expense.duplicateCheck.status = action === 'confirm' ? 'confirmed' : 'dismissed';
+    expense.duplicateCheck.reviewedBy = req.user._id;
+    expense.duplicateCheck.reviewedAt = new Date();
+    expense.duplicateCheck.reviewComments = comments;
+
+    // A confirmed duplicate is never paid out
+    const rejected = action === 'confirm' && expense.status === 'pending';
+    if (rejected) {
+      expense.status = 'rejected';
+      expense.approvedBy = req.user._id;
+      expense.approvalDate = new Date();
+      expense.rejectionReason = 'Confirmed duplicate of an existing expense';
+      expense.addAuditLog('rejected', req.user._id, {
+        action: 'duplicate_confirmed',
+        duplicates: expense.duplicateCheck.candidates.map(candidate => candidate.expense)
+      }, comments || expense.rejectionReason);
+    } else {
+      expense.addAuditLog('updated', req.user._id, {
+        action: action === 'confirm' ? 'duplicate_confirmed' : 'duplicate_dismissed'
+      }, comments);
+    }
+
+    await expense.save();
+
+    if (rejected) {
+      const user = await User.findById(expense.submittedBy);
+      await sendExpenseNotification(user, expense, 'rejected');
+    }
+
+    res.json({
+      success: true,
+      message: action === 'confirm' ? 'Duplicate confirmed' : 'Duplicate flag dismissed',
+      data: expense
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get expense analytics
 // @route   GET /api/expenses/analytics
 // @access  Private
@@ -377,7 +831,9 @@ const getExpenseAnalytics = async (req, res, next) => {
       ];
     }
 
-    const expenses = await Expense.find(query).populate('category', 'name');
+    const expenses = await Expense.find(query)
+      .populate('category', 'name')
+      .populate('allocations.category', 'name');
     
     // Calculate analytics
     let totalExpenses = expenses.length;
@@ -385,7 +841,14 @@ const getExpenseAnalytics = async (req, res, next) => {
     let approvedAmount = 0;
     let pendingAmount = 0;
     let rejectedAmount = 0;
+    // Auto-approval totals are in the base currency so expenses in different currencies add up
+    let autoApproval = {
+      count: 0,
+      amount: 0
+    };
+    let approvedBaseAmount = 0;
     let categoryBreakdown = {};
+    let departmentBreakdown = {};
     let statusBreakdown = {
       pending: 0,
       approved: 0,
@@ -393,6 +856,8 @@ const getExpenseAnalytics = async (req, res, next) => {
       reimbursed: 0
     };
     let monthlyTrend = {};
+    // An expense counts under each of its tags
+    const tagBreakdown = getTagBreakdown(expenses);
 
     expenses.forEach(expense => {
       totalAmount += expense.amount;
@@ -406,16 +871,38 @@ const getExpenseAnalytics = async (req, res, next) => {
         rejectedAmount += expense.amount;
       }
 
-      // Category breakdown
-      const categoryName = expense.category?.name || 'Uncategorized';
-      if (!categoryBreakdown[categoryName]) {
-        categoryBreakdown[categoryName] = {
-          amount: 0,
-          count: 0
-        };
+      if (['approved', 'reimbursed'].includes(expense.status)) {
+        approvedBaseAmount += expense.convertedAmount ?? expense.amount;
+      }
+
+      // Spend that bypassed manual review
+      if (expense.autoApproved) {
+        autoApproval.count++;
+        autoApproval.amount += expense.convertedAmount ?? expense.amount;
       }
-      categoryBreakdown[categoryName].amount += expense.amount;
-      categoryBreakdown[categoryName].count++;
+
+      // Category and department breakdowns follow the expense's allocation lines
+      expense.getAllocationLines().forEach(line => {
+        const categoryName = line.category?.name || 'Uncategorized';
+        if (!categoryBreakdown[categoryName]) {
+          categoryBreakdown[categoryName] = {
+            amount: 0,
+            count: 0
+          };
+        }
+        categoryBreakdown[categoryName].amount += line.amount;
+        categoryBreakdown[categoryName].count++;
+
+        const departmentName = line.department || 'Unassigned';
+        if (!departmentBreakdown[departmentName]) {
+          departmentBreakdown[departmentName] = {
+            amount: 0,
+            count: 0
+          };
+        }
+        departmentBreakdown[departmentName].amount += line.amount;
+        departmentBreakdown[departmentName].count++;
+      });
 
       // Monthly trend
       const monthKey = expense.date.toISOString().substring(0, 7); // YYYY-MM
@@ -437,7 +924,15 @@ const getExpenseAnalytics = async (req, res, next) => {
         },
         statusBreakdown,
         categoryBreakdown,
-        monthlyTrend
+        departmentBreakdown,
+        tagBreakdown,
+        monthlyTrend,
+        autoApproval: {
+          ...autoApproval,
+          shareOfApprovedAmount: approvedBaseAmount > 0
+            ? Math.round((autoApproval.amount / approvedBaseAmount) * 100)
+            : 0
+        }
       }
     });
   } catch (error) {
@@ -445,6 +940,347 @@ const getExpenseAnalytics = async (req, res, next) => {
   }
 };
 
+// Helper function to check whether the user claimed the expense or filed it as a delegate
+const isOwnExpense = (expense, user) => {
+  const userId = user._id.toString();
+  const submitterId = (expense.submittedBy._id || expense.submittedBy).toString();
+  const filerId = expense.filedBy ? (expense.filedBy._id || expense.filedBy).toString() : null;
+  return submitterId === userId || filerId === userId;
+};
+
+// Helper function to check whether the user filed this expense for its claimant
+// or holds a submission delegation from them
+const isDelegateOf = async (user, expense) => {
+  const submitterId = expense.submittedBy._id || expense.submittedBy;
+  if (expense.filedBy && (expense.filedBy._id || expense.filedBy).toString() === user._id.toString()) {
+    return submitterId.toString() !== user._id.toString();
+  }
+  return Delegation.canSubmitFor(user._id, submitterId);
+};
+
+// Helper function to build the expense list query: role scoping plus the
+// filters accepted by GET /api/expenses (shared with the export)
+const buildExpenseQuery = (req) => {
+  const query = {};
+
+  // Filter by user role; delegates also see the expenses they filed
+  if (req.user.role === 'user') {
+    query.$or = [
+      { submittedBy: req.user._id },
+      { filedBy: req.user._id }
+    ];
+  } else if (req.user.role === 'manager') {
+    query.$or = [
+      { submittedBy: req.user._id },
+      { filedBy: req.user._id },
+      { department: req.user.department }
+    ];
+  }
+  // Admin can see all expenses
+
+  // Additional filters
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+  if (req.query.category) {
+    query.category = req.query.category;
+  }
+  if (req.query.budget) {
+    query.budget = req.query.budget;
+  }
+  if (req.query.department) {
+    query.department = req.query.department;
+  }
+  if (req.query.policyViolation) {
+    query['policyViolations.action'] = req.query.policyViolation;
+  }
+  if (req.query.duplicateStatus) {
+    query['duplicateCheck.status'] = req.query.duplicateStatus;
+  }
+  if (req.query.missingReceipt === 'true') {
+    query.receiptRequired = true;
+    query['receipts.0'] = { $exists: false };
+  }
+  if (req.query.startDate && req.query.endDate) {
+    query.date = {
+      $gte: new Date(req.query.startDate),
+      $lte: new Date(req.query.endDate)
+    };
+  }
+
+  // Amount range in the base currency so mixed-currency expenses compare fairly
+  const minAmount = parseFloat(req.query.minAmount);
+  const maxAmount = parseFloat(req.query.maxAmount);
+  if (!isNaN(minAmount) || !isNaN(maxAmount)) {
+    query.convertedAmount = {};
+    if (!isNaN(minAmount)) query.convertedAmount.$gte = minAmount;
+    if (!isNaN(maxAmount)) query.convertedAmount.$lte = maxAmount;
+  }
+
+  // Full-text search over title, vendor, tags, description, notes and receipt names
+  const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, MAX_QUERY_LENGTH) : '';
+  if (q) {
+    query.$text = { $search: q };
+  }
+
+  return query;
+};
+
+// Helper function to build an unsaved expense from submitted data for a user,
+// applying mileage pricing, the split, budget checks, duplicate detection, policy
+// rules and auto-approval. Returns { expense, budget } or { error }.
+const buildExpense = async (data, user) => {
+  // Add user as submitter; filedBy is only set by callers filing for someone else
+  data.submittedBy = user._id;
+  delete data.filedBy;
+  data.department = data.department || user.department;
+
+  // Approval steps always come from the budget and workflow state from the
+  // server, never from the client
+  WORKFLOW_FIELDS.forEach(field => delete data[field]);
+  RECURRENCE_STATE_FIELDS.forEach(field => delete data[field]);
+  data.approvals = [];
+
+  // Mileage claims are priced from the rate table, not typed by hand
+  const mileageError = await applyMileageRate(data);
+  if (mileageError) {
+    return { error: mileageError };
+  }
+
+  // Rates come from the rate history for the expense date, never from the client
+  delete data.exchangeRateLockedAt;
+  const rateError = await applyExchangeRate(data);
+  if (rateError) {
+    return { error: rateError };
+  }
+
+  // Link the free-text vendor to its vendor record, whose default category
+  // fills in a missing one
+  const vendor = await matchVendor(data.vendor);
+  data.matchedVendor = vendor ? vendor._id : undefined;
+  if (!data.category && vendor?.defaultCategory) {
+    data.category = vendor.defaultCategory;
+  }
+  if (!data.category) {
+    return { error: 'Category is required' };
+  }
+
+  // Tags come from the catalogue and the department's allowed tags
+  const { tags, error: tagError } = await resolveExpenseTags(data.tags, data.department);
+  if (tagError) {
+    return { error: tagError };
+  }
+  data.tags = tags;
+
+  // Split lines are resolved against the final amount; the first line's budget
+  // is the primary one whose workflow and receipt policy apply
+  const { allocations, error: allocationError } = Expense.resolveAllocations(data.allocations, Number(data.amount));
+  if (allocationError) {
+    return { error: allocationError };
+  }
+  data.allocations = allocations;
+  if (allocations.length > 0) {
+    const allocationBudgetError = await checkAllocationBudgets(allocations, data.date);
+    if (allocationBudgetError) {
+      return { error: allocationBudgetError };
+    }
+    data.budget = data.budget || allocations.find(line => line.budget)?.budget;
+  }
+
+  // Check if budget exists and is active
+  let budget = null;
+  if (data.budget) {
+    budget = await Budget.findById(data.budget);
+    
+    if (!budget) {
+      return { error: 'Budget not found' };
+    }
+
+    if (budget.status !== 'active' && budget.status !== 'approved') {
+      return { error: 'Budget is not active' };
+    }
+
+    // Check if expense date is within budget period
+    const expenseDate = new Date(data.date || Date.now());
+    if (expenseDate < budget.startDate || expenseDate > budget.endDate) {
+      return { error: 'Expense date is outside budget period' };
+    }
+
+    // Copy the budget's approval workflow onto the expense
+    const expenseAmount = data.amount * (data.exchangeRate || 1);
+    data.approvals = budget.getApprovalSteps(expenseAmount);
+  }
+
+  const expense = new Expense(data);
+
+  // Hash receipt files server-side so the same receipt can be recognised later
+  for (const receipt of expense.receipts) {
+    receipt.fileHash = await getFileHash(receipt.fileName) || undefined;
+  }
+  await checkForDuplicates(expense);
+
+  // Record policy warnings and blocks for approvers
+  const { violations } = await evaluateExpensePolicies(expense);
+  expense.policyViolations = violations;
+  expense.policyCheckedAt = new Date();
+
+  expense.refreshReceiptRequirement(budget);
+
+  // Small expenses under the budget's auto-approval limit skip manual review
+  expense.applyAutoApproval(budget);
+
+  return { expense, budget };
+};
+
+// Helper function to price a mileage claim from the rate table in force on the
+// expense date. Fills in amount/currency/rate on `data`; returns an error message
+// when no rate applies or the submitted amount does not match the computed one.
+const applyMileageRate = async (data, current = {}) => {
+  const mileage = { ...(current.metadata?.mileage || {}), ...(data.metadata?.mileage || {}) };
+  if (mileage.distance === undefined || mileage.distance === null) return null;
+
+  const date = new Date(data.date || current.date || Date.now());
+  const vehicleType = mileage.vehicleType || 'car';
+  const country = (mileage.country || 'US').toUpperCase();
+
+  const rate = await MileageRate.findRateInForce(vehicleType, country, date);
+  if (!rate) {
+    return `No ${vehicleType} mileage rate for ${country} is in force on ${date.toISOString().split('T')[0]}`;
+  }
+
+  const amount = MileageRate.calculateAmount(Number(mileage.distance), rate.rate);
+  if (data.amount !== undefined && Math.abs(Number(data.amount) - amount) > 0.01) {
+    return `Amount ${data.amount} does not match ${mileage.distance} ${rate.unit} at ${rate.rate} ${rate.currency}/${rate.unit} (${amount})`;
+  }
+
+  if (data.currency && data.currency.toUpperCase() !== rate.currency) {
+    return `Mileage for ${country} is reimbursed in ${rate.currency}`;
+  }
+
+  data.amount = amount;
+  data.currency = rate.currency;
+  data.metadata = {
+    ...(current.metadata || {}),
+    ...(data.metadata || {}),
+    mileage: {
+      ...mileage,
+      vehicleType,
+      country,
+      rate: rate.rate,
+      unit: rate.unit,
+      rateTable: rate._id
+    }
+  };
+
+  return null;
+};
+
+// Helper function to reschedule a recurring series when an update turns it on
+// or off, or changes its period or date. A series with no occurrences yet starts
+// from its date as on creation; otherwise the next occurrence is the first after
+// today on the new schedule. A series that has ended stays ended. Sets
+// nextRecurringDate on `data`; returns an error message when a recurring
+// expense has no period.
+const rescheduleRecurrence = (data, expense, now = new Date()) => {
+  const isRecurring = data.isRecurring !== undefined ? String(data.isRecurring) === 'true' : expense.isRecurring;
+  const period = data.recurringPeriod !== undefined ? data.recurringPeriod : expense.recurringPeriod;
+  const date = new Date(data.date !== undefined ? data.date : expense.date);
+
+  const turnedOn = isRecurring && !expense.isRecurring;
+  const scheduleChanged = period !== expense.recurringPeriod || date.getTime() !== new Date(expense.date).getTime();
+  if (!isRecurring) {
+    if (expense.isRecurring) {
+      data.nextRecurringDate = null;
+    }
+    return null;
+  }
+  if (!period) {
+    return 'Recurring period is required for recurring expenses';
+  }
+  if (!turnedOn && (!scheduleChanged || !expense.nextRecurringDate)) {
+    return null;
+  }
+
+  const occurrenceCount = turnedOn ? 0 : expense.recurringOccurrenceCount || 0;
+  const from = occurrenceCount > 0 && date < now ? now : date;
+  data.nextRecurringDate = Expense.calculateNextRecurringDate(from, period, date);
+  return null;
+};
+
+// Helper function to convert an expense at the rate for its date from the rate
+// history. Fills in the rate, its source and date on `data`; returns an error
+// message when no rate is available for the currency.
+const applyExchangeRate = async (data) => {
+  try {
+    const { rate, source, date } = await getHistoricalRate(data.currency || 'USD', data.date || Date.now());
+    data.exchangeRate = rate;
+    data.exchangeRateSource = source;
+    data.exchangeRateDate = date;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Helper function to notify the approver of the current workflow step, or
+// their substitute while they are out of office
+const notifyNextApprover = async (expense) => {
+  try {
+    const step = expense.getCurrentApprovalStep();
+    if (!step) return;
+
+    const approverId = step.approver._id || step.approver;
+    const [approver, submitter, substitution] = await Promise.all([
+      User.findById(approverId),
+      User.findById(expense.submittedBy._id || expense.submittedBy),
+      Delegation.findApprovalSubstitute(approverId)
+    ]);
+
+    const substitute = substitution ? await User.findById(substitution.delegate) : null;
+    if (substitute && substitute.isActive) {
+      await sendApprovalRequest(substitute, expense, submitter, step.order, expense.approvals.length, approver);
+    } else if (approver) {
+      await sendApprovalRequest(approver, expense, submitter, step.order, expense.approvals.length);
+    }
+  } catch (error) {
+    console.error('Error notifying next approver:', error);
+  }
+};
+
+// Helper function to check that every budget on an expense's split can take it
+const checkAllocationBudgets = async (allocations, date) => {
+  const budgetIds = [...new Set(allocations.filter(line => line.budget).map(line => line.budget.toString()))];
+  if (budgetIds.length === 0) return null;
+
+  const budgets = await Budget.find({ _id: { $in: budgetIds } });
+  if (budgets.length !== budgetIds.length) {
+    return 'Allocation budget not found';
+  }
+
+  const expenseDate = new Date(date || Date.now());
+  for (const budget of budgets) {
+    if (budget.status !== 'active' && budget.status !== 'approved') {
+      return `Budget ${budget.name} is not active`;
+    }
+    if (expenseDate < budget.startDate || expenseDate > budget.endDate) {
+      return `Expense date is outside the period of budget ${budget.name}`;
+    }
+  }
+
+  return null;
+};
+
+// Helper function to check alerts on every budget an expense is charged to
+const checkExpenseBudgetAlerts = async (expense) => {
+  const budgetIds = new Set(expense.getAllocationLines()
+    .filter(line => line.budget)
+    .map(line => (line.budget._id || line.budget).toString()));
+
+  for (const budgetId of budgetIds) {
+    await checkBudgetAlert(budgetId);
+  }
+};
+
 // Helper function to check budget alerts
 const checkBudgetAlert = async (budgetId) => {
   try {
@@ -453,11 +1289,11 @@ const checkBudgetAlert = async (budgetId) => {
     if (!budget) return;
 
     const expenses = await Expense.find({
-      budget: budgetId,
+      ...Expense.chargedToBudget(budgetId),
       status: 'approved'
     });
 
-    const spentAmount = expenses.reduce((total, expense) => total + expense.amount, 0);
+    const spentAmount = expenses.reduce((total, expense) => total + expense.amount * expense.getBudgetShare(budgetId), 0);
     const percentage = budget.amount > 0 ? Math.round((spentAmount / budget.amount) * 100) : 0;
 
     // Send alert if threshold is exceeded
@@ -471,10 +1307,20 @@ const checkBudgetAlert = async (budgetId) => {
 
 module.exports = {
   getExpenses,
+  exportExpenses,
   getExpense,
   createExpense,
   updateExpense,
   deleteExpense,
   reviewExpense,
-  getExpenseAnalytics
+  getExpenseApprovals,
+  reviewDuplicateFlag,
+  getExpenseAnalytics,
+  checkBudgetAlert,
+  checkExpenseBudgetAlerts,
+  isOwnExpense,
+  isDelegateOf,
+  notifyNextApprover,
+  buildExpense,
+  buildExpenseQuery
 };
\ No newline at end of file
@@ -0,0 +1,415 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const ImportTemplate = require('../models/ImportTemplate');
+const { buildExpense, checkExpenseBudgetAlerts, notifyNextApprover } = require('./expenseController');
+const { MAX_IMPORT_ROWS, parseSpreadsheet, buildDefaultMapping, mapRow } = require('../utils/expenseImportService');
+
+// @desc    Import expenses from a CSV or Excel file
+// @route   POST /api/expenses/import
+// @access  Private
+//
+// Built from the expense validation chains so every row is checked with the
+// same rules as POST /api/expenses. Dry runs (the default) only preview.
+const importExpenses = (rowValidation) => async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or Excel file'
+      });
+    }
+
+    const dryRun = req.body.dryRun !== 'false' && req.body.dryRun !== false;
+
+    let parsed;
+    try {
+      parsed = parseSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no data rows'
+      });
+    }
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Imports are limited to ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const { mapping, error: mappingError } = await resolveMapping(req, parsed.headers);
+    if (mappingError) {
+      return res.status(400).json({
+        success: false,
+        message: mappingError
+      });
+    }
+
+    const missingColumns = Object.entries(mapping)
+      .filter(([, column]) => column && !parsed.headers.includes(column))
+      .map(([, column]) => column);
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Mapped columns not found in file: ${missingColumns.join(', ')}`
+      });
+    }
+
+    const lookups = await loadLookups();
+    const batchId = uuidv4();
+    const results = [];
+    const created = [];
+
+    for (const [index, row] of parsed.rows.entries()) {
+      // Row numbers match the spreadsheet, counting the header as row 1
+      const result = { row: index + 2, valid: false, errors: [] };
+      results.push(result);
+
+      const data = mapRow(row, mapping);
+      resolveReferences(data, lookups, result.errors);
+
+      const rowReq = { body: data };
+      for (const chain of rowValidation) {
+        await chain.run(rowReq);
+      }
+      const rowErrors = validationResult(rowReq);
+      const reportedFields = result.errors.map(error => error.field);
+      result.errors.push(...rowErrors.array()
+        .filter(error => !reportedFields.includes(error.path))
+        .map(error => ({ field: error.path, message: error.msg })));
+      if (result.errors.length > 0) continue;
+
+      const { expense, error: buildError } = await buildExpense(rowReq.body, req.user);
+      if (buildError) {
+        result.errors.push({ field: null, message: buildError });
+        continue;
+      }
+
+      result.valid = true;
+      result.preview = {
+        title: expense.title,
+        amount: expense.amount,
+        currency: expense.currency,
+        date: expense.date,
+        category: expense.category,
+        budget: expense.budget,
+        vendor: expense.vendor,
+        status: expense.status,
+        duplicateStatus: expense.duplicateCheck?.status,
+        policyViolations: expense.policyViolations
+      };
+
+      if (dryRun) continue;
+
+      // Saved row by row so later rows are checked for duplicates and daily
+      // policy limits against earlier ones in the same file
+      expense.importBatchId = batchId;
+      expense.addAuditLog('created', req.user._id, {
+        source: 'import',
+        importBatchId: batchId,
+        fileName: req.file.originalname,
+        row: result.row
+      });
+
+      try {
+        await expense.save();
+      } catch (error) {
+        // Roll back the whole batch rather than leave a partial import behind
+        await Expense.deleteMany({ importBatchId: batchId });
+        return res.status(500).json({
+          success: false,
+          message: `Import failed at row ${result.row}; no expenses were imported`,
+          error: error.message
+        });
+      }
+
+      result.expenseId = expense._id;
+      created.push(expense);
+    }
+
+    const validCount = results.filter(result => result.valid).length;
+
+    if (!dryRun) {
+      for (const expense of created) {
+        if (expense.status === 'approved') {
+          await checkExpenseBudgetAlerts(expense);
+        }
+        await notifyNextApprover(expense);
+      }
+    }
+
+    if (req.body.saveTemplateAs) {
+      await ImportTemplate.findOneAndUpdate(
+        { createdBy: req.user._id, name: req.body.saveTemplateAs.trim() },
+        { mapping, department: req.user.department },
+        { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Preview: ${validCount} of ${results.length} rows are ready to import`
+        : `${created.length} expenses imported, ${results.length - created.length} rows skipped`,
+      data: {
+        dryRun,
+        batchId: dryRun ? null : batchId,
+        mapping,
+        total: results.length,
+        valid: validCount,
+        invalid: results.length - validCount,
+        imported: created.length,
+        rows: results
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get import templates
+// @route   GET /api/import-templates
+// @access  Private
+const getImportTemplates = async (req, res, next) => {
+  try {
+    const templates = await ImportTemplate.find({
+      $or: [
+        { createdBy: req.user._id },
+        { isShared: true, department: req.user.department }
+      ]
+    })
+      .populate('createdBy', 'name')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create import template
+// @route   POST /api/import-templates
+// @access  Private
+const createImportTemplate = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await ImportTemplate.create({
+      name: req.body.name,
+      mapping: req.body.mapping,
+      isShared: req.body.isShared,
+      department: req.user.department,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Import template created successfully',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update import template
+// @route   PUT /api/import-templates/:id
+// @access  Private (Owner or Admin)
+const updateImportTemplate = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await ImportTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import template not found'
+      });
+    }
+
+    if (template.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this import template'
+      });
+    }
+
+    ['name', 'mapping', 'isShared'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Import template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete import template
+// @route   DELETE /api/import-templates/:id
+// @access  Private (Owner or Admin)
+const deleteImportTemplate = async (req, res, next) => {
+  try {
+    const template = await ImportTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import template not found'
+      });
+    }
+
+    if (template.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this import template'
+      });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Import template deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to pick the column mapping: a saved template, an explicit
+// mapping sent with the upload, or columns matched to fields by name
+const resolveMapping = async (req, headers) => {
+  if (req.body.templateId) {
+    if (!mongoose.Types.ObjectId.isValid(req.body.templateId)) {
+      return { error: 'Import template not found' };
+    }
+    const template = await ImportTemplate.findOne({
+      _id: req.body.templateId,
+      $or: [
+        { createdBy: req.user._id },
+        { isShared: true, department: req.user.department }
+      ]
+    });
+    if (!template) {
+      return { error: 'Import template not found' };
+    }
+    return { mapping: pickMappingFields(template.mapping?.toObject?.() || template.mapping || {}) };
+  }
+
+  if (req.body.mapping) {
+    let mapping = req.body.mapping;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (error) {
+        return { error: 'Mapping must be valid JSON' };
+      }
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return { error: 'Mapping must be an object of expense field to column name' };
+    }
+    return { mapping: pickMappingFields(mapping) };
+  }
+
+  return { mapping: buildDefaultMapping(headers) };
+};
+
+const pickMappingFields = (mapping) => ImportTemplate.IMPORT_FIELDS.reduce((picked, field) => {
+  if (mapping[field]) {
+    picked[field] = String(mapping[field]).trim();
+  }
+  return picked;
+}, {});
+
+// Helper function to load the categories and open budgets rows are matched against
+const loadLookups = async () => {
+  const [categories, budgets] = await Promise.all([
+    Category.find({ isActive: true }).select('name'),
+    Budget.find({ status: { $in: ['active', 'approved'] } }).select('name startDate endDate')
+  ]);
+  return { categories, budgets };
+};
+
+// Helper function to swap category and budget names for their IDs. IDs are
+// accepted as-is; a budget name shared by several budgets is narrowed down to
+// the one whose period covers the expense date.
+const resolveReferences = (data, { categories, budgets }, errors) => {
+  if (data.category && !mongoose.Types.ObjectId.isValid(data.category)) {
+    const name = data.category.toLowerCase();
+    const category = categories.find(candidate => candidate.name.toLowerCase() === name);
+    if (category) {
+      data.category = category._id.toString();
+    } else {
+      errors.push({ field: 'category', message: `Category "${data.category}" not found` });
+      delete data.category;
+    }
+  }
+
+  if (data.budget && !mongoose.Types.ObjectId.isValid(data.budget)) {
+    const name = data.budget.toLowerCase();
+    let matches = budgets.filter(candidate => candidate.name.toLowerCase() === name);
+    if (matches.length > 1) {
+      const date = new Date(data.date || Date.now());
+      matches = matches.filter(candidate => date >= candidate.startDate && date <= candidate.endDate);
+    }
+
+    if (matches.length === 1) {
+      data.budget = matches[0]._id.toString();
+    } else {
+      errors.push({
+        field: 'budget',
+        message: matches.length === 0
+          ? `Budget "${data.budget}" not found or not open`
+          : `Budget name "${data.budget}" matches several budgets; use its ID instead`
+      });
+      delete data.budget;
+    }
+  }
+};
+
+module.exports = {
+  importExpenses,
+  getImportTemplates,
+  createImportTemplate,
+  updateImportTemplate,
+  deleteImportTemplate
+};
@@ -0,0 +1,758 @@
+const { validationResult } = require('express-validator');
+const ExpenseReport = require('../models/ExpenseReport');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const User = require('../models/User');
+const Delegation = require('../models/Delegation');
+const { checkBudgetAlert, notifyNextApprover } = require('./expenseController');
+const { sendExpenseReportNotification } = require('../utils/emailService');
+const { generateExpenseReportSummary } = require('../utils/pdfService');
+
+// Helper to check whether the current user may see a report
+const canAccessReport = (user, report) => {
+  const submitterId = report.submittedBy._id || report.submittedBy;
+  if (submitterId.toString() === user._id.toString()) return true;
+  if (user.role === 'admin') return true;
+  return user.role === 'manager' && report.department === user.department;
+};
+
+// Helper to load a draft report owned by the current user
+const findEditableReport = async (req, res) => {
+  const report = await ExpenseReport.findById(req.params.id);
+
+  if (!report) {
+    res.status(404).json({
+      success: false,
+      message: 'Expense report not found'
+    });
+    return null;
+  }
+
+  if (report.submittedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to modify this expense report'
+    });
+    return null;
+  }
+
+  if (report.status !== 'draft') {
+    res.status(400).json({
+      success: false,
+      message: 'Only draft expense reports can be modified'
+    });
+    return null;
+  }
+
+  return report;
+};
+
+// Helper to attach the user's pending, unreported expenses to a report
+const claimExpenses = async (report, expenseIds, performedBy) => {
+  const expenses = await Expense.find({
+    _id: { $in: expenseIds },
+    submittedBy: report.submittedBy,
+    status: 'pending',
+    expenseReport: null
+  });
+
+  if (expenses.length !== expenseIds.length) {
+    const eligibleIds = expenses.map(expense => expense._id.toString());
+    return {
+      ineligible: expenseIds.filter(id => !eligibleIds.includes(id.toString()))
+    };
+  }
+
+  // Only lines still unclaimed are taken, in case another report got there first
+  const { modifiedCount } = await Expense.updateMany(
+    { _id: { $in: expenseIds }, status: 'pending', expenseReport: null },
+    {
+      expenseReport: report._id,
+      $push: {
+        auditLog: {
+          action: 'updated',
+          performedBy,
+          timestamp: new Date(),
+          changes: { action: 'added_to_report', expenseReport: report._id }
+        }
+      }
+    }
+  );
+
+  if (modifiedCount !== expenseIds.length) {
+    await releaseExpenses(report, expenseIds);
+    return { ineligible: expenseIds };
+  }
+
+  return { ineligible: [] };
+};
+
+// Helper to undo claimExpenses, e.g. when the report fails to save
+const releaseExpenses = (report, expenseIds) => Expense.updateMany(
+  { _id: { $in: expenseIds }, expenseReport: report._id },
+  {
+    $unset: { expenseReport: 1 },
+    $pull: { auditLog: { 'changes.action': 'added_to_report', 'changes.expenseReport': report._id } }
+  }
+);
+
+// Helper to total and save a report whose lines were just claimed, releasing
+// them if that fails
+const saveWithClaimedExpenses = async (report, expenseIds) => {
+  try {
+    await refreshReportTotals(report);
+    await report.save();
+  } catch (error) {
+    await releaseExpenses(report, expenseIds);
+    throw error;
+  }
+};
+
+// Helper to recalculate a report's totals from its current lines
+const refreshReportTotals = async (report) => {
+  const expenses = await Expense.find({ _id: { $in: report.expenses } });
+  report.calculateTotals(expenses);
+  return expenses;
+};
+
+// @desc    Get all expense reports
+// @route   GET /api/expense-reports
+// @access  Private
+const getExpenseReports = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    // Build query
+    let query = {};
+
+    // Filter by user role
+    if (req.user.role === 'user') {
+      query.submittedBy = req.user._id;
+    } else if (req.user.role === 'manager') {
+      query.$or = [
+        { submittedBy: req.user._id },
+        { department: req.user.department }
+      ];
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const reports = await ExpenseReport.find(query)
+      .populate('submittedBy', 'name email department')
+      .populate('reviewedBy', 'name email')
+      .select('-auditLog')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await ExpenseReport.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: reports.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: reports
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single expense report
+// @route   GET /api/expense-reports/:id
+// @access  Private
+const getExpenseReport = async (req, res, next) => {
+  try {
+    const report = await ExpenseReport.findById(req.params.id)
+      .populate('submittedBy', 'name email department')
+      .populate('reviewedBy', 'name email')
+      .populate({
+        path: 'expenses',
+        populate: { path: 'category', select: 'name color' }
+      });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense report not found'
+      });
+    }
+
+    if (!canAccessReport(req.user, report)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this expense report'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create expense report
+// @route   POST /api/expense-reports
+// @access  Private
+const createExpenseReport = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, businessPurpose, expenseIds = [] } = req.body;
+
+    const report = new ExpenseReport({
+      title,
+      description,
+      businessPurpose,
+      submittedBy: req.user._id,
+      department: req.body.department || req.user.department
+    });
+
+    if (expenseIds.length > 0) {
+      const { ineligible } = await claimExpenses(report, expenseIds, req.user._id);
+      if (ineligible.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only your own pending expenses that are not in another report can be added',
+          ineligibleExpenses: ineligible
+        });
+      }
+      report.expenses = expenseIds;
+    }
+
+    report.addAuditLog('created', req.user._id, { expenses: report.expenses.length });
+    await saveWithClaimedExpenses(report, expenseIds);
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense report created successfully',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update expense report details
+// @route   PUT /api/expense-reports/:id
+// @access  Private
+const updateExpenseReport = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await findEditableReport(req, res);
+    if (!report) return;
+
+    const changes = {};
+    ['title', 'description', 'businessPurpose'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+        report[field] = req.body[field];
+      }
+    });
+
+    report.addAuditLog('updated', req.user._id, changes);
+    await report.save();
+
+    res.json({
+      success: true,
+      message: 'Expense report updated successfully',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add expenses to a draft report
+// @route   POST /api/expense-reports/:id/expenses
+// @access  Private
+const addExpensesToReport = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await findEditableReport(req, res);
+    if (!report) return;
+
+    const { expenseIds } = req.body;
+    const { ineligible } = await claimExpenses(report, expenseIds, req.user._id);
+    if (ineligible.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only your own pending expenses that are not in another report can be added',
+        ineligibleExpenses: ineligible
+      });
+    }
+
+    report.expenses.push(...expenseIds);
+    report.addAuditLog('updated', req.user._id, { action: 'expenses_added', expenses: expenseIds });
+    await saveWithClaimedExpenses(report, expenseIds);
+
+    res.json({
+      success: true,
+      message: `${expenseIds.length} expense(s) added to report`,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove an expense from a draft report
+// @route   DELETE /api/expense-reports/:id/expenses/:expenseId
+// @access  Private
+const removeExpenseFromReport = async (req, res, next) => {
+  try {
+    const report = await findEditableReport(req, res);
+    if (!report) return;
+
+    const { expenseId } = req.params;
+    if (!report.expenses.some(id => id.toString() === expenseId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense is not part of this report'
+      });
+    }
+
+    await Expense.updateOne(
+      { _id: expenseId },
+      {
+        $unset: { expenseReport: 1 },
+        $push: {
+          auditLog: {
+            action: 'updated',
+            performedBy: req.user._id,
+            timestamp: new Date(),
+            changes: { action: 'removed_from_report', expenseReport: report._id }
+          }
+        }
+      }
+    );
+
+    report.expenses = report.expenses.filter(id => id.toString() !== expenseId);
+    await refreshReportTotals(report);
+    report.addAuditLog('updated', req.user._id, { action: 'expense_removed', expense: expenseId });
+    await report.save();
+
+    res.json({
+      success: true,
+      message: 'Expense removed from report',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Submit expense report for review
+// @route   PUT /api/expense-reports/:id/submit
+// @access  Private
+const submitExpenseReport = async (req, res, next) => {
+  try {
+    const report = await findEditableReport(req, res);
+    if (!report) return;
+
+    if (report.expenses.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot submit an empty expense report'
+      });
+    }
+
+    const expenses = await refreshReportTotals(report);
+    if (expenses.some(expense => expense.status !== 'pending')) {
+      return res.status(400).json({
+        success: false,
+        message: 'All expenses in the report must be pending to submit it'
+      });
+    }
+
+    report.status = 'submitted';
+    report.submittedAt = new Date();
+    report.addAuditLog('submitted', req.user._id, { totals: report.totals });
+    await report.save();
+
+    res.json({
+      success: true,
+      message: 'Expense report submitted successfully',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Review expense report: approve the lines awaiting the reviewer, rejecting individual ones
+// @route   PUT /api/expense-reports/:id/review
+// @access  Private (Manager/Admin)
+const reviewExpenseReport = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { rejections = [], comments } = req.body;
+
+    const report = await ExpenseReport.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense report not found'
+      });
+    }
+
+    if (report.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Expense report is not pending review'
+      });
+    }
+
+    // Nobody reviews their own report
+    if (report.submittedBy.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review your own expense report'
+      });
+    }
+
+    const expenses = await Expense.find({ _id: { $in: report.expenses } });
+
+    // Delegates cannot approve the expenses of the people they file for
+    const filedByReviewer = expenses.some(expense => expense.filedBy?.toString() === req.user._id.toString());
+    if (filedByReviewer || await Delegation.canSubmitFor(req.user._id, report.submittedBy)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review expenses of a user you submit expenses for'
+      });
+    }
+
+    // Each line's current approval step is decided by its approver, the
+    // approver's out-of-office substitute or an admin. Lines without a workflow
+    // are decided by the department's managers or their substitutes.
+    const principals = (await Delegation.getApprovalPrincipals(req.user._id)).map(String);
+    let absentManager;
+    const getLineReviewer = async (expense) => {
+      const step = expense.getCurrentApprovalStep();
+      if (step) {
+        const approverId = step.approver.toString();
+        if (approverId === req.user._id.toString()) return { step, actingFor: null };
+        if (principals.includes(approverId)) return { step, actingFor: step.approver };
+        return req.user.role === 'admin' ? { step, actingFor: null } : null;
+      }
+
+      if (req.user.role === 'admin' || report.department === req.user.department) {
+        return { step: null, actingFor: null };
+      }
+      if (absentManager === undefined) {
+        absentManager = principals.length > 0
+          ? await User.findOne({ _id: { $in: principals }, role: 'manager', department: report.department })
+          : null;
+      }
+      return absentManager ? { step: null, actingFor: absentManager._id } : null;
+    };
+
+    // Lines waiting on another approver's step are left for them
+    const lines = [];
+    for (const expense of expenses.filter(e => e.status === 'pending')) {
+      const reviewer = await getLineReviewer(expense);
+      if (reviewer) {
+        lines.push({ expense, ...reviewer });
+      }
+    }
+    if (lines.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this expense report'
+      });
+    }
+
+    const rejectionReasons = {};
+    rejections.forEach(rejection => {
+      rejectionReasons[rejection.expenseId] = rejection.reason;
+    });
+
+    const unknownLines = Object.keys(rejectionReasons)
+      .filter(id => !lines.some(line => line.expense._id.toString() === id));
+    if (unknownLines.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some rejected expenses are not part of this report or are waiting on another approver',
+        expenses: unknownLines
+      });
+    }
+
+    const approving = lines
+      .map(line => line.expense)
+      .filter(expense => !rejectionReasons[expense._id.toString()]);
+
+    // Lines breaking a blocking policy rule cannot be approved
+    const blockedLines = approving.filter(expense => expense.hasPolicyBlocks);
+    if (blockedLines.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some lines violate a blocking policy rule. Reject them or have them corrected.',
+        expenses: blockedLines.map(expense => ({ id: expense._id, title: expense.title }))
+      });
+    }
+
+    // Suspected duplicates have to be dismissed or rejected first
+    const flaggedLines = approving.filter(expense => expense.duplicateCheck?.status === 'flagged');
+    if (flaggedLines.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some lines are flagged as possible duplicates. Dismiss the flag or reject them.',
+        expenses: flaggedLines.map(expense => ({ id: expense._id, title: expense.title }))
+      });
+    }
+
+    // Receipt policy still applies to every line being approved
+    const budgetIds = [...new Set(approving.filter(e => e.budget).map(e => e.budget.toString()))];
+    const budgets = await Budget.find({ _id: { $in: budgetIds } });
+    const budgetsById = Object.fromEntries(budgets.map(budget => [budget._id.toString(), budget]));
+
+    const missingReceipts = approving.filter(expense => {
+      const budget = expense.budget ? budgetsById[expense.budget.toString()] : null;
+      return expense.refreshReceiptRequirement(budget) && !expense.hasReceipts;
+    });
+    if (missingReceipts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some lines require a receipt before they can be approved',
+        expenses: missingReceipts.map(expense => ({ id: expense._id, title: expense.title }))
+      });
+    }
+
+    const reviewedAt = new Date();
+    const approvedLines = [];
+    const advancedLines = [];
+    let rejectedCount = 0;
+
+    for (const { expense, step, actingFor } of lines) {
+      const reason = rejectionReasons[expense._id.toString()];
+      const status = reason ? 'rejected' : 'approved';
+
+      if (step) {
+        step.status = status;
+        step.decidedBy = req.user._id;
+        step.decidedAt = reviewedAt;
+        step.comments = reason || comments || 'Decided with expense report';
+        expense.resetSlaEscalation();
+      }
+
+      // Approving a step hands the line to the next approver, if any
+      if (!reason && expense.getCurrentApprovalStep()) {
+        expense.addAuditLog('updated', req.user._id, {
+          action: 'approval_step_approved',
+          step: step.order,
+          expenseReport: report._id
+        }, comments, actingFor);
+        advancedLines.push(expense);
+      } else {
+        expense.status = status;
+        expense.approvedBy = req.user._id;
+        expense.approvalDate = reviewedAt;
+        if (reason) {
+          expense.rejectionReason = reason;
+          rejectedCount++;
+        } else {
+          expense.lockExchangeRate();
+          approvedLines.push(expense);
+        }
+        expense.addAuditLog(status, req.user._id, {
+          expenseReport: report._id,
+          ...(step ? { step: step.order } : {})
+        }, reason || comments, actingFor);
+      }
+      await expense.save();
+    }
+
+    for (const expense of advancedLines) {
+      await notifyNextApprover(expense);
+    }
+
+    // The report is decided once every line is
+    const isComplete = expenses.every(expense => expense.status !== 'pending');
+    const approvedCount = expenses.filter(expense => ['approved', 'reimbursed'].includes(expense.status)).length;
+    const actingFor = lines.find(line => line.actingFor)?.actingFor || null;
+
+    if (isComplete) {
+      if (approvedCount === expenses.length) {
+        report.status = 'approved';
+      } else if (approvedCount === 0) {
+        report.status = 'rejected';
+      } else {
+        report.status = 'partially_approved';
+      }
+
+      report.reviewedBy = req.user._id;
+      report.reviewedAt = reviewedAt;
+      report.reviewComments = comments;
+      report.addAuditLog(report.status, req.user._id, { approvedCount, rejectedCount: expenses.length - approvedCount }, comments, actingFor);
+    } else {
+      report.addAuditLog('updated', req.user._id, {
+        action: 'lines_reviewed',
+        approved: approvedLines.length,
+        advanced: advancedLines.length,
+        rejected: rejectedCount
+      }, comments, actingFor);
+    }
+    report.calculateTotals(expenses);
+    await report.save();
+
+    // Notify the submitter once the report is decided and check budgets
+    // affected by lines approved in this review
+    if (isComplete) {
+      const submitter = await User.findById(report.submittedBy);
+      if (submitter) {
+        await sendExpenseReportNotification(submitter, report, approvedCount, expenses.length - approvedCount);
+      }
+    }
+
+    const approvedBudgetIds = new Set();
+    approvedLines.forEach(expense => {
+      expense.getAllocationLines()
+        .filter(line => line.budget)
+        .forEach(line => approvedBudgetIds.add(line.budget.toString()));
+    });
+    for (const budgetId of approvedBudgetIds) {
+      await checkBudgetAlert(budgetId);
+    }
+
+    res.json({
+      success: true,
+      message: isComplete
+        ? `Expense report ${report.status.replace('_', ' ')}: ${approvedCount} approved, ${expenses.length - approvedCount} rejected`
+        : `${approvedLines.length + advancedLines.length} line(s) approved, ${rejectedCount} rejected; ${expenses.filter(e => e.status === 'pending').length} still awaiting approval`,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a draft expense report
+// @route   DELETE /api/expense-reports/:id
+// @access  Private
+const deleteExpenseReport = async (req, res, next) => {
+  try {
+    const report = await findEditableReport(req, res);
+    if (!report) return;
+
+    // Release the lines so they can be submitted individually or in another report
+    await Expense.updateMany(
+      { expenseReport: report._id },
+      { $unset: { expenseReport: 1 } }
+    );
+
+    await report.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Expense report deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Generate expense report PDF
+// @route   POST /api/expense-reports/:id/pdf
+// @access  Private
+const generateExpenseReportPdf = async (req, res, next) => {
+  try {
+    const report = await ExpenseReport.findById(req.params.id)
+      .populate('submittedBy', 'name email')
+      .populate('reviewedBy', 'name email');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense report not found'
+      });
+    }
+
+    if (!canAccessReport(req.user, report)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this expense report'
+      });
+    }
+
+    const expenses = await Expense.find({ _id: { $in: report.expenses } })
+      .populate('category', 'name')
+      .populate('allocations.category', 'name')
+      .sort({ date: 1 });
+
+    const pdf = await generateExpenseReportSummary(report, expenses);
+
+    res.json({
+      success: true,
+      message: 'Expense report PDF generated successfully',
+      data: {
+        filename: pdf.filename,
+        downloadUrl: `/temp/pdfs/${pdf.filename}`,
+        fileSize: pdf.fileSize,
+        recordCount: expenses.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getExpenseReports,
+  getExpenseReport,
+  createExpenseReport,
+  updateExpenseReport,
+  addExpensesToReport,
+  removeExpenseFromReport,
+  submitExpenseReport,
+  reviewExpenseReport,
+  deleteExpenseReport,
+  generateExpenseReportPdf
+};
@@ -0,0 +1,172 @@
+const { validationResult } = require('express-validator');
+const MileageRate = require('../models/MileageRate');
+
+// @desc    Get mileage rates
+// @route   GET /api/mileage-rates
+// @access  Private
+const getMileageRates = async (req, res, next) => {
+  try {
+    let query = { isActive: true };
+
+    if (req.query.vehicleType) {
+      query.vehicleType = req.query.vehicleType;
+    }
+
+    if (req.query.country) {
+      query.country = req.query.country.toUpperCase();
+    }
+
+    // Only rates in force on the given date
+    if (req.query.date) {
+      const onDate = new Date(req.query.date);
+      query.effectiveFrom = { $lte: onDate };
+      query.$or = [
+        { effectiveTo: null },
+        { effectiveTo: { $gte: onDate } }
+      ];
+    }
+
+    const rates = await MileageRate.find(query)
+      .populate('createdBy', 'name')
+      .sort({ country: 1, vehicleType: 1, effectiveFrom: -1 });
+
+    res.json({
+      success: true,
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single mileage rate
+// @route   GET /api/mileage-rates/:id
+// @access  Private
+const getMileageRate = async (req, res, next) => {
+  try {
+    const rate = await MileageRate.findById(req.params.id)
+      .populate('createdBy', 'name email');
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mileage rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create mileage rate
+// @route   POST /api/mileage-rates
+// @access  Private (Admin)
+const createMileageRate = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    req.body.createdBy = req.user._id;
+
+    const rate = await MileageRate.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Mileage rate created successfully',
+      data: rate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update mileage rate
+// @route   PUT /api/mileage-rates/:id
+// @access  Private (Admin)
+const updateMileageRate = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await MileageRate.findById(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mileage rate not found'
+      });
+    }
+
+    // Saving through the document keeps the effective date range validator in play
+    ['vehicleType', 'country', 'rate', 'unit', 'currency', 'effectiveFrom', 'effectiveTo', 'description', 'isActive']
+      .forEach(field => {
+        if (req.body[field] !== undefined) {
+          rate[field] = req.body[field];
+        }
+      });
+    await rate.save();
+
+    res.json({
+      success: true,
+      message: 'Mileage rate updated successfully',
+      data: rate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete mileage rate
+// @route   DELETE /api/mileage-rates/:id
+// @access  Private (Admin)
+const deleteMileageRate = async (req, res, next) => {
+  try {
+    const rate = await MileageRate.findById(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mileage rate not found'
+      });
+    }
+
+    // Soft delete so past claims keep a reference to the rate they used
+    rate.isActive = false;
+    await rate.save();
+
+    res.json({
+      success: true,
+      message: 'Mileage rate deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMileageRates,
+  getMileageRate,
+  createMileageRate,
+  updateMileageRate,
+  deleteMileageRate
+};
@@ -0,0 +1,90 @@
+const Notification = require('../models/Notification');
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res, next) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.unread === 'true') {
+      query.isRead = false;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ user: req.user._id, isRead: false })
+    ]);
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      data: notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private (Recipient)
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (notification.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this notification'
+      });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
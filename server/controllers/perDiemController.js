@@ -0,0 +1,361 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const PerDiemRate = require('../models/PerDiemRate');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const { checkBudgetAlert, notifyNextApprover } = require('./expenseController');
+const { getHistoricalRate } = require('../utils/currencyService');
+const { MAX_TRIP_DAYS, toDateKey, getTripDays, calculatePerDiemTrip } = require('../utils/perDiemService');
+
+// @desc    Get per diem rates
+// @route   GET /api/per-diem-rates
+// @access  Private
+const getPerDiemRates = async (req, res, next) => {
+  try {
+    let query = { isActive: true };
+
+    if (req.query.country) {
+      query.country = req.query.country.toUpperCase();
+    }
+
+    if (req.query.city) {
+      query.city = new RegExp(req.query.city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    // Only rates in force on the given date
+    if (req.query.date) {
+      const onDate = new Date(req.query.date);
+      query.effectiveFrom = { $lte: onDate };
+      query.$or = [
+        { effectiveTo: null },
+        { effectiveTo: { $gte: onDate } }
+      ];
+    }
+
+    const rates = await PerDiemRate.find(query)
+      .populate('createdBy', 'name')
+      .sort({ country: 1, city: 1, effectiveFrom: -1 });
+
+    res.json({
+      success: true,
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single per diem rate
+// @route   GET /api/per-diem-rates/:id
+// @access  Private
+const getPerDiemRate = async (req, res, next) => {
+  try {
+    const rate = await PerDiemRate.findById(req.params.id)
+      .populate('createdBy', 'name email');
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Per diem rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create per diem rate
+// @route   POST /api/per-diem-rates
+// @access  Private (Admin)
+const createPerDiemRate = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    req.body.createdBy = req.user._id;
+
+    const rate = await PerDiemRate.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Per diem rate created successfully',
+      data: rate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update per diem rate
+// @route   PUT /api/per-diem-rates/:id
+// @access  Private (Admin)
+const updatePerDiemRate = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await PerDiemRate.findById(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Per diem rate not found'
+      });
+    }
+
+    ['country', 'city', 'currency', 'lodging', 'meals', 'incidentals', 'travelDayPercentage', 'effectiveFrom', 'effectiveTo', 'isActive']
+      .forEach(field => {
+        if (req.body[field] !== undefined) {
+          rate[field] = req.body[field];
+        }
+      });
+    await rate.save();
+
+    res.json({
+      success: true,
+      message: 'Per diem rate updated successfully',
+      data: rate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete per diem rate
+// @route   DELETE /api/per-diem-rates/:id
+// @access  Private (Admin)
+const deletePerDiemRate = async (req, res, next) => {
+  try {
+    const rate = await PerDiemRate.findById(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Per diem rate not found'
+      });
+    }
+
+    // Soft delete so past claims keep a reference to the rate they used
+    rate.isActive = false;
+    await rate.save();
+
+    res.json({
+      success: true,
+      message: 'Per diem rate deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Generate per diem expenses for a trip
+// @route   POST /api/expenses/per-diem
+// @access  Private
+const createPerDiemExpenses = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      title,
+      description,
+      destination,
+      startDate,
+      endDate,
+      category,
+      budget: budgetId,
+      includeLodging = true,
+      providedMeals = [],
+      preview = false
+    } = req.body;
+
+    if (new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after start date'
+      });
+    }
+
+    if (getTripDays(startDate, endDate).length > MAX_TRIP_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Per diem trips cannot be longer than ${MAX_TRIP_DAYS} days`
+      });
+    }
+
+    const country = destination.country.toUpperCase();
+    const city = destination.city;
+
+    // Provided meals are sent as [{ date, meals: [...] }]; index them by day
+    const providedMealsByDay = {};
+    providedMeals.forEach(entry => {
+      const key = toDateKey(entry.date);
+      providedMealsByDay[key] = [...(providedMealsByDay[key] || []), ...entry.meals];
+    });
+
+    let breakdown;
+    try {
+      breakdown = await calculatePerDiemTrip(
+        startDate,
+        endDate,
+        (date) => PerDiemRate.findRateInForce(country, city, date),
+        { providedMeals: providedMealsByDay, includeLodging }
+      );
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `${error.message} for ${city ? `${city}, ` : ''}${country}`
+      });
+    }
+
+    // Check if budget exists, is active and covers the whole trip
+    let budget = null;
+    if (budgetId) {
+      budget = await Budget.findById(budgetId);
+
+      if (!budget) {
+        return res.status(400).json({
+          success: false,
+          message: 'Budget not found'
+        });
+      }
+
+      if (budget.status !== 'active' && budget.status !== 'approved') {
+        return res.status(400).json({
+          success: false,
+          message: 'Budget is not active'
+        });
+      }
+
+      if (breakdown.some(day => day.date < budget.startDate || day.date > budget.endDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Trip dates are outside budget period'
+        });
+      }
+    }
+
+    const days = breakdown.map(day => ({
+      date: day.date,
+      currency: day.rate.currency,
+      dayType: day.dayType,
+      mealsAllowance: day.mealsAllowance,
+      lodgingAllowance: day.lodgingAllowance,
+      deductions: day.deductions,
+      providedMeals: day.providedMeals,
+      amount: day.amount
+    }));
+
+    if (preview) {
+      return res.json({
+        success: true,
+        message: 'Per diem preview calculated',
+        data: { days }
+      });
+    }
+
+    const tripId = new mongoose.Types.ObjectId().toString();
+    const location = city ? `${city}, ${country}` : country;
+    const expenses = [];
+
+    for (const day of breakdown) {
+      // Each day is converted at the rate for that day
+      const { rate: exchangeRate, source, date: rateDate } = await getHistoricalRate(day.rate.currency, day.date);
+
+      const expense = new Expense({
+        title: `${title || 'Per diem'} - ${location} (${toDateKey(day.date)})`.slice(0, 100),
+        description,
+        amount: day.amount,
+        currency: day.rate.currency,
+        exchangeRate,
+        exchangeRateSource: source,
+        exchangeRateDate: rateDate,
+        date: day.date,
+        category,
+        budget: budget ? budget._id : undefined,
+        paymentMethod: 'other',
+        submittedBy: req.user._id,
+        department: req.body.department || req.user.department,
+        tags: ['per-diem'],
+        approvals: budget ? budget.getApprovalSteps(day.amount * exchangeRate) : [],
+        metadata: {
+          businessPurpose: req.body.businessPurpose,
+          perDiem: {
+            tripId,
+            rateTable: day.rate._id,
+            country,
+            city,
+            dayType: day.dayType,
+            mealsAllowance: day.mealsAllowance,
+            lodgingAllowance: day.lodgingAllowance,
+            deductions: day.deductions,
+            providedMeals: day.providedMeals
+          }
+        }
+      });
+
+      // Per diem allowances are claimed without itemized receipts
+      expense.applyAutoApproval(budget);
+      await expense.save();
+      expenses.push(expense);
+    }
+
+    if (budget && expenses.some(expense => expense.status === 'approved')) {
+      await checkBudgetAlert(budget._id);
+    }
+
+    // One approval request per trip rather than per day
+    const firstPending = expenses.find(expense => expense.status === 'pending');
+    if (firstPending) {
+      await notifyNextApprover(firstPending);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${expenses.length} per diem expense(s) created`,
+      data: {
+        tripId,
+        days,
+        expenses
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPerDiemRates,
+  getPerDiemRate,
+  createPerDiemRate,
+  updatePerDiemRate,
+  deletePerDiemRate,
+  createPerDiemExpenses
+};
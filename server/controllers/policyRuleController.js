@@ -0,0 +1,163 @@
+const { validationResult } = require('express-validator');
+const PolicyRule = require('../models/PolicyRule');
+
+// @desc    Get policy rules
+// @route   GET /api/policy-rules
+// @access  Private
+const getPolicyRules = async (req, res, next) => {
+  try {
+    let query = {};
+
+    // Everyone can read the active policy; admins can include retired rules
+    if (req.user.role !== 'admin' || req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    const rules = await PolicyRule.find(query)
+      .populate('categories', 'name color')
+      .populate('createdBy', 'name')
+      .sort({ action: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single policy rule
+// @route   GET /api/policy-rules/:id
+// @access  Private
+const getPolicyRule = async (req, res, next) => {
+  try {
+    const rule = await PolicyRule.findById(req.params.id)
+      .populate('categories', 'name color')
+      .populate('createdBy', 'name email');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Policy rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create policy rule
+// @route   POST /api/policy-rules
+// @access  Private (Admin)
+const createPolicyRule = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    req.body.createdBy = req.user._id;
+
+    const rule = await PolicyRule.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Policy rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update policy rule
+// @route   PUT /api/policy-rules/:id
+// @access  Private (Admin)
+const updatePolicyRule = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await PolicyRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Policy rule not found'
+      });
+    }
+
+    ['name', 'description', 'type', 'action', 'categories', 'departments', 'params', 'isActive']
+      .forEach(field => {
+        if (req.body[field] !== undefined) {
+          rule[field] = req.body[field];
+        }
+      });
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Policy rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete policy rule
+// @route   DELETE /api/policy-rules/:id
+// @access  Private (Admin)
+const deletePolicyRule = async (req, res, next) => {
+  try {
+    const rule = await PolicyRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Policy rule not found'
+      });
+    }
+
+    // Soft delete so existing violations keep pointing at their rule
+    rule.isActive = false;
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Policy rule deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPolicyRules,
+  getPolicyRule,
+  createPolicyRule,
+  updatePolicyRule,
+  deletePolicyRule
+};
@@ -0,0 +1,194 @@
+const Expense = require('../models/Expense');
+const {
+  getUpcomingOccurrences,
+  advanceRecurringDate,
+  processRecurringExpenses
+} = require('../utils/recurringExpenseService');
+
+// Helper to load a recurring expense the current user may manage
+const findManageableRecurringExpense = async (req, res) => {
+  const expense = await Expense.findById(req.params.id);
+
+  if (!expense) {
+    res.status(404).json({
+      success: false,
+      message: 'Expense not found'
+    });
+    return null;
+  }
+
+  if (req.user.role === 'user' && expense.submittedBy.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this recurring expense'
+    });
+    return null;
+  }
+
+  if (!expense.isRecurring || !expense.recurringPeriod) {
+    res.status(400).json({
+      success: false,
+      message: 'Expense is not recurring'
+    });
+    return null;
+  }
+
+  return expense;
+};
+
+// @desc    Preview upcoming occurrences of a recurring expense
+// @route   GET /api/expenses/:id/recurring/preview
+// @access  Private
+const previewRecurringExpense = async (req, res, next) => {
+  try {
+    const expense = await findManageableRecurringExpense(req, res);
+    if (!expense) return;
+
+    const count = Math.min(parseInt(req.query.count, 10) || 5, 50);
+
+    res.json({
+      success: true,
+      data: {
+        expenseId: expense._id,
+        recurringPeriod: expense.recurringPeriod,
+        isPaused: expense.isRecurringPaused,
+        occurrencesGenerated: expense.recurringOccurrenceCount,
+        occurrenceLimit: expense.recurringOccurrenceLimit || null,
+        endDate: expense.recurringEndDate || null,
+        upcoming: getUpcomingOccurrences(expense, count)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pause a recurring expense
+// @route   PUT /api/expenses/:id/recurring/pause
+// @access  Private
+const pauseRecurringExpense = async (req, res, next) => {
+  try {
+    const expense = await findManageableRecurringExpense(req, res);
+    if (!expense) return;
+
+    if (expense.isRecurringPaused) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring expense is already paused'
+      });
+    }
+
+    expense.isRecurringPaused = true;
+    expense.addAuditLog('updated', req.user._id, { action: 'recurring_paused' }, req.body.reason);
+    await expense.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring expense paused successfully',
+      data: expense
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resume a paused recurring expense
+// @route   PUT /api/expenses/:id/recurring/resume
+// @access  Private
+const resumeRecurringExpense = async (req, res, next) => {
+  try {
+    const expense = await findManageableRecurringExpense(req, res);
+    if (!expense) return;
+
+    if (!expense.isRecurringPaused) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring expense is not paused'
+      });
+    }
+
+    // Occurrences that fell due while paused are skipped rather than backfilled
+    const now = new Date();
+    const skippedDates = [];
+    while (expense.nextRecurringDate && expense.nextRecurringDate < now) {
+      skippedDates.push(expense.nextRecurringDate);
+      advanceRecurringDate(expense);
+    }
+
+    expense.isRecurringPaused = false;
+    expense.addAuditLog('updated', req.user._id, {
+      action: 'recurring_resumed',
+      skippedDates,
+      nextRecurringDate: expense.nextRecurringDate || null
+    }, req.body.reason);
+    await expense.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring expense resumed successfully',
+      data: expense
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Skip the next occurrence of a recurring expense
+// @route   PUT /api/expenses/:id/recurring/skip
+// @access  Private
+const skipRecurringOccurrence = async (req, res, next) => {
+  try {
+    const expense = await findManageableRecurringExpense(req, res);
+    if (!expense) return;
+
+    if (!expense.nextRecurringDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring expense has no upcoming occurrence'
+      });
+    }
+
+    const skippedDate = expense.nextRecurringDate;
+    advanceRecurringDate(expense);
+
+    expense.addAuditLog('updated', req.user._id, {
+      action: 'recurring_skipped',
+      skippedDate,
+      nextRecurringDate: expense.nextRecurringDate || null
+    }, req.body.reason);
+    await expense.save();
+
+    res.json({
+      success: true,
+      message: 'Next occurrence skipped successfully',
+      data: expense
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Generate all due recurring expense occurrences now
+// @route   POST /api/expenses/recurring/run
+// @access  Private (Admin)
+const runRecurringExpenses = async (req, res, next) => {
+  try {
+    const summary = await processRecurringExpenses();
+
+    res.json({
+      success: true,
+      message: `${summary.generated} recurring expense(s) generated`,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  previewRecurringExpense,
+  pauseRecurringExpense,
+  resumeRecurringExpense,
+  skipRecurringOccurrence,
+  runRecurringExpenses
+};
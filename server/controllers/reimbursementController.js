@@ -0,0 +1,392 @@
+const { validationResult } = require('express-validator');
+const ReimbursementBatch = require('../models/ReimbursementBatch');
+const Expense = require('../models/Expense');
+const { BASE_CURRENCY, getHistoricalRate } = require('../utils/currencyService');
+const { generatePaymentFile, getPayeesMissingBankDetails } = require('../utils/paymentFileService');
+
+// Payment formats only settle in their scheme's currency
+const FORMAT_CURRENCIES = {
+  sepa: 'EUR',
+  nacha: 'USD'
+};
+
+// Amount owed for an expense in the payout currency, from the amount converted
+// at its locked rate. Other payout currencies use the rate of the day that
+// conversion applied to, so the payout never follows later rate changes.
+const getPayoutAmount = async (expense, payoutCurrency) => {
+  const currency = expense.currency || BASE_CURRENCY;
+  if (currency === payoutCurrency) {
+    return expense.amount;
+  }
+
+  const baseAmount = expense.convertedAmount ?? expense.amount;
+  if (payoutCurrency === BASE_CURRENCY) {
+    return baseAmount;
+  }
+
+  const { rate } = await getHistoricalRate(payoutCurrency, expense.exchangeRateDate || expense.date);
+  return baseAmount / rate;
+};
+
+// @desc    Get all reimbursement batches
+// @route   GET /api/reimbursements
+// @access  Private (Admin)
+const getReimbursementBatches = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    let query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const batches = await ReimbursementBatch.find(query)
+      .populate('createdBy', 'name email')
+      .populate('paidBy', 'name email')
+      .select('-expenses')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await ReimbursementBatch.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: batches.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: batches
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single reimbursement batch
+// @route   GET /api/reimbursements/:id
+// @access  Private (Admin)
+const getReimbursementBatch = async (req, res, next) => {
+  try {
+    const batch = await ReimbursementBatch.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('exportedBy', 'name email')
+      .populate('paidBy', 'name email')
+      .populate('payments.employee', 'name email department')
+      .populate('expenses', 'title amount currency date status submittedBy');
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reimbursement batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create reimbursement batch from approved expenses
+// @route   POST /api/reimbursements
+// @access  Private (Admin)
+const createReimbursementBatch = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { expenseIds, department, startDate, endDate, paymentFormat, name, notes, executionDate } = req.body;
+    const payoutCurrency = (req.body.payoutCurrency || FORMAT_CURRENCIES[paymentFormat]).toUpperCase();
+
+    if (FORMAT_CURRENCIES[paymentFormat] !== payoutCurrency) {
+      return res.status(400).json({
+        success: false,
+        message: `${paymentFormat.toUpperCase()} payments must be made in ${FORMAT_CURRENCIES[paymentFormat]}`
+      });
+    }
+
+    // Only approved expenses not already in a batch are eligible
+    let query = {
+      status: 'approved',
+      reimbursementBatch: null
+    };
+    if (expenseIds && expenseIds.length > 0) {
+      query._id = { $in: expenseIds };
+    }
+    if (department) {
+      query.department = department;
+    }
+    if (startDate && endDate) {
+      query.date = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const expenses = await Expense.find(query);
+
+    if (expenseIds && expenses.length !== expenseIds.length) {
+      const eligibleIds = expenses.map(expense => expense._id.toString());
+      return res.status(400).json({
+        success: false,
+        message: 'Some expenses are not approved or are already in a reimbursement batch',
+        ineligibleExpenses: expenseIds.filter(id => !eligibleIds.includes(id.toString()))
+      });
+    }
+
+    if (expenses.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No approved expenses available for reimbursement'
+      });
+    }
+
+    // Group expenses per employee and total them in the payout currency
+    const paymentsByEmployee = {};
+    for (const expense of expenses) {
+      const employeeId = expense.submittedBy.toString();
+      if (!paymentsByEmployee[employeeId]) {
+        paymentsByEmployee[employeeId] = {
+          employee: expense.submittedBy,
+          expenses: [],
+          amount: 0
+        };
+      }
+
+      const payoutAmount = await getPayoutAmount(expense, payoutCurrency);
+      paymentsByEmployee[employeeId].expenses.push(expense._id);
+      paymentsByEmployee[employeeId].amount += payoutAmount;
+    }
+
+    const payments = Object.values(paymentsByEmployee).map(payment => ({
+      ...payment,
+      amount: Math.round(payment.amount * 100) / 100
+    }));
+
+    const batch = await ReimbursementBatch.create({
+      name,
+      notes,
+      paymentFormat,
+      payoutCurrency,
+      executionDate,
+      expenses: expenses.map(expense => expense._id),
+      payments,
+      createdBy: req.user._id
+    });
+
+    // Claim the expenses, guarding against a concurrent batch taking them first
+    const claimed = await Expense.updateMany(
+      { _id: { $in: batch.expenses }, reimbursementBatch: null },
+      {
+        reimbursementBatch: batch._id,
+        $push: {
+          auditLog: {
+            action: 'updated',
+            performedBy: req.user._id,
+            timestamp: new Date(),
+            changes: { action: 'reimbursement_batched', batch: batch.reference }
+          }
+        }
+      }
+    );
+
+    if (claimed.modifiedCount !== batch.expenses.length) {
+      await Expense.updateMany({ reimbursementBatch: batch._id }, { $unset: { reimbursementBatch: 1 } });
+      await batch.deleteOne();
+      return res.status(409).json({
+        success: false,
+        message: 'Some expenses were added to another reimbursement batch. Please try again.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Reimbursement batch created successfully',
+      data: batch
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export reimbursement batch as a payment file
+// @route   GET /api/reimbursements/:id/export
+// @access  Private (Admin)
+const exportReimbursementBatch = async (req, res, next) => {
+  try {
+    const batch = await ReimbursementBatch.findById(req.params.id)
+      .populate('payments.employee', 'name email bankDetails');
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reimbursement batch not found'
+      });
+    }
+
+    if (!['draft', 'exported'].includes(batch.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot export a ${batch.status} batch`
+      });
+    }
+
+    const missingBankDetails = getPayeesMissingBankDetails(batch.payments, batch.paymentFormat);
+    if (missingBankDetails.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some employees have no usable bank details for this payment format',
+        employees: missingBankDetails
+      });
+    }
+
+    let file;
+    try {
+      file = generatePaymentFile(batch, batch.payments, { executionDate: batch.executionDate });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    batch.status = 'exported';
+    batch.exportedAt = new Date();
+    batch.exportedBy = req.user._id;
+    await batch.save();
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark reimbursement batch as paid
+// @route   PUT /api/reimbursements/:id/paid
+// @access  Private (Admin)
+const markReimbursementBatchPaid = async (req, res, next) => {
+  try {
+    const batch = await ReimbursementBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reimbursement batch not found'
+      });
+    }
+
+    if (batch.status !== 'exported') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only exported batches can be marked as paid'
+      });
+    }
+
+    const paidAt = new Date();
+
+    await Expense.updateMany(
+      { _id: { $in: batch.expenses }, reimbursementBatch: batch._id },
+      {
+        status: 'reimbursed',
+        reimbursementDate: paidAt,
+        $push: {
+          auditLog: {
+            action: 'reimbursed',
+            performedBy: req.user._id,
+            timestamp: paidAt,
+            changes: { batch: batch.reference, paymentFormat: batch.paymentFormat }
+          }
+        }
+      }
+    );
+
+    batch.status = 'paid';
+    batch.paidAt = paidAt;
+    batch.paidBy = req.user._id;
+    await batch.save();
+
+    res.json({
+      success: true,
+      message: `Reimbursement batch paid: ${batch.expenses.length} expense(s) reimbursed`,
+      data: batch
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel reimbursement batch and release its expenses
+// @route   PUT /api/reimbursements/:id/cancel
+// @access  Private (Admin)
+const cancelReimbursementBatch = async (req, res, next) => {
+  try {
+    const batch = await ReimbursementBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reimbursement batch not found'
+      });
+    }
+
+    if (!['draft', 'exported'].includes(batch.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ${batch.status} batch`
+      });
+    }
+
+    await Expense.updateMany(
+      { reimbursementBatch: batch._id },
+      {
+        $unset: { reimbursementBatch: 1 },
+        $push: {
+          auditLog: {
+            action: 'updated',
+            performedBy: req.user._id,
+            timestamp: new Date(),
+            changes: { action: 'reimbursement_batch_cancelled', batch: batch.reference }
+          }
+        }
+      }
+    );
+
+    batch.status = 'cancelled';
+    await batch.save();
+
+    res.json({
+      success: true,
+      message: 'Reimbursement batch cancelled successfully',
+      data: batch
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getReimbursementBatches,
+  getReimbursementBatch,
+  createReimbursementBatch,
+  exportReimbursementBatch,
+  markReimbursementBatchPaid,
+  cancelReimbursementBatch
+};
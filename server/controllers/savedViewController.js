@@ -0,0 +1,269 @@
+const { validationResult } = require('express-validator');
+const SavedView = require('../models/SavedView');
+
+// @desc    Get saved views
+// @route   GET /api/saved-views
+// @access  Private
+const getSavedViews = async (req, res, next) => {
+  try {
+    // Own views plus those shared with the user's department
+    const query = {
+      $or: [
+        { owner: req.user._id },
+        { isShared: true, department: req.user.department }
+      ]
+    };
+    if (req.query.resource) {
+      query.resource = req.query.resource;
+    }
+
+    const views = await SavedView.find(query)
+      .populate('owner', 'name email')
+      .sort({ resource: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: views.length,
+      data: views.map(withQueryString)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single saved view
+// @route   GET /api/saved-views/:id
+// @access  Private
+const getSavedView = async (req, res, next) => {
+  try {
+    const view = await SavedView.findById(req.params.id)
+      .populate('owner', 'name email');
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found'
+      });
+    }
+
+    if (!canReadView(view, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this saved view'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: withQueryString(view)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create saved view
+// @route   POST /api/saved-views
+// @access  Private
+const createSavedView = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const view = await SavedView.create({
+      name: req.body.name,
+      resource: req.body.resource,
+      filters: req.body.filters,
+      sort: req.body.sort,
+      columns: req.body.columns,
+      isShared: req.body.isShared,
+      department: getShareDepartment(req),
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Saved view created successfully',
+      data: withQueryString(view)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update saved view
+// @route   PUT /api/saved-views/:id
+// @access  Private (Owner or Admin)
+const updateSavedView = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const view = await SavedView.findById(req.params.id);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found'
+      });
+    }
+
+    if (!canManageView(view, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this saved view'
+      });
+    }
+
+    ['name', 'filters', 'sort', 'columns'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        view[field] = req.body[field];
+      }
+    });
+    await view.save();
+
+    res.json({
+      success: true,
+      message: 'Saved view updated successfully',
+      data: withQueryString(view)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Share or unshare a saved view with a department
+// @route   PUT /api/saved-views/:id/share
+// @access  Private (Owner or Admin)
+const shareSavedView = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const view = await SavedView.findById(req.params.id);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found'
+      });
+    }
+
+    if (!canManageView(view, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to share this saved view'
+      });
+    }
+
+    view.isShared = req.body.isShared;
+    if (req.body.isShared) {
+      view.department = getShareDepartment(req);
+    }
+    await view.save();
+
+    res.json({
+      success: true,
+      message: view.isShared
+        ? `Saved view shared with ${view.department}`
+        : 'Saved view is no longer shared',
+      data: withQueryString(view)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete saved view
+// @route   DELETE /api/saved-views/:id
+// @access  Private (Owner or Admin)
+const deleteSavedView = async (req, res, next) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found'
+      });
+    }
+
+    if (!canManageView(view, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this saved view'
+      });
+    }
+
+    await view.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Saved view deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getOwnerId = (view) => (view.owner._id || view.owner).toString();
+
+const canReadView = (view, user) => user.role === 'admin'
+  || getOwnerId(view) === user._id.toString()
+  || (view.isShared && view.department === user.department);
+
+const canManageView = (view, user) => user.role === 'admin' || getOwnerId(view) === user._id.toString();
+
+// Helper function to pick the department a view is shared with; only admins
+// can share outside their own department
+const getShareDepartment = (req) => (
+  req.user.role === 'admin' && req.body.department ? req.body.department : req.user.department
+);
+
+// Helper function to add the list endpoint query string so clients can open
+// the view by URL, e.g. /expenses?status=pending&sort=amount&order=desc
+const withQueryString = (view) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of view.filters || []) {
+    params.append(key, value);
+  }
+  if (view.sort?.field) {
+    params.append('sort', view.sort.field);
+    params.append('order', view.sort.order || 'desc');
+  }
+
+  return {
+    ...view.toObject({ flattenMaps: true }),
+    queryString: params.toString()
+  };
+};
+
+module.exports = {
+  getSavedViews,
+  getSavedView,
+  createSavedView,
+  updateSavedView,
+  shareSavedView,
+  deleteSavedView
+};
@@ -0,0 +1,332 @@
+const { validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const DepartmentTagPolicy = require('../models/DepartmentTagPolicy');
+const { replaceExpenseTags } = require('../utils/tagService');
+
+// @desc    Get tags
+// @route   GET /api/tags
+// @access  Private
+const getTags = async (req, res, next) => {
+  try {
+    let query = {};
+
+    if (req.user.role !== 'admin' || req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    // Autocomplete on the start of the tag name
+    if (req.query.q) {
+      const key = Tag.normalizeKey(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.key = new RegExp(`^${key}`);
+    }
+
+    // Only tags the department may use, for the submitter's department by default
+    const department = req.query.department || req.user.department;
+    const policy = department ? await DepartmentTagPolicy.findOne({ department }) : null;
+    if (policy && req.query.all !== 'true') {
+      query._id = { $in: policy.allowedTags };
+    }
+
+    const tags = await Tag.find(query)
+      .sort({ key: 1 })
+      .limit(req.query.q ? 20 : 0);
+
+    res.json({
+      success: true,
+      count: tags.length,
+      data: tags,
+      restrictedTo: policy && req.query.all !== 'true' ? policy.department : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create tag
+// @route   POST /api/tags
+// @access  Private (Admin)
+const createTag = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await Tag.findOne({ key: Tag.normalizeKey(req.body.name) });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Tag ${existing.name} already exists`
+      });
+    }
+
+    const tag = await Tag.create({
+      name: req.body.name,
+      description: req.body.description,
+      color: req.body.color,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update or rename tag
+// @route   PUT /api/tags/:id
+// @access  Private (Admin)
+const updateTag = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const oldName = tag.name;
+    if (req.body.name !== undefined && req.body.name !== oldName) {
+      const existing = await Tag.findOne({ _id: { $ne: tag._id }, key: Tag.normalizeKey(req.body.name) });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `Tag ${existing.name} already exists. Merge the tags instead`
+        });
+      }
+    }
+
+    ['name', 'description', 'color', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        tag[field] = req.body[field];
+      }
+    });
+    await tag.save();
+
+    // Renames carry over to the expenses already tagged
+    const updatedExpenses = tag.name !== oldName ? await replaceExpenseTags([oldName], tag.name) : 0;
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: tag,
+      updatedExpenses
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate tag
+// @route   DELETE /api/tags/:id
+// @access  Private (Admin)
+const deleteTag = async (req, res, next) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    // Expenses keep the tag; it just can't be added to new ones
+    tag.isActive = false;
+    await tag.save();
+
+    res.json({
+      success: true,
+      message: 'Tag deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Merge tags into this one
+// @route   POST /api/tags/:id/merge
+// @access  Private (Admin)
+const mergeTags = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const target = await Tag.findById(req.params.id);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const sourceIds = [...new Set(req.body.tagIds.map(String))];
+    if (sourceIds.includes(target._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge a tag into itself'
+      });
+    }
+
+    const sources = await Tag.find({ _id: { $in: sourceIds } });
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag to merge not found'
+      });
+    }
+
+    const updatedExpenses = await replaceExpenseTags(sources.map(source => source.name), target.name);
+
+    // Departments allowed a merged tag are allowed the target instead
+    const policies = await DepartmentTagPolicy.find({ allowedTags: { $in: sourceIds } });
+    for (const policy of policies) {
+      const allowed = policy.allowedTags.map(String).filter(id => !sourceIds.includes(id));
+      policy.allowedTags = [...new Set([...allowed, target._id.toString()])];
+      await policy.save();
+    }
+
+    await Tag.deleteMany({ _id: { $in: sourceIds } });
+
+    res.json({
+      success: true,
+      message: `${sources.length} tag(s) merged into ${target.name}`,
+      data: target,
+      updatedExpenses
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get department tag restrictions
+// @route   GET /api/tags/policies
+// @access  Private (Manager/Admin)
+const getDepartmentTagPolicies = async (req, res, next) => {
+  try {
+    let query = {};
+    if (req.user.role === 'manager') {
+      query.department = req.user.department;
+    }
+
+    const policies = await DepartmentTagPolicy.find(query)
+      .populate('allowedTags', 'name color isActive')
+      .sort({ department: 1 });
+
+    res.json({
+      success: true,
+      count: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restrict a department to a set of tags
+// @route   PUT /api/tags/policies/:department
+// @access  Private (Admin)
+const setDepartmentTagPolicy = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tagIds = [...new Set(req.body.allowedTags.map(String))];
+    const found = await Tag.countDocuments({ _id: { $in: tagIds } });
+    if (found !== tagIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more tags not found'
+      });
+    }
+
+    let policy = await DepartmentTagPolicy.findOne({ department: req.params.department });
+    const isNew = !policy;
+    if (isNew) {
+      policy = new DepartmentTagPolicy({ department: req.params.department, createdBy: req.user._id });
+    }
+    policy.allowedTags = tagIds;
+    await policy.save();
+    await policy.populate('allowedTags', 'name color isActive');
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: `Tags for the ${policy.department} department saved`,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lift a department's tag restriction
+// @route   DELETE /api/tags/policies/:department
+// @access  Private (Admin)
+const deleteDepartmentTagPolicy = async (req, res, next) => {
+  try {
+    const policy = await DepartmentTagPolicy.findOne({ department: req.params.department });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department tag policy not found'
+      });
+    }
+
+    await policy.deleteOne();
+
+    res.json({
+      success: true,
+      message: `The ${policy.department} department may use any tag`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  mergeTags,
+  getDepartmentTagPolicies,
+  setDepartmentTagPolicy,
+  deleteDepartmentTagPolicy
+};
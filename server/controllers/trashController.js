@@ -0,0 +1,193 @@
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const { buildExpenseQuery } = require('./expenseController');
+const { buildBudgetQuery } = require('./budgetController');
+const { RETENTION_DAYS, getPurgeDate, purgeExpiredTrash } = require('../utils/trashService');
+const { parseListOptions, paginate } = require('../utils/paginationService');
+
+// Populate options showing references that are in the trash themselves
+const withDeleted = { withDeleted: true };
+
+const uniqueIds = (ids) => [...new Set(ids.filter(Boolean).map(id => id.toString()))];
+
+// Check that every referenced document exists outside the trash
+const allExist = async (Model, ids) => {
+  const unique = uniqueIds(ids);
+  if (unique.length === 0) return true;
+  return await Model.countDocuments({ _id: { $in: unique } }) === unique.length;
+};
+
+// What can be in the trash, how it is listed and what it needs to be restored
+const TRASH_TYPES = {
+  expenses: {
+    Model: Expense,
+    label: 'Expense',
+    buildQuery: buildExpenseQuery,
+    populate: query => query
+      .populate('submittedBy', 'name email department')
+      .populate('deletedBy', 'name email')
+      .populate({ path: 'category', select: 'name color', options: withDeleted })
+      .populate({ path: 'budget', select: 'name amount', options: withDeleted }),
+    checkRestore: async (expense) => {
+      // A batch paid out while the expense was in the trash never marked it reimbursed
+      if (expense.reimbursementBatch) {
+        return 'Cannot restore an expense that was in a reimbursement batch';
+      }
+      const lines = expense.allocations || [];
+      const budgetsExist = await allExist(Budget, [expense.budget, ...lines.map(line => line.budget)]);
+      const categoriesExist = await allExist(Category, [expense.category, ...lines.map(line => line.category)]);
+      if (!budgetsExist || !categoriesExist) {
+        return 'Restore the budget and category this expense is charged to first';
+      }
+      return null;
+    }
+  },
+  budgets: {
+    Model: Budget,
+    label: 'Budget',
+    buildQuery: buildBudgetQuery,
+    populate: query => query
+      .populate('owner', 'name email')
+      .populate('deletedBy', 'name email')
+      .populate({ path: 'category', select: 'name color', options: withDeleted }),
+    checkRestore: async (budget) => {
+      if (!await allExist(Category, [budget.category])) {
+        return 'Restore the category of this budget first';
+      }
+      return null;
+    }
+  },
+  categories: {
+    Model: Category,
+    label: 'Category',
+    adminOnly: true,
+    buildQuery: () => ({}),
+    populate: query => query
+      .populate('createdBy', 'name email')
+      .populate('deletedBy', 'name email'),
+    checkRestore: async (category) => {
+      if (await Category.exists({ name: category.name, createdBy: category.createdBy })) {
+        return `A category named ${category.name} already exists. Rename it before restoring this one`;
+      }
+      return null;
+    }
+  }
+};
+
+const getTrashType = (req, res) => {
+  const trashType = TRASH_TYPES[req.params.type || req.query.type];
+  if (!trashType) {
+    res.status(400).json({
+      success: false,
+      message: `Type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`
+    });
+    return null;
+  }
+  return trashType;
+};
+
+// @desc    Get deleted expenses, budgets or categories
+// @route   GET /api/trash?type=expenses|budgets|categories
+// @access  Private
+const getTrash = async (req, res, next) => {
+  try {
+    const trashType = getTrashType(req, res);
+    if (!trashType) return;
+
+    if (trashType.adminOnly && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view deleted categories'
+      });
+    }
+
+    const listOptions = parseListOptions(req.query, 'trash');
+    if (listOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: listOptions.error
+      });
+    }
+
+    // Same scope and filters as the live list, limited to the trash
+    const query = { ...trashType.buildQuery(req), isDeleted: true };
+    const { docs, pagination } = await paginate(trashType.Model, query, listOptions, trashType.populate);
+
+    res.json({
+      success: true,
+      count: docs.length,
+      pagination,
+      retentionDays: RETENTION_DAYS,
+      data: docs.map(doc => ({
+        ...doc.toObject(),
+        purgeAt: getPurgeDate(doc.deletedAt)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a deleted expense, budget or category
+// @route   PUT /api/trash/:type/:id/restore
+// @access  Private (Admin)
+const restoreFromTrash = async (req, res, next) => {
+  try {
+    const trashType = getTrashType(req, res);
+    if (!trashType) return;
+
+    const doc = await trashType.Model.findOne({ _id: req.params.id, isDeleted: true });
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: `${trashType.label} not found in trash`
+      });
+    }
+
+    const restoreError = await trashType.checkRestore(doc);
+    if (restoreError) {
+      return res.status(400).json({
+        success: false,
+        message: restoreError
+      });
+    }
+
+    if (doc.addAuditLog) {
+      doc.addAuditLog('restored', req.user._id);
+    }
+    await doc.restore();
+
+    res.json({
+      success: true,
+      message: `${trashType.label} restored successfully`,
+      data: doc
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Purge items past the retention period now
+// @route   POST /api/trash/purge
+// @access  Private (Admin)
+const purgeTrash = async (req, res, next) => {
+  try {
+    const summary = await purgeExpiredTrash();
+
+    res.json({
+      success: true,
+      message: 'Expired trash purged',
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreFromTrash,
+  purgeTrash
+};
@@ -0,0 +1,397 @@
+const { validationResult } = require('express-validator');
+const Vendor = require('../models/Vendor');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const { linkUnmatchedExpenses, buildVendorSpend } = require('../utils/vendorService');
+
+const VENDOR_FIELDS = ['name', 'aliases', 'defaultCategory', 'taxIds', 'isActive'];
+
+// Statuses counted as spend unless the analytics request asks otherwise
+const SPEND_STATUSES = ['approved', 'reimbursed'];
+
+// Escape user input for use in a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Another vendor already using one of this vendor's names or aliases
+const findNameConflict = async (vendor) => {
+  await vendor.validate();
+  const other = await Vendor.findOne({
+    _id: { $ne: vendor._id },
+    normalizedNames: { $in: vendor.normalizedNames }
+  });
+  if (!other) return null;
+
+  const spelling = [vendor.name, ...vendor.aliases]
+    .find(name => other.normalizedNames.includes(Vendor.normalizeName(name)));
+  return `"${spelling}" is already a name or alias of vendor ${other.name}`;
+};
+
+const checkDefaultCategory = async (categoryId) => {
+  if (!categoryId) return null;
+  const category = await Category.findOne({ _id: categoryId, isActive: true });
+  return category ? null : 'Default category not found';
+};
+
+// @desc    Get vendors
+// @route   GET /api/vendors
+// @access  Private
+const getVendors = async (req, res, next) => {
+  try {
+    let query = {};
+
+    if (req.user.role !== 'admin' || req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    // Autocomplete on the canonical name and aliases
+    if (req.query.q) {
+      const normalized = Vendor.normalizeName(req.query.q);
+      query.$or = [
+        { name: new RegExp(escapeRegExp(req.query.q.trim()), 'i') },
+        ...(normalized ? [{ normalizedNames: new RegExp(`^${escapeRegExp(normalized)}`) }] : [])
+      ];
+    }
+
+    const vendors = await Vendor.find(query)
+      .populate('defaultCategory', 'name color')
+      .sort({ name: 1 })
+      .limit(req.query.q ? 20 : 0);
+
+    res.json({
+      success: true,
+      count: vendors.length,
+      data: vendors
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single vendor
+// @route   GET /api/vendors/:id
+// @access  Private
+const getVendor = async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id)
+      .populate('defaultCategory', 'name color')
+      .populate('createdBy', 'name email');
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    const expenseCount = await Expense.countDocuments({ matchedVendor: vendor._id });
+
+    res.json({
+      success: true,
+      data: {
+        ...vendor.toObject(),
+        expenseCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create vendor
+// @route   POST /api/vendors
+// @access  Private (Admin)
+const createVendor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const categoryError = await checkDefaultCategory(req.body.defaultCategory);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError
+      });
+    }
+
+    const vendor = new Vendor({ createdBy: req.user._id });
+    VENDOR_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        vendor[field] = req.body[field];
+      }
+    });
+
+    const conflict = await findNameConflict(vendor);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    await vendor.save();
+
+    // Existing expenses typed with this vendor's spellings now belong to it
+    const linkedExpenses = await linkUnmatchedExpenses();
+
+    res.status(201).json({
+      success: true,
+      message: 'Vendor created successfully',
+      data: vendor,
+      linkedExpenses
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update vendor
+// @route   PUT /api/vendors/:id
+// @access  Private (Admin)
+const updateVendor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vendor = await Vendor.findById(req.params.id);
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    const categoryError = await checkDefaultCategory(req.body.defaultCategory);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError
+      });
+    }
+
+    VENDOR_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        vendor[field] = req.body[field];
+      }
+    });
+
+    const conflict = await findNameConflict(vendor);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    await vendor.save();
+
+    // New aliases may match expenses that weren't linked before
+    const linkedExpenses = await linkUnmatchedExpenses();
+
+    res.json({
+      success: true,
+      message: 'Vendor updated successfully',
+      data: vendor,
+      linkedExpenses
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete vendor
+// @route   DELETE /api/vendors/:id
+// @access  Private (Admin)
+const deleteVendor = async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id);
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    // Linked expenses would lose their vendor; merging keeps them together
+    const expenseCount = await Expense.countDocuments({ matchedVendor: vendor._id }).setOptions({ withDeleted: true });
+    if (expenseCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete vendor with linked expenses. Merge it into another vendor or deactivate it instead'
+      });
+    }
+
+    await vendor.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Vendor deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Merge vendors into this one
+// @route   POST /api/vendors/:id/merge
+// @access  Private (Admin)
+const mergeVendors = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const target = await Vendor.findById(req.params.id);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    const sourceIds = [...new Set(req.body.vendorIds.map(String))];
+    if (sourceIds.includes(target._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge a vendor into itself'
+      });
+    }
+
+    const sources = await Vendor.find({ _id: { $in: sourceIds } });
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor to merge not found'
+      });
+    }
+
+    // The merged vendors' names become aliases, so their spellings keep matching
+    const knownNames = new Set(target.normalizedNames);
+    sources.forEach(source => {
+      [source.name, ...source.aliases].forEach(name => {
+        const normalized = Vendor.normalizeName(name);
+        if (normalized && !knownNames.has(normalized)) {
+          knownNames.add(normalized);
+          target.aliases.push(name);
+        }
+      });
+
+      source.taxIds.forEach(taxId => {
+        if (!target.taxIds.some(existing => existing.type === taxId.type && existing.value === taxId.value)) {
+          target.taxIds.push({ type: taxId.type, value: taxId.value });
+        }
+      });
+
+      if (!target.defaultCategory && source.defaultCategory) {
+        target.defaultCategory = source.defaultCategory;
+      }
+    });
+
+    // Check the merged vendor before anything is removed
+    await target.validate();
+
+    const { modifiedCount } = await Expense.updateMany(
+      { matchedVendor: { $in: sourceIds } },
+      { $set: { matchedVendor: target._id } }
+    ).setOptions({ withDeleted: true });
+    await Vendor.deleteMany({ _id: { $in: sourceIds } });
+    await target.save();
+
+    const linkedExpenses = await linkUnmatchedExpenses();
+
+    res.json({
+      success: true,
+      message: `${sources.length} vendor(s) merged into ${target.name}`,
+      data: target,
+      movedExpenses: modifiedCount,
+      linkedExpenses
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get spend per vendor
+// @route   GET /api/vendors/analytics
+// @access  Private
+const getVendorAnalytics = async (req, res, next) => {
+  try {
+    // Build query based on user role
+    let query = {
+      status: { $in: req.query.status ? [req.query.status] : SPEND_STATUSES }
+    };
+    if (req.user.role === 'user') {
+      query.submittedBy = req.user._id;
+    } else if (req.user.role === 'manager') {
+      query.$or = [
+        { submittedBy: req.user._id },
+        { department: req.user.department }
+      ];
+    }
+
+    if (req.query.department) {
+      query.department = req.query.department;
+    }
+    if (req.query.startDate || req.query.endDate) {
+      query.date = {};
+      if (req.query.startDate) query.date.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) query.date.$lte = new Date(req.query.endDate);
+    }
+
+    const expenses = await Expense.find(query)
+      .select('vendor matchedVendor amount convertedAmount date')
+      .populate('matchedVendor', 'name');
+
+    const vendors = buildVendorSpend(expenses);
+    const totalAmount = vendors.reduce((total, row) => total + row.amount, 0);
+    const unmatched = vendors.filter(row => !row.vendor);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    res.json({
+      success: true,
+      data: {
+        overview: {
+          totalAmount: Math.round(totalAmount * 100) / 100,
+          vendorCount: vendors.length - unmatched.length,
+          unmatchedAmount: Math.round(unmatched.reduce((total, row) => total + row.amount, 0) * 100) / 100,
+          unmatchedCount: unmatched.reduce((total, row) => total + row.count, 0)
+        },
+        vendors: vendors.slice(0, limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getVendors,
+  getVendor,
+  createVendor,
+  updateVendor,
+  deleteVendor,
+  mergeVendors,
+  getVendorAnalytics
+};
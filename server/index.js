@@ -4,8 +4,12 @@ const dotenv = require('dotenv');
 const path = require('path');
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
+const { auditContext } = require('./utils/auditService');
 const { testEmailConnection } = require('./utils/emailService');
 const { initializeCurrencyService } = require('./utils/currencyService');
+const { initializeRecurringExpenseService } = require('./utils/recurringExpenseService');
+const { initializeApprovalSlaService } = require('./utils/approvalSlaService');
+const { initializeTrashService } = require('./utils/trashService');
 
 // Load environment variables
 dotenv.config();
@@ -36,6 +40,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Track the request behind each audit event (after the body parsers)
+app.use(auditContext);
+
 // Static file serving for uploads
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
@@ -52,6 +59,21 @@ app.use('/api/expenses', require('./routes/expenses'));
 app.use('/api/reports', require('./routes/reports'));
 app.use('/api/currency', require('./routes/currency'));
 app.use('/api/uploads', require('./routes/uploads'));
+app.use('/api/reimbursements', require('./routes/reimbursements'));
+app.use('/api/expense-reports', require('./routes/expenseReports'));
+app.use('/api/mileage-rates', require('./routes/mileageRates'));
+app.use('/api/per-diem-rates', require('./routes/perDiemRates'));
+app.use('/api/policy-rules', require('./routes/policyRules'));
+app.use('/api/import-templates', require('./routes/importTemplates'));
+app.use('/api/saved-views', require('./routes/savedViews'));
+app.use('/api/delegations', require('./routes/delegations'));
+app.use('/api/approval-slas', require('./routes/approvalSlas'));
+app.use('/api/comments', require('./routes/comments'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/vendors', require('./routes/vendors'));
+app.use('/api/tags', require('./routes/tags'));
 
 // Health check endpoint with enhanced information
 app.get('/api/health', async (req, res) => {
@@ -112,6 +134,21 @@ app.get('/api/info', (req, res) => {
       reports: '/api/reports',
       currency: '/api/currency',
       uploads: '/api/uploads',
+      reimbursements: '/api/reimbursements',
+      expenseReports: '/api/expense-reports',
+      mileageRates: '/api/mileage-rates',
+      perDiemRates: '/api/per-diem-rates',
+      policyRules: '/api/policy-rules',
+      importTemplates: '/api/import-templates',
+      savedViews: '/api/saved-views',
+      delegations: '/api/delegations',
+      approvalSlas: '/api/approval-slas',
+      comments: '/api/comments',
+      notifications: '/api/notifications',
+      audit: '/api/audit',
+      trash: '/api/trash',
+      vendors: '/api/vendors',
+      tags: '/api/tags',
       health: '/api/health'
     },
     documentation: {
@@ -161,6 +198,21 @@ app.use('*', (req, res) => {
       '/api/reports',
       '/api/currency',
       '/api/uploads',
+      '/api/reimbursements',
+      '/api/expense-reports',
+      '/api/mileage-rates',
+      '/api/per-diem-rates',
+      '/api/policy-rules',
+      '/api/import-templates',
+      '/api/saved-views',
+      '/api/delegations',
+      '/api/approval-slas',
+      '/api/comments',
+      '/api/notifications',
+      '/api/audit',
+      '/api/trash',
+      '/api/vendors',
+      '/api/tags',
       '/api/health'
     ]
   });
@@ -191,6 +243,15 @@ const server = app.listen(PORT, async () => {
     
     // Initialize currency service
     await initializeCurrencyService();
+
+    // Initialize recurring expense scheduler
+    await initializeRecurringExpenseService();
+
+    // Initialize approval SLA reminders and escalations
+    await initializeApprovalSlaService();
+
+    // Initialize trash purging after the retention period
+    await initializeTrashService();
     
     console.log('✅ All services initialized successfully!');
   } catch (error) {
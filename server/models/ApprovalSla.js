@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+// How long a department's pending expenses may wait for a decision before
+// reminders go out and the expense is escalated
+const approvalSlaSchema = new mongoose.Schema({
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Department cannot be more than 50 characters']
+  },
+  // Business days (Mon-Fri) from submission until the expense is overdue
+  businessDays: {
+    type: Number,
+    required: [true, 'Business days are required'],
+    min: [1, 'Business days must be at least 1'],
+    max: [60, 'Business days cannot be more than 60']
+  },
+  // Business days overdue before each escalation: first to the department
+  // head, then the same again to admins
+  escalationDays: {
+    type: Number,
+    default: 2,
+    min: [1, 'Escalation days must be at least 1'],
+    max: [30, 'Escalation days cannot be more than 30']
+  },
+  // Escalation contact; the department's managers are used when not set
+  departmentHead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+approvalSlaSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('ApprovalSla', approvalSlaSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail shared by every model. Each event stores the hash
+// of the one before it, so editing or removing an event breaks the chain.
+const auditEventSchema = new mongoose.Schema({
+  // Position in the chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // Empty for system jobs and unauthenticated requests
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Document ID, or the file name for uploads
+  entityId: {
+    type: String,
+    trim: true
+  },
+  // Field-level before/after values; sensitive fields are redacted
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  request: {
+    method: String,
+    path: String,
+    ip: String
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false,
+  // Keep empty objects so stored events hash exactly as they were written
+  minimize: false
+});
+
+auditEventSchema.index({ sequence: 1 }, { unique: true });
+auditEventSchema.index({ entityType: 1, entityId: 1, sequence: -1 });
+auditEventSchema.index({ actor: 1, sequence: -1 });
+auditEventSchema.index({ action: 1, sequence: -1 });
+auditEventSchema.index({ timestamp: -1 });
+
+// Events can only be inserted
+const rejectChange = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'findOneAndDelete', 'findOneAndRemove', 'deleteOne', 'deleteMany'],
+  rejectChange
+);
+auditEventSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
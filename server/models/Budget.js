@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+const softDelete = require('../utils/softDeletePlugin');
 
 const budgetSchema = new mongoose.Schema({
   name: {
@@ -138,7 +140,7 @@ const budgetSchema = new mongoose.Schema({
   auditLog: [{
     action: {
       type: String,
-      enum: ['created', 'updated', 'approved', 'rejected', 'activated', 'expired', 'deleted'],
+      enum: ['created', 'updated', 'approved', 'rejected', 'activated', 'expired', 'deleted', 'restored', 'commented'],
       required: true
     },
     performedBy: {
@@ -249,11 +251,11 @@ budgetSchema.methods.addAuditLog = function(action, performedBy, changes = null,
 budgetSchema.methods.calculateSpentAmount = async function() {
   const Expense = mongoose.model('Expense');
   const expenses = await Expense.find({ 
-    budget: this._id, 
+    ...Expense.chargedToBudget(this._id),
     status: { $in: ['approved', 'reimbursed'] }
   });
   
-  return expenses.reduce((total, expense) => total + (expense.convertedAmount || expense.amount), 0);
+  return expenses.reduce((total, expense) => total + (expense.convertedAmount || expense.amount) * expense.getBudgetShare(this._id), 0);
 };
 
 budgetSchema.methods.isApprovalRequired = function(expenseAmount) {
@@ -268,6 +270,26 @@ budgetSchema.methods.requiresMultipleApproval = function(expenseAmount) {
   return expenseAmount > this.allocationRules.multipleApprovalAbove;
 };
 
+// Build the ordered approval steps an expense of this amount must pass through.
+// An empty list means a single manager/admin decision is sufficient.
+budgetSchema.methods.getApprovalSteps = function(expenseAmount) {
+  const workflowSteps = (this.approvalWorkflow?.steps || [])
+    .filter(step => step.approver)
+    .sort((a, b) => a.order - b.order)
+    .map((step, index) => ({ approver: step.approver, order: index + 1 }));
+
+  if (this.approvalWorkflow?.isRequired && workflowSteps.length > 0) {
+    return workflowSteps;
+  }
+
+  if (this.requiresMultipleApproval(expenseAmount)) {
+    if (workflowSteps.length > 0) return workflowSteps;
+    return (this.approvers || []).map((approver, index) => ({ approver, order: index + 1 }));
+  }
+
+  return [];
+};
+
 // Static methods
 budgetSchema.statics.getActiveBudgets = function() {
   return this.find({ 
@@ -278,56 +300,6 @@ budgetSchema.statics.getActiveBudgets = function() {
   }).populate('owner category approvers');
 };
 
-budgetSchema.statics.getBudgetsNearingThreshold = function(threshold = 80) {
-  // This would require aggregation to calculate spent amounts
-  return this.aggregate([
-    {
-      $lookup: {
-        from: 'expenses',
-        localField: '_id',
-        foreignField: 'budget',
-        as: 'expenses'
-      }
-    },
-    {
-      $addFields: {
-        spentAmount: {
-          $sum: {
-            $map: {
-              input: {
-                $filter: {
-                  input: '$expenses',
-                  cond: { $in: ['$$this.status', ['approved', 'reimbursed']] }
-                }
-              },
-              as: 'expense',
-              in: { $ifNull: ['$$expense.convertedAmount', '$$expense.amount'] }
-            }
-          }
-        }
-      }
-    },
-    {
-      $addFields: {
-        usagePercentage: {
-          $cond: {
-            if: { $eq: ['$amount', 0] },
-            then: 0,
-            else: { $multiply: [{ $divide: ['$spentAmount', '$amount'] }, 100] }
-          }
-        }
-      }
-    },
-    {
-      $match: {
-        usagePercentage: { $gte: threshold },
-        status: 'active',
-        isActive: true
-      }
-    }
-  ]);
-};
-
 budgetSchema.statics.getExpiredBudgets = function() {
   return this.find({
     endDate: { $lt: new Date() },
@@ -351,9 +323,13 @@ budgetSchema.index({ status: 1, isActive: 1 });
 budgetSchema.index({ startDate: 1, endDate: 1 });
 budgetSchema.index({ currency: 1 });
 budgetSchema.index({ 'recurring.nextRenewalDate': 1 });
+budgetSchema.index({ createdAt: -1, _id: -1 });
 
 // Ensure virtual fields are included in JSON output
 budgetSchema.set('toJSON', { virtuals: true });
 budgetSchema.set('toObject', { virtuals: true });
 
+budgetSchema.plugin(softDelete);
+budgetSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Budget', budgetSchema);
\ No newline at end of file
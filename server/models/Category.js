@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+const softDelete = require('../utils/softDeletePlugin');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -35,7 +37,13 @@ const categorySchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Create compound index for better query performance
-categorySchema.index({ name: 1, createdBy: 1 }, { unique: true });
+// Names are unique among categories outside the trash, so a trashed name can be reused
+categorySchema.index(
+  { name: 1, createdBy: 1 },
+  { unique: true, partialFilterExpression: { isDeleted: false }, name: 'name_1_createdBy_1_active' }
+);
+
+categorySchema.plugin(softDelete);
+categorySchema.plugin(auditTrail);
 
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
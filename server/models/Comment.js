@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+// Discussion on an expense or budget. Replies point at a top-level comment,
+// so threads are one level deep.
+const commentSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    enum: ['Expense', 'Budget'],
+    required: true
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'resourceType',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Mentions are written as @[Name](userId)
+  body: {
+    type: String,
+    required: [true, 'Comment is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters']
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: Date,
+  // Deleted comments keep their place in the thread without their text
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ resourceType: 1, resource: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+
+commentSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+// Lets `delegate` act for `principal`: a submission delegation allows filing
+// expenses on the principal's behalf, an approval delegation makes the delegate
+// the principal's substitute approver between startDate and endDate
+const delegationSchema = new mongoose.Schema({
+  principal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Principal is required']
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Delegate is required']
+  },
+  type: {
+    type: String,
+    enum: ['submission', 'approval'],
+    default: 'submission'
+  },
+  // Out-of-office window, required for approval delegations
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Notes cannot be more than 200 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+delegationSchema.pre('validate', function(next) {
+  if (this.principal && this.delegate && this.principal.toString() === this.delegate.toString()) {
+    this.invalidate('delegate', 'A user cannot be their own delegate');
+  }
+  if (this.type === 'approval') {
+    if (!this.startDate || !this.endDate) {
+      this.invalidate('endDate', 'Approval delegations need a start and end date');
+    } else if (this.endDate <= this.startDate) {
+      this.invalidate('endDate', 'End date must be after start date');
+    }
+  }
+  next();
+});
+
+delegationSchema.index({ delegate: 1, type: 1, isActive: 1 });
+delegationSchema.index({ principal: 1, type: 1, isActive: 1 });
+
+// Whether `delegateId` may currently file expenses for `principalId`
+delegationSchema.statics.canSubmitFor = async function(delegateId, principalId) {
+  const delegation = await this.exists({
+    principal: principalId,
+    delegate: delegateId,
+    type: 'submission',
+    isActive: true
+  });
+  return Boolean(delegation);
+};
+
+// Active approval delegation standing in for `approverId` at `at`, if any
+delegationSchema.statics.findApprovalSubstitute = function(approverId, at = new Date()) {
+  return this.findOne({
+    principal: approverId,
+    type: 'approval',
+    isActive: true,
+    startDate: { $lte: at },
+    endDate: { $gte: at }
+  });
+};
+
+// Approvers `delegateId` is currently standing in for
+delegationSchema.statics.getApprovalPrincipals = async function(delegateId, at = new Date()) {
+  const delegations = await this.find({
+    delegate: delegateId,
+    type: 'approval',
+    isActive: true,
+    startDate: { $lte: at },
+    endDate: { $gte: at }
+  }).select('principal');
+  return delegations.map(delegation => delegation.principal);
+};
+
+delegationSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Delegation', delegationSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+// Limits a department's expenses to a subset of the tag catalogue.
+// Departments without a policy may use any active tag.
+const departmentTagPolicySchema = new mongoose.Schema({
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Department cannot be more than 50 characters']
+  },
+  allowedTags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+departmentTagPolicySchema.plugin(auditTrail);
+
+module.exports = mongoose.model('DepartmentTagPolicy', departmentTagPolicySchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+// Daily snapshot of exchange rates, kept so expenses can be converted at the
+// rate of their own date. Rates are units of each currency per base unit.
+const exchangeRateSchema = new mongoose.Schema({
+  // Start of the UTC day the rates apply to
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  baseCurrency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  rates: {
+    type: Map,
+    of: {
+      type: Number,
+      min: [0, 'Exchange rate cannot be negative']
+    },
+    required: true
+  },
+  // API for fetched rates, MANUAL for rates entered by an admin
+  source: {
+    type: String,
+    enum: ['API', 'MANUAL'],
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ baseCurrency: 1, date: -1 }, { unique: true });
+
+exchangeRateSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
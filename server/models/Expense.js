@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+const softDelete = require('../utils/softDeletePlugin');
 
 const expenseSchema = new mongoose.Schema({
   title: {
@@ -28,6 +30,15 @@ const expenseSchema = new mongoose.Schema({
     default: 1,
     min: [0, 'Exchange rate cannot be negative']
   },
+  // Where the rate came from (API or MANUAL rate history, DEFAULT fallback
+  // rates, or BASE for base-currency expenses) and the day it applies to
+  exchangeRateSource: {
+    type: String,
+    enum: ['API', 'MANUAL', 'DEFAULT', 'BASE']
+  },
+  exchangeRateDate: Date,
+  // Set on approval; the rate no longer follows date or amount changes
+  exchangeRateLockedAt: Date,
   convertedAmount: {
     type: Number, // Amount in base currency (USD)
     default: function() { return this.amount; }
@@ -56,6 +67,11 @@ const expenseSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Vendor name cannot be more than 100 characters']
   },
+  // Vendor record the free-text vendor was matched to, by name or alias
+  matchedVendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
   receipts: [{
     fileName: {
       type: String,
@@ -78,11 +94,75 @@ const expenseSchema = new mongoose.Schema({
       enum: ['image', 'document', 'other'],
       default: 'other'
     },
+    fileHash: {
+      type: String // SHA-256 of the file contents
+    },
     uploadDate: {
       type: Date,
       default: Date.now
     }
   }],
+  // Overdue approval reminders and escalations sent by the SLA job
+  slaEscalation: {
+    level: {
+      type: Number,
+      default: 0
+    },
+    notifiedAt: Date,
+    notified: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  // Suspected duplicate submissions found by the duplicate detector
+  duplicateCheck: {
+    status: {
+      type: String,
+      enum: ['clear', 'flagged', 'dismissed', 'confirmed'],
+      default: 'clear'
+    },
+    candidates: [{
+      expense: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expense'
+      },
+      score: Number,
+      reasons: [String]
+    }],
+    checkedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewComments: {
+      type: String,
+      maxlength: [500, 'Review comments cannot be more than 500 characters']
+    }
+  },
+  // Results of the configurable policy rules; blocks must be resolved before approval
+  policyViolations: [{
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PolicyRule'
+    },
+    name: String,
+    type: {
+      type: String
+    },
+    action: {
+      type: String,
+      enum: ['warn', 'block']
+    },
+    message: String
+  }],
+  policyCheckedAt: {
+    type: Date
+  },
+  receiptRequired: {
+    type: Boolean,
+    default: false // Set from the budget's requireReceiptAbove rule
+  },
   // Legacy receipt field for backward compatibility
   receipt: {
     fileName: String,
@@ -99,6 +179,26 @@ const expenseSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Submitter is required']
   },
+  // Delegate who filed the expense for the claimant in submittedBy
+  filedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expenseReport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseReport'
+  },
+  // Set on expenses created together by a bulk spreadsheet import
+  importBatchId: {
+    type: String
+  },
+  reimbursementBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReimbursementBatch'
+  },
+  reimbursementDate: {
+    type: Date
+  },
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -106,11 +206,42 @@ const expenseSchema = new mongoose.Schema({
   approvalDate: {
     type: Date
   },
+  autoApproved: {
+    type: Boolean,
+    default: false // Approved at submission because it was under the budget's auto-approval limit
+  },
   rejectionReason: {
     type: String,
     trim: true,
     maxlength: [200, 'Rejection reason cannot be more than 200 characters']
   },
+  // Ordered approval steps copied from the budget's workflow at submission
+  approvals: [{
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    order: {
+      type: Number,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    comments: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Comments cannot be more than 500 characters']
+    }
+  }],
   tags: [{
     type: String,
     trim: true,
@@ -121,6 +252,37 @@ const expenseSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Department cannot be more than 50 characters']
   },
+  // Split of the expense across categories, budgets and departments.
+  // Each line is a percentage or a fixed amount; `amount` holds the resolved share.
+  allocations: [{
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    budget: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget'
+    },
+    department: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Department cannot be more than 50 characters']
+    },
+    percentage: {
+      type: Number,
+      min: [0, 'Percentage cannot be negative'],
+      max: [100, 'Percentage cannot exceed 100']
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Allocation amount cannot be negative']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Notes cannot be more than 200 characters']
+    }
+  }],
   isRecurring: {
     type: Boolean,
     default: false
@@ -136,6 +298,21 @@ const expenseSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Expense' // Reference to the original expense for recurring expenses
   },
+  recurringEndDate: {
+    type: Date // No occurrences are generated after this date
+  },
+  recurringOccurrenceLimit: {
+    type: Number,
+    min: [1, 'Occurrence limit must be at least 1']
+  },
+  recurringOccurrenceCount: {
+    type: Number,
+    default: 0 // Number of child expenses generated so far
+  },
+  isRecurringPaused: {
+    type: Boolean,
+    default: false
+  },
   notes: {
     type: String,
     trim: true,
@@ -145,13 +322,21 @@ const expenseSchema = new mongoose.Schema({
   auditLog: [{
     action: {
       type: String,
-      enum: ['created', 'updated', 'approved', 'rejected', 'reimbursed', 'deleted'],
+      enum: ['created', 'updated', 'approved', 'rejected', 'reimbursed', 'deleted', 'restored', 'commented'],
       required: true
     },
+    // Empty for entries the system made on its own, such as auto-approvals
     performedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true
+      required: function() {
+        return !this.changes?.system;
+      }
+    },
+    // User that performedBy was acting for, when acting as a delegate
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
     timestamp: {
       type: Date,
@@ -186,7 +371,45 @@ const expenseSchema = new mongoose.Schema({
       distance: Number,
       rate: Number,
       startLocation: String,
-      endLocation: String
+      endLocation: String,
+      vehicleType: {
+        type: String,
+        enum: ['car', 'electric_car', 'motorcycle', 'bicycle', 'van']
+      },
+      country: {
+        type: String,
+        uppercase: true
+      },
+      unit: {
+        type: String,
+        enum: ['km', 'mi']
+      },
+      // Rate table entry the amount was computed from
+      rateTable: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MileageRate'
+      }
+    },
+    // Per diem day generated from the destination's rate table
+    perDiem: {
+      tripId: String,
+      rateTable: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PerDiemRate'
+      },
+      country: String,
+      city: String,
+      dayType: {
+        type: String,
+        enum: ['travel', 'full']
+      },
+      mealsAllowance: Number,
+      lodgingAllowance: Number,
+      deductions: Number,
+      providedMeals: [{
+        type: String,
+        enum: ['breakfast', 'lunch', 'dinner']
+      }]
     }
   }
 }, {
@@ -199,8 +422,42 @@ expenseSchema.index({ budget: 1, status: 1 });
 expenseSchema.index({ category: 1, date: -1 });
 expenseSchema.index({ department: 1, date: -1 });
 expenseSchema.index({ status: 1, date: -1 });
+expenseSchema.index({ status: 1, 'slaEscalation.level': 1 });
 expenseSchema.index({ currency: 1 });
 expenseSchema.index({ isRecurring: 1, nextRecurringDate: 1 });
+expenseSchema.index({ receiptRequired: 1, status: 1 });
+expenseSchema.index({ status: 1, reimbursementBatch: 1 });
+expenseSchema.index({ expenseReport: 1 });
+expenseSchema.index({ filedBy: 1, date: -1 });
+expenseSchema.index({ importBatchId: 1 });
+expenseSchema.index({ 'metadata.perDiem.tripId': 1 });
+expenseSchema.index({ 'receipts.fileHash': 1 });
+expenseSchema.index({ matchedVendor: 1, date: -1 });
+expenseSchema.index({ 'duplicateCheck.status': 1 });
+expenseSchema.index({ 'allocations.budget': 1, status: 1 });
+// Keyset pagination: each sortable field with _id as the tie-breaker
+expenseSchema.index({ date: -1, _id: -1 });
+expenseSchema.index({ convertedAmount: -1, _id: -1 });
+expenseSchema.index({ createdAt: -1, _id: -1 });
+// Full-text search for the `q` filter; weights rank title and vendor hits first
+expenseSchema.index({
+  title: 'text',
+  vendor: 'text',
+  tags: 'text',
+  description: 'text',
+  notes: 'text',
+  'receipts.originalName': 'text'
+}, {
+  name: 'expense_text_search',
+  weights: {
+    title: 10,
+    vendor: 6,
+    tags: 5,
+    description: 3,
+    notes: 2,
+    'receipts.originalName': 2
+  }
+});
 
 // Pre-save middleware
 expenseSchema.pre('save', function(next) {
@@ -214,6 +471,12 @@ expenseSchema.pre('save', function(next) {
     this.convertedAmount = this.amount * (this.exchangeRate || 1);
   }
 
+  // Schedule the first occurrence for new recurring expenses. Later saves leave
+  // it alone: a series whose next date was cleared has ended.
+  if (this.isNew && this.isRecurring && this.recurringPeriod && !this.nextRecurringDate) {
+    this.nextRecurringDate = this.constructor.calculateNextRecurringDate(this.date, this.recurringPeriod);
+  }
+
   // Migrate legacy receipt to receipts array
   if (this.receipt && this.receipt.fileName && this.receipts.length === 0) {
     this.receipts.push({
@@ -230,16 +493,78 @@ expenseSchema.pre('save', function(next) {
 });
 
 // Methods
-expenseSchema.methods.addAuditLog = function(action, performedBy, changes = null, reason = null) {
+expenseSchema.methods.addAuditLog = function(action, performedBy, changes = null, reason = null, onBehalfOf = null) {
   this.auditLog.push({
     action,
     performedBy,
+    onBehalfOf: onBehalfOf || undefined,
     timestamp: new Date(),
     changes,
     reason
   });
 };
 
+// Flag whether the budget requires a receipt for this expense's amount
+expenseSchema.methods.refreshReceiptRequirement = function(budget) {
+  const expenseAmount = this.amount * (this.exchangeRate || 1);
+  this.receiptRequired = !!budget && budget.requiresReceipt(expenseAmount);
+  return this.receiptRequired;
+};
+
+// Keep the exchange rate the expense was approved at; later date changes no
+// longer re-convert it
+expenseSchema.methods.lockExchangeRate = function() {
+  if (!this.exchangeRateLockedAt) {
+    this.exchangeRateLockedAt = new Date();
+  }
+  return this.exchangeRateLockedAt;
+};
+
+// Approve without manual review when the budget's auto-approval limit allows it
+expenseSchema.methods.applyAutoApproval = function(budget) {
+  if (!budget || this.status !== 'pending' || this.approvals.length > 0) return false;
+
+  const limit = budget.allocationRules?.autoApprovalLimit || 0;
+  const expenseAmount = this.amount * (this.exchangeRate || 1);
+  if (limit <= 0 || budget.isApprovalRequired(expenseAmount)) return false;
+  if (this.receiptRequired && !this.hasReceipts) return false;
+  if (this.duplicateCheck?.status === 'flagged') return false;
+  if (this.policyViolations?.length > 0) return false;
+
+  this.status = 'approved';
+  this.autoApproved = true;
+  this.approvalDate = new Date();
+  this.lockExchangeRate();
+  this.addAuditLog('approved', null, {
+    action: 'auto_approved',
+    system: true,
+    autoApprovalLimit: limit
+  }, 'Below budget auto-approval limit');
+
+  return true;
+};
+
+expenseSchema.methods.getCurrentApprovalStep = function() {
+  if (!this.approvals || this.approvals.length === 0) return null;
+  return [...this.approvals]
+    .sort((a, b) => a.order - b.order)
+    .find(step => step.status === 'pending') || null;
+};
+
+// When the current approval step started waiting: the last step decision,
+// or the submission for the first step
+expenseSchema.methods.getPendingSince = function() {
+  const decidedAt = (this.approvals || [])
+    .filter(step => step.decidedAt)
+    .map(step => step.decidedAt.getTime());
+  return decidedAt.length > 0 ? new Date(Math.max(...decidedAt)) : this.createdAt;
+};
+
+// Start SLA reminders over once a step is decided
+expenseSchema.methods.resetSlaEscalation = function() {
+  this.slaEscalation = { level: 0, notified: [] };
+};
+
 expenseSchema.methods.addReceipt = function(receiptData) {
   this.receipts.push(receiptData);
 };
@@ -258,6 +583,16 @@ expenseSchema.virtual('hasReceipts').get(function() {
   return this.receipts && this.receipts.length > 0;
 });
 
+// Virtual to check if a required receipt has not been attached yet
+expenseSchema.virtual('missingReceipt').get(function() {
+  return !!this.receiptRequired && !(this.receipts && this.receipts.length > 0);
+});
+
+// Virtual to check for policy violations that prevent approval
+expenseSchema.virtual('hasPolicyBlocks').get(function() {
+  return (this.policyViolations || []).some(violation => violation.action === 'block');
+});
+
 // Virtual to get formatted amount with currency
 expenseSchema.virtual('formattedAmount').get(function() {
   const symbols = {
@@ -269,6 +604,82 @@ expenseSchema.virtual('formattedAmount').get(function() {
 });
 
 // Static methods
+// Allocation lines of the expense; an unsplit expense is a single line covering the whole amount.
+// `share` is the line's fraction of the expense so converted amounts can be split the same way.
+expenseSchema.methods.getAllocationLines = function() {
+  if (!this.allocations || this.allocations.length === 0) {
+    return [{
+      category: this.category,
+      budget: this.budget,
+      department: this.department,
+      amount: this.amount,
+      share: 1
+    }];
+  }
+
+  return this.allocations.map(line => ({
+    category: line.category || this.category,
+    budget: line.budget,
+    department: line.department || this.department,
+    amount: line.amount,
+    share: this.amount > 0 ? line.amount / this.amount : 0
+  }));
+};
+
+// Fraction of the expense charged to a budget (0-1)
+expenseSchema.methods.getBudgetShare = function(budgetId) {
+  const id = budgetId.toString();
+  return this.getAllocationLines()
+    .filter(line => line.budget && (line.budget._id || line.budget).toString() === id)
+    .reduce((total, line) => total + line.share, 0);
+};
+
+// Resolve percentage lines into amounts and check the split adds up to the expense amount.
+// A line's percentage wins over its stored amount, so re-resolving after an amount change
+// rescales it. Rounding leftovers go to the last percentage line. Returns { allocations } or { error }.
+expenseSchema.statics.resolveAllocations = function(allocations, amount) {
+  if (!allocations || allocations.length === 0) return { allocations: [] };
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const resolved = [];
+
+  for (const line of allocations) {
+    const hasPercentage = line.percentage !== undefined && line.percentage !== null;
+    const hasAmount = line.amount !== undefined && line.amount !== null;
+    if (!hasPercentage && !hasAmount) {
+      return { error: 'Each allocation line needs either a percentage or an amount' };
+    }
+    resolved.push({
+      ...line,
+      amount: hasPercentage ? round(amount * Number(line.percentage) / 100) : round(Number(line.amount))
+    });
+  }
+
+  let difference = round(amount - resolved.reduce((total, line) => total + line.amount, 0));
+  const lastPercentageLine = [...resolved].reverse().find(line => line.percentage !== undefined && line.percentage !== null);
+  if (lastPercentageLine && Math.abs(difference) <= 0.01 * resolved.length) {
+    lastPercentageLine.amount = round(lastPercentageLine.amount + difference);
+    difference = 0;
+  }
+
+  if (Math.abs(difference) > 0.005) {
+    return { error: `Allocation lines add up to ${round(amount - difference)} but the expense amount is ${amount}` };
+  }
+
+  return { allocations: resolved };
+};
+
+// Query matching expenses charged to a budget, directly or through an allocation line
+expenseSchema.statics.chargedToBudget = function(budgetIds) {
+  const ids = Array.isArray(budgetIds) ? { $in: budgetIds } : budgetIds;
+  return {
+    $or: [
+      { budget: ids },
+      { 'allocations.budget': ids }
+    ]
+  };
+};
+
 expenseSchema.statics.getExpensesByStatus = function(status) {
   return this.find({ status }).populate('submittedBy category budget');
 };
@@ -286,15 +697,72 @@ expenseSchema.statics.getExpensesByUser = function(userId) {
   return this.find({ submittedBy: userId }).populate('category budget');
 };
 
+// Due recurring series; rejected and deleted expenses stop generating occurrences
 expenseSchema.statics.getRecurringExpenses = function() {
   return this.find({
     isRecurring: true,
-    nextRecurringDate: { $lte: new Date() }
+    isRecurringPaused: { $ne: true },
+    nextRecurringDate: { $lte: new Date() },
+    status: { $ne: 'rejected' },
+    isDeleted: { $ne: true }
   }).populate('submittedBy category budget');
 };
 
+// Add months without overflowing short months (Jan 31 -> Feb 28, not Mar 3)
+const addMonthsClamped = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Next occurrence after `fromDate`. Month-based periods count whole periods
+// from `anchorDate` (the series' own date) rather than from the previous,
+// possibly clamped occurrence, so a series on the 31st returns to the 31st
+// after February.
+expenseSchema.statics.calculateNextRecurringDate = function(fromDate, period, anchorDate = fromDate) {
+  const next = new Date(fromDate);
+
+  const addMonths = (months) => {
+    const anchor = new Date(anchorDate);
+    const monthsSinceAnchor = (next.getFullYear() - anchor.getFullYear()) * 12 + next.getMonth() - anchor.getMonth();
+    let periods = Math.max(Math.floor(monthsSinceAnchor / months), 0) + 1;
+    let candidate = addMonthsClamped(anchor, periods * months);
+    while (candidate <= next) {
+      periods++;
+      candidate = addMonthsClamped(anchor, periods * months);
+    }
+    next.setTime(candidate.getTime());
+  };
+
+  switch (period) {
+    case 'daily':
+      next.setDate(next.getDate() + 1);
+      break;
+    case 'weekly':
+      next.setDate(next.getDate() + 7);
+      break;
+    case 'monthly':
+      addMonths(1);
+      break;
+    case 'quarterly':
+      addMonths(3);
+      break;
+    case 'yearly':
+      addMonths(12);
+      break;
+  }
+  return next;
+};
+
 // Ensure virtual fields are included in JSON output
 expenseSchema.set('toJSON', { virtuals: true });
 expenseSchema.set('toObject', { virtuals: true });
 
+expenseSchema.plugin(softDelete);
+expenseSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Expense', expenseSchema);
\ No newline at end of file
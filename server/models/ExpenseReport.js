@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+const expenseReportSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Report title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  businessPurpose: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Business purpose cannot be more than 300 characters']
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  expenses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  // Totals per currency, recalculated whenever lines change
+  totals: [{
+    currency: {
+      type: String,
+      uppercase: true
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    approvedAmount: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'partially_approved', 'rejected'],
+    default: 'draft'
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Submitter is required']
+  },
+  department: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Department cannot be more than 50 characters']
+  },
+  submittedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewComments: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review comments cannot be more than 500 characters']
+  },
+  // Audit trail
+  auditLog: [{
+    action: {
+      type: String,
+      enum: ['created', 'updated', 'submitted', 'approved', 'partially_approved', 'rejected', 'deleted'],
+      required: true
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // User that performedBy was acting for, when acting as a substitute
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    changes: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    reason: {
+      type: String,
+      maxlength: [200, 'Reason cannot be more than 200 characters']
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Methods
+expenseReportSchema.methods.addAuditLog = function(action, performedBy, changes = null, reason = null, onBehalfOf = null) {
+  this.auditLog.push({
+    action,
+    performedBy,
+    onBehalfOf: onBehalfOf || undefined,
+    timestamp: new Date(),
+    changes,
+    reason
+  });
+};
+
+// Recalculate per-currency totals and the covered date range from the report's expenses
+expenseReportSchema.methods.calculateTotals = function(expenses) {
+  const totalsByCurrency = {};
+
+  expenses.forEach(expense => {
+    const currency = expense.currency || 'USD';
+    if (!totalsByCurrency[currency]) {
+      totalsByCurrency[currency] = { currency, amount: 0, approvedAmount: 0, count: 0 };
+    }
+    totalsByCurrency[currency].amount += expense.amount;
+    totalsByCurrency[currency].count++;
+    if (['approved', 'reimbursed'].includes(expense.status)) {
+      totalsByCurrency[currency].approvedAmount += expense.amount;
+    }
+  });
+
+  this.totals = Object.values(totalsByCurrency).map(total => ({
+    ...total,
+    amount: Math.round(total.amount * 100) / 100,
+    approvedAmount: Math.round(total.approvedAmount * 100) / 100
+  }));
+
+  const dates = expenses.map(expense => new Date(expense.date).getTime());
+  this.startDate = dates.length > 0 ? new Date(Math.min(...dates)) : undefined;
+  this.endDate = dates.length > 0 ? new Date(Math.max(...dates)) : undefined;
+
+  return this.totals;
+};
+
+expenseReportSchema.index({ submittedBy: 1, createdAt: -1 });
+expenseReportSchema.index({ department: 1, status: 1 });
+
+expenseReportSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('ExpenseReport', expenseReportSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+// Expense fields a spreadsheet column can be mapped onto
+const IMPORT_FIELDS = [
+  'title',
+  'amount',
+  'currency',
+  'date',
+  'category',
+  'budget',
+  'vendor',
+  'paymentMethod',
+  'description',
+  'notes',
+  'tags',
+  'department',
+  'businessPurpose'
+];
+
+const mappingDefinition = IMPORT_FIELDS.reduce((definition, field) => {
+  definition[field] = {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Column name cannot be more than 100 characters']
+  };
+  return definition;
+}, {});
+
+const importTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot be more than 100 characters']
+  },
+  // Expense field -> spreadsheet column header
+  mapping: mappingDefinition,
+  // Shared templates are visible to everyone in the creator's department
+  isShared: {
+    type: Boolean,
+    default: false
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+importTemplateSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+importTemplateSchema.index({ department: 1, isShared: 1 });
+
+importTemplateSchema.statics.IMPORT_FIELDS = IMPORT_FIELDS;
+
+importTemplateSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('ImportTemplate', importTemplateSchema);
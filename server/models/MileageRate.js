@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+const mileageRateSchema = new mongoose.Schema({
+  vehicleType: {
+    type: String,
+    required: [true, 'Vehicle type is required'],
+    enum: ['car', 'electric_car', 'motorcycle', 'bicycle', 'van'],
+    default: 'car'
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a 2-letter ISO code']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  unit: {
+    type: String,
+    enum: ['km', 'mi'],
+    default: 'km'
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    enum: ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'INR', 'BRL'],
+    uppercase: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required']
+  },
+  effectiveTo: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || value >= this.effectiveFrom;
+      },
+      message: 'Effective to date must be after effective from date'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+mileageRateSchema.index({ vehicleType: 1, country: 1, effectiveFrom: -1 });
+
+// Find the rate in force for a vehicle and country on a given date.
+// When periods overlap, the most recently started one wins.
+mileageRateSchema.statics.findRateInForce = function(vehicleType, country, date) {
+  const onDate = new Date(date);
+  return this.findOne({
+    vehicleType,
+    country: country.toUpperCase(),
+    isActive: true,
+    effectiveFrom: { $lte: onDate },
+    $or: [
+      { effectiveTo: null },
+      { effectiveTo: { $gte: onDate } }
+    ]
+  }).sort({ effectiveFrom: -1 });
+};
+
+// Reimbursable amount for a distance, rounded to cents
+mileageRateSchema.statics.calculateAmount = function(distance, rate) {
+  return Math.round(distance * rate * 100) / 100;
+};
+
+mileageRateSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('MileageRate', mileageRateSchema);
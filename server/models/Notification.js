@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown to a single user
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['mention', 'comment'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot be more than 500 characters']
+  },
+  // Client path to open, e.g. /expenses/:id
+  link: {
+    type: String,
+    trim: true
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+const perDiemRateSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a 2-letter ISO code']
+  },
+  // Leave empty for the country-wide default rate
+  city: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'City cannot be more than 100 characters']
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    enum: ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'INR', 'BRL'],
+    uppercase: true
+  },
+  lodging: {
+    type: Number,
+    default: 0,
+    min: [0, 'Lodging rate cannot be negative']
+  },
+  // Meal allowances double as the deduction when a meal is provided
+  meals: {
+    breakfast: {
+      type: Number,
+      default: 0,
+      min: [0, 'Breakfast rate cannot be negative']
+    },
+    lunch: {
+      type: Number,
+      default: 0,
+      min: [0, 'Lunch rate cannot be negative']
+    },
+    dinner: {
+      type: Number,
+      default: 0,
+      min: [0, 'Dinner rate cannot be negative']
+    }
+  },
+  incidentals: {
+    type: Number,
+    default: 0,
+    min: [0, 'Incidentals rate cannot be negative']
+  },
+  // Share of meals and incidentals paid on the first and last day of a trip
+  travelDayPercentage: {
+    type: Number,
+    default: 75,
+    min: [0, 'Travel day percentage cannot be negative'],
+    max: [100, 'Travel day percentage cannot exceed 100']
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required']
+  },
+  effectiveTo: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || value >= this.effectiveFrom;
+      },
+      message: 'Effective to date must be after effective from date'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+perDiemRateSchema.index({ country: 1, city: 1, effectiveFrom: -1 });
+
+// Find the rate in force for a destination on a given date. A city-specific
+// rate takes precedence over the country-wide default.
+perDiemRateSchema.statics.findRateInForce = async function(country, city, date) {
+  const onDate = new Date(date);
+  const baseQuery = {
+    country: country.toUpperCase(),
+    isActive: true,
+    effectiveFrom: { $lte: onDate },
+    $or: [
+      { effectiveTo: null },
+      { effectiveTo: { $gte: onDate } }
+    ]
+  };
+
+  if (city) {
+    const cityRate = await this.findOne({
+      ...baseQuery,
+      city: new RegExp(`^${city.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')
+    }).sort({ effectiveFrom: -1 });
+    if (cityRate) return cityRate;
+  }
+
+  return this.findOne({
+    ...baseQuery,
+    city: { $in: [null, ''] }
+  }).sort({ effectiveFrom: -1 });
+};
+
+perDiemRateSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('PerDiemRate', perDiemRateSchema);
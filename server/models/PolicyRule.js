@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+const policyRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Rule type is required'],
+    enum: [
+      'max_amount',
+      'max_amount_per_day',
+      'no_weekend',
+      'attendees_required',
+      'business_purpose_required'
+    ]
+  },
+  // warn lets the expense through with a visible warning; block keeps it pending
+  // and stops it from being approved until it is corrected
+  action: {
+    type: String,
+    enum: ['warn', 'block'],
+    default: 'warn'
+  },
+  // Scope: empty lists apply the rule to every category/department
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  params: {
+    // Limit or threshold in base currency (USD)
+    amount: {
+      type: Number,
+      min: [0, 'Amount cannot be negative']
+    },
+    minAttendees: {
+      type: Number,
+      min: [1, 'Minimum attendees must be at least 1'],
+      default: 1
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Amount-based rules need their limit
+policyRuleSchema.pre('validate', function(next) {
+  if (['max_amount', 'max_amount_per_day'].includes(this.type) && (this.params?.amount === undefined || this.params?.amount === null)) {
+    this.invalidate('params.amount', 'Amount is required for this rule type');
+  }
+  next();
+});
+
+policyRuleSchema.index({ isActive: 1, type: 1 });
+
+policyRuleSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('PolicyRule', policyRuleSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+const reimbursementBatchSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [35, 'Reference cannot be more than 35 characters']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Batch name cannot be more than 100 characters']
+  },
+  payoutCurrency: {
+    type: String,
+    default: 'USD',
+    enum: ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'INR', 'BRL'],
+    uppercase: true
+  },
+  paymentFormat: {
+    type: String,
+    enum: ['sepa', 'nacha'],
+    required: [true, 'Payment format is required']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'exported', 'paid', 'cancelled'],
+    default: 'draft'
+  },
+  expenses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  // One payment per employee, totalled in the payout currency
+  payments: [{
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    expenses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Expense'
+    }],
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Payment amount cannot be negative']
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  executionDate: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Batch creator is required']
+  },
+  exportedAt: Date,
+  exportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-save middleware
+reimbursementBatchSchema.pre('save', function(next) {
+  // Generate a payment reference usable as SEPA MsgId / NACHA reference code
+  if (!this.reference) {
+    this.reference = `RB${Date.now().toString(36).toUpperCase()}`;
+  }
+
+  // Keep the batch total in sync with its payments
+  if (this.isModified('payments')) {
+    this.totalAmount = Math.round(
+      this.payments.reduce((total, payment) => total + payment.amount, 0) * 100
+    ) / 100;
+  }
+
+  next();
+});
+
+reimbursementBatchSchema.index({ status: 1, createdAt: -1 });
+reimbursementBatchSchema.index({ expenses: 1 });
+
+reimbursementBatchSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('ReimbursementBatch', reimbursementBatchSchema);
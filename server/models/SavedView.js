@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { SORT_FIELDS } = require('../utils/paginationService');
+const auditTrail = require('../utils/auditPlugin');
+
+// Query parameters a view may store for each list, and the fields it can sort by
+const VIEW_OPTIONS = {
+  expenses: {
+    filters: [
+      'status',
+      'category',
+      'budget',
+      'department',
+      'policyViolation',
+      'duplicateStatus',
+      'missingReceipt',
+      'startDate',
+      'endDate',
+      'minAmount',
+      'maxAmount',
+      'q'
+    ],
+    sortFields: Object.keys(SORT_FIELDS.expenses)
+  },
+  budgets: {
+    filters: ['status', 'department', 'category'],
+    sortFields: Object.keys(SORT_FIELDS.budgets)
+  }
+};
+
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot be more than 100 characters']
+  },
+  // Which list the view applies to
+  resource: {
+    type: String,
+    enum: Object.keys(VIEW_OPTIONS),
+    required: [true, 'Resource is required']
+  },
+  // Query parameters as sent to the list endpoint, e.g. { status: 'pending' }
+  filters: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  sort: {
+    field: {
+      type: String
+    },
+    order: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc'
+    }
+  },
+  // Visible columns, in display order
+  columns: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Column name cannot be more than 50 characters']
+  }],
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shared views are visible to everyone in `department`
+  isShared: {
+    type: Boolean,
+    default: false
+  },
+  department: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Department cannot be more than 50 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Only list parameters and sort fields the resource supports can be stored
+savedViewSchema.pre('validate', function(next) {
+  const options = VIEW_OPTIONS[this.resource];
+  if (!options) return next();
+
+  for (const key of this.filters.keys()) {
+    if (!options.filters.includes(key)) {
+      this.invalidate(`filters.${key}`, `Filter "${key}" is not supported for ${this.resource}`);
+    }
+  }
+  if (this.sort?.field && !options.sortFields.includes(this.sort.field)) {
+    this.invalidate('sort.field', `Sort field must be one of: ${options.sortFields.join(', ')}`);
+  }
+  if (this.isShared && !this.department) {
+    this.invalidate('department', 'A department is required to share a view');
+  }
+  next();
+});
+
+savedViewSchema.index({ owner: 1, resource: 1, name: 1 }, { unique: true });
+savedViewSchema.index({ department: 1, isShared: 1, resource: 1 });
+
+savedViewSchema.statics.VIEW_OPTIONS = VIEW_OPTIONS;
+
+savedViewSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
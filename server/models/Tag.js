@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+// Comparison key for a tag: trimmed, lowercase, single spaces
+const normalizeTagKey = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Admin-managed tag that expenses may carry. Expenses store the tag name.
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    maxlength: [30, 'Tag name cannot be more than 30 characters']
+  },
+  key: {
+    type: String,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  color: {
+    type: String,
+    default: '#6c757d',
+    match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please enter a valid hex color']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+tagSchema.pre('validate', function(next) {
+  this.key = normalizeTagKey(this.name);
+  next();
+});
+
+tagSchema.statics.normalizeKey = normalizeTagKey;
+
+tagSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Tag', tagSchema);
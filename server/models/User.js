@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const auditTrail = require('../utils/auditPlugin');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -37,6 +38,41 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Payout account for expense reimbursements
+  bankDetails: {
+    accountHolder: {
+      type: String,
+      trim: true,
+      maxlength: [70, 'Account holder cannot be more than 70 characters']
+    },
+    iban: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/, 'Please enter a valid IBAN']
+    },
+    bic: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/, 'Please enter a valid BIC']
+    },
+    routingNumber: {
+      type: String,
+      trim: true,
+      match: [/^\d{9}$/, 'Routing number must be 9 digits']
+    },
+    accountNumber: {
+      type: String,
+      trim: true,
+      match: [/^\d{4,17}$/, 'Account number must be 4 to 17 digits']
+    },
+    accountType: {
+      type: String,
+      enum: ['checking', 'savings'],
+      default: 'checking'
+    }
+  },
   lastLogin: {
     type: Date
   }
@@ -58,4 +94,7 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Record changes in the audit trail without storing credentials or bank details
+userSchema.plugin(auditTrail, { redact: ['password', 'bankDetails'] });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditPlugin');
+
+const TAX_ID_TYPES = ['VAT', 'EIN', 'GST', 'ABN', 'TIN', 'other'];
+
+// Legal-form words dropped when comparing names ("Acme Inc" is "Acme")
+const CORPORATE_SUFFIXES = ['inc', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'bv', 'pty'];
+
+// Web addresses count as the name they're built on ("amazon.com" is "amazon")
+const WEB_ADDRESS_SUFFIX = /\.(com|net|org|co|io|biz|[a-z]{2})(\.[a-z]{2})?(?=\W|$)/g;
+
+// Comparison key for a vendor name: lowercase, no accents, punctuation,
+// web address parts or trailing legal-form words
+const normalizeVendorName = (name) => {
+  if (!name) return '';
+
+  const words = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(WEB_ADDRESS_SUFFIX, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  // "Smith & Co" loses the joining word along with the suffix
+  while (words.length > 1 && [...CORPORATE_SUFFIXES, 'and'].includes(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join(' ');
+};
+
+const vendorSchema = new mongoose.Schema({
+  // Canonical name shown in reports
+  name: {
+    type: String,
+    required: [true, 'Vendor name is required'],
+    trim: true,
+    maxlength: [100, 'Vendor name cannot be more than 100 characters']
+  },
+  // Other spellings seen on receipts and card statements, e.g. "AMZN Mktp"
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot be more than 100 characters']
+  }],
+  // Normalized name and aliases, kept in sync on validate and used for matching
+  normalizedNames: [{
+    type: String
+  }],
+  // Used when an expense for this vendor is submitted without a category
+  defaultCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  taxIds: [{
+    type: {
+      type: String,
+      enum: TAX_ID_TYPES,
+      required: [true, 'Tax ID type is required']
+    },
+    value: {
+      type: String,
+      required: [true, 'Tax ID is required'],
+      trim: true,
+      maxlength: [50, 'Tax ID cannot be more than 50 characters']
+    },
+    _id: false
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A spelling can only point at one vendor
+vendorSchema.index({ normalizedNames: 1 }, { unique: true });
+vendorSchema.index({ 'taxIds.value': 1 });
+
+vendorSchema.pre('validate', function(next) {
+  const names = [this.name, ...this.aliases].map(normalizeVendorName).filter(Boolean);
+  this.normalizedNames = [...new Set(names)];
+
+  if (this.normalizedNames.length === 0) {
+    this.invalidate('name', 'Vendor name must contain letters or digits');
+  }
+  next();
+});
+
+vendorSchema.statics.normalizeName = normalizeVendorName;
+vendorSchema.statics.TAX_ID_TYPES = TAX_ID_TYPES;
+
+vendorSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Vendor', vendorSchema);
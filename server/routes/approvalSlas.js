@@ -0,0 +1,59 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getApprovalSlas,
+  createApprovalSla,
+  updateApprovalSla,
+  deleteApprovalSla,
+  getApprovalAging,
+  runApprovalSlas
+} = require('../controllers/approvalSlaController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields shared by create and update
+const slaOptionsValidation = [
+  body('escalationDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Escalation days must be between 1 and 30'),
+  body('departmentHead')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Department head must be a valid user ID')
+];
+
+// Validation rules
+const approvalSlaValidation = [
+  body('department')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Department must be between 1 and 50 characters'),
+  body('businessDays')
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Business days must be between 1 and 60'),
+  ...slaOptionsValidation
+];
+
+const updateApprovalSlaValidation = [
+  body('businessDays')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Business days must be between 1 and 60'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+  ...slaOptionsValidation
+];
+
+// Routes
+router.get('/', protect, authorize('manager', 'admin'), getApprovalSlas);
+router.get('/aging', protect, authorize('manager', 'admin'), getApprovalAging);
+router.post('/run', protect, authorize('admin'), runApprovalSlas);
+router.post('/', protect, authorize('admin'), approvalSlaValidation, createApprovalSla);
+router.put('/:id', protect, authorize('admin'), updateApprovalSlaValidation, updateApprovalSla);
+router.delete('/:id', protect, authorize('admin'), deleteApprovalSla);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const {
+  getAuditEvents,
+  verifyAuditEvents
+} = require('../controllers/auditController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Routes
+router.get('/', protect, authorize('admin'), getAuditEvents);
+router.get('/verify', protect, authorize('admin'), verifyAuditEvents);
+
+module.exports = router;
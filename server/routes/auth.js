@@ -46,7 +46,15 @@ const profileValidation = [
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Department cannot be more than 50 characters')
+    .withMessage('Department cannot be more than 50 characters'),
+  body('bankDetails')
+    .optional()
+    .isObject()
+    .withMessage('Bank details must be an object'),
+  body('bankDetails.accountType')
+    .optional()
+    .isIn(['checking', 'savings'])
+    .withMessage('Account type must be checking or savings')
 ];
 
 const passwordValidation = [
@@ -2,6 +2,7 @@ const express = require('express');
 const { body } = require('express-validator');
 const {
   getBudgets,
+  exportBudgets,
   getBudget,
   createBudget,
   updateBudget,
@@ -113,6 +114,7 @@ const updateBudgetValidation = [
 
 // Routes
 router.get('/analytics', protect, getBudgetAnalytics);
+router.get('/export', protect, exportBudgets);
 router.get('/', protect, getBudgets);
 router.get('/:id', protect, getBudget);
 router.post('/', protect, budgetValidation, createBudget);
@@ -0,0 +1,50 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+const RESOURCE_TYPES = ['expense', 'budget'];
+
+const commentBodyValidation = body('body')
+  .trim()
+  .isLength({ min: 1, max: 2000 })
+  .withMessage('Comment must be between 1 and 2000 characters');
+
+// Validation rules
+const listCommentsValidation = [
+  query('resourceType')
+    .isIn(RESOURCE_TYPES)
+    .withMessage('Resource type must be expense or budget'),
+  query('resource')
+    .isMongoId()
+    .withMessage('Resource must be a valid ID')
+];
+
+const commentValidation = [
+  body('resourceType')
+    .isIn(RESOURCE_TYPES)
+    .withMessage('Resource type must be expense or budget'),
+  body('resource')
+    .isMongoId()
+    .withMessage('Resource must be a valid ID'),
+  body('parent')
+    .optional()
+    .isMongoId()
+    .withMessage('Parent must be a valid comment ID'),
+  commentBodyValidation
+];
+
+// Routes
+router.get('/', protect, listCommentsValidation, getComments);
+router.post('/', protect, commentValidation, createComment);
+router.put('/:id', protect, [commentBodyValidation], updateComment);
+router.delete('/:id', protect, deleteComment);
+
+module.exports = router;
@@ -1,12 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
+const ExchangeRate = require('../models/ExchangeRate');
 const {
+  BASE_CURRENCY,
   getSupportedCurrencies,
   getExchangeRates,
   convertCurrency,
   formatCurrency,
-  getExchangeRate
+  getExchangeRate,
+  isValidCurrency,
+  recordManualRates,
+  getHistoricalRate
 } = require('../utils/currencyService');
 
 // @desc    Get all supported currencies
@@ -269,26 +274,152 @@ router.post('/convert/bulk', protect, async (req, res) => {
   }
 });
 
-// @desc    Get currency conversion history (for analytics)
+// @desc    Get exchange rate history
 // @route   GET /api/currency/history
 // @access  Private (Admin only)
 router.get('/history', protect, authorize('admin'), async (req, res) => {
   try {
-    // This would typically fetch from a conversion history collection
-    // For now, we'll return sample data structure
+    const { currency, startDate, endDate } = req.query;
+
+    if (currency && !isValidCurrency(currency.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency: ${currency}`
+      });
+    }
+
+    let query = { baseCurrency: BASE_CURRENCY };
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+    if (currency) {
+      query[`rates.${currency.toUpperCase()}`] = { $gt: 0 };
+    }
+
+    const entries = await ExchangeRate.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ date: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 90, 366));
+
     res.json({
       success: true,
-      message: 'Currency conversion history retrieved successfully',
+      message: 'Exchange rate history retrieved successfully',
+      count: entries.length,
+      data: currency
+        ? entries.map(entry => ({
+          date: entry.date,
+          source: entry.source,
+          currency: currency.toUpperCase(),
+          rate: entry.rates.get(currency.toUpperCase())
+        }))
+        : entries
+    });
+  } catch (error) {
+    console.error('Error getting exchange rate history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get exchange rate history',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Record exchange rates for a day by hand
+// @route   POST /api/currency/history
+// @access  Private (Admin only)
+router.post('/history', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { date, rates } = req.body;
+
+    if (!date || isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date is required'
+      });
+    }
+
+    if (new Date(date) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot record exchange rates for a future date'
+      });
+    }
+
+    if (!rates || typeof rates !== 'object' || Object.keys(rates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Rates are required, as units of each currency per ${BASE_CURRENCY}`
+      });
+    }
+
+    const invalid = Object.entries(rates)
+      .filter(([code, rate]) => !isValidCurrency(code) || isNaN(rate) || Number(rate) <= 0)
+      .map(([code]) => code);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid rate(s) for: ${invalid.join(', ')}`
+      });
+    }
+
+    const entry = await recordManualRates(date, rates, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rates recorded successfully',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error recording exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record exchange rates',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the rate an expense in a currency would be converted at on a date
+// @route   GET /api/currency/history/:currency/:date
+// @access  Private
+router.get('/history/:currency/:date', protect, async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+
+    if (!isValidCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency: ${req.params.currency}`
+      });
+    }
+
+    if (isNaN(new Date(req.params.date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date is required'
+      });
+    }
+
+    const { rate, source, date } = await getHistoricalRate(currency, req.params.date);
+
+    res.json({
+      success: true,
+      message: 'Exchange rate retrieved successfully',
       data: {
-        message: 'Currency conversion history feature is planned for future implementation',
-        suggestion: 'Consider implementing a ConversionHistory model to track currency conversions'
+        fromCurrency: currency,
+        toCurrency: BASE_CURRENCY,
+        exchangeRate: rate,
+        source,
+        rateDate: date
       }
     });
   } catch (error) {
-    console.error('Error getting currency history:', error);
+    console.error('Error getting historical exchange rate:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get currency history',
+      message: 'Failed to get exchange rate',
       error: error.message
     });
   }
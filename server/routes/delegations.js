@@ -0,0 +1,45 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getDelegations,
+  createDelegation,
+  deleteDelegation
+} = require('../controllers/delegationController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const delegationValidation = [
+  body('delegate')
+    .isMongoId()
+    .withMessage('Delegate must be a valid user ID'),
+  body('principal')
+    .optional()
+    .isMongoId()
+    .withMessage('Principal must be a valid user ID'),
+  body('type')
+    .optional()
+    .isIn(['submission', 'approval'])
+    .withMessage('Invalid delegation type'),
+  body('startDate')
+    .if(body('type').equals('approval'))
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .if(body('type').equals('approval'))
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Notes cannot be more than 200 characters')
+];
+
+// Routes
+router.get('/', protect, getDelegations);
+router.post('/', protect, delegationValidation, createDelegation);
+router.delete('/:id', protect, deleteDelegation);
+
+module.exports = router;
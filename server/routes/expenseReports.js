@@ -0,0 +1,103 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getExpenseReports,
+  getExpenseReport,
+  createExpenseReport,
+  updateExpenseReport,
+  addExpensesToReport,
+  removeExpenseFromReport,
+  submitExpenseReport,
+  reviewExpenseReport,
+  deleteExpenseReport,
+  generateExpenseReportPdf
+} = require('../controllers/expenseReportController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const reportValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('businessPurpose')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Business purpose cannot be more than 300 characters'),
+  body('expenseIds')
+    .optional()
+    .isArray()
+    .withMessage('Expense IDs must be an array'),
+  body('expenseIds.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Each expense ID must be a valid ID')
+];
+
+const updateReportValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('businessPurpose')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Business purpose cannot be more than 300 characters')
+];
+
+const addExpensesValidation = [
+  body('expenseIds')
+    .isArray({ min: 1 })
+    .withMessage('Expense IDs must be a non-empty array'),
+  body('expenseIds.*')
+    .isMongoId()
+    .withMessage('Each expense ID must be a valid ID')
+];
+
+const reviewValidation = [
+  body('rejections')
+    .optional()
+    .isArray()
+    .withMessage('Rejections must be an array'),
+  body('rejections.*.expenseId')
+    .isMongoId()
+    .withMessage('Each rejection must reference a valid expense ID'),
+  body('rejections.*.reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Each rejection needs a reason of at most 500 characters'),
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comments cannot be more than 500 characters')
+];
+
+// Routes
+router.get('/', protect, getExpenseReports);
+router.get('/:id', protect, getExpenseReport);
+router.post('/', protect, reportValidation, createExpenseReport);
+router.put('/:id', protect, updateReportValidation, updateExpenseReport);
+router.delete('/:id', protect, deleteExpenseReport);
+router.post('/:id/expenses', protect, addExpensesValidation, addExpensesToReport);
+router.delete('/:id/expenses/:expenseId', protect, removeExpenseFromReport);
+router.put('/:id/submit', protect, submitExpenseReport);
+router.put('/:id/review', protect, authorize('manager', 'admin'), reviewValidation, reviewExpenseReport);
+router.post('/:id/pdf', protect, generateExpenseReportPdf);
+
+module.exports = router;
@@ -2,31 +2,52 @@ const express = require('express');
 const { body } = require('express-validator');
 const {
   getExpenses,
+  exportExpenses,
   getExpense,
   createExpense,
   updateExpense,
   deleteExpense,
   reviewExpense,
+  getExpenseApprovals,
+  reviewDuplicateFlag,
   getExpenseAnalytics
 } = require('../controllers/expenseController');
+const {
+  previewRecurringExpense,
+  pauseRecurringExpense,
+  resumeRecurringExpense,
+  skipRecurringOccurrence,
+  runRecurringExpenses
+} = require('../controllers/recurringExpenseController');
+const { createPerDiemExpenses } = require('../controllers/perDiemController');
+const { importExpenses } = require('../controllers/expenseImportController');
+const { uploadSpreadsheet } = require('../utils/fileUpload');
+const { bindAuditContext } = require('../utils/auditService');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Validation rules
 const expenseValidation = [
+  body('onBehalfOf')
+    .optional()
+    .isMongoId()
+    .withMessage('onBehalfOf must be a valid user ID'),
   body('title')
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage('Expense title must be between 2 and 100 characters'),
   body('amount')
+    .if((value, { req }) => !req.body.metadata?.mileage?.distance || value !== undefined)
     .isFloat({ min: 0 })
     .withMessage('Expense amount must be a positive number'),
   body('date')
     .optional()
     .isISO8601()
     .withMessage('Date must be a valid date'),
+  // May be left out when the vendor has a default category
   body('category')
+    .optional()
     .isMongoId()
     .withMessage('Category must be a valid ID'),
   body('budget')
@@ -57,6 +78,73 @@ const expenseValidation = [
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Notes cannot be more than 1000 characters'),
+  body('isRecurring')
+    .optional()
+    .isBoolean()
+    .withMessage('isRecurring must be a boolean value'),
+  body('recurringPeriod')
+    .if(body('isRecurring').equals('true'))
+    .isIn(['daily', 'weekly', 'monthly', 'quarterly', 'yearly'])
+    .withMessage('Recurring period must be daily, weekly, monthly, quarterly, or yearly'),
+  body('recurringEndDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Recurring end date must be a valid date'),
+  body('recurringOccurrenceLimit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Occurrence limit must be a positive integer'),
+  body('allocations')
+    .optional()
+    .isArray()
+    .withMessage('Allocations must be an array'),
+  body('allocations.*.category')
+    .optional()
+    .isMongoId()
+    .withMessage('Allocation category must be a valid ID'),
+  body('allocations.*.budget')
+    .optional()
+    .isMongoId()
+    .withMessage('Allocation budget must be a valid ID'),
+  body('allocations.*.department')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Allocation department cannot be more than 50 characters'),
+  body('allocations.*.percentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Allocation percentage must be between 0 and 100'),
+  body('allocations.*.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Allocation amount must be a positive number'),
+  body('metadata.businessPurpose')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Business purpose cannot be more than 300 characters'),
+  body('metadata.attendees')
+    .optional()
+    .isArray()
+    .withMessage('Attendees must be an array'),
+  body('metadata.attendees.*.name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each attendee name must be between 1 and 100 characters'),
+  body('metadata.mileage.distance')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Mileage distance must be a positive number'),
+  body('metadata.mileage.vehicleType')
+    .optional()
+    .isIn(['car', 'electric_car', 'motorcycle', 'bicycle', 'van'])
+    .withMessage('Invalid vehicle type'),
+  body('metadata.mileage.country')
+    .optional()
+    .matches(/^[A-Za-z]{2}$/)
+    .withMessage('Mileage country must be a 2-letter ISO code'),
   body('tags')
     .optional()
     .isArray()
@@ -99,10 +187,6 @@ const updateExpenseValidation = [
     .trim()
     .isLength({ max: 100 })
     .withMessage('Vendor name cannot be more than 100 characters'),
-  body('status')
-    .optional()
-    .isIn(['pending', 'approved', 'rejected', 'reimbursed'])
-    .withMessage('Invalid status'),
   body('description')
     .optional()
     .trim()
@@ -118,6 +202,73 @@ const updateExpenseValidation = [
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Notes cannot be more than 1000 characters'),
+  body('isRecurring')
+    .optional()
+    .isBoolean()
+    .withMessage('isRecurring must be a boolean value'),
+  body('recurringPeriod')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly', 'quarterly', 'yearly'])
+    .withMessage('Recurring period must be daily, weekly, monthly, quarterly, or yearly'),
+  body('recurringEndDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Recurring end date must be a valid date'),
+  body('recurringOccurrenceLimit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Occurrence limit must be a positive integer'),
+  body('allocations')
+    .optional()
+    .isArray()
+    .withMessage('Allocations must be an array'),
+  body('allocations.*.category')
+    .optional()
+    .isMongoId()
+    .withMessage('Allocation category must be a valid ID'),
+  body('allocations.*.budget')
+    .optional()
+    .isMongoId()
+    .withMessage('Allocation budget must be a valid ID'),
+  body('allocations.*.department')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Allocation department cannot be more than 50 characters'),
+  body('allocations.*.percentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Allocation percentage must be between 0 and 100'),
+  body('allocations.*.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Allocation amount must be a positive number'),
+  body('metadata.businessPurpose')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Business purpose cannot be more than 300 characters'),
+  body('metadata.attendees')
+    .optional()
+    .isArray()
+    .withMessage('Attendees must be an array'),
+  body('metadata.attendees.*.name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each attendee name must be between 1 and 100 characters'),
+  body('metadata.mileage.distance')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Mileage distance must be a positive number'),
+  body('metadata.mileage.vehicleType')
+    .optional()
+    .isIn(['car', 'electric_car', 'motorcycle', 'bicycle', 'van'])
+    .withMessage('Invalid vehicle type'),
+  body('metadata.mileage.country')
+    .optional()
+    .matches(/^[A-Za-z]{2}$/)
+    .withMessage('Mileage country must be a 2-letter ISO code'),
   body('tags')
     .optional()
     .isArray()
@@ -139,16 +290,119 @@ const reviewValidation = [
     .withMessage('Rejection reason is required when rejecting an expense')
     .trim()
     .isLength({ max: 200 })
-    .withMessage('Rejection reason cannot be more than 200 characters')
+    .withMessage('Rejection reason cannot be more than 200 characters'),
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comments cannot be more than 500 characters')
+];
+
+const duplicateReviewValidation = [
+  body('action')
+    .isIn(['dismiss', 'confirm'])
+    .withMessage('Action must be dismiss or confirm'),
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comments cannot be more than 500 characters')
+];
+
+const perDiemValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 70 })
+    .withMessage('Per diem title must be between 2 and 70 characters'),
+  body('destination.country')
+    .trim()
+    .matches(/^[A-Za-z]{2}$/)
+    .withMessage('Destination country must be a 2-letter ISO code'),
+  body('destination.city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Destination city cannot be more than 100 characters'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  body('category')
+    .isMongoId()
+    .withMessage('Category must be a valid ID'),
+  body('budget')
+    .optional()
+    .isMongoId()
+    .withMessage('Budget must be a valid ID'),
+  body('includeLodging')
+    .optional()
+    .isBoolean()
+    .withMessage('includeLodging must be a boolean value')
+    .toBoolean(),
+  body('providedMeals')
+    .optional()
+    .isArray()
+    .withMessage('Provided meals must be an array'),
+  body('providedMeals.*.date')
+    .isISO8601()
+    .withMessage('Each provided meal entry needs a valid date'),
+  body('providedMeals.*.meals')
+    .isArray()
+    .withMessage('Each provided meal entry needs a list of meals'),
+  body('providedMeals.*.meals.*')
+    .isIn(['breakfast', 'lunch', 'dinner'])
+    .withMessage('Provided meals must be breakfast, lunch or dinner'),
+  body('preview')
+    .optional()
+    .isBoolean()
+    .withMessage('preview must be a boolean value')
+    .toBoolean(),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('businessPurpose')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Business purpose cannot be more than 300 characters')
 ];
 
+// Parse the uploaded spreadsheet, reporting upload errors like the receipt routes
+const spreadsheetUpload = (req, res, next) => {
+  uploadSpreadsheet('file')(req, res, bindAuditContext((err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'File upload failed',
+        error: err.message
+      });
+    }
+    next();
+  }));
+};
+
 // Routes
 router.get('/analytics', protect, getExpenseAnalytics);
+router.post('/recurring/run', protect, authorize('admin'), runRecurringExpenses);
+router.get('/export', protect, exportExpenses);
 router.get('/', protect, getExpenses);
 router.get('/:id', protect, getExpense);
+router.get('/:id/approvals', protect, getExpenseApprovals);
 router.post('/', protect, expenseValidation, createExpense);
+router.post('/per-diem', protect, perDiemValidation, createPerDiemExpenses);
+router.post('/import', protect, spreadsheetUpload, importExpenses(expenseValidation));
 router.put('/:id', protect, updateExpenseValidation, updateExpense);
 router.put('/:id/review', protect, authorize('manager', 'admin'), reviewValidation, reviewExpense);
+router.put('/:id/duplicates', protect, authorize('manager', 'admin'), duplicateReviewValidation, reviewDuplicateFlag);
 router.delete('/:id', protect, deleteExpense);
+router.get('/:id/recurring/preview', protect, previewRecurringExpense);
+router.put('/:id/recurring/pause', protect, pauseRecurringExpense);
+router.put('/:id/recurring/resume', protect, resumeRecurringExpense);
+router.put('/:id/recurring/skip', protect, skipRecurringOccurrence);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,59 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getImportTemplates,
+  createImportTemplate,
+  updateImportTemplate,
+  deleteImportTemplate
+} = require('../controllers/expenseImportController');
+const ImportTemplate = require('../models/ImportTemplate');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields shared by create and update
+const mappingValidation = [
+  ...ImportTemplate.IMPORT_FIELDS.map(field => body(`mapping.${field}`)
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage(`Column for ${field} cannot be more than 100 characters`)),
+  body('isShared')
+    .optional()
+    .isBoolean()
+    .withMessage('isShared must be a boolean value')
+];
+
+// Validation rules
+const importTemplateValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Template name must be between 2 and 100 characters'),
+  body('mapping')
+    .isObject()
+    .withMessage('Mapping must be an object of expense field to column name'),
+  ...mappingValidation
+];
+
+const updateImportTemplateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Template name must be between 2 and 100 characters'),
+  body('mapping')
+    .optional()
+    .isObject()
+    .withMessage('Mapping must be an object of expense field to column name'),
+  ...mappingValidation
+];
+
+// Routes
+router.get('/', protect, getImportTemplates);
+router.post('/', protect, importTemplateValidation, createImportTemplate);
+router.put('/:id', protect, updateImportTemplateValidation, updateImportTemplate);
+router.delete('/:id', protect, deleteImportTemplate);
+
+module.exports = router;
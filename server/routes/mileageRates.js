@@ -0,0 +1,99 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getMileageRates,
+  getMileageRate,
+  createMileageRate,
+  updateMileageRate,
+  deleteMileageRate
+} = require('../controllers/mileageRateController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const VEHICLE_TYPES = ['car', 'electric_car', 'motorcycle', 'bicycle', 'van'];
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'INR', 'BRL'];
+
+// Validation rules
+const mileageRateValidation = [
+  body('vehicleType')
+    .isIn(VEHICLE_TYPES)
+    .withMessage('Invalid vehicle type'),
+  body('country')
+    .trim()
+    .matches(/^[A-Za-z]{2}$/)
+    .withMessage('Country must be a 2-letter ISO code'),
+  body('rate')
+    .isFloat({ min: 0 })
+    .withMessage('Rate must be a positive number'),
+  body('unit')
+    .optional()
+    .isIn(['km', 'mi'])
+    .withMessage('Unit must be km or mi'),
+  body('currency')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage('Invalid currency'),
+  body('effectiveFrom')
+    .isISO8601()
+    .withMessage('Effective from must be a valid date'),
+  body('effectiveTo')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Effective to must be a valid date'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot be more than 200 characters')
+];
+
+const updateMileageRateValidation = [
+  body('vehicleType')
+    .optional()
+    .isIn(VEHICLE_TYPES)
+    .withMessage('Invalid vehicle type'),
+  body('country')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z]{2}$/)
+    .withMessage('Country must be a 2-letter ISO code'),
+  body('rate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Rate must be a positive number'),
+  body('unit')
+    .optional()
+    .isIn(['km', 'mi'])
+    .withMessage('Unit must be km or mi'),
+  body('currency')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage('Invalid currency'),
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective from must be a valid date'),
+  body('effectiveTo')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Effective to must be a valid date'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot be more than 200 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+];
+
+// Routes
+router.get('/', protect, getMileageRates);
+router.get('/:id', protect, getMileageRate);
+router.post('/', protect, authorize('admin'), mileageRateValidation, createMileageRate);
+router.put('/:id', protect, authorize('admin'), updateMileageRateValidation, updateMileageRate);
+router.delete('/:id', protect, authorize('admin'), deleteMileageRate);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Routes
+router.get('/', protect, getNotifications);
+router.put('/read-all', protect, markAllNotificationsRead);
+router.put('/:id/read', protect, markNotificationRead);
+
+module.exports = router;
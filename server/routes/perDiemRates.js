@@ -0,0 +1,77 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getPerDiemRates,
+  getPerDiemRate,
+  createPerDiemRate,
+  updatePerDiemRate,
+  deletePerDiemRate
+} = require('../controllers/perDiemController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'INR', 'BRL'];
+
+// Amount fields shared by create and update
+const allowanceValidation = [
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('City cannot be more than 100 characters'),
+  body('currency')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage('Invalid currency'),
+  body(['lodging', 'incidentals', 'meals.breakfast', 'meals.lunch', 'meals.dinner'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Allowances must be positive numbers'),
+  body('travelDayPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Travel day percentage must be between 0 and 100'),
+  body('effectiveTo')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Effective to must be a valid date')
+];
+
+// Validation rules
+const perDiemRateValidation = [
+  body('country')
+    .trim()
+    .matches(/^[A-Za-z]{2}$/)
+    .withMessage('Country must be a 2-letter ISO code'),
+  body('effectiveFrom')
+    .isISO8601()
+    .withMessage('Effective from must be a valid date'),
+  ...allowanceValidation
+];
+
+const updatePerDiemRateValidation = [
+  body('country')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z]{2}$/)
+    .withMessage('Country must be a 2-letter ISO code'),
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective from must be a valid date'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+  ...allowanceValidation
+];
+
+// Routes
+router.get('/', protect, getPerDiemRates);
+router.get('/:id', protect, getPerDiemRate);
+router.post('/', protect, authorize('admin'), perDiemRateValidation, createPerDiemRate);
+router.put('/:id', protect, authorize('admin'), updatePerDiemRateValidation, updatePerDiemRate);
+router.delete('/:id', protect, authorize('admin'), deletePerDiemRate);
+
+module.exports = router;
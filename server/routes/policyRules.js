@@ -0,0 +1,88 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getPolicyRules,
+  getPolicyRule,
+  createPolicyRule,
+  updatePolicyRule,
+  deletePolicyRule
+} = require('../controllers/policyRuleController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const RULE_TYPES = ['max_amount', 'max_amount_per_day', 'no_weekend', 'attendees_required', 'business_purpose_required'];
+
+// Fields shared by create and update
+const ruleOptionsValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('action')
+    .optional()
+    .isIn(['warn', 'block'])
+    .withMessage('Action must be warn or block'),
+  body('categories')
+    .optional()
+    .isArray()
+    .withMessage('Categories must be an array'),
+  body('categories.*')
+    .isMongoId()
+    .withMessage('Each category must be a valid ID'),
+  body('departments')
+    .optional()
+    .isArray()
+    .withMessage('Departments must be an array'),
+  body('departments.*')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each department must be between 1 and 50 characters'),
+  body('params.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('params.minAttendees')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum attendees must be a positive integer')
+];
+
+// Validation rules
+const policyRuleValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Rule name must be between 2 and 100 characters'),
+  body('type')
+    .isIn(RULE_TYPES)
+    .withMessage('Invalid rule type'),
+  ...ruleOptionsValidation
+];
+
+const updatePolicyRuleValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Rule name must be between 2 and 100 characters'),
+  body('type')
+    .optional()
+    .isIn(RULE_TYPES)
+    .withMessage('Invalid rule type'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+  ...ruleOptionsValidation
+];
+
+// Routes
+router.get('/', protect, getPolicyRules);
+router.get('/:id', protect, getPolicyRule);
+router.post('/', protect, authorize('admin'), policyRuleValidation, createPolicyRule);
+router.put('/:id', protect, authorize('admin'), updatePolicyRuleValidation, updatePolicyRule);
+router.delete('/:id', protect, authorize('admin'), deletePolicyRule);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getReimbursementBatches,
+  getReimbursementBatch,
+  createReimbursementBatch,
+  exportReimbursementBatch,
+  markReimbursementBatchPaid,
+  cancelReimbursementBatch
+} = require('../controllers/reimbursementController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const batchValidation = [
+  body('paymentFormat')
+    .isIn(['sepa', 'nacha'])
+    .withMessage('Payment format must be sepa or nacha'),
+  body('payoutCurrency')
+    .optional()
+    .isIn(['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'INR', 'BRL'])
+    .withMessage('Invalid payout currency'),
+  body('expenseIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Expense IDs must be a non-empty array'),
+  body('expenseIds.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Each expense ID must be a valid ID'),
+  body('department')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Department cannot be more than 50 characters'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  body('executionDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Execution date must be a valid date'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Batch name cannot be more than 100 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot be more than 1000 characters')
+];
+
+// Routes
+router.get('/', protect, authorize('admin'), getReimbursementBatches);
+router.get('/:id', protect, authorize('admin'), getReimbursementBatch);
+router.get('/:id/export', protect, authorize('admin'), exportReimbursementBatch);
+router.post('/', protect, authorize('admin'), batchValidation, createReimbursementBatch);
+router.put('/:id/paid', protect, authorize('admin'), markReimbursementBatchPaid);
+router.put('/:id/cancel', protect, authorize('admin'), cancelReimbursementBatch);
+
+module.exports = router;
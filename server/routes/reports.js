@@ -47,6 +47,7 @@ router.post('/expenses', protect, async (req, res) => {
     // Fetch expenses with populated fields
     const expenses = await Expense.find(query)
       .populate('category', 'name')
+      .populate('allocations.category', 'name')
       .populate('submittedBy', 'name email')
       .sort({ date: -1 });
 
@@ -139,7 +140,7 @@ router.post('/budgets', protect, async (req, res) => {
     // Get related expenses for budget analysis
     const budgetIds = budgets.map(b => b._id);
     const expenses = await Expense.find({
-      budget: { $in: budgetIds },
+      ...Expense.chargedToBudget(budgetIds),
       status: { $in: ['approved', 'reimbursed'] }
     });
 
@@ -214,6 +215,7 @@ router.post('/financial', protect, authorize('manager', 'admin'), async (req, re
       
       Expense.find(expenseQuery)
         .populate('category', 'name')
+        .populate('allocations.category', 'name')
         .populate('submittedBy', 'name email')
         .sort({ date: -1 })
     ]);
@@ -0,0 +1,92 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getSavedViews,
+  getSavedView,
+  createSavedView,
+  updateSavedView,
+  shareSavedView,
+  deleteSavedView
+} = require('../controllers/savedViewController');
+const SavedView = require('../models/SavedView');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields shared by create and update
+const viewOptionsValidation = [
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object of list query parameters'),
+  body('sort.field')
+    .optional()
+    .isString()
+    .withMessage('Sort field must be a string'),
+  body('sort.order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  body('columns')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Columns must be an array'),
+  body('columns.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each column must be between 1 and 50 characters')
+];
+
+const shareValidation = [
+  body('isShared')
+    .isBoolean()
+    .withMessage('isShared must be a boolean value')
+    .toBoolean(),
+  body('department')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Department must be between 1 and 50 characters')
+];
+
+// Validation rules
+const savedViewValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('View name must be between 2 and 100 characters'),
+  body('resource')
+    .isIn(Object.keys(SavedView.VIEW_OPTIONS))
+    .withMessage('Resource must be expenses or budgets'),
+  ...viewOptionsValidation,
+  body('isShared')
+    .optional()
+    .isBoolean()
+    .withMessage('isShared must be a boolean value')
+    .toBoolean(),
+  body('department')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Department must be between 1 and 50 characters')
+];
+
+const updateSavedViewValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('View name must be between 2 and 100 characters'),
+  ...viewOptionsValidation
+];
+
+// Routes
+router.get('/', protect, getSavedViews);
+router.get('/:id', protect, getSavedView);
+router.post('/', protect, savedViewValidation, createSavedView);
+router.put('/:id', protect, updateSavedViewValidation, updateSavedView);
+router.put('/:id/share', protect, shareValidation, shareSavedView);
+router.delete('/:id', protect, deleteSavedView);
+
+module.exports = router;
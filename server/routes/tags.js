@@ -0,0 +1,80 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  mergeTags,
+  getDepartmentTagPolicies,
+  setDepartmentTagPolicy,
+  deleteDepartmentTagPolicy
+} = require('../controllers/tagController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields shared by create and update
+const tagDetailsValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot be more than 200 characters'),
+  body('color')
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Please enter a valid hex color')
+];
+
+// Validation rules
+const tagValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag name must be between 1 and 30 characters'),
+  ...tagDetailsValidation
+];
+
+const updateTagValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag name must be between 1 and 30 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+  ...tagDetailsValidation
+];
+
+const mergeValidation = [
+  body('tagIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('tagIds must list between 1 and 50 tags'),
+  body('tagIds.*')
+    .isMongoId()
+    .withMessage('Each tag ID must be valid')
+];
+
+const departmentTagPolicyValidation = [
+  body('allowedTags')
+    .isArray({ min: 1 })
+    .withMessage('allowedTags must list at least one tag'),
+  body('allowedTags.*')
+    .isMongoId()
+    .withMessage('Each tag ID must be valid')
+];
+
+// Routes
+router.get('/', protect, getTags);
+router.get('/policies', protect, authorize('manager', 'admin'), getDepartmentTagPolicies);
+router.put('/policies/:department', protect, authorize('admin'), departmentTagPolicyValidation, setDepartmentTagPolicy);
+router.delete('/policies/:department', protect, authorize('admin'), deleteDepartmentTagPolicy);
+router.post('/', protect, authorize('admin'), tagValidation, createTag);
+router.put('/:id', protect, authorize('admin'), updateTagValidation, updateTag);
+router.delete('/:id', protect, authorize('admin'), deleteTag);
+router.post('/:id/merge', protect, authorize('admin'), mergeValidation, mergeTags);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const {
+  getTrash,
+  restoreFromTrash,
+  purgeTrash
+} = require('../controllers/trashController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Routes
+router.get('/', protect, getTrash);
+router.post('/purge', protect, authorize('admin'), purgeTrash);
+router.put('/:type/:id/restore', protect, authorize('admin'), restoreFromTrash);
+
+module.exports = router;
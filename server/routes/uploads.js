@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
-const { uploadSingle, uploadMultiple, getFileInfo, deleteFile } = require('../utils/fileUpload');
+const { uploadSingle, uploadMultiple, getFileInfo, deleteFile, getFileHash } = require('../utils/fileUpload');
+const { checkForDuplicates } = require('../utils/duplicateDetectionService');
+const { bindAuditContext, recordAuditEvent } = require('../utils/auditService');
 const Expense = require('../models/Expense');
 const path = require('path');
 const fs = require('fs');
@@ -10,7 +12,7 @@ const fs = require('fs');
 // @route   POST /api/uploads/receipt
 // @access  Private
 router.post('/receipt', protect, (req, res) => {
-  uploadSingle('receipt')(req, res, async (err) => {
+  uploadSingle('receipt')(req, res, bindAuditContext(async (err) => {
     try {
       if (err) {
         return res.status(400).json({
@@ -29,6 +31,13 @@ router.post('/receipt', protect, (req, res) => {
 
       const fileInfo = getFileInfo(req.file.filename);
 
+      await recordAuditEvent({
+        action: 'upload',
+        entityType: 'File',
+        entityId: req.file.filename,
+        metadata: { originalName: req.file.originalname, size: req.file.size, mimetype: req.file.mimetype }
+      });
+
       res.json({
         success: true,
         message: 'Receipt uploaded successfully',
@@ -50,14 +59,14 @@ router.post('/receipt', protect, (req, res) => {
         error: error.message
       });
     }
-  });
+  }));
 });
 
 // @desc    Upload multiple receipt files
 // @route   POST /api/uploads/receipts
 // @access  Private
 router.post('/receipts', protect, (req, res) => {
-  uploadMultiple('receipts', 5)(req, res, async (err) => {
+  uploadMultiple('receipts', 5)(req, res, bindAuditContext(async (err) => {
     try {
       if (err) {
         return res.status(400).json({
@@ -84,6 +93,15 @@ router.post('/receipts', protect, (req, res) => {
         fileInfo: getFileInfo(file.filename)
       }));
 
+      for (const file of uploadedFiles) {
+        await recordAuditEvent({
+          action: 'upload',
+          entityType: 'File',
+          entityId: file.filename,
+          metadata: { originalName: file.originalName, size: file.size, mimetype: file.mimetype }
+        });
+      }
+
       res.json({
         success: true,
         message: `${uploadedFiles.length} receipt(s) uploaded successfully`,
@@ -100,14 +118,14 @@ router.post('/receipts', protect, (req, res) => {
         error: error.message
       });
     }
-  });
+  }));
 });
 
 // @desc    Add receipt to existing expense
 // @route   POST /api/uploads/expense/:expenseId/receipt
 // @access  Private
 router.post('/expense/:expenseId/receipt', protect, (req, res) => {
-  uploadSingle('receipt')(req, res, async (err) => {
+  uploadSingle('receipt')(req, res, bindAuditContext(async (err) => {
     try {
       if (err) {
         return res.status(400).json({
@@ -151,11 +169,15 @@ router.post('/expense/:expenseId/receipt', protect, (req, res) => {
         fileUrl: `/uploads/receipts/${req.file.filename}`,
         fileSize: req.file.size,
         fileType: req.file.mimetype.startsWith('image/') ? 'image' : 'document',
+        fileHash: await getFileHash(req.file.filename),
         uploadDate: new Date()
       };
 
       expense.addReceipt(receiptData);
       expense.addAuditLog('updated', req.user._id, { action: 'receipt_added', fileName: req.file.filename });
+
+      // A receipt already attached to another expense marks this one as a possible duplicate
+      await checkForDuplicates(expense);
       
       await expense.save();
 
@@ -165,7 +187,9 @@ router.post('/expense/:expenseId/receipt', protect, (req, res) => {
         data: {
           expenseId: expense._id,
           receipt: receiptData,
-          totalReceipts: expense.receipts.length
+          totalReceipts: expense.receipts.length,
+          missingReceipt: expense.missingReceipt,
+          duplicateStatus: expense.duplicateCheck.status
         }
       });
     } catch (error) {
@@ -180,7 +204,7 @@ router.post('/expense/:expenseId/receipt', protect, (req, res) => {
         error: error.message
       });
     }
-  });
+  }));
 });
 
 // @desc    Remove receipt from expense
@@ -229,7 +253,8 @@ router.delete('/expense/:expenseId/receipt/:receiptId', protect, async (req, res
       data: {
         expenseId: expense._id,
         removedReceiptId: req.params.receiptId,
-        remainingReceipts: expense.receipts.length
+        remainingReceipts: expense.receipts.length,
+        missingReceipt: expense.missingReceipt
       }
     });
   } catch (error) {
@@ -307,6 +332,13 @@ router.delete('/file/:filename', protect, async (req, res) => {
       });
     }
 
+    await recordAuditEvent({
+      action: 'delete',
+      entityType: 'File',
+      entityId: filename,
+      metadata: expense ? { expense: expense._id } : null
+    });
+
     res.json({
       success: true,
       message: 'File deleted successfully',
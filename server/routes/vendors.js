@@ -0,0 +1,84 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getVendors,
+  getVendor,
+  createVendor,
+  updateVendor,
+  deleteVendor,
+  mergeVendors,
+  getVendorAnalytics
+} = require('../controllers/vendorController');
+const Vendor = require('../models/Vendor');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields shared by create and update
+const vendorDetailsValidation = [
+  body('aliases')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Aliases must be a list of at most 50 names'),
+  body('aliases.*')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each alias must be between 1 and 100 characters'),
+  body('defaultCategory')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Default category must be a valid ID'),
+  body('taxIds')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tax IDs must be a list of at most 10 entries'),
+  body('taxIds.*.type')
+    .isIn(Vendor.TAX_ID_TYPES)
+    .withMessage(`Tax ID type must be one of: ${Vendor.TAX_ID_TYPES.join(', ')}`),
+  body('taxIds.*.value')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tax ID must be between 1 and 50 characters')
+];
+
+// Validation rules
+const vendorValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Vendor name must be between 1 and 100 characters'),
+  ...vendorDetailsValidation
+];
+
+const updateVendorValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Vendor name must be between 1 and 100 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+  ...vendorDetailsValidation
+];
+
+const mergeValidation = [
+  body('vendorIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('vendorIds must list between 1 and 50 vendors'),
+  body('vendorIds.*')
+    .isMongoId()
+    .withMessage('Each vendor ID must be valid')
+];
+
+// Routes
+router.get('/', protect, getVendors);
+router.get('/analytics', protect, getVendorAnalytics);
+router.get('/:id', protect, getVendor);
+router.post('/', protect, authorize('admin'), vendorValidation, createVendor);
+router.put('/:id', protect, authorize('admin'), updateVendorValidation, updateVendor);
+router.delete('/:id', protect, authorize('admin'), deleteVendor);
+router.post('/:id/merge', protect, authorize('admin'), mergeValidation, mergeVendors);
+
+module.exports = router;
@@ -0,0 +1,206 @@
+const Expense = require('../models/Expense');
+const ApprovalSla = require('../models/ApprovalSla');
+const User = require('../models/User');
+const Delegation = require('../models/Delegation');
+const { sendApprovalReminder } = require('./emailService');
+
+// Check interval for overdue approvals (1 hour)
+const PROCESS_INTERVAL = 60 * 60 * 1000;
+
+// SLA for departments without one of their own
+const DEFAULT_SLA = {
+  businessDays: parseInt(process.env.APPROVAL_SLA_DAYS, 10) || 3,
+  escalationDays: parseInt(process.env.APPROVAL_ESCALATION_DAYS, 10) || 2
+};
+
+// How far an overdue expense has been escalated
+const ESCALATION_LEVELS = {
+  NONE: 0,
+  REMINDED: 1,
+  DEPARTMENT_HEAD: 2,
+  ADMIN: 3
+};
+
+// Buckets for the aging report, by calendar days pending
+const AGE_BUCKETS = [
+  { label: '0-2 days', max: 2 },
+  { label: '3-5 days', max: 5 },
+  { label: '6-10 days', max: 10 },
+  { label: '11-30 days', max: 30 },
+  { label: 'Over 30 days', max: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+
+// Move forward `days` business days (Mon-Fri), keeping the time of day
+const addBusinessDays = (start, days) => {
+  const date = new Date(start);
+  let remaining = days;
+  while (remaining > 0) {
+    date.setDate(date.getDate() + 1);
+    if (!isWeekend(date)) {
+      remaining--;
+    }
+  }
+  return date;
+};
+
+// When an expense pending since `pendingSince` breaches the SLA
+const getDueDate = (pendingSince, sla) => addBusinessDays(pendingSince, sla.businessDays);
+
+// Escalation level an expense should have reached by `now`: a reminder once
+// overdue, the department head after escalationDays more, admins after twice that
+const getEscalationLevel = (pendingSince, sla, now = new Date()) => {
+  const dueAt = getDueDate(pendingSince, sla);
+  if (now < dueAt) return ESCALATION_LEVELS.NONE;
+  if (now < addBusinessDays(dueAt, sla.escalationDays)) return ESCALATION_LEVELS.REMINDED;
+  if (now < addBusinessDays(dueAt, sla.escalationDays * 2)) return ESCALATION_LEVELS.DEPARTMENT_HEAD;
+  return ESCALATION_LEVELS.ADMIN;
+};
+
+const getAgeDays = (pendingSince, now = new Date()) => Math.max(Math.floor((now - pendingSince) / DAY_MS), 0);
+
+const getAgeBucket = (ageDays) => AGE_BUCKETS.find(bucket => ageDays <= bucket.max).label;
+
+// Active SLAs keyed by department
+const getSlaPolicies = async () => {
+  const slas = await ApprovalSla.find({ isActive: true });
+  return new Map(slas.map(sla => [sla.department, sla]));
+};
+
+const getSlaFor = (policies, department) => policies.get(department) || DEFAULT_SLA;
+
+const getDepartmentManagers = (department) => User.find({ role: 'manager', department, isActive: true });
+
+// Whoever is expected to decide the expense now: the current workflow step's
+// approver (or their substitute), otherwise the department's managers
+const getCurrentApprovers = async (expense) => {
+  const step = expense.getCurrentApprovalStep();
+  if (!step) {
+    return getDepartmentManagers(expense.department);
+  }
+
+  const approverId = step.approver._id || step.approver;
+  const substitution = await Delegation.findApprovalSubstitute(approverId);
+  const approver = await User.findById(substitution ? substitution.delegate : approverId);
+  return approver && approver.isActive ? [approver] : [];
+};
+
+// Users notified at an escalation level; falls through to admins when nobody
+// is available at the lower level
+const getEscalationRecipients = async (expense, level, sla) => {
+  let recipients = [];
+
+  if (level === ESCALATION_LEVELS.REMINDED) {
+    recipients = await getCurrentApprovers(expense);
+  } else if (level === ESCALATION_LEVELS.DEPARTMENT_HEAD) {
+    const head = sla.departmentHead ? await User.findById(sla.departmentHead) : null;
+    recipients = head && head.isActive ? [head] : await getDepartmentManagers(expense.department);
+  }
+
+  if (recipients.length === 0) {
+    recipients = await User.find({ role: 'admin', isActive: true });
+  }
+  return recipients;
+};
+
+// Send the reminder or escalation an overdue expense is due, once per level.
+// The clock runs from when the current approval step started waiting.
+const processExpenseSla = async (expense, sla, now = new Date()) => {
+  const pendingSince = expense.getPendingSince();
+  const level = getEscalationLevel(pendingSince, sla, now);
+  if (level <= (expense.slaEscalation?.level || ESCALATION_LEVELS.NONE)) {
+    return null;
+  }
+
+  const [recipients, submitter] = await Promise.all([
+    getEscalationRecipients(expense, level, sla),
+    User.findById(expense.submittedBy)
+  ]);
+  const dueAt = getDueDate(pendingSince, sla);
+
+  for (const recipient of recipients) {
+    await sendApprovalReminder(recipient, expense, submitter, dueAt, level > ESCALATION_LEVELS.REMINDED);
+  }
+
+  // Written directly so the expense's save hooks don't recalculate anything
+  const slaEscalation = {
+    level,
+    notifiedAt: now,
+    notified: recipients.map(recipient => recipient._id)
+  };
+  await Expense.updateOne({ _id: expense._id }, { $set: { slaEscalation } });
+  expense.slaEscalation = slaEscalation;
+
+  return level;
+};
+
+// Remind or escalate every overdue pending expense. Report lines are decided
+// through their expense report and are left out.
+const processApprovalSlas = async () => {
+  const summary = { checked: 0, reminded: 0, escalated: 0, failed: 0 };
+
+  try {
+    const policies = await getSlaPolicies();
+    const now = new Date();
+    const expenses = await Expense.find({
+      status: 'pending',
+      expenseReport: null,
+      'slaEscalation.level': { $ne: ESCALATION_LEVELS.ADMIN }
+    });
+
+    for (const expense of expenses) {
+      try {
+        summary.checked++;
+        const level = await processExpenseSla(expense, getSlaFor(policies, expense.department), now);
+        if (level === ESCALATION_LEVELS.REMINDED) {
+          summary.reminded++;
+        } else if (level) {
+          summary.escalated++;
+        }
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Failed to process approval SLA for expense ${expense._id}:`, error.message);
+      }
+    }
+
+    if (summary.reminded > 0 || summary.escalated > 0 || summary.failed > 0) {
+      console.log(`⏰ Approval SLAs processed: ${summary.reminded} reminded, ${summary.escalated} escalated, ${summary.failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error processing approval SLAs:', error);
+  }
+
+  return summary;
+};
+
+// Initialize approval SLA scheduler
+const initializeApprovalSlaService = async () => {
+  console.log('⏰ Initializing Approval SLA Service...');
+  await processApprovalSlas();
+
+  // Check for overdue approvals periodically (every hour)
+  setInterval(async () => {
+    await processApprovalSlas();
+  }, PROCESS_INTERVAL);
+
+  console.log('✅ Approval SLA Service initialized successfully');
+};
+
+module.exports = {
+  DEFAULT_SLA,
+  ESCALATION_LEVELS,
+  AGE_BUCKETS,
+  addBusinessDays,
+  getDueDate,
+  getEscalationLevel,
+  getAgeDays,
+  getAgeBucket,
+  getSlaPolicies,
+  getSlaFor,
+  processExpenseSla,
+  processApprovalSlas,
+  initializeApprovalSlaService
+};
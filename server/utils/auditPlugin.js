@@ -0,0 +1,119 @@
+const { IGNORED_FIELDS, normalizeValue, diffObjects, recordAuditEvent } = require('./auditService');
+
+// Multi-document writes touching more documents than this are recorded as a
+// single event without field changes
+const MAX_TRACKED_DOCUMENTS = 1000;
+
+const QUERY_UPDATES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+const QUERY_DELETES = ['findOneAndDelete', 'findOneAndRemove', 'deleteOne', 'deleteMany'];
+const SINGLE_DOCUMENT_OPS = ['findOneAndUpdate', 'updateOne', 'findOneAndDelete', 'findOneAndRemove', 'deleteOne'];
+
+// Mongoose plugin recording every create, update and delete of a model as an
+// AuditEvent with field-level changes. `redact` lists fields whose values are
+// never stored; `ignore` lists fields whose changes are not recorded.
+const auditTrail = (schema, { redact = [], ignore = [] } = {}) => {
+  const diffOptions = { ignore: [...IGNORED_FIELDS, ...ignore], redact };
+
+  // Stored state of loaded documents, to diff against on save
+  schema.pre('init', function(raw) {
+    this.$locals.auditSnapshot = raw;
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditIsNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    const isNew = doc.$locals.auditIsNew;
+    const after = normalizeValue(doc);
+    const before = isNew ? {} : normalizeValue(doc.$locals.auditSnapshot || {});
+    doc.$locals.auditSnapshot = after;
+
+    const changes = diffObjects(before, after, diffOptions);
+    if (!isNew && changes.length === 0) return;
+
+    await recordAuditEvent({
+      action: isNew ? 'create' : 'update',
+      entityType: doc.constructor.modelName,
+      entityId: doc._id,
+      changes
+    });
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await recordAuditEvent({
+      action: 'delete',
+      entityType: doc.constructor.modelName,
+      entityId: doc._id,
+      changes: diffObjects(normalizeValue(doc.$locals.auditSnapshot || doc), {}, diffOptions)
+    });
+  });
+
+  // Query writes don't load documents, so read the matches before and after
+  schema.pre([...QUERY_UPDATES, ...QUERY_DELETES], async function() {
+    const limit = SINGLE_DOCUMENT_OPS.includes(this.op) ? 1 : MAX_TRACKED_DOCUMENTS + 1;
+    this._auditBefore = await this.model.find(this.getFilter()).limit(limit).lean();
+  });
+
+  schema.post([...QUERY_UPDATES, ...QUERY_DELETES], async function() {
+    const matched = this._auditBefore || [];
+    const entityType = this.model.modelName;
+
+    // An upsert that matched nothing inserted a new document
+    if (matched.length === 0) {
+      if (!QUERY_UPDATES.includes(this.op) || !this.getOptions().upsert) return;
+      const created = await this.model.findOne(this.getFilter()).lean();
+      if (created) {
+        await recordAuditEvent({
+          action: 'create',
+          entityType,
+          entityId: created._id,
+          changes: diffObjects({}, normalizeValue(created), diffOptions)
+        });
+      }
+      return;
+    }
+
+    const action = QUERY_DELETES.includes(this.op) ? 'delete' : 'update';
+
+    if (matched.length > MAX_TRACKED_DOCUMENTS) {
+      await recordAuditEvent({
+        action,
+        entityType,
+        metadata: { operation: this.op, matchedMoreThan: MAX_TRACKED_DOCUMENTS }
+      });
+      return;
+    }
+
+    if (action === 'delete') {
+      for (const before of matched) {
+        await recordAuditEvent({
+          action,
+          entityType,
+          entityId: before._id,
+          changes: diffObjects(normalizeValue(before), {}, diffOptions)
+        });
+      }
+      return;
+    }
+
+    const updated = await this.model.find({ _id: { $in: matched.map(doc => doc._id) } }).lean();
+    const updatedById = new Map(updated.map(doc => [doc._id.toString(), doc]));
+
+    for (const before of matched) {
+      const after = updatedById.get(before._id.toString());
+      const changes = diffObjects(normalizeValue(before), normalizeValue(after || {}), diffOptions);
+      if (changes.length === 0) continue;
+
+      await recordAuditEvent({
+        action,
+        entityType,
+        entityId: before._id,
+        changes
+      });
+    }
+  });
+};
+
+module.exports = auditTrail;
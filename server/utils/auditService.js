@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+// Hash the first event in the chain points back to
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields never worth recording
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'auditLog'];
+
+const REDACTED = '[redacted]';
+
+// Request the current code runs for, so model hooks can record who acted
+const requestContext = new AsyncLocalStorage();
+
+// Express middleware: run the rest of the request inside its audit context.
+// Mount it after the body parsers, whose stream callbacks lose the context.
+const auditContext = (req, res, next) => {
+  requestContext.run({ req }, next);
+};
+
+// Keep the audit context in callbacks run from stream events, e.g. multer's
+const bindAuditContext = (fn) => AsyncResource.bind(fn);
+
+const getRequestContext = () => {
+  const req = requestContext.getStore()?.req;
+  if (!req) return { actor: null, request: null };
+
+  return {
+    actor: req.user ? req.user._id : null,
+    request: {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      ip: req.ip
+    }
+  };
+};
+
+const isPlainObject = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+// Convert a stored value to plain JSON: IDs and dates become strings so the
+// event hashes the same after a round trip through the database
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId || value?._bsontype === 'ObjectId') return value.toString();
+  if (value instanceof mongoose.Types.Decimal128 || value?._bsontype === 'Decimal128') return value.toString();
+  if (Buffer.isBuffer(value) || value?._bsontype === 'Binary') return '[binary]';
+  if (value instanceof Map) return normalizeValue(Object.fromEntries(value));
+  if (typeof value.toObject === 'function') {
+    return normalizeValue(value.toObject({ depopulate: true, virtuals: false, getters: false, transform: false, flattenMaps: true }));
+  }
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      if (value[key] !== undefined) {
+        result[key] = normalizeValue(value[key]);
+      }
+    });
+    return result;
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) return null;
+  return value;
+};
+
+// JSON with object keys sorted, so equal values always serialize the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const isRedacted = (path, redact) => redact.some(field => path === field || path.startsWith(`${field}.`));
+
+// Field-level differences between two normalized documents. Nested objects
+// are compared field by field; arrays are compared as a whole.
+const diffObjects = (before, after, { ignore = IGNORED_FIELDS, redact = [] } = {}, prefix = '') => {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  [...keys].sort().forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (ignore.includes(path)) return;
+
+    const oldValue = before?.[key] ?? null;
+    const newValue = after?.[key] ?? null;
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue) && !isRedacted(path, redact)) {
+      changes.push(...diffObjects(oldValue, newValue, { ignore, redact }, path));
+      return;
+    }
+    if (stableStringify(oldValue) === stableStringify(newValue)) return;
+
+    changes.push(isRedacted(path, redact)
+      ? { field: path, before: oldValue === null ? null : REDACTED, after: newValue === null ? null : REDACTED }
+      : { field: path, before: oldValue, after: newValue });
+  });
+
+  return changes;
+};
+
+// Fields covered by an event's hash, in a form that survives storage
+const getHashedFields = (event) => ({
+  sequence: event.sequence,
+  timestamp: new Date(event.timestamp).toISOString(),
+  actor: event.actor ? event.actor.toString() : null,
+  action: event.action,
+  entityType: event.entityType,
+  entityId: event.entityId ?? null,
+  changes: (event.changes || []).map(change => ({
+    field: change.field,
+    before: change.before ?? null,
+    after: change.after ?? null
+  })),
+  request: event.request?.method
+    ? { method: event.request.method, path: event.request.path ?? null, ip: event.request.ip ?? null }
+    : null,
+  metadata: event.metadata ?? null,
+  previousHash: event.previousHash
+});
+
+const computeHash = (event) => crypto
+  .createHash('sha256')
+  .update(stableStringify(getHashedFields(event)))
+  .digest('hex');
+
+// Appends run one at a time so each event links to the one before it
+let appendQueue = Promise.resolve();
+
+const appendEvent = async (fields) => {
+  // Another server may append between reading the tail and inserting; the
+  // unique sequence index rejects the loser, which retries on the new tail
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+    const event = {
+      ...fields,
+      sequence: last ? last.sequence + 1 : 1,
+      timestamp: new Date(),
+      previousHash: last ? last.hash : GENESIS_HASH
+    };
+    event.hash = computeHash(event);
+
+    try {
+      return await AuditEvent.create(event);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Could not append audit event after repeated sequence conflicts');
+};
+
+// Record an audit event. The actor and request come from the current request
+// unless given. Failures are logged rather than failing the change itself.
+const recordAuditEvent = ({ action, entityType, entityId, changes = [], metadata = null, actor }) => {
+  const context = getRequestContext();
+  const fields = {
+    actor: actor !== undefined ? actor : context.actor,
+    action,
+    entityType,
+    entityId: entityId ? entityId.toString() : null,
+    changes,
+    request: context.request || undefined,
+    metadata: metadata ? normalizeValue(metadata) : null
+  };
+
+  const append = appendQueue.then(() => appendEvent(fields));
+  appendQueue = append.catch(() => {});
+
+  return append.catch(error => {
+    console.error(`❌ Failed to record audit event (${action} ${entityType} ${fields.entityId}):`, error.message);
+    return null;
+  });
+};
+
+// Walk the chain in sequence order and report the first broken link, if any
+const verifyAuditChain = async ({ fromSequence = 1, toSequence } = {}) => {
+  const query = { sequence: { $gte: fromSequence } };
+  if (toSequence) {
+    query.sequence.$lte = toSequence;
+  }
+
+  let previous = fromSequence > 1
+    ? await AuditEvent.findOne({ sequence: fromSequence - 1 }).select('sequence hash').lean()
+    : { sequence: 0, hash: GENESIS_HASH };
+  if (!previous) {
+    return { valid: false, checked: 0, brokenAt: { sequence: fromSequence - 1, reason: 'Event is missing' } };
+  }
+
+  let checked = 0;
+  const cursor = AuditEvent.find(query).sort({ sequence: 1 }).lean().cursor();
+
+  for await (const event of cursor) {
+    let reason = null;
+    if (event.sequence !== previous.sequence + 1) {
+      reason = `Events ${previous.sequence + 1} to ${event.sequence - 1} are missing`;
+    } else if (event.previousHash !== previous.hash) {
+      reason = 'Previous hash does not match the preceding event';
+    } else if (computeHash(event) !== event.hash) {
+      reason = 'Event contents do not match its hash';
+    }
+
+    if (reason) {
+      await cursor.close();
+      return { valid: false, checked, brokenAt: { sequence: event.sequence, reason } };
+    }
+
+    checked++;
+    previous = event;
+  }
+
+  return { valid: true, checked, lastSequence: previous.sequence, lastHash: previous.hash };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  IGNORED_FIELDS,
+  auditContext,
+  bindAuditContext,
+  normalizeValue,
+  stableStringify,
+  diffObjects,
+  computeHash,
+  recordAuditEvent,
+  verifyAuditChain
+};
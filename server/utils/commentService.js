@@ -0,0 +1,107 @@
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendCommentNotification } = require('./emailService');
+
+// How long authors may edit or delete their own comments
+const COMMENT_EDIT_WINDOW_MINUTES = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES, 10) || 15;
+const COMMENT_DELETE_WINDOW_MINUTES = parseInt(process.env.COMMENT_DELETE_WINDOW_MINUTES, 10) || 60;
+
+// @[Display Name](userId)
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(([a-f\d]{24})\)/gi;
+
+// Unique user IDs mentioned in a comment body
+const extractMentionIds = (body) => {
+  const ids = new Set();
+  for (const match of String(body || '').matchAll(MENTION_PATTERN)) {
+    ids.add(match[2].toLowerCase());
+  }
+  return [...ids];
+};
+
+// Comment body with mentions shown as @Name, for emails and notifications
+const toPlainText = (body) => String(body || '').replace(MENTION_PATTERN, '@$1');
+
+const isWithinWindow = (comment, minutes, now = new Date()) => (
+  now - new Date(comment.createdAt) <= minutes * 60 * 1000
+);
+
+// Top-level comments oldest first, each with its replies. Deleted comments
+// keep their place but lose their text.
+const buildCommentThreads = (comments) => {
+  const toView = (comment) => {
+    const view = typeof comment.toObject === 'function' ? comment.toObject() : { ...comment };
+    if (view.isDeleted) {
+      view.body = null;
+      view.mentions = [];
+    }
+    return view;
+  };
+
+  const sorted = [...comments].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const threads = sorted.filter(comment => !comment.parent).map(comment => ({ ...toView(comment), replies: [] }));
+  const byId = new Map(threads.map(thread => [thread._id.toString(), thread]));
+
+  sorted.filter(comment => comment.parent).forEach(comment => {
+    const thread = byId.get(comment.parent.toString());
+    if (thread) {
+      thread.replies.push(toView(comment));
+    }
+  });
+
+  return threads;
+};
+
+// Comment threads for an expense or budget
+const getCommentThreads = async (resourceType, resourceId) => {
+  const comments = await Comment.find({ resourceType, resource: resourceId })
+    .populate('author', 'name email')
+    .populate('mentions', 'name email');
+  return buildCommentThreads(comments);
+};
+
+// Notify mentioned users and the resource owner about a comment, in-app and by
+// email. `mentionIds` are the users to notify as mentioned; the author is skipped.
+const notifyCommentRecipients = async ({ comment, author, mentionIds, ownerId, resourceLabel, resourceTitle, link }) => {
+  try {
+    const recipients = new Map(mentionIds.map(id => [id.toString(), 'mention']));
+    if (ownerId && !recipients.has(ownerId.toString())) {
+      recipients.set(ownerId.toString(), 'comment');
+    }
+    recipients.delete(author._id.toString());
+    if (recipients.size === 0) return;
+
+    const users = await User.find({ _id: { $in: [...recipients.keys()] }, isActive: true });
+    const text = toPlainText(comment.body);
+
+    for (const user of users) {
+      const type = recipients.get(user._id.toString());
+      const title = type === 'mention'
+        ? `${author.name} mentioned you on ${resourceLabel.toLowerCase()} "${resourceTitle}"`
+        : `${author.name} commented on your ${resourceLabel.toLowerCase()} "${resourceTitle}"`;
+
+      await Notification.create({
+        user: user._id,
+        type,
+        title: title.slice(0, 200),
+        message: text.slice(0, 500),
+        link,
+        comment: comment._id
+      });
+      await sendCommentNotification(user, author, title, text, link);
+    }
+  } catch (error) {
+    console.error('Error sending comment notifications:', error);
+  }
+};
+
+module.exports = {
+  COMMENT_EDIT_WINDOW_MINUTES,
+  COMMENT_DELETE_WINDOW_MINUTES,
+  extractMentionIds,
+  toPlainText,
+  isWithinWindow,
+  buildCommentThreads,
+  getCommentThreads,
+  notifyCommentRecipients
+};
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const ExchangeRate = require('../models/ExchangeRate');
 
 // Default exchange rates (fallback)
 const defaultRates = {
@@ -28,11 +29,15 @@ const supportedCurrencies = [
   { code: 'BRL', name: 'Brazilian Real', symbol: 'R$' }
 ];
 
+// Currency expenses are converted into
+const BASE_CURRENCY = 'USD';
+
 // Cache for exchange rates
 let exchangeRatesCache = {
   rates: defaultRates,
   lastUpdated: null,
-  baseCurrency: 'USD'
+  baseCurrency: 'USD',
+  source: 'DEFAULT'
 };
 
 // Cache duration (1 hour)
@@ -75,11 +80,86 @@ const fetchExchangeRates = async (baseCurrency = 'USD') => {
   }
 };
 
+// Start of the UTC day, the granularity of the rate history
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Keep only the supported currencies' rates
+const pickSupportedRates = (rates) => supportedCurrencies.reduce((picked, { code }) => {
+  const rate = Number(rates[code]);
+  if (rate > 0) picked[code] = rate;
+  return picked;
+}, {});
+
+// Store fetched rates as the day's entry in the rate history. Rates an admin
+// entered by hand for the day are left alone.
+const saveRateSnapshot = async ({ rates, baseCurrency, lastUpdated }) => {
+  try {
+    await ExchangeRate.updateOne(
+      { baseCurrency, date: startOfUtcDay(lastUpdated), source: { $ne: 'MANUAL' } },
+      { $set: { rates: pickSupportedRates(rates), source: 'API' } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Failed to save exchange rate history:', error.message);
+    }
+  }
+};
+
+// Record rates for a day by hand, e.g. to backfill history before the first
+// fetch. Replaces any fetched rates for that day.
+const recordManualRates = async (date, rates, userId) => {
+  return ExchangeRate.findOneAndUpdate(
+    { baseCurrency: BASE_CURRENCY, date: startOfUtcDay(date) },
+    { $set: { rates: pickSupportedRates(rates), source: 'MANUAL', createdBy: userId } },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+// Rates are stored to 6 decimal places
+const roundRate = (rate) => Math.round(rate * 1e6) / 1e6;
+
+// Rate converting `currency` into the base currency on a date, with where it
+// came from. Uses the history entry for that day or the closest earlier one;
+// dates before the history starts use its first entry, and without any
+// history the current rates are used.
+const getHistoricalRate = async (currency, date = new Date()) => {
+  const day = startOfUtcDay(date);
+  if (!currency || currency === BASE_CURRENCY) {
+    return { rate: 1, source: 'BASE', date: day };
+  }
+
+  const hasCurrency = { baseCurrency: BASE_CURRENCY, [`rates.${currency}`]: { $gt: 0 } };
+  const entry = await ExchangeRate.findOne({ ...hasCurrency, date: { $lte: day } }).sort({ date: -1 })
+    || await ExchangeRate.findOne({ ...hasCurrency, date: { $gt: day } }).sort({ date: 1 });
+
+  if (entry) {
+    return { rate: roundRate(1 / entry.rates.get(currency)), source: entry.source, date: entry.date };
+  }
+
+  const current = await getExchangeRates();
+  if (!current.rates[currency]) {
+    throw new Error(`Exchange rate not available for ${currency}`);
+  }
+  return {
+    rate: roundRate(1 / current.rates[currency]),
+    source: current.source || 'DEFAULT',
+    date: startOfUtcDay(current.lastUpdated || new Date())
+  };
+};
+
 // Update exchange rates cache
 const updateExchangeRates = async (baseCurrency = 'USD') => {
   try {
     const newRates = await fetchExchangeRates(baseCurrency);
     exchangeRatesCache = newRates;
+    if (newRates.source === 'API') {
+      await saveRateSnapshot(newRates);
+    }
     console.log(`✅ Exchange rates updated successfully (${newRates.source})`);
     return true;
   } catch (error) {
@@ -267,6 +347,7 @@ const initializeCurrencyService = async () => {
 };
 
 module.exports = {
+  BASE_CURRENCY,
   supportedCurrencies,
   getExchangeRates,
   convertCurrency,
@@ -277,5 +358,9 @@ module.exports = {
   getSupportedCurrencies,
   convertExpenseAmounts,
   getExchangeRate,
+  startOfUtcDay,
+  pickSupportedRates,
+  recordManualRates,
+  getHistoricalRate,
   initializeCurrencyService
 };
\ No newline at end of file
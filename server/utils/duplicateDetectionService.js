@@ -0,0 +1,140 @@
+const Expense = require('../models/Expense');
+
+// Candidates scoring at or above this are flagged as suspected duplicates
+const DUPLICATE_SCORE_THRESHOLD = parseInt(process.env.DUPLICATE_SCORE_THRESHOLD, 10) || 50;
+
+// Only expenses this close in date are compared on amount and vendor
+const DATE_WINDOW_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeVendor = (vendor) => (vendor || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+const getReceiptHashes = (expense) => (expense.receipts || [])
+  .map(receipt => receipt.fileHash)
+  .filter(Boolean);
+
+// Score how likely `candidate` is the same claim as `expense` (0-100).
+// An identical receipt file is strong evidence on its own; amount, currency,
+// date and vendor only add up to a flag when most of them agree.
+const scoreDuplicate = (expense, candidate) => {
+  let score = 0;
+  const reasons = [];
+
+  const hashes = getReceiptHashes(expense);
+  if (hashes.length > 0 && getReceiptHashes(candidate).some(hash => hashes.includes(hash))) {
+    score += 60;
+    reasons.push('same_receipt_file');
+  }
+
+  const amountDifference = Math.abs(expense.amount - candidate.amount);
+  if (amountDifference < 0.005) {
+    score += 20;
+    reasons.push('same_amount');
+  } else if (amountDifference <= Math.max(expense.amount, candidate.amount) * 0.01) {
+    score += 10;
+    reasons.push('similar_amount');
+  }
+
+  if ((expense.currency || 'USD') === (candidate.currency || 'USD')) {
+    score += 5;
+    reasons.push('same_currency');
+  }
+
+  const daysApart = Math.abs(new Date(expense.date) - new Date(candidate.date)) / DAY_MS;
+  if (daysApart < 1) {
+    score += 10;
+    reasons.push('same_date');
+  } else if (daysApart <= DATE_WINDOW_DAYS) {
+    score += 5;
+    reasons.push('close_date');
+  }
+
+  const vendor = normalizeVendor(expense.vendor);
+  const candidateVendor = normalizeVendor(candidate.vendor);
+  if (vendor && candidateVendor) {
+    if (vendor === candidateVendor) {
+      score += 15;
+      reasons.push('same_vendor');
+    } else if (vendor.includes(candidateVendor) || candidateVendor.includes(vendor)) {
+      score += 8;
+      reasons.push('similar_vendor');
+    }
+  }
+
+  return { score: Math.min(score, 100), reasons };
+};
+
+// Find and score possible duplicates of an expense. Receipt hash matches are
+// searched across all employees; amount/date matches within the submitter's own claims.
+const findDuplicateCandidates = async (expense) => {
+  const date = new Date(expense.date);
+  const hashes = getReceiptHashes(expense);
+
+  const matchers = [{
+    submittedBy: expense.submittedBy._id || expense.submittedBy,
+    date: {
+      $gte: new Date(date.getTime() - DATE_WINDOW_DAYS * DAY_MS),
+      $lte: new Date(date.getTime() + DATE_WINDOW_DAYS * DAY_MS)
+    },
+    amount: {
+      $gte: expense.amount * 0.99,
+      $lte: expense.amount * 1.01
+    }
+  }];
+  if (hashes.length > 0) {
+    matchers.push({ 'receipts.fileHash': { $in: hashes } });
+  }
+
+  // Recurring occurrences legitimately repeat their parent
+  const excludedIds = [expense._id, expense.parentExpenseId].filter(Boolean);
+
+  const candidates = await Expense.find({
+    _id: { $nin: excludedIds },
+    parentExpenseId: { $ne: expense._id },
+    status: { $ne: 'rejected' },
+    'duplicateCheck.status': { $ne: 'confirmed' },
+    $or: matchers
+  })
+    .select('amount currency date vendor receipts.fileHash')
+    .limit(20);
+
+  return candidates
+    .map(candidate => ({ expense: candidate._id, ...scoreDuplicate(expense, candidate) }))
+    .filter(candidate => candidate.score >= DUPLICATE_SCORE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Run the detector and record the result on the expense (caller saves).
+// A manager's earlier dismissal stands unless a new candidate turns up.
+const checkForDuplicates = async (expense) => {
+  const previousStatus = expense.duplicateCheck?.status;
+  if (previousStatus === 'confirmed') return expense.duplicateCheck;
+
+  const candidates = await findDuplicateCandidates(expense);
+  const previousIds = (expense.duplicateCheck?.candidates || [])
+    .map(candidate => (candidate.expense._id || candidate.expense).toString());
+  const hasNewCandidate = candidates.some(candidate => !previousIds.includes(candidate.expense.toString()));
+
+  let status = candidates.length > 0 ? 'flagged' : 'clear';
+  if (previousStatus === 'dismissed' && candidates.length > 0 && !hasNewCandidate) {
+    status = 'dismissed';
+  }
+
+  expense.set('duplicateCheck.status', status);
+  expense.set('duplicateCheck.candidates', candidates);
+  expense.set('duplicateCheck.checkedAt', new Date());
+
+  return expense.duplicateCheck;
+};
+
+module.exports = {
+  DUPLICATE_SCORE_THRESHOLD,
+  scoreDuplicate,
+  findDuplicateCandidates,
+  checkForDuplicates
+};
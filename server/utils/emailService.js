@@ -44,6 +44,13 @@ const testEmailConnection = async () => {
   }
 };
 
+// Escape user-written text before putting it in an email
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 // Common email template
 const getEmailTemplate = (title, content, color = '#1976d2') => `
 <!DOCTYPE html>
@@ -195,6 +202,255 @@ const sendExpenseNotification = async (user, expense, action, approver = null) =
   }
 };
 
+// Send approval request to the next approver in a workflow. `absentApprover` is
+// set when the request goes to a substitute for an out-of-office approver.
+const sendApprovalRequest = async (approver, expense, submitter, step, totalSteps, absentApprover = null) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('⚠️  Email not configured - skipping approval request email');
+      return false;
+    }
+
+    const transporter = createTransporter();
+    const reviewUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/expenses`;
+
+    const content = `
+      <h2 style="color: #ff9800; margin-top: 0;">📝 Approval Required</h2>
+      <p style="font-size: 16px; line-height: 1.6;">Dear <strong>${approver.name}</strong>,</p>
+      <p style="font-size: 16px; line-height: 1.6;">An expense submitted by <strong>${submitter ? submitter.name : 'a team member'}</strong> is waiting for your review (step <strong>${step}</strong> of <strong>${totalSteps}</strong>).</p>
+      ${absentApprover ? `<p style="font-size: 16px; line-height: 1.6;">You are receiving this as the substitute approver for <strong>${absentApprover.name}</strong>, who is out of office.</p>` : ''}
+      
+      <div style="background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%); padding: 25px; border-radius: 10px; margin: 25px 0; border-left: 4px solid #ff9800;">
+        <h3 style="color: #495057; margin-top: 0;">📄 Expense Details</h3>
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Title:</strong></td><td style="padding: 8px 0; text-align: right;">${expense.title}</td></tr>
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Amount:</strong></td><td style="padding: 8px 0; text-align: right; font-size: 18px;"><strong>$${expense.amount.toFixed(2)}</strong></td></tr>
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Date:</strong></td><td style="padding: 8px 0; text-align: right;">${new Date(expense.date).toLocaleDateString()}</td></tr>
+        </table>
+      </div>
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${reviewUrl}" style="background: linear-gradient(135deg, #ff9800 0%, #f57c00 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; display: inline-block;">
+          🔍 Review Expense
+        </a>
+      </div>
+      
+      <p style="font-size: 16px; line-height: 1.6;">Best regards,<br><strong>ERP Budget Tracker Team</strong></p>
+    `;
+
+    const mailOptions = {
+      from: `"ERP Budget Tracker" <${process.env.EMAIL_USER}>`,
+      to: approver.email,
+      subject: `📝 Approval Required: ${expense.title}`,
+      html: getEmailTemplate('Approval Required', content, '#ff9800')
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Approval request email sent to ${approver.email}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending approval request email:', error);
+    return false;
+  }
+};
+
+// Let a claimant know a delegate filed an expense in their name
+const sendOnBehalfNotification = async (claimant, expense, delegate) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('⚠️  Email not configured - skipping on-behalf submission email');
+      return false;
+    }
+
+    const transporter = createTransporter();
+    const expensesUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/expenses`;
+
+    const content = `
+      <h2 style="color: #1976d2; margin-top: 0;">🧾 Expense Submitted For You</h2>
+      <p style="font-size: 16px; line-height: 1.6;">Dear <strong>${claimant.name}</strong>,</p>
+      <p style="font-size: 16px; line-height: 1.6;"><strong>${delegate.name}</strong> submitted an expense on your behalf. Please check the details are correct.</p>
+      
+      <div style="background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%); padding: 25px; border-radius: 10px; margin: 25px 0; border-left: 4px solid #1976d2;">
+        <h3 style="color: #495057; margin-top: 0;">📄 Expense Details</h3>
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Title:</strong></td><td style="padding: 8px 0; text-align: right;">${expense.title}</td></tr>
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Amount:</strong></td><td style="padding: 8px 0; text-align: right; font-size: 18px;"><strong>${expense.amount.toFixed(2)} ${expense.currency}</strong></td></tr>
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Date:</strong></td><td style="padding: 8px 0; text-align: right;">${new Date(expense.date).toLocaleDateString()}</td></tr>
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Filed by:</strong></td><td style="padding: 8px 0; text-align: right;">${delegate.name}</td></tr>
+        </table>
+      </div>
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${expensesUrl}" style="background: linear-gradient(135deg, #1976d2 0%, #1565c0 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; display: inline-block;">
+          📋 View My Expenses
+        </a>
+      </div>
+      
+      <p style="font-size: 16px; line-height: 1.6;">Best regards,<br><strong>ERP Budget Tracker Team</strong></p>
+    `;
+
+    const mailOptions = {
+      from: `"ERP Budget Tracker" <${process.env.EMAIL_USER}>`,
+      to: claimant.email,
+      subject: `🧾 Expense submitted on your behalf: ${expense.title}`,
+      html: getEmailTemplate('Expense Submitted For You', content)
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ On-behalf submission email sent to ${claimant.email}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending on-behalf submission email:', error);
+    return false;
+  }
+};
+
+// Send an overdue approval reminder, or an escalation when `escalated` is set
+const sendApprovalReminder = async (recipient, expense, submitter, dueAt, escalated = false) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('⚠️  Email not configured - skipping approval reminder email');
+      return false;
+    }
+
+    const transporter = createTransporter();
+    const reviewUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/expenses`;
+    const color = escalated ? '#f44336' : '#ff9800';
+    const title = escalated ? 'Approval Escalated' : 'Approval Overdue';
+
+    const content = `
+      <h2 style="color: ${color}; margin-top: 0;">${escalated ? '🚨' : '⏰'} ${title}</h2>
+      <p style="font-size: 16px; line-height: 1.6;">Dear <strong>${recipient.name}</strong>,</p>
+      <p style="font-size: 16px; line-height: 1.6;">An expense submitted by <strong>${submitter ? submitter.name : 'a team member'}</strong> has been waiting for approval since ${new Date(expense.createdAt).toLocaleDateString()} and was due for a decision by <strong>${new Date(dueAt).toLocaleDateString()}</strong>.</p>
+      ${escalated ? '<p style="font-size: 16px; line-height: 1.6;">It has been escalated to you because the assigned approver has not acted on it. Please follow up or review it directly.</p>' : ''}
+      
+      <div style="background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%); padding: 25px; border-radius: 10px; margin: 25px 0; border-left: 4px solid ${color};">
+        <h3 style="color: #495057; margin-top: 0;">📄 Expense Details</h3>
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Title:</strong></td><td style="padding: 8px 0; text-align: right;">${expense.title}</td></tr>
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Amount:</strong></td><td style="padding: 8px 0; text-align: right; font-size: 18px;"><strong>${expense.amount.toFixed(2)} ${expense.currency}</strong></td></tr>
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Department:</strong></td><td style="padding: 8px 0; text-align: right;">${expense.department || 'N/A'}</td></tr>
+        </table>
+      </div>
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${reviewUrl}" style="background: ${color}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; display: inline-block;">
+          🔍 Review Expense
+        </a>
+      </div>
+      
+      <p style="font-size: 16px; line-height: 1.6;">Best regards,<br><strong>ERP Budget Tracker Team</strong></p>
+    `;
+
+    const mailOptions = {
+      from: `"ERP Budget Tracker" <${process.env.EMAIL_USER}>`,
+      to: recipient.email,
+      subject: `${escalated ? '🚨' : '⏰'} ${title}: ${expense.title}`,
+      html: getEmailTemplate(title, content, color)
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Approval ${escalated ? 'escalation' : 'reminder'} email sent to ${recipient.email}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending approval reminder email:', error);
+    return false;
+  }
+};
+
+// Send a comment or @mention notification
+const sendCommentNotification = async (recipient, author, title, text, link) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('⚠️  Email not configured - skipping comment notification email');
+      return false;
+    }
+
+    const transporter = createTransporter();
+    const commentUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}${link}`;
+
+    const content = `
+      <h2 style="color: #1976d2; margin-top: 0;">💬 New Comment</h2>
+      <p style="font-size: 16px; line-height: 1.6;">Dear <strong>${recipient.name}</strong>,</p>
+      <p style="font-size: 16px; line-height: 1.6;">${escapeHtml(title)}:</p>
+      
+      <div style="background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%); padding: 25px; border-radius: 10px; margin: 25px 0; border-left: 4px solid #1976d2;">
+        <p style="font-size: 16px; line-height: 1.6; margin: 0; white-space: pre-wrap;">${escapeHtml(text)}</p>
+        <p style="color: #6c757d; margin-bottom: 0;">— ${escapeHtml(author.name)}</p>
+      </div>
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${commentUrl}" style="background: linear-gradient(135deg, #1976d2 0%, #1565c0 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; display: inline-block;">
+          💬 View Conversation
+        </a>
+      </div>
+      
+      <p style="font-size: 16px; line-height: 1.6;">Best regards,<br><strong>ERP Budget Tracker Team</strong></p>
+    `;
+
+    const mailOptions = {
+      from: `"ERP Budget Tracker" <${process.env.EMAIL_USER}>`,
+      to: recipient.email,
+      subject: `💬 ${title}`,
+      html: getEmailTemplate('New Comment', content)
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Comment notification email sent to ${recipient.email}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending comment notification email:', error);
+    return false;
+  }
+};
+
+// Send expense report review outcome to the submitter
+const sendExpenseReportNotification = async (user, report, approvedCount, rejectedCount) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('⚠️  Email not configured - skipping expense report notification email');
+      return false;
+    }
+
+    const transporter = createTransporter();
+
+    const statusText = report.status.replace('_', ' ');
+    const color = report.status === 'approved' ? '#28a745' : report.status === 'rejected' ? '#dc3545' : '#ff9800';
+
+    const content = `
+      <h2 style="color: ${color}; margin-top: 0;">📑 Expense Report ${statusText}</h2>
+      <p style="font-size: 16px; line-height: 1.6;">Dear <strong>${user.name}</strong>,</p>
+      <p style="font-size: 16px; line-height: 1.6;">Your expense report <strong>"${report.title}"</strong> has been reviewed.</p>
+      
+      <div style="background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%); padding: 25px; border-radius: 10px; margin: 25px 0; border-left: 4px solid ${color};">
+        <h3 style="color: #495057; margin-top: 0;">📄 Review Summary</h3>
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Approved lines:</strong></td><td style="padding: 8px 0; text-align: right; color: #28a745;"><strong>${approvedCount}</strong></td></tr>
+          <tr><td style="padding: 8px 0; color: #495057;"><strong>Rejected lines:</strong></td><td style="padding: 8px 0; text-align: right; color: #dc3545;"><strong>${rejectedCount}</strong></td></tr>
+          ${report.totals.map(total => `<tr><td style="padding: 8px 0; color: #495057;"><strong>Approved (${total.currency}):</strong></td><td style="padding: 8px 0; text-align: right;">${total.approvedAmount.toFixed(2)} of ${total.amount.toFixed(2)}</td></tr>`).join('')}
+          ${report.reviewComments ? `<tr><td style="padding: 8px 0; color: #495057;"><strong>Comments:</strong></td><td style="padding: 8px 0; text-align: right;"><em>${report.reviewComments}</em></td></tr>` : ''}
+        </table>
+      </div>
+      
+      <p style="font-size: 16px; line-height: 1.6;">Best regards,<br><strong>ERP Budget Tracker Team</strong></p>
+    `;
+
+    const mailOptions = {
+      from: `"ERP Budget Tracker" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: `📑 Expense Report ${statusText}: ${report.title}`,
+      html: getEmailTemplate(`Expense Report ${statusText}`, content, color)
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Expense report notification email sent to ${user.email}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending expense report notification email:', error);
+    return false;
+  }
+};
+
 // Send welcome email to new users
 const sendWelcomeEmail = async (user, tempPassword = null) => {
   try {
@@ -357,6 +613,11 @@ module.exports = {
   testEmailConnection,
   sendBudgetAlert,
   sendExpenseNotification,
+  sendApprovalRequest,
+  sendOnBehalfNotification,
+  sendApprovalReminder,
+  sendCommentNotification,
+  sendExpenseReportNotification,
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendSystemNotification
@@ -0,0 +1,112 @@
+const path = require('path');
+const Papa = require('papaparse');
+const XLSX = require('xlsx');
+const ImportTemplate = require('../models/ImportTemplate');
+
+// Largest spreadsheet accepted in one import
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS, 10) || 1000;
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Read the first sheet of a CSV or Excel upload into an array of row objects keyed by header
+const parseSpreadsheet = (buffer, fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  if (extension === '.csv') {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const result = Papa.parse(text, {
+      header: true,
+      skipEmptyLines: 'greedy',
+      transformHeader: header => header.trim()
+    });
+    const fatal = result.errors.find(error => error.type === 'Delimiter' && result.data.length === 0);
+    if (fatal) {
+      throw new Error(`Could not parse CSV: ${fatal.message}`);
+    }
+    return { headers: result.meta.fields || [], rows: result.data };
+  }
+
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return { headers: [], rows: [] };
+  }
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true });
+  const [headerRow = []] = XLSX.utils.sheet_to_json(sheet, { header: 1, range: 0 });
+  return { headers: headerRow.map(header => String(header).trim()), rows };
+};
+
+// Without a template, columns are matched to fields by name ("Payment Method" -> paymentMethod)
+const buildDefaultMapping = (headers) => {
+  const mapping = {};
+  for (const field of ImportTemplate.IMPORT_FIELDS) {
+    const header = headers.find(candidate => normalizeHeader(candidate) === normalizeHeader(field));
+    if (header) {
+      mapping[field] = header;
+    }
+  }
+  return mapping;
+};
+
+// "$1,234.50" -> "1234.50"; anything unparseable is left for validation to report
+const normalizeAmount = (value) => {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value).trim().replace(/[^0-9.\-]/g, '');
+  return cleaned === '' ? String(value).trim() : cleaned;
+};
+
+const normalizeDate = (value) => {
+  // Excel dates are read as local midnight, so format them from local parts
+  if (value instanceof Date) {
+    if (isNaN(value)) return '';
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).trim();
+};
+
+const normalizePaymentMethod = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Turn one spreadsheet row into expense request data using the column mapping.
+// Category and budget stay as the names/IDs found in the sheet until resolved.
+const mapRow = (row, mapping) => {
+  const data = {};
+
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!column) continue;
+    const value = row[column];
+    if (value === undefined || value === null || String(value).trim() === '') continue;
+
+    switch (field) {
+      case 'amount':
+        data.amount = normalizeAmount(value);
+        break;
+      case 'date':
+        data.date = normalizeDate(value);
+        break;
+      case 'currency':
+        data.currency = String(value).trim().toUpperCase();
+        break;
+      case 'paymentMethod':
+        data.paymentMethod = normalizePaymentMethod(value);
+        break;
+      case 'tags':
+        data.tags = String(value).split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+        break;
+      case 'businessPurpose':
+        data.metadata = { businessPurpose: String(value).trim() };
+        break;
+      default:
+        data[field] = value instanceof Date ? value.toISOString() : String(value).trim();
+    }
+  }
+
+  return data;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseSpreadsheet,
+  buildDefaultMapping,
+  mapRow
+};
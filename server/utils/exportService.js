@@ -0,0 +1,145 @@
+const Papa = require('papaparse');
+const XLSX = require('xlsx');
+const moment = require('moment');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// XLSX workbooks are assembled in memory, so large exports must use CSV
+const MAX_XLSX_EXPORT_ROWS = parseInt(process.env.MAX_XLSX_EXPORT_ROWS, 10) || 50000;
+
+const formatDate = (date) => (date ? moment(date).format('YYYY-MM-DD') : '');
+const roundAmount = (amount) => (typeof amount === 'number' ? Math.round(amount * 100) / 100 : '');
+const nameOf = (value) => value?.name || '';
+
+const EXPENSE_COLUMNS = [
+  { header: 'ID', value: expense => expense._id.toString() },
+  { header: 'Date', value: expense => formatDate(expense.date) },
+  { header: 'Title', value: expense => expense.title },
+  { header: 'Vendor', value: expense => expense.vendor || '' },
+  { header: 'Category', value: expense => nameOf(expense.category) },
+  { header: 'Budget', value: expense => nameOf(expense.budget) },
+  { header: 'Department', value: expense => expense.department || '' },
+  { header: 'Amount', value: expense => roundAmount(expense.amount) },
+  { header: 'Currency', value: expense => expense.currency },
+  { header: 'Exchange Rate', value: expense => expense.exchangeRate || 1 },
+  { header: 'Converted Amount (USD)', value: expense => roundAmount(expense.convertedAmount ?? expense.amount * (expense.exchangeRate || 1)) },
+  { header: 'Payment Method', value: expense => expense.paymentMethod || '' },
+  { header: 'Status', value: expense => expense.status },
+  { header: 'Submitted By', value: expense => nameOf(expense.submittedBy) },
+  { header: 'Submitter Email', value: expense => expense.submittedBy?.email || '' },
+  { header: 'Approved By', value: expense => nameOf(expense.approvedBy) },
+  { header: 'Approval Date', value: expense => formatDate(expense.approvalDate) },
+  {
+    header: 'Approvers',
+    value: expense => (expense.approvals || [])
+      .map(step => `${nameOf(step.approver) || 'Unknown'} (${step.status})`)
+      .join('; ')
+  },
+  { header: 'Receipts', value: expense => expense.receipts?.length || 0 },
+  { header: 'Tags', value: expense => (expense.tags || []).join('; ') },
+  { header: 'Policy Violations', value: expense => (expense.policyViolations || []).map(violation => violation.message).join('; ') },
+  { header: 'Duplicate Status', value: expense => expense.duplicateCheck?.status || '' },
+  { header: 'Created At', value: expense => formatDate(expense.createdAt) }
+];
+
+const BUDGET_COLUMNS = [
+  { header: 'ID', value: budget => budget._id.toString() },
+  { header: 'Name', value: budget => budget.name },
+  { header: 'Category', value: budget => nameOf(budget.category) },
+  { header: 'Department', value: budget => budget.department || '' },
+  { header: 'Owner', value: budget => nameOf(budget.owner) },
+  { header: 'Owner Email', value: budget => budget.owner?.email || '' },
+  { header: 'Period', value: budget => budget.period },
+  { header: 'Start Date', value: budget => formatDate(budget.startDate) },
+  { header: 'End Date', value: budget => formatDate(budget.endDate) },
+  { header: 'Amount', value: budget => roundAmount(budget.amount) },
+  { header: 'Currency', value: budget => budget.currency },
+  { header: 'Converted Amount (USD)', value: budget => roundAmount(budget.convertedAmount ?? budget.amount) },
+  { header: 'Spent', value: budget => roundAmount(budget.spentAmount) },
+  { header: 'Remaining', value: budget => roundAmount(budget.remainingAmount) },
+  { header: 'Usage %', value: budget => budget.usagePercentage },
+  { header: 'Status', value: budget => budget.status },
+  { header: 'Approvers', value: budget => (budget.approvers || []).map(nameOf).join('; ') },
+  { header: 'Created At', value: budget => formatDate(budget.createdAt) }
+];
+
+const toRow = (columns, doc) => columns.map(column => column.value(doc));
+
+// Formula-like cells are escaped so a spreadsheet never executes exported text
+const toCsvLine = (values) => Papa.unparse([values], { escapeFormulae: true }) + '\r\n';
+
+// Wait for the client to catch up before reading more rows; a dropped
+// connection also releases the wait
+const writeChunk = (res, chunk) => new Promise((resolve) => {
+  if (res.write(chunk)) {
+    return resolve();
+  }
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.once('drain', done);
+  res.once('close', done);
+});
+
+// Stream the documents from a query cursor to the response as CSV or XLSX.
+// CSV rows are written as they are read, so memory use stays flat however many
+// rows match. `transform` can enrich each document (e.g. with computed totals).
+const streamExport = async (res, { cursor, columns, format, filename, transform }) => {
+  const headers = columns.map(column => column.header);
+  const stamp = moment().format('YYYYMMDD-HHmmss');
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}-${stamp}.csv"`);
+    // BOM so Excel opens UTF-8 names correctly
+    await writeChunk(res, '\uFEFF' + toCsvLine(headers));
+
+    try {
+      for await (const doc of cursor) {
+        if (res.destroyed) break;
+        const row = toRow(columns, transform ? await transform(doc) : doc);
+        await writeChunk(res, toCsvLine(row));
+      }
+    } catch (error) {
+      // Headers are already sent, so the error can only cut the download short
+      console.error('Export failed mid-stream:', error);
+      res.destroy(error);
+      return;
+    } finally {
+      await cursor.close();
+    }
+    res.end();
+    return;
+  }
+
+  const rows = [headers];
+  for await (const doc of cursor) {
+    if (rows.length > MAX_XLSX_EXPORT_ROWS) {
+      await cursor.close();
+      const error = new Error(`XLSX exports are limited to ${MAX_XLSX_EXPORT_ROWS} rows; use format=csv or narrow the filters`);
+      error.statusCode = 400;
+      throw error;
+    }
+    rows.push(toRow(columns, transform ? await transform(doc) : doc));
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), filename.slice(0, 31));
+  const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', compression: true });
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${stamp}.xlsx"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.end(buffer);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_XLSX_EXPORT_ROWS,
+  EXPENSE_COLUMNS,
+  BUDGET_COLUMNS,
+  toRow,
+  streamExport
+};
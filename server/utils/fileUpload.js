@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
 // Ensure upload directory exists
@@ -52,6 +53,29 @@ const uploadSingle = (fieldName = 'receipt') => {
   return upload.single(fieldName);
 };
 
+// Spreadsheets for bulk import are parsed in memory and never stored
+const spreadsheetExtensions = ['.csv', '.xlsx', '.xls'];
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 5 * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (spreadsheetExtensions.includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type ${extension || file.mimetype} is not allowed. Allowed types: ${spreadsheetExtensions.join(', ')}`), false);
+    }
+  }
+});
+
+// Middleware for a single spreadsheet upload
+const uploadSpreadsheet = (fieldName = 'file') => {
+  return spreadsheetUpload.single(fieldName);
+};
+
 // Middleware for multiple file uploads
 const uploadMultiple = (fieldName = 'receipts', maxCount = 5) => {
   return upload.array(fieldName, maxCount);
@@ -144,6 +168,25 @@ const getFileInfo = (filename) => {
   }
 };
 
+// SHA-256 of a stored file's contents, used to spot the same receipt uploaded twice
+const getFileHash = (filename) => {
+  return new Promise((resolve) => {
+    if (!filename) return resolve(null);
+
+    const filePath = path.join(uploadDir, path.basename(filename));
+    if (!fs.existsSync(filePath)) return resolve(null);
+
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', (error) => {
+        console.error('Error hashing file:', error);
+        resolve(null);
+      });
+  });
+};
+
 // Format file size helper
 const formatFileSize = (bytes) => {
   if (bytes === 0) return '0 Bytes';
@@ -156,8 +199,10 @@ const formatFileSize = (bytes) => {
 module.exports = {
   uploadSingle,
   uploadMultiple,
+  uploadSpreadsheet,
   getFileUrl,
   deleteFile,
+  getFileHash,
   validateFile,
   getFileType,
   getFileInfo,
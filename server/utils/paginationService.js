@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+// Sort names accepted by each list, mapped to the stored field. Amounts sort
+// on the base-currency value so mixed currencies order correctly.
+const SORT_FIELDS = {
+  expenses: {
+    date: 'date',
+    amount: 'convertedAmount',
+    createdAt: 'createdAt',
+    status: 'status'
+  },
+  budgets: {
+    date: 'startDate',
+    amount: 'convertedAmount',
+    createdAt: 'createdAt',
+    status: 'status'
+  },
+  // Audit events are ordered by their position in the hash chain
+  audit: {
+    date: 'sequence'
+  },
+  trash: {
+    date: 'deletedAt'
+  }
+};
+
+const DEFAULT_SORT = {
+  expenses: 'date',
+  budgets: 'createdAt',
+  audit: 'date',
+  trash: 'date'
+};
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const encodeValue = (value) => (value instanceof Date ? { d: value.toISOString() } : value);
+const decodeValue = (value) => (value && typeof value === 'object' && value.d ? new Date(value.d) : value);
+
+// Opaque cursor: the sort key and _id of the last row on the page
+const encodeCursor = (doc, sort, order, path) => Buffer.from(JSON.stringify({
+  s: sort,
+  o: order,
+  v: encodeValue(doc.get ? doc.get(path) : doc[path]),
+  id: doc._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || !mongoose.Types.ObjectId.isValid(decoded.id)) return null;
+    return { ...decoded, v: decodeValue(decoded.v), id: new mongoose.Types.ObjectId(decoded.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read sort, order, limit, cursor/page and count options from a list request.
+// Returns the options, or { error } for an unknown sort or a bad cursor.
+const parseListOptions = (queryParams, resource, { relevance = false } = {}) => {
+  const fields = SORT_FIELDS[resource];
+  const sort = queryParams.sort || DEFAULT_SORT[resource];
+  if (!fields[sort]) {
+    return { error: `Sort must be one of: ${Object.keys(fields).join(', ')}` };
+  }
+
+  const order = queryParams.order === 'asc' ? 'asc' : 'desc';
+  const limit = Math.min(parseInt(queryParams.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const includeTotal = queryParams.count !== 'false';
+
+  // Text search results ranked by relevance have no stable key to page on
+  const byRelevance = relevance && !queryParams.sort;
+
+  if (queryParams.cursor) {
+    if (byRelevance) {
+      return { error: 'Cursor pagination needs a sort field when searching' };
+    }
+    const cursor = decodeCursor(queryParams.cursor);
+    if (!cursor || cursor.s !== sort || cursor.o !== order) {
+      return { error: 'Invalid cursor for this sort' };
+    }
+    return { mode: 'cursor', resource, sort, path: fields[sort], order, limit, cursor, includeTotal, byRelevance };
+  }
+
+  if (queryParams.page || byRelevance) {
+    const page = Math.max(parseInt(queryParams.page, 10) || 1, 1);
+    return { mode: 'page', resource, sort, path: fields[sort], order, limit, page, includeTotal, byRelevance };
+  }
+
+  return { mode: 'cursor', resource, sort, path: fields[sort], order, limit, cursor: null, includeTotal, byRelevance };
+};
+
+// Sort on the chosen field with _id as a tie-breaker so the order is stable
+const buildSort = ({ path, order, byRelevance }) => {
+  if (byRelevance) {
+    return { score: { $meta: 'textScore' }, date: -1, _id: -1 };
+  }
+  const direction = order === 'asc' ? 1 : -1;
+  return { [path]: direction, _id: direction };
+};
+
+// Rows strictly after the cursor in the sort order
+const buildKeysetFilter = ({ path, order, cursor }) => {
+  const operator = order === 'asc' ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [path]: { [operator]: cursor.v } },
+      { [path]: cursor.v, _id: { [operator]: cursor.id } }
+    ]
+  };
+};
+
+// Run a paginated find. `decorate` adds populates/selects to the query.
+// Returns the page of documents and the pagination block for the response.
+const paginate = async (Model, filter, options, decorate = query => query) => {
+  const findFilter = options.mode === 'cursor' && options.cursor
+    ? { ...filter, $and: [...(filter.$and || []), buildKeysetFilter(options)] }
+    : filter;
+
+  let query = Model.find(findFilter).sort(buildSort(options)).limit(options.limit + 1);
+  if (options.byRelevance) {
+    query = query.select({ score: { $meta: 'textScore' } });
+  }
+  if (options.mode === 'page') {
+    query = query.skip((options.page - 1) * options.limit);
+  }
+
+  const docs = await decorate(query);
+  const hasMore = docs.length > options.limit;
+  if (hasMore) docs.pop();
+
+  const total = options.includeTotal ? await Model.countDocuments(filter) : undefined;
+
+  const pagination = { limit: options.limit, sort: options.byRelevance ? 'relevance' : options.sort, order: options.order, hasMore };
+  if (options.mode === 'page') {
+    pagination.page = options.page;
+  } else {
+    const last = docs[docs.length - 1];
+    pagination.nextCursor = hasMore && last ? encodeCursor(last, options.sort, options.order, options.path) : null;
+  }
+  if (total !== undefined) {
+    pagination.total = total;
+    pagination.pages = Math.ceil(total / options.limit);
+  }
+
+  return { docs, pagination };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseListOptions,
+  buildSort,
+  buildKeysetFilter,
+  paginate
+};
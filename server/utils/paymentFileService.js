@@ -0,0 +1,310 @@
+// Payment file generation for reimbursement batches (SEPA pain.001 and NACHA)
+
+// Company (payer) details used in payment files
+const getPayerDetails = () => ({
+  name: process.env.PAYMENT_COMPANY_NAME || 'ERP Budget Tracker',
+  iban: process.env.PAYMENT_COMPANY_IBAN,
+  bic: process.env.PAYMENT_COMPANY_BIC,
+  companyId: process.env.PAYMENT_COMPANY_ID,
+  routingNumber: process.env.PAYMENT_ODFI_ROUTING,
+  destinationRouting: process.env.PAYMENT_IMMEDIATE_DESTINATION,
+  destinationName: process.env.PAYMENT_IMMEDIATE_DESTINATION_NAME || ''
+});
+
+// Escape text for XML element content
+const escapeXml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Restrict text to the SEPA Latin character set and the given length
+const sepaText = (value = '', maxLength = 70) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+  .substring(0, maxLength)
+  .trim();
+
+const formatAmount = (amount) => (Math.round(amount * 100) / 100).toFixed(2);
+
+const formatIsoDate = (date) => new Date(date).toISOString().substring(0, 10);
+
+// Left-justify alphanumeric NACHA fields
+const padRight = (value, length) => String(value || '').toUpperCase().substring(0, length).padEnd(length, ' ');
+
+// Right-justify numeric NACHA fields
+const padLeft = (value, length, char = '0') => String(value || '').substring(0, length).padStart(length, char);
+
+const formatNachaDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getFullYear()).substring(2)}${padLeft(d.getMonth() + 1, 2)}${padLeft(d.getDate(), 2)}`;
+};
+
+const formatNachaTime = (date) => {
+  const d = new Date(date);
+  return `${padLeft(d.getHours(), 2)}${padLeft(d.getMinutes(), 2)}`;
+};
+
+// Validate an ABA routing number checksum
+const isValidRoutingNumber = (routingNumber) => {
+  if (!/^\d{9}$/.test(routingNumber || '')) return false;
+  const d = routingNumber.split('').map(Number);
+  const checksum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+  return checksum % 10 === 0;
+};
+
+// Find payees whose bank details cannot be used for the given format
+const getPayeesMissingBankDetails = (payments, format) => payments
+  .filter(payment => {
+    const bank = payment.employee?.bankDetails || {};
+    if (format === 'sepa') return !bank.iban;
+    return !isValidRoutingNumber(bank.routingNumber) || !bank.accountNumber;
+  })
+  .map(payment => ({
+    id: payment.employee?._id,
+    name: payment.employee?.name,
+    email: payment.employee?.email
+  }));
+
+// Generate a SEPA credit transfer initiation (pain.001.001.03) XML document
+const generateSepaFile = (batch, payments, options = {}) => {
+  const payer = { ...getPayerDetails(), ...options.payer };
+  const createdAt = options.createdAt || new Date();
+  const executionDate = options.executionDate || createdAt;
+
+  if (!payer.iban) {
+    throw new Error('Company IBAN (PAYMENT_COMPANY_IBAN) is required for SEPA export');
+  }
+
+  const controlSum = formatAmount(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  const messageId = sepaText(batch.reference, 35);
+
+  const transactions = payments.map((payment, index) => {
+    const bank = payment.employee.bankDetails;
+    const endToEndId = sepaText(`${batch.reference}-${index + 1}`, 35);
+    const creditorAgent = bank.bic
+      ? `
+        <CdtrAgt>
+          <FinInstnId>
+            <BIC>${escapeXml(bank.bic)}</BIC>
+          </FinInstnId>
+        </CdtrAgt>`
+      : '';
+
+    return `
+      <CdtTrfTxInf>
+        <PmtId>
+          <EndToEndId>${escapeXml(endToEndId)}</EndToEndId>
+        </PmtId>
+        <Amt>
+          <InstdAmt Ccy="${escapeXml(batch.payoutCurrency)}">${formatAmount(payment.amount)}</InstdAmt>
+        </Amt>${creditorAgent}
+        <Cdtr>
+          <Nm>${escapeXml(sepaText(bank.accountHolder || payment.employee.name))}</Nm>
+        </Cdtr>
+        <CdtrAcct>
+          <Id>
+            <IBAN>${escapeXml(bank.iban.replace(/\s/g, ''))}</IBAN>
+          </Id>
+        </CdtrAcct>
+        <RmtInf>
+          <Ustrd>${escapeXml(sepaText(`Expense reimbursement ${batch.reference}`, 140))}</Ustrd>
+        </RmtInf>
+      </CdtTrfTxInf>`;
+  }).join('');
+
+  const debtorAgent = payer.bic
+    ? `<FinInstnId>
+          <BIC>${escapeXml(payer.bic)}</BIC>
+        </FinInstnId>`
+    : `<FinInstnId>
+          <Othr>
+            <Id>NOTPROVIDED</Id>
+          </Othr>
+        </FinInstnId>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${escapeXml(messageId)}</MsgId>
+      <CreDtTm>${new Date(createdAt).toISOString().substring(0, 19)}</CreDtTm>
+      <NbOfTxs>${payments.length}</NbOfTxs>
+      <CtrlSum>${controlSum}</CtrlSum>
+      <InitgPty>
+        <Nm>${escapeXml(sepaText(payer.name))}</Nm>
+      </InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${escapeXml(messageId)}</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <BtchBookg>true</BtchBookg>
+      <NbOfTxs>${payments.length}</NbOfTxs>
+      <CtrlSum>${controlSum}</CtrlSum>
+      <PmtTpInf>
+        <SvcLvl>
+          <Cd>SEPA</Cd>
+        </SvcLvl>
+      </PmtTpInf>
+      <ReqdExctnDt>${formatIsoDate(executionDate)}</ReqdExctnDt>
+      <Dbtr>
+        <Nm>${escapeXml(sepaText(payer.name))}</Nm>
+      </Dbtr>
+      <DbtrAcct>
+        <Id>
+          <IBAN>${escapeXml(payer.iban.replace(/\s/g, ''))}</IBAN>
+        </Id>
+      </DbtrAcct>
+      <DbtrAgt>
+        ${debtorAgent}
+      </DbtrAgt>
+      <ChrgBr>SLEV</ChrgBr>${transactions}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+};
+
+// Generate a NACHA (ACH) file with one PPD credit batch
+const generateNachaFile = (batch, payments, options = {}) => {
+  const payer = { ...getPayerDetails(), ...options.payer };
+  const createdAt = options.createdAt || new Date();
+  const effectiveDate = options.executionDate || createdAt;
+
+  if (!isValidRoutingNumber(payer.routingNumber)) {
+    throw new Error('A valid originating routing number (PAYMENT_ODFI_ROUTING) is required for NACHA export');
+  }
+  if (!payer.companyId) {
+    throw new Error('Company identification (PAYMENT_COMPANY_ID) is required for NACHA export');
+  }
+
+  const destination = payer.destinationRouting || payer.routingNumber;
+  const odfi = payer.routingNumber.substring(0, 8);
+  const batchNumber = 1;
+  const records = [];
+
+  // File header record
+  records.push([
+    '1',
+    '01',
+    padLeft(destination, 10, ' '),
+    padLeft(payer.companyId, 10, ' '),
+    formatNachaDate(createdAt),
+    formatNachaTime(createdAt),
+    'A',
+    '094',
+    '10',
+    '1',
+    padRight(payer.destinationName, 23),
+    padRight(payer.name, 23),
+    padRight(batch.reference, 8)
+  ].join(''));
+
+  // Batch header record (220 = credits only, PPD = consumer accounts)
+  records.push([
+    '5',
+    '220',
+    padRight(payer.name, 16),
+    padRight('', 20),
+    padRight(payer.companyId, 10),
+    'PPD',
+    padRight('EXPENSES', 10),
+    formatNachaDate(createdAt),
+    formatNachaDate(effectiveDate),
+    '   ',
+    '1',
+    odfi,
+    padLeft(batchNumber, 7)
+  ].join(''));
+
+  let entryHash = 0;
+  let totalCredit = 0;
+
+  // Entry detail records
+  payments.forEach((payment, index) => {
+    const bank = payment.employee.bankDetails;
+    const cents = Math.round(payment.amount * 100);
+    const transactionCode = bank.accountType === 'savings' ? '32' : '22';
+
+    entryHash += parseInt(bank.routingNumber.substring(0, 8), 10);
+    totalCredit += cents;
+
+    records.push([
+      '6',
+      transactionCode,
+      bank.routingNumber.substring(0, 8),
+      bank.routingNumber.substring(8, 9),
+      padRight(bank.accountNumber, 17),
+      padLeft(cents, 10),
+      padRight(String(payment.employee._id).slice(-15), 15),
+      padRight(bank.accountHolder || payment.employee.name, 22),
+      '  ',
+      '0',
+      `${odfi}${padLeft(index + 1, 7)}`
+    ].join(''));
+  });
+
+  const hash = padLeft(String(entryHash).slice(-10), 10);
+
+  // Batch control record
+  records.push([
+    '8',
+    '220',
+    padLeft(payments.length, 6),
+    hash,
+    padLeft(0, 12),
+    padLeft(totalCredit, 12),
+    padRight(payer.companyId, 10),
+    padRight('', 19),
+    padRight('', 6),
+    odfi,
+    padLeft(batchNumber, 7)
+  ].join(''));
+
+  // File control record (block count includes itself)
+  const blockCount = Math.ceil((records.length + 1) / 10);
+  records.push([
+    '9',
+    padLeft(1, 6),
+    padLeft(blockCount, 6),
+    padLeft(payments.length, 8),
+    hash,
+    padLeft(0, 12),
+    padLeft(totalCredit, 12),
+    padRight('', 39)
+  ].join(''));
+
+  // Fill the last block with 9s
+  while (records.length % 10 !== 0) {
+    records.push('9'.repeat(94));
+  }
+
+  return records.join('\n') + '\n';
+};
+
+// Build the payment file for a batch in its configured format
+const generatePaymentFile = (batch, payments, options = {}) => {
+  if (batch.paymentFormat === 'nacha') {
+    return {
+      content: generateNachaFile(batch, payments, options),
+      filename: `${batch.reference}.ach`,
+      contentType: 'text/plain'
+    };
+  }
+
+  return {
+    content: generateSepaFile(batch, payments, options),
+    filename: `${batch.reference}.xml`,
+    contentType: 'application/xml'
+  };
+};
+
+module.exports = {
+  isValidRoutingNumber,
+  getPayeesMissingBankDetails,
+  generateSepaFile,
+  generateNachaFile,
+  generatePaymentFile
+};
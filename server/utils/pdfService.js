@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const pdf = require('html-pdf');
+const { getTagBreakdown } = require('./tagService');
 
 // PDF configuration
 const pdfOptions = {
@@ -162,6 +163,20 @@ const getBaseTemplate = (title, content, styles = '') => `
 </html>
 `;
 
+// Category cell for an expense, listing each allocation line of a split expense
+const formatExpenseCategory = (expense) => {
+  if (!expense.allocations || expense.allocations.length === 0) {
+    return expense.category?.name || 'N/A';
+  }
+  return expense.getAllocationLines()
+    .map(line => `${line.category?.name || 'N/A'} (${line.amount.toFixed(2)})`)
+    .join('<br>');
+};
+
+// Amount of an expense charged to a budget, honoring its split
+const getBudgetSpend = (budget, expenses) => expenses
+  .reduce((sum, expense) => sum + expense.amount * expense.getBudgetShare(budget._id), 0);
+
 // Generate expense report PDF
 const generateExpenseReport = async (expenses, filters = {}) => {
   try {
@@ -219,7 +234,7 @@ const generateExpenseReport = async (expenses, filters = {}) => {
               <tr>
                 <td>${new Date(expense.date).toLocaleDateString()}</td>
                 <td>${expense.title}</td>
-                <td>${expense.category?.name || 'N/A'}</td>
+                <td>${formatExpenseCategory(expense)}</td>
                 <td class="amount">$${expense.amount.toFixed(2)}</td>
                 <td><span class="status ${expense.status}">${expense.status}</span></td>
                 <td>${expense.submittedBy?.name || 'N/A'}</td>
@@ -230,7 +245,36 @@ const generateExpenseReport = async (expenses, filters = {}) => {
       </div>
     `;
 
-    const content = summaryHtml + filtersHtml + expensesHtml;
+    // An expense counts under each of its tags, so shares can add up to over 100%
+    const tagBreakdown = Object.entries(getTagBreakdown(expenses))
+      .sort(([, a], [, b]) => b.amount - a.amount);
+    const tagsHtml = tagBreakdown.length > 0 ? `
+      <div class="section">
+        <div class="section-title">Expenses by Tag</div>
+        <table>
+          <thead>
+            <tr>
+              <th>Tag</th>
+              <th>Count</th>
+              <th>Total Amount</th>
+              <th>% of Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${tagBreakdown.map(([tag, data]) => `
+              <tr>
+                <td>${tag}</td>
+                <td class="text-center">${data.count}</td>
+                <td class="amount">$${data.amount.toFixed(2)}</td>
+                <td class="text-center">${totalAmount > 0 ? ((data.amount / totalAmount) * 100).toFixed(1) : 0}%</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    ` : '';
+
+    const content = summaryHtml + filtersHtml + tagsHtml + expensesHtml;
     const html = getBaseTemplate('Expense Report', content);
 
     return await generatePdfFromHtml(html, `expense-report-${Date.now()}.pdf`);
@@ -244,7 +288,7 @@ const generateExpenseReport = async (expenses, filters = {}) => {
 const generateBudgetReport = async (budgets, expenses = []) => {
   try {
     const totalBudget = budgets.reduce((sum, budget) => sum + budget.amount, 0);
-    const totalSpent = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+    const totalSpent = budgets.reduce((sum, budget) => sum + getBudgetSpend(budget, expenses), 0);
     const remainingBudget = totalBudget - totalSpent;
 
     const summaryHtml = `
@@ -288,7 +332,7 @@ const generateBudgetReport = async (budgets, expenses = []) => {
           </thead>
           <tbody>
             ${budgets.map(budget => {
-              const spent = expenses.filter(e => e.budget?.toString() === budget._id.toString()).reduce((sum, e) => sum + e.amount, 0);
+              const spent = getBudgetSpend(budget, expenses);
               const remaining = budget.amount - spent;
               const usage = budget.amount > 0 ? ((spent / budget.amount) * 100).toFixed(1) : 0;
               
@@ -337,12 +381,14 @@ const generateFinancialReport = async (budgets, expenses, dateRange = {}) => {
     // Category breakdown
     const categoryBreakdown = {};
     expenses.forEach(expense => {
-      const category = expense.category?.name || 'Uncategorized';
-      if (!categoryBreakdown[category]) {
-        categoryBreakdown[category] = { count: 0, amount: 0 };
-      }
-      categoryBreakdown[category].count++;
-      categoryBreakdown[category].amount += expense.amount;
+      expense.getAllocationLines().forEach(line => {
+        const category = line.category?.name || 'Uncategorized';
+        if (!categoryBreakdown[category]) {
+          categoryBreakdown[category] = { count: 0, amount: 0 };
+        }
+        categoryBreakdown[category].count++;
+        categoryBreakdown[category].amount += line.amount;
+      });
     });
 
     const summaryHtml = `
@@ -407,6 +453,96 @@ const generateFinancialReport = async (budgets, expenses, dateRange = {}) => {
   }
 };
 
+// Generate a single PDF for an expense report submission
+const generateExpenseReportSummary = async (report, expenses) => {
+  try {
+    const formatPeriod = () => {
+      if (!report.startDate || !report.endDate) return 'N/A';
+      return `${new Date(report.startDate).toLocaleDateString()} - ${new Date(report.endDate).toLocaleDateString()}`;
+    };
+
+    const detailsHtml = `
+      <div class="section">
+        <div class="section-title">${report.title}</div>
+        <table>
+          <tbody>
+            <tr><th>Submitted By</th><td>${report.submittedBy?.name || 'N/A'}</td><th>Department</th><td>${report.department || 'N/A'}</td></tr>
+            <tr><th>Period</th><td>${formatPeriod()}</td><th>Status</th><td><span class="status ${report.status}">${report.status.replace('_', ' ')}</span></td></tr>
+            <tr><th>Submitted On</th><td>${report.submittedAt ? new Date(report.submittedAt).toLocaleDateString() : 'Not submitted'}</td><th>Reviewed By</th><td>${report.reviewedBy?.name || 'N/A'}</td></tr>
+            ${report.businessPurpose ? `<tr><th>Business Purpose</th><td colspan="3">${report.businessPurpose}</td></tr>` : ''}
+            ${report.description ? `<tr><th>Description</th><td colspan="3">${report.description}</td></tr>` : ''}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    const totalsHtml = `
+      <div class="summary-card">
+        <table>
+          <thead>
+            <tr>
+              <th>Currency</th>
+              <th>Lines</th>
+              <th>Claimed</th>
+              <th>Approved</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${report.totals.map(total => `
+              <tr>
+                <td>${total.currency}</td>
+                <td class="text-center">${total.count}</td>
+                <td class="amount">${total.amount.toFixed(2)} ${total.currency}</td>
+                <td class="amount">${total.approvedAmount.toFixed(2)} ${total.currency}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    const linesHtml = `
+      <div class="section">
+        <div class="section-title">Expense Lines</div>
+        <table>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Title</th>
+              <th>Category</th>
+              <th>Vendor</th>
+              <th>Amount</th>
+              <th>Receipts</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${expenses.map(expense => `
+              <tr>
+                <td>${new Date(expense.date).toLocaleDateString()}</td>
+                <td>${expense.title}${expense.rejectionReason ? `<br><small>${expense.rejectionReason}</small>` : ''}</td>
+                <td>${formatExpenseCategory(expense)}</td>
+                <td>${expense.vendor || 'N/A'}</td>
+                <td class="amount">${expense.amount.toFixed(2)} ${expense.currency || 'USD'}</td>
+                <td class="text-center">${expense.receipts ? expense.receipts.length : 0}</td>
+                <td><span class="status ${expense.status}">${expense.status}</span></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    const content = detailsHtml + totalsHtml + linesHtml;
+    const html = getBaseTemplate('Expense Report Submission', content);
+
+    return await generatePdfFromHtml(html, `expense-report-${report._id}-${Date.now()}.pdf`);
+  } catch (error) {
+    console.error('Error generating expense report summary:', error);
+    throw error;
+  }
+};
+
 // Core PDF generation function
 const generatePdfFromHtml = (html, filename) => {
   return new Promise((resolve, reject) => {
@@ -453,5 +589,6 @@ module.exports = {
   generateExpenseReport,
   generateBudgetReport,
   generateFinancialReport,
+  generateExpenseReportSummary,
   generatePdfFromHtml
 };
\ No newline at end of file
@@ -0,0 +1,87 @@
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+// Longest trip a single per diem request may cover
+const MAX_TRIP_DAYS = 90;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// List every calendar day of a trip (inclusive), as UTC midnight dates
+const getTripDays = (startDate, endDate) => {
+  const days = [];
+  const current = new Date(`${toDateKey(startDate)}T00:00:00.000Z`);
+  const last = new Date(`${toDateKey(endDate)}T00:00:00.000Z`);
+
+  while (current <= last) {
+    days.push(new Date(current));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return days;
+};
+
+// Calculate one day's allowance from a rate.
+// Travel days get the rate's reduced share of meals and incidentals, provided
+// meals are deducted at their full rate, and no lodging is paid for the night
+// the traveller returns home.
+const calculatePerDiemDay = (rate, { isFirstDay = false, isLastDay = false, providedMeals = [], includeLodging = true } = {}) => {
+  const meals = rate.meals || {};
+  const isTravelDay = isFirstDay || isLastDay;
+  const share = isTravelDay ? (rate.travelDayPercentage ?? 75) / 100 : 1;
+
+  const fullMeals = MEALS.reduce((sum, meal) => sum + (meals[meal] || 0), 0) + (rate.incidentals || 0);
+  const deductedMeals = [...new Set(providedMeals)].filter(meal => MEALS.includes(meal));
+  const deductions = deductedMeals.reduce((sum, meal) => sum + (meals[meal] || 0), 0);
+
+  const mealsAllowance = roundAmount(Math.max(0, fullMeals * share - deductions));
+  const lodgingAllowance = includeLodging && !isLastDay ? roundAmount(rate.lodging || 0) : 0;
+
+  return {
+    dayType: isTravelDay ? 'travel' : 'full',
+    mealsAllowance,
+    lodgingAllowance,
+    deductions: roundAmount(deductions),
+    providedMeals: deductedMeals,
+    amount: roundAmount(mealsAllowance + lodgingAllowance)
+  };
+};
+
+// Build the per-day breakdown for a whole trip.
+// `getRate(date)` returns the rate in force that day; `providedMeals` maps a
+// YYYY-MM-DD date to the meals supplied on it.
+const calculatePerDiemTrip = async (startDate, endDate, getRate, { providedMeals = {}, includeLodging = true } = {}) => {
+  const days = getTripDays(startDate, endDate);
+  const breakdown = [];
+
+  for (let i = 0; i < days.length; i++) {
+    const date = days[i];
+    const rate = await getRate(date);
+    if (!rate) {
+      throw new Error(`No per diem rate is in force on ${toDateKey(date)}`);
+    }
+
+    // A same-day trip is a single travel day without lodging
+    breakdown.push({
+      date,
+      rate,
+      ...calculatePerDiemDay(rate, {
+        isFirstDay: i === 0,
+        isLastDay: i === days.length - 1,
+        providedMeals: providedMeals[toDateKey(date)] || [],
+        includeLodging
+      })
+    });
+  }
+
+  return breakdown;
+};
+
+module.exports = {
+  MEALS,
+  MAX_TRIP_DAYS,
+  toDateKey,
+  getTripDays,
+  calculatePerDiemDay,
+  calculatePerDiemTrip
+};
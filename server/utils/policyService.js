@@ -0,0 +1,125 @@
+const PolicyRule = require('../models/PolicyRule');
+const Expense = require('../models/Expense');
+
+const getId = (value) => (value?._id || value)?.toString();
+
+const toDayRange = (date) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { start, end };
+};
+
+const formatAmount = (amount) => `${Math.round(amount * 100) / 100} USD`;
+
+// Whether a rule's category/department scope covers the expense
+const ruleApplies = (rule, expense) => {
+  if (rule.categories?.length > 0 && !rule.categories.some(category => getId(category) === getId(expense.category))) {
+    return false;
+  }
+  if (rule.departments?.length > 0 && !rule.departments.includes(expense.department)) {
+    return false;
+  }
+  return true;
+};
+
+// Evaluate a single rule. `context.dailyTotal` is the expense's amount plus the
+// submitter's other spend in scope that day (base currency).
+// Returns a violation message, or null when the expense complies.
+const evaluateRule = (rule, expense, context = {}) => {
+  const amount = expense.amount * (expense.exchangeRate || 1);
+  const limit = rule.params?.amount;
+
+  switch (rule.type) {
+    case 'max_amount':
+      return amount > limit
+        ? `${formatAmount(amount)} exceeds the ${formatAmount(limit)} limit per expense`
+        : null;
+
+    case 'max_amount_per_day': {
+      const dailyTotal = context.dailyTotal ?? amount;
+      return dailyTotal > limit
+        ? `Spend of ${formatAmount(dailyTotal)} on this day exceeds the ${formatAmount(limit)} daily limit`
+        : null;
+    }
+
+    case 'no_weekend': {
+      const day = new Date(expense.date).getUTCDay();
+      return day === 0 || day === 6 ? 'Expenses are not allowed on weekends' : null;
+    }
+
+    case 'attendees_required': {
+      const minAttendees = rule.params?.minAttendees || 1;
+      const attendees = expense.metadata?.attendees?.length || 0;
+      if ((limit === undefined || limit === null || amount > limit) && attendees < minAttendees) {
+        return limit
+          ? `Expenses above ${formatAmount(limit)} must list at least ${minAttendees} attendee(s)`
+          : `At least ${minAttendees} attendee(s) must be listed`;
+      }
+      return null;
+    }
+
+    case 'business_purpose_required':
+      return expense.metadata?.businessPurpose?.trim() ? null : 'A business purpose is required';
+
+    default:
+      return null;
+  }
+};
+
+// Sum of the submitter's other non-rejected spend on the expense's day within the rule's scope
+const getDailyTotal = async (rule, expense) => {
+  const { start, end } = toDayRange(expense.date);
+  const query = {
+    _id: { $ne: expense._id },
+    submittedBy: getId(expense.submittedBy),
+    status: { $ne: 'rejected' },
+    date: { $gte: start, $lt: end }
+  };
+  if (rule.categories?.length > 0) {
+    query.category = { $in: rule.categories };
+  }
+
+  const others = await Expense.find(query).select('amount exchangeRate');
+  const othersTotal = others.reduce((sum, other) => sum + other.amount * (other.exchangeRate || 1), 0);
+
+  return othersTotal + expense.amount * (expense.exchangeRate || 1);
+};
+
+// Evaluate every active policy rule that applies to the expense
+const evaluateExpensePolicies = async (expense) => {
+  const rules = await PolicyRule.find({ isActive: true });
+  const violations = [];
+
+  for (const rule of rules) {
+    if (!ruleApplies(rule, expense)) continue;
+
+    const context = rule.type === 'max_amount_per_day'
+      ? { dailyTotal: await getDailyTotal(rule, expense) }
+      : {};
+
+    const message = evaluateRule(rule, expense, context);
+    if (message) {
+      violations.push({
+        rule: rule._id,
+        name: rule.name,
+        type: rule.type,
+        action: rule.action,
+        message
+      });
+    }
+  }
+
+  return {
+    violations,
+    blocks: violations.filter(violation => violation.action === 'block'),
+    warnings: violations.filter(violation => violation.action === 'warn')
+  };
+};
+
+module.exports = {
+  ruleApplies,
+  evaluateRule,
+  evaluateExpensePolicies
+};
@@ -0,0 +1,286 @@
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const { getHistoricalRate } = require('./currencyService');
+
+// Check interval for due recurring expenses (1 hour)
+const PROCESS_INTERVAL = 60 * 60 * 1000;
+
+// Safety cap on occurrences generated for a single expense in one run
+const MAX_OCCURRENCES_PER_RUN = 366;
+
+// Check whether an occurrence date is still within the series limits
+const isWithinSeries = (expense, occurrenceDate, occurrenceCount) => {
+  if (expense.recurringEndDate && occurrenceDate > expense.recurringEndDate) {
+    return false;
+  }
+  if (expense.recurringOccurrenceLimit && occurrenceCount >= expense.recurringOccurrenceLimit) {
+    return false;
+  }
+  return true;
+};
+
+// List upcoming occurrence dates without persisting anything
+const getUpcomingOccurrences = (expense, count = 5) => {
+  const occurrences = [];
+
+  if (!expense.isRecurring || !expense.recurringPeriod || !expense.nextRecurringDate) {
+    return occurrences;
+  }
+
+  let occurrenceDate = new Date(expense.nextRecurringDate);
+  let occurrenceCount = expense.recurringOccurrenceCount || 0;
+
+  while (occurrences.length < count && isWithinSeries(expense, occurrenceDate, occurrenceCount)) {
+    occurrences.push(occurrenceDate);
+    occurrenceCount++;
+    occurrenceDate = Expense.calculateNextRecurringDate(occurrenceDate, expense.recurringPeriod, expense.date);
+  }
+
+  return occurrences;
+};
+
+// Occurrence after the current one, or null when the series limits are reached
+const getFollowingOccurrence = (expense, occurrenceCount) => {
+  const nextDate = Expense.calculateNextRecurringDate(expense.nextRecurringDate, expense.recurringPeriod, expense.date);
+  return isWithinSeries(expense, nextDate, occurrenceCount) ? nextDate : null;
+};
+
+// Move the series to its next occurrence, ending it when the limits are reached
+const advanceRecurringDate = (expense) => {
+  expense.nextRecurringDate = getFollowingOccurrence(expense, expense.recurringOccurrenceCount) || undefined;
+  return expense.nextRecurringDate;
+};
+
+// Move the stored series past its current occurrence, but only if no other run
+// has done so since `expense` was loaded. Returns false when the occurrence was
+// already taken. `generate` counts the occurrence; skipped ones are not counted.
+const claimOccurrence = async (expense, generate = true) => {
+  const occurrenceCount = expense.recurringOccurrenceCount + (generate ? 1 : 0);
+  const nextDate = generate ? getFollowingOccurrence(expense, occurrenceCount) : null;
+
+  const { modifiedCount } = await Expense.updateOne(
+    {
+      _id: expense._id,
+      nextRecurringDate: expense.nextRecurringDate,
+      recurringOccurrenceCount: expense.recurringOccurrenceCount
+    },
+    nextDate
+      ? { $set: { nextRecurringDate: nextDate, recurringOccurrenceCount: occurrenceCount } }
+      : { $set: { recurringOccurrenceCount: occurrenceCount }, $unset: { nextRecurringDate: 1 } }
+  );
+  if (modifiedCount === 0) return false;
+
+  // Mirror the stored state without marking it for another save
+  expense.$set({ nextRecurringDate: nextDate || undefined, recurringOccurrenceCount: occurrenceCount });
+  expense.unmarkModified('nextRecurringDate');
+  expense.unmarkModified('recurringOccurrenceCount');
+  return true;
+};
+
+// Put a claimed occurrence back on the stored series so the next run retries
+// it, unless something else has moved the series since. Returns whether it did.
+const releaseOccurrence = async (expense, occurrenceDate, occurrenceCount) => {
+  const { modifiedCount } = await Expense.updateOne(
+    {
+      _id: expense._id,
+      nextRecurringDate: expense.nextRecurringDate || null,
+      recurringOccurrenceCount: expense.recurringOccurrenceCount
+    },
+    { $set: { nextRecurringDate: occurrenceDate, recurringOccurrenceCount: occurrenceCount } }
+  );
+  if (modifiedCount === 0) return false;
+
+  expense.$set({ nextRecurringDate: occurrenceDate, recurringOccurrenceCount: occurrenceCount });
+  expense.unmarkModified('nextRecurringDate');
+  expense.unmarkModified('recurringOccurrenceCount');
+  return true;
+};
+
+// Resolve the budget a child occurrence may be charged to
+const resolveOccurrenceBudget = async (budgetId, occurrenceDate) => {
+  if (!budgetId) return { budget: null, reason: null };
+
+  const budget = await Budget.findById(budgetId);
+
+  if (!budget) {
+    return { budget: null, reason: 'Budget no longer exists' };
+  }
+
+  if (budget.status !== 'active' && budget.status !== 'approved') {
+    return { budget: null, reason: 'Budget is not active' };
+  }
+
+  if (occurrenceDate < budget.startDate || occurrenceDate > budget.endDate) {
+    return { budget: null, reason: 'Occurrence date is outside budget period' };
+  }
+
+  return { budget, reason: null };
+};
+
+// Create the child expense for a single occurrence
+const createOccurrence = async (parent, occurrenceDate, occurrence) => {
+  const budgetId = parent.budget?._id || parent.budget;
+  const submitterId = parent.submittedBy?._id || parent.submittedBy;
+  const { budget, reason } = await resolveOccurrenceBudget(budgetId, occurrenceDate);
+
+  // Split lines keep their shares; lines whose budget can't take this occurrence stay uncharged
+  const allocations = [];
+  for (const line of parent.allocations || []) {
+    const lineBudgetId = line.budget?._id || line.budget;
+    const { budget: lineBudget } = await resolveOccurrenceBudget(lineBudgetId, occurrenceDate);
+    allocations.push({
+      category: line.category?._id || line.category,
+      budget: lineBudget ? lineBudget._id : undefined,
+      department: line.department,
+      percentage: line.percentage,
+      amount: line.amount,
+      notes: line.notes
+    });
+  }
+
+  // Each occurrence is converted at the rate for its own date
+  const exchangeRate = await getHistoricalRate(parent.currency, occurrenceDate);
+
+  const child = new Expense({
+    title: parent.title,
+    description: parent.description,
+    amount: parent.amount,
+    currency: parent.currency,
+    exchangeRate: exchangeRate.rate,
+    exchangeRateSource: exchangeRate.source,
+    exchangeRateDate: exchangeRate.date,
+    date: occurrenceDate,
+    category: parent.category?._id || parent.category,
+    budget: budget ? budget._id : undefined,
+    paymentMethod: parent.paymentMethod,
+    vendor: parent.vendor,
+    matchedVendor: parent.matchedVendor,
+    tags: parent.tags,
+    department: parent.department,
+    notes: parent.notes,
+    metadata: parent.metadata,
+    allocations,
+    submittedBy: submitterId,
+    parentExpenseId: parent._id,
+    approvals: budget ? budget.getApprovalSteps(parent.amount * exchangeRate.rate) : []
+  });
+
+  child.addAuditLog('created', submitterId, {
+    source: 'recurring',
+    parentExpenseId: parent._id,
+    occurrence
+  }, reason);
+  child.refreshReceiptRequirement(budget);
+  child.applyAutoApproval(budget);
+
+  await child.save();
+  return child;
+};
+
+// Generate all due occurrences for one recurring expense. Each occurrence is
+// claimed on the stored series before its child is created, so an overlapping
+// run can't generate it twice. An occurrence whose child can't be created is
+// released for the next run to retry, and the series stops there for now.
+const processRecurringExpense = async (expense, now = new Date()) => {
+  const generated = [];
+  let failure = null;
+
+  while (
+    expense.nextRecurringDate &&
+    expense.nextRecurringDate <= now &&
+    generated.length < MAX_OCCURRENCES_PER_RUN
+  ) {
+    const occurrenceDate = expense.nextRecurringDate;
+
+    if (!isWithinSeries(expense, occurrenceDate, expense.recurringOccurrenceCount)) {
+      await claimOccurrence(expense, false);
+      break;
+    }
+
+    if (!await claimOccurrence(expense)) {
+      break;
+    }
+
+    try {
+      const child = await createOccurrence(expense, occurrenceDate, expense.recurringOccurrenceCount);
+      generated.push(child);
+    } catch (error) {
+      failure = error;
+      const occurrence = expense.recurringOccurrenceCount;
+      const released = await releaseOccurrence(expense, occurrenceDate, occurrence - 1);
+      expense.addAuditLog('updated', expense.submittedBy?._id || expense.submittedBy, {
+        action: 'recurring_failed',
+        occurrenceDate,
+        occurrence,
+        released
+      }, error.message);
+      break;
+    }
+  }
+
+  if (generated.length > 0) {
+    expense.addAuditLog('updated', expense.submittedBy?._id || expense.submittedBy, {
+      action: 'recurring_generated',
+      generatedExpenses: generated.map(child => child._id),
+      nextRecurringDate: expense.nextRecurringDate || null
+    });
+  }
+
+  await expense.save();
+
+  // Report the failure once the occurrences before it are recorded
+  if (failure) {
+    throw failure;
+  }
+  return generated;
+};
+
+// Generate occurrences for every due recurring expense
+const processRecurringExpenses = async () => {
+  const summary = { processed: 0, generated: 0, failed: 0 };
+
+  try {
+    const dueExpenses = await Expense.getRecurringExpenses();
+
+    for (const expense of dueExpenses) {
+      try {
+        const generated = await processRecurringExpense(expense);
+        summary.processed++;
+        summary.generated += generated.length;
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Failed to process recurring expense ${expense._id}:`, error.message);
+      }
+    }
+
+    if (summary.generated > 0 || summary.failed > 0) {
+      console.log(`🔄 Recurring expenses processed: ${summary.generated} generated, ${summary.failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error processing recurring expenses:', error);
+  }
+
+  return summary;
+};
+
+// Initialize recurring expense scheduler
+const initializeRecurringExpenseService = async () => {
+  console.log('🔄 Initializing Recurring Expense Service...');
+  await processRecurringExpenses();
+
+  // Check for due occurrences periodically (every hour)
+  setInterval(async () => {
+    await processRecurringExpenses();
+  }, PROCESS_INTERVAL);
+
+  console.log('✅ Recurring Expense Service initialized successfully');
+};
+
+module.exports = {
+  isWithinSeries,
+  getUpcomingOccurrences,
+  advanceRecurringDate,
+  processRecurringExpense,
+  processRecurringExpenses,
+  initializeRecurringExpenseService
+};
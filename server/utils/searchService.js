@@ -0,0 +1,95 @@
+// Longest search string accepted by the `q` parameter
+const MAX_QUERY_LENGTH = 200;
+
+// Expense fields covered by the text index, in the order highlights are listed
+const SEARCH_FIELDS = ['title', 'vendor', 'tags', 'description', 'notes', 'receipts.originalName'];
+
+// Characters shown either side of a match in a highlight snippet
+const SNIPPET_CONTEXT = 40;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Words to highlight for a search string: quoted phrases are kept whole,
+// negated terms (-word) are dropped, and simple English suffixes are trimmed
+// so "lunches" still highlights "lunch" the way the text index matches it
+const getSearchTerms = (q) => {
+  const terms = [];
+  const text = String(q || '').slice(0, MAX_QUERY_LENGTH);
+
+  for (const [, phrase, word] of text.matchAll(/"([^"]+)"|(\S+)/g)) {
+    if (phrase) {
+      terms.push(phrase.trim().toLowerCase());
+      continue;
+    }
+    if (word.startsWith('-')) continue;
+    const cleaned = word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    if (cleaned.length === 0) continue;
+    const stem = cleaned.length > 4 ? cleaned.replace(/(ing|es|ed|s)$/, '') : cleaned;
+    terms.push(stem);
+  }
+
+  return [...new Set(terms.filter(Boolean))];
+};
+
+// Wrap every match in <mark>, trimming long text to the region around the first match.
+// The text is HTML-escaped so snippets can be rendered as-is.
+const highlightText = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  const first = pattern.exec(text);
+  if (!first) return null;
+  pattern.lastIndex = 0;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_CONTEXT * 3) {
+    start = Math.max(0, first.index - SNIPPET_CONTEXT);
+    end = Math.min(text.length, first.index + first[0].length + SNIPPET_CONTEXT * 2);
+  }
+  const snippet = text.slice(start, end);
+
+  let highlighted = '';
+  let lastIndex = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    highlighted += escapeHtml(snippet.slice(lastIndex, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  highlighted += escapeHtml(snippet.slice(lastIndex));
+
+  return `${start > 0 ? '...' : ''}${highlighted}${end < text.length ? '...' : ''}`;
+};
+
+// Highlighted snippets for each searchable field of an expense that matches
+const getExpenseHighlights = (expense, terms) => {
+  const highlights = {};
+
+  for (const field of SEARCH_FIELDS) {
+    const values = field === 'receipts.originalName'
+      ? (expense.receipts || []).map(receipt => receipt.originalName)
+      : field === 'tags' ? (expense.tags || []) : [expense[field]];
+
+    const matches = values
+      .map(value => highlightText(value, terms))
+      .filter(Boolean);
+    if (matches.length > 0) {
+      highlights[field] = field === 'tags' || field === 'receipts.originalName' ? matches : matches[0];
+    }
+  }
+
+  return highlights;
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  SEARCH_FIELDS,
+  getSearchTerms,
+  highlightText,
+  getExpenseHighlights
+};
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const NOT_DELETED = { $ne: true };
+
+// Reads and writes that skip soft-deleted documents. Hard deletes are left
+// alone so purging the trash works without extra options.
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany'
+];
+
+// Add the not-deleted condition unless the caller asked for deleted
+// documents or already filters on isDeleted
+const excludeDeleted = (filter = {}, options = {}) => {
+  if (options.withDeleted || Object.prototype.hasOwnProperty.call(filter, 'isDeleted')) {
+    return filter;
+  }
+  return { ...filter, isDeleted: NOT_DELETED };
+};
+
+// Same for aggregations: merge into a leading $match (which keeps $text
+// searches first in the pipeline) or start the pipeline with one
+const excludeDeletedFromPipeline = (pipeline, options = {}) => {
+  if (options.withDeleted) return pipeline;
+
+  const [first] = pipeline;
+  if (first && first.$match) {
+    first.$match = excludeDeleted(first.$match);
+  } else if (first && (first.$geoNear || first.$search)) {
+    pipeline.splice(1, 0, { $match: { isDeleted: NOT_DELETED } });
+  } else {
+    pipeline.unshift({ $match: { isDeleted: NOT_DELETED } });
+  }
+  return pipeline;
+};
+
+// Mongoose plugin moving deleted documents to a trash instead of removing
+// them. Deleted documents are hidden from every query and aggregation;
+// pass `{ withDeleted: true }` as a query or populate option to see them.
+const softDelete = (schema) => {
+  schema.add({
+    isDeleted: {
+      type: Boolean,
+      default: false
+    },
+    deletedAt: Date,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ isDeleted: 1, deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    this.setQuery(excludeDeleted(this.getFilter(), this.getOptions()));
+  });
+
+  schema.pre('aggregate', function() {
+    excludeDeletedFromPipeline(this.pipeline(), this.options);
+  });
+
+  schema.methods.softDelete = function(deletedBy) {
+    this.isDeleted = true;
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    return this.save();
+  };
+
+  schema.methods.restore = function() {
+    this.isDeleted = false;
+    this.deletedAt = undefined;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+};
+
+softDelete.excludeDeleted = excludeDeleted;
+softDelete.excludeDeletedFromPipeline = excludeDeletedFromPipeline;
+
+module.exports = softDelete;
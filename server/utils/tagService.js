@@ -0,0 +1,108 @@
+const Tag = require('../models/Tag');
+const DepartmentTagPolicy = require('../models/DepartmentTagPolicy');
+const Expense = require('../models/Expense');
+
+// Escape a tag name for an exact, case-insensitive match on expenses
+const exactTagPattern = (name) => new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+// Check tags against catalogue entries (matched by key) and, when the
+// department has a policy, its allowed tag IDs. Returns the catalogue names
+// plus the tags that aren't in the catalogue or aren't allowed.
+const matchTags = (tags, catalogue, allowedTagIds = null) => {
+  const byKey = new Map(catalogue.map(tag => [tag.key, tag]));
+  const result = { tags: [], unknown: [], notAllowed: [] };
+
+  tags.forEach(name => {
+    const tag = byKey.get(Tag.normalizeKey(name));
+    if (!tag || !tag.isActive) {
+      result.unknown.push(name);
+    } else if (allowedTagIds && !allowedTagIds.some(id => id.toString() === tag._id.toString())) {
+      result.notAllowed.push(tag.name);
+    } else if (!result.tags.includes(tag.name)) {
+      result.tags.push(tag.name);
+    }
+  });
+
+  return result;
+};
+
+// Tags an expense in a department may carry, in catalogue spelling. Tags in
+// `existingTags` (already on the expense) are kept even if since deactivated.
+// Until the first tag is added to the catalogue, any tags are accepted.
+const resolveExpenseTags = async (tags, department, existingTags = []) => {
+  if (!Array.isArray(tags) || tags.length === 0) {
+    return { tags: [] };
+  }
+
+  if (!await Tag.exists({ isActive: true })) {
+    return { tags: [...new Set(tags)] };
+  }
+
+  const existingKeys = new Set(existingTags.map(Tag.normalizeKey));
+  const kept = existingTags.filter(name => tags.some(tag => Tag.normalizeKey(tag) === Tag.normalizeKey(name)));
+  const added = tags.filter(tag => !existingKeys.has(Tag.normalizeKey(tag)));
+
+  const catalogue = await Tag.find({ key: { $in: added.map(Tag.normalizeKey) } });
+  const policy = department ? await DepartmentTagPolicy.findOne({ department }) : null;
+  const result = matchTags(added, catalogue, policy ? policy.allowedTags : null);
+
+  if (result.unknown.length > 0) {
+    return { error: `Unknown tag(s): ${result.unknown.join(', ')}` };
+  }
+  if (result.notAllowed.length > 0) {
+    return { error: `Tag(s) not allowed in the ${department} department: ${result.notAllowed.join(', ')}` };
+  }
+  return { tags: [...new Set([...kept, ...result.tags])] };
+};
+
+// Replace tag names on every expense, including those in the trash, with
+// another name. Used for renames and merges; returns the expenses changed.
+const replaceExpenseTags = async (fromNames, toName) => {
+  const patterns = fromNames
+    .filter(name => Tag.normalizeKey(name) !== Tag.normalizeKey(toName))
+    .map(exactTagPattern);
+  if (patterns.length === 0) {
+    // Only the capitalization changed
+    const { modifiedCount } = await Expense.updateMany(
+      { tags: exactTagPattern(toName) },
+      { $set: { 'tags.$[tag]': toName } },
+      { arrayFilters: [{ tag: exactTagPattern(toName) }] }
+    ).setOptions({ withDeleted: true });
+    return modifiedCount;
+  }
+
+  // $addToSet and $pull can't touch the same field in one update
+  const filter = { tags: { $in: patterns } };
+  const affected = await Expense.countDocuments(filter).setOptions({ withDeleted: true });
+  await Expense.updateMany(filter, { $addToSet: { tags: toName } }).setOptions({ withDeleted: true });
+  await Expense.updateMany(filter, { $pull: { tags: { $in: patterns } } }).setOptions({ withDeleted: true });
+  return affected;
+};
+
+// Amount and count per tag. An expense counts in full under each of its
+// tags, so the tag totals can add up to more than the total spend.
+const getTagBreakdown = (expenses, getAmount = expense => expense.amount) => {
+  const breakdown = {};
+
+  expenses.forEach(expense => {
+    [...new Set(expense.tags || [])].forEach(tag => {
+      if (!breakdown[tag]) {
+        breakdown[tag] = {
+          amount: 0,
+          count: 0
+        };
+      }
+      breakdown[tag].amount += getAmount(expense);
+      breakdown[tag].count++;
+    });
+  });
+
+  return breakdown;
+};
+
+module.exports = {
+  matchTags,
+  resolveExpenseTags,
+  replaceExpenseTags,
+  getTagBreakdown
+};
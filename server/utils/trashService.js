@@ -0,0 +1,150 @@
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const PolicyRule = require('../models/PolicyRule');
+const Comment = require('../models/Comment');
+const { deleteFile } = require('./fileUpload');
+
+// Check interval for expired trash (1 day)
+const PROCESS_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Days a deleted item stays restorable
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a deleted item will be purged
+const getPurgeDate = (deletedAt, retentionDays = RETENTION_DAYS) => {
+  if (!deletedAt) return null;
+  return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+};
+
+// Items deleted on or before this date are due for purging
+const getPurgeCutoff = (now = new Date(), retentionDays = RETENTION_DAYS) => {
+  return new Date(now.getTime() - retentionDays * DAY_MS);
+};
+
+// Records still pointing at a budget or category. `withDeleted` also counts
+// records in the trash, which must go first before the item can be purged.
+const getBudgetUsage = async (budgetId, { withDeleted = false } = {}) => {
+  const expenses = await Expense.countDocuments(Expense.chargedToBudget(budgetId)).setOptions({ withDeleted });
+  return { expenses };
+};
+
+const getCategoryUsage = async (categoryId, { withDeleted = false } = {}) => {
+  const [expenses, budgets, policyRules] = await Promise.all([
+    Expense.countDocuments({
+      $or: [
+        { category: categoryId },
+        { 'allocations.category': categoryId }
+      ]
+    }).setOptions({ withDeleted }),
+    Budget.countDocuments({ category: categoryId }).setOptions({ withDeleted }),
+    PolicyRule.countDocuments({ categories: categoryId })
+  ]);
+  return { expenses, budgets, policyRules };
+};
+
+const isInUse = (usage) => Object.values(usage).some(count => count > 0);
+
+const purgeExpense = async (expense) => {
+  for (const receipt of expense.receipts || []) {
+    deleteFile(receipt.fileName);
+  }
+  await Comment.deleteMany({ resourceType: 'Expense', resource: expense._id });
+  await Expense.deleteOne({ _id: expense._id, isDeleted: true });
+};
+
+const purgeBudget = async (budget) => {
+  await Comment.deleteMany({ resourceType: 'Budget', resource: budget._id });
+  await Budget.deleteOne({ _id: budget._id, isDeleted: true });
+};
+
+// Permanently remove items that have been in the trash past the retention
+// period. Expenses go first so the budgets and categories they point at can
+// follow; anything still referenced is kept for a later run.
+const purgeExpiredTrash = async (now = new Date()) => {
+  const summary = { expenses: 0, budgets: 0, categories: 0, skipped: 0, failed: 0 };
+  const expired = { isDeleted: true, deletedAt: { $lte: getPurgeCutoff(now) } };
+
+  try {
+    const expenses = await Expense.find(expired);
+    for (const expense of expenses) {
+      try {
+        await purgeExpense(expense);
+        summary.expenses++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Failed to purge expense ${expense._id}:`, error.message);
+      }
+    }
+
+    const budgets = await Budget.find(expired);
+    for (const budget of budgets) {
+      try {
+        if (isInUse(await getBudgetUsage(budget._id, { withDeleted: true }))) {
+          summary.skipped++;
+          continue;
+        }
+        await purgeBudget(budget);
+        summary.budgets++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Failed to purge budget ${budget._id}:`, error.message);
+      }
+    }
+
+    const categories = await Category.find(expired);
+    for (const category of categories) {
+      try {
+        if (isInUse(await getCategoryUsage(category._id, { withDeleted: true }))) {
+          summary.skipped++;
+          continue;
+        }
+        await Category.deleteOne({ _id: category._id, isDeleted: true });
+        summary.categories++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Failed to purge category ${category._id}:`, error.message);
+      }
+    }
+
+    const purged = summary.expenses + summary.budgets + summary.categories;
+    if (purged > 0 || summary.failed > 0) {
+      console.log(`🗑️  Trash purged: ${summary.expenses} expenses, ${summary.budgets} budgets, ${summary.categories} categories, ${summary.failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error purging trash:', error);
+  }
+
+  return summary;
+};
+
+// Initialize trash purge scheduler
+const initializeTrashService = async () => {
+  console.log('🗑️  Initializing Trash Service...');
+
+  // Categories from before the trash existed get the flag the unique name
+  // index filters on; the index then replaces the one covering trashed names
+  await Category.updateMany({ isDeleted: { $exists: false } }, { $set: { isDeleted: false } });
+  await Category.syncIndexes();
+  await purgeExpiredTrash();
+
+  // Purge expired items periodically (every day)
+  setInterval(async () => {
+    await purgeExpiredTrash();
+  }, PROCESS_INTERVAL);
+
+  console.log('✅ Trash Service initialized successfully');
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  getPurgeDate,
+  getPurgeCutoff,
+  getBudgetUsage,
+  getCategoryUsage,
+  isInUse,
+  purgeExpiredTrash,
+  initializeTrashService
+};
@@ -0,0 +1,140 @@
+const Vendor = require('../models/Vendor');
+const Expense = require('../models/Expense');
+
+// Shortest name a statement descriptor may be matched on by its first words
+const MIN_PREFIX_LENGTH = 3;
+
+// Expenses relinked per bulk update when backfilling
+const LINK_BATCH_SIZE = 500;
+
+// Leading word sequences of a normalized name, longest first, so
+// "amzn mktp us 2k3" can match the alias "amzn mktp"
+const getNamePrefixes = (normalizedName) => {
+  const words = normalizedName ? normalizedName.split(' ') : [];
+  const prefixes = [];
+  for (let count = words.length; count > 0; count--) {
+    const prefix = words.slice(0, count).join(' ');
+    if (count === words.length || prefix.length >= MIN_PREFIX_LENGTH) {
+      prefixes.push(prefix);
+    }
+  }
+  return prefixes;
+};
+
+// Find the vendor for a free-text name given a map of normalized names to
+// vendors. The full name wins; otherwise the longest matching prefix.
+const findVendorMatch = (text, vendorsByName) => {
+  for (const prefix of getNamePrefixes(Vendor.normalizeName(text))) {
+    if (vendorsByName.has(prefix)) {
+      return vendorsByName.get(prefix);
+    }
+  }
+  return null;
+};
+
+const indexVendors = (vendors) => {
+  const vendorsByName = new Map();
+  vendors.forEach(vendor => {
+    vendor.normalizedNames.forEach(name => vendorsByName.set(name, vendor));
+  });
+  return vendorsByName;
+};
+
+// Active vendor matching an expense's free-text vendor, if any
+const matchVendor = async (text) => {
+  const prefixes = getNamePrefixes(Vendor.normalizeName(text));
+  if (prefixes.length === 0) return null;
+
+  const vendors = await Vendor.find({ isActive: true, normalizedNames: { $in: prefixes } });
+  return findVendorMatch(text, indexVendors(vendors));
+};
+
+// Link expenses whose free-text vendor isn't linked yet, e.g. after a vendor
+// or alias is added. Returns the number of expenses linked.
+const linkUnmatchedExpenses = async () => {
+  const vendorsByName = indexVendors(await Vendor.find({ isActive: true }));
+  if (vendorsByName.size === 0) return 0;
+
+  const cursor = Expense.find({ matchedVendor: null, vendor: { $nin: [null, ''] } })
+    .select('vendor')
+    .lean()
+    .cursor();
+
+  let linked = 0;
+  let pending = new Map();
+
+  const flush = async () => {
+    for (const [vendorId, expenseIds] of pending) {
+      await Expense.updateMany({ _id: { $in: expenseIds } }, { $set: { matchedVendor: vendorId } });
+      linked += expenseIds.length;
+    }
+    pending = new Map();
+  };
+
+  let batched = 0;
+  for await (const expense of cursor) {
+    const vendor = findVendorMatch(expense.vendor, vendorsByName);
+    if (!vendor) continue;
+
+    const key = vendor._id.toString();
+    if (!pending.has(key)) pending.set(key, []);
+    pending.get(key).push(expense._id);
+
+    if (++batched >= LINK_BATCH_SIZE) {
+      await flush();
+      batched = 0;
+    }
+  }
+  await flush();
+
+  return linked;
+};
+
+// Spend per vendor from a list of expenses with matchedVendor populated.
+// Expenses without a vendor record are grouped by their normalized text so
+// near-identical spellings show up next to each other as merge candidates.
+const buildVendorSpend = (expenses) => {
+  const rows = new Map();
+
+  expenses.forEach(expense => {
+    const vendor = expense.matchedVendor;
+    const key = vendor ? `vendor:${vendor._id}` : `text:${Vendor.normalizeName(expense.vendor)}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        vendor: vendor ? { _id: vendor._id, name: vendor.name } : null,
+        name: vendor ? vendor.name : (expense.vendor || 'No vendor'),
+        spellings: new Set(),
+        amount: 0,
+        count: 0,
+        lastExpenseDate: null
+      });
+    }
+
+    const row = rows.get(key);
+    // Base-currency amounts so mixed currencies add up
+    row.amount += expense.convertedAmount ?? expense.amount;
+    row.count++;
+    if (expense.vendor) row.spellings.add(expense.vendor);
+    if (!row.lastExpenseDate || expense.date > row.lastExpenseDate) {
+      row.lastExpenseDate = expense.date;
+    }
+  });
+
+  return [...rows.values()]
+    .map(row => ({
+      ...row,
+      amount: Math.round(row.amount * 100) / 100,
+      averageAmount: Math.round((row.amount / row.count) * 100) / 100,
+      spellings: [...row.spellings].sort()
+    }))
+    .sort((a, b) => b.amount - a.amount);
+};
+
+module.exports = {
+  getNamePrefixes,
+  findVendorMatch,
+  indexVendors,
+  matchVendor,
+  linkUnmatchedExpenses,
+  buildVendorSpend
+};
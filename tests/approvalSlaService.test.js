@@ -0,0 +1,96 @@
+jest.mock('../server/utils/emailService');
+
+const Expense = require('../server/models/Expense');
+const User = require('../server/models/User');
+const Delegation = require('../server/models/Delegation');
+const { sendApprovalReminder } = require('../server/utils/emailService');
+const {
+  addBusinessDays,
+  getEscalationLevel,
+  getAgeDays,
+  getAgeBucket,
+  processExpenseSla,
+  ESCALATION_LEVELS
+} = require('../server/utils/approvalSlaService');
+const { mockQuery, objectId } = require('./helpers/controller');
+
+describe('Approval SLA Service', () => {
+  // Friday 16 October 2026, 10:00 local time
+  const friday = new Date(2026, 9, 16, 10);
+  const sla = { businessDays: 3, escalationDays: 2 };
+
+  it('should skip weekends when adding business days', () => {
+    expect(addBusinessDays(friday, 1)).toEqual(new Date(2026, 9, 19, 10));
+    expect(addBusinessDays(friday, 3)).toEqual(new Date(2026, 9, 21, 10));
+    expect(addBusinessDays(new Date(2026, 9, 17, 10), 1)).toEqual(new Date(2026, 9, 19, 10));
+  });
+
+  it('should remind once overdue, then escalate to the department head and admins', () => {
+    expect(getEscalationLevel(friday, sla, new Date(2026, 9, 21, 9))).toBe(ESCALATION_LEVELS.NONE);
+    expect(getEscalationLevel(friday, sla, new Date(2026, 9, 21, 10))).toBe(ESCALATION_LEVELS.REMINDED);
+    expect(getEscalationLevel(friday, sla, new Date(2026, 9, 23, 10))).toBe(ESCALATION_LEVELS.DEPARTMENT_HEAD);
+    expect(getEscalationLevel(friday, sla, new Date(2026, 9, 27, 10))).toBe(ESCALATION_LEVELS.ADMIN);
+  });
+
+  it('should bucket pending expenses by calendar age', () => {
+    const age = getAgeDays(friday, new Date(2026, 9, 20, 9));
+
+    expect(age).toBe(3);
+    expect(getAgeBucket(0)).toBe('0-2 days');
+    expect(getAgeBucket(age)).toBe('3-5 days');
+    expect(getAgeBucket(45)).toBe('Over 30 days');
+  });
+
+  describe('processExpenseSla', () => {
+    const approver = { _id: objectId(), isActive: true };
+
+    // Submitted on the Friday; the first step was approved the next Wednesday
+    const twoStepExpense = () => {
+      const expense = new Expense({
+        title: 'Conference',
+        amount: 900,
+        category: objectId(),
+        submittedBy: objectId(),
+        approvals: [
+          { approver: objectId(), order: 1, status: 'approved', decidedAt: new Date(2026, 9, 21, 10) },
+          { approver: approver._id, order: 2 }
+        ]
+      });
+      expense.createdAt = friday;
+      return expense;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Delegation, 'findApprovalSubstitute').mockReturnValue(mockQuery(null));
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery(approver));
+      jest.spyOn(Expense, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      sendApprovalReminder.mockClear();
+    });
+
+    it('should measure the current step from when the previous one was decided', async () => {
+      const expense = twoStepExpense();
+
+      expect(expense.getPendingSince()).toEqual(new Date(2026, 9, 21, 10));
+      expect(await processExpenseSla(expense, sla, new Date(2026, 9, 23, 10))).toBeNull();
+      expect(sendApprovalReminder).not.toHaveBeenCalled();
+
+      expect(await processExpenseSla(expense, sla, new Date(2026, 9, 26, 10))).toBe(ESCALATION_LEVELS.REMINDED);
+      expect(sendApprovalReminder.mock.calls[0][3]).toEqual(new Date(2026, 9, 26, 10));
+    });
+
+    it('should remind the next approver again after the escalation is reset', async () => {
+      const expense = twoStepExpense();
+      expense.slaEscalation = { level: ESCALATION_LEVELS.ADMIN };
+
+      expect(await processExpenseSla(expense, sla, new Date(2026, 9, 26, 10))).toBeNull();
+
+      expense.resetSlaEscalation();
+
+      expect(await processExpenseSla(expense, sla, new Date(2026, 9, 26, 10))).toBe(ESCALATION_LEVELS.REMINDED);
+    });
+  });
+});
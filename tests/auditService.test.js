@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { GENESIS_HASH, normalizeValue, stableStringify, diffObjects, computeHash } = require('../server/utils/auditService');
+
+describe('Audit Service', () => {
+  it('should normalize IDs and dates to strings', () => {
+    const id = new mongoose.Types.ObjectId();
+
+    expect(normalizeValue({ user: id, date: new Date('2026-10-19T00:00:00Z'), skip: undefined, tags: [id] })).toEqual({
+      user: id.toString(),
+      date: '2026-10-19T00:00:00.000Z',
+      tags: [id.toString()]
+    });
+  });
+
+  it('should serialize objects the same regardless of key order', () => {
+    expect(stableStringify({ b: 1, a: { d: 2, c: [1, { f: 3, e: 4 }] } }))
+      .toBe(stableStringify({ a: { c: [1, { e: 4, f: 3 }], d: 2 }, b: 1 }));
+  });
+
+  it('should diff nested fields and redact sensitive ones', () => {
+    const before = { title: 'Taxi', amount: 20, metadata: { mileage: { distance: 10 } }, password: 'old', updatedAt: 'a' };
+    const after = { title: 'Taxi', amount: 25, metadata: { mileage: { distance: 12 } }, password: 'new', updatedAt: 'b', vendor: 'Cab Co' };
+
+    expect(diffObjects(before, after, { redact: ['password'], ignore: ['updatedAt'] })).toEqual([
+      { field: 'amount', before: 20, after: 25 },
+      { field: 'metadata.mileage.distance', before: 10, after: 12 },
+      { field: 'password', before: '[redacted]', after: '[redacted]' },
+      { field: 'vendor', before: null, after: 'Cab Co' }
+    ]);
+  });
+
+  it('should change the hash when an event or its predecessor changes', () => {
+    const event = {
+      sequence: 1,
+      timestamp: new Date('2026-10-19T10:00:00Z'),
+      actor: new mongoose.Types.ObjectId(),
+      action: 'update',
+      entityType: 'Expense',
+      entityId: new mongoose.Types.ObjectId().toString(),
+      changes: [{ field: 'amount', before: 20, after: 25 }],
+      previousHash: GENESIS_HASH
+    };
+    const hash = computeHash(event);
+
+    expect(computeHash({ ...event, actor: event.actor.toString(), metadata: null })).toBe(hash);
+    expect(computeHash({ ...event, changes: [{ field: 'amount', before: 20, after: 2500 }] })).not.toBe(hash);
+    expect(computeHash({ ...event, previousHash: 'f'.repeat(64) })).not.toBe(hash);
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('../server/utils/emailService');
+jest.mock('../server/utils/commentService', () => ({ getCommentThreads: jest.fn(async () => []) }));
+
+const Budget = require('../server/models/Budget');
+const Expense = require('../server/models/Expense');
+const { getBudget } = require('../server/controllers/budgetController');
+const { mockQuery, callController, objectId } = require('./helpers/controller');
+
+describe('Budget Controller', () => {
+  const owner = { _id: objectId(), role: 'user', department: 'IT' };
+
+  const newBudget = () => new Budget({
+    name: 'Conferences',
+    amount: 1000,
+    period: 'yearly',
+    startDate: new Date(2026, 0, 1),
+    endDate: new Date(2026, 11, 31),
+    category: objectId(),
+    owner: owner._id,
+    status: 'active'
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getBudget', () => {
+    it('should count only the share of a split expense charged to the budget', async () => {
+      const budget = newBudget();
+      const otherBudget = objectId();
+      const split = new Expense({
+        title: 'Hotel',
+        amount: 300,
+        category: objectId(),
+        submittedBy: owner._id,
+        status: 'approved',
+        budget: budget._id,
+        allocations: [
+          { budget: budget._id, amount: 200 },
+          { budget: otherBudget, amount: 100 }
+        ]
+      });
+      const whole = new Expense({
+        title: 'Ticket',
+        amount: 50,
+        category: objectId(),
+        submittedBy: owner._id,
+        status: 'approved',
+        budget: budget._id
+      });
+      jest.spyOn(Budget, 'findById').mockReturnValue(mockQuery(budget));
+      jest.spyOn(Expense, 'find').mockReturnValue(mockQuery([split, whole]));
+
+      const res = await callController(getBudget, { user: owner, params: { id: budget._id.toString() } });
+
+      expect(res.statusCode).toBe(200);
+      expect(Expense.find.mock.calls[0][0].$or).toEqual([
+        { budget: budget._id },
+        { 'allocations.budget': budget._id }
+      ]);
+      expect(res.body.data.spentAmount).toBe(250);
+      expect(res.body.data.usagePercentage).toBe(25);
+    });
+
+    it("should refuse a user access to someone else's budget", async () => {
+      const budget = newBudget();
+      budget.owner = objectId();
+      jest.spyOn(Budget, 'findById').mockReturnValue(mockQuery(budget));
+
+      const res = await callController(getBudget, { user: owner, params: { id: budget._id.toString() } });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});
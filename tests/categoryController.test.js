@@ -0,0 +1,73 @@
+jest.mock('../server/utils/fileUpload', () => ({ deleteFile: jest.fn() }));
+
+const Category = require('../server/models/Category');
+const Expense = require('../server/models/Expense');
+const Budget = require('../server/models/Budget');
+const PolicyRule = require('../server/models/PolicyRule');
+const { deleteCategory } = require('../server/controllers/categoryController');
+const { restoreFromTrash } = require('../server/controllers/trashController');
+const { mockQuery, callController, objectId } = require('./helpers/controller');
+
+describe('Category Controller', () => {
+  const admin = { _id: objectId(), role: 'admin' };
+  const newCategory = (fields = {}) => new Category({ name: 'Travel', createdBy: admin._id, ...fields });
+
+  const usage = ({ expenses = 0, budgets = 0, policyRules = 0 }) => {
+    jest.spyOn(Expense, 'countDocuments').mockReturnValue(mockQuery(expenses));
+    jest.spyOn(Budget, 'countDocuments').mockReturnValue(mockQuery(budgets));
+    jest.spyOn(PolicyRule, 'countDocuments').mockReturnValue(mockQuery(policyRules));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Category.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should deactivate a category that is still in use', async () => {
+    const category = newCategory();
+    jest.spyOn(Category, 'findById').mockReturnValue(mockQuery(category));
+    usage({ expenses: 3 });
+
+    const res = await callController(deleteCategory, { user: admin, params: { id: category._id.toString() } });
+
+    expect(res.statusCode).toBe(200);
+    expect(category.isActive).toBe(false);
+    expect(category.isDeleted).toBe(false);
+  });
+
+  it('should move an unused category to the trash', async () => {
+    const category = newCategory();
+    jest.spyOn(Category, 'findById').mockReturnValue(mockQuery(category));
+    usage({});
+
+    const res = await callController(deleteCategory, { user: admin, params: { id: category._id.toString() } });
+
+    expect(res.body.message).toBe('Category moved to trash');
+    expect(category.isDeleted).toBe(true);
+    expect(category.deletedBy).toEqual(admin._id);
+  });
+
+  it('should only keep names unique outside the trash', () => {
+    const [, options] = Category.schema.indexes().find(([fields]) => fields.name === 1 && fields.createdBy === 1);
+
+    expect(options.unique).toBe(true);
+    expect(options.partialFilterExpression).toEqual({ isDeleted: false });
+  });
+
+  it('should refuse to restore a category whose name was reused', async () => {
+    const category = newCategory({ isDeleted: true, deletedAt: new Date() });
+    jest.spyOn(Category, 'findOne').mockReturnValue(mockQuery(category));
+    jest.spyOn(Category, 'exists').mockResolvedValue({ _id: objectId() });
+
+    const res = await callController(restoreFromTrash, {
+      user: admin,
+      params: { type: 'categories', id: category._id.toString() }
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(category.isDeleted).toBe(true);
+  });
+});
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { extractMentionIds, toPlainText, isWithinWindow, buildCommentThreads } = require('../server/utils/commentService');
+
+describe('Comment Service', () => {
+  const anaId = new mongoose.Types.ObjectId().toString();
+  const benId = new mongoose.Types.ObjectId().toString();
+
+  it('should extract each mentioned user once', () => {
+    const body = `@[Ana Ruiz](${anaId}) can you check this with @[Ben Ode](${benId})? Thanks @[Ana Ruiz](${anaId})`;
+
+    expect(extractMentionIds(body)).toEqual([anaId, benId]);
+    expect(extractMentionIds('Email me at ana@example.com')).toEqual([]);
+  });
+
+  it('should render mentions as plain names', () => {
+    expect(toPlainText(`Over to @[Ana Ruiz](${anaId})`)).toBe('Over to @Ana Ruiz');
+  });
+
+  it('should allow edits only within the window', () => {
+    const comment = { createdAt: new Date('2026-10-19T10:00:00Z') };
+
+    expect(isWithinWindow(comment, 15, new Date('2026-10-19T10:14:00Z'))).toBe(true);
+    expect(isWithinWindow(comment, 15, new Date('2026-10-19T10:16:00Z'))).toBe(false);
+  });
+
+  it('should nest replies under their thread and hide deleted text', () => {
+    const rootId = new mongoose.Types.ObjectId();
+    const comments = [
+      { _id: new mongoose.Types.ObjectId(), parent: rootId, body: 'Reply', createdAt: new Date('2026-10-19T10:05:00Z') },
+      { _id: rootId, body: 'First', createdAt: new Date('2026-10-19T10:00:00Z') },
+      { _id: new mongoose.Types.ObjectId(), body: 'Removed', isDeleted: true, mentions: [anaId], createdAt: new Date('2026-10-19T11:00:00Z') }
+    ];
+
+    const threads = buildCommentThreads(comments);
+
+    expect(threads.map(thread => thread.body)).toEqual(['First', null]);
+    expect(threads[0].replies.map(reply => reply.body)).toEqual(['Reply']);
+    expect(threads[1].mentions).toEqual([]);
+  });
+});
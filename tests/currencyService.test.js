@@ -0,0 +1,22 @@
+const { startOfUtcDay, pickSupportedRates, getHistoricalRate } = require('../server/utils/currencyService');
+
+describe('Currency Service', () => {
+  it('should key rate history by the UTC day', () => {
+    expect(startOfUtcDay('2024-03-15T23:59:59.999Z').toISOString()).toBe('2024-03-15T00:00:00.000Z');
+    expect(startOfUtcDay(new Date('2024-03-16T00:00:00.000Z')).toISOString()).toBe('2024-03-16T00:00:00.000Z');
+  });
+
+  it('should keep only positive rates for supported currencies', () => {
+    expect(pickSupportedRates({ EUR: 0.92, GBP: '0.79', XYZ: 3, JPY: 0, CAD: -1 })).toEqual({
+      EUR: 0.92,
+      GBP: 0.79
+    });
+  });
+
+  it('should not look up a rate for base-currency expenses', async () => {
+    const { rate, source, date } = await getHistoricalRate('USD', '2024-03-15T10:00:00Z');
+    expect(rate).toBe(1);
+    expect(source).toBe('BASE');
+    expect(date.toISOString()).toBe('2024-03-15T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,192 @@
+const request = require('supertest');
+const Delegation = require('../server/models/Delegation');
+const User = require('../server/models/User');
+const delegations = require('../server/routes/delegations');
+const { mockQuery, objectId } = require('./helpers/controller');
+const { mountRouter, authAs } = require('./helpers/routes');
+
+describe('Delegation Endpoints', () => {
+  const app = mountRouter('/api/delegations', delegations);
+  const executive = { _id: objectId(), name: 'Erin Exec', role: 'manager', isActive: true };
+  const assistant = { _id: objectId(), name: 'Alex Assistant', role: 'user', isActive: true };
+  const stranger = { _id: objectId(), name: 'Sam Stranger', role: 'user', isActive: true };
+
+  // Sign in as `user` and let the controller look up `others` by ID
+  const signIn = (user, ...others) => {
+    const header = authAs(user);
+    const known = [user, ...others];
+    User.findById.mockImplementation(id => mockQuery(known.find(candidate => candidate._id.toString() === id.toString()) || null));
+    return header;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Delegation, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Delegation, 'create').mockImplementation(async (data) => {
+      const delegation = new Delegation(data);
+      await delegation.validate();
+      return delegation;
+    });
+    jest.spyOn(Delegation.prototype, 'populate').mockImplementation(async function() { return this; });
+    jest.spyOn(Delegation.prototype, 'save').mockImplementation(async function() { return this; });
+    // The error handler logs rejected documents
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/delegations', () => {
+    it('should let a user name a delegate to submit for them', async () => {
+      const res = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', signIn(executive, assistant))
+        .send({ delegate: assistant._id.toString() })
+        .expect(201);
+
+      expect(res.body.data).toMatchObject({
+        principal: executive._id.toString(),
+        delegate: assistant._id.toString(),
+        type: 'submission'
+      });
+    });
+
+    it('should only let admins grant delegations for someone else', async () => {
+      const res = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', signIn(stranger, executive, assistant))
+        .send({ principal: executive._id.toString(), delegate: assistant._id.toString() })
+        .expect(201);
+
+      expect(res.body.data.principal).toBe(stranger._id.toString());
+    });
+
+    it('should refuse a user as their own delegate', async () => {
+      const res = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', signIn(executive))
+        .send({ delegate: executive._id.toString() })
+        .expect(400);
+
+      expect(res.body.message).toBe('A user cannot be their own delegate');
+    });
+
+    it('should refuse a delegation that already exists', async () => {
+      Delegation.findOne.mockResolvedValue(new Delegation({ principal: executive._id, delegate: assistant._id }));
+
+      const res = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', signIn(executive, assistant))
+        .send({ delegate: assistant._id.toString() })
+        .expect(400);
+
+      expect(res.body.message).toBe('Alex Assistant is already a delegate for Erin Exec');
+    });
+
+    it('should reject a malformed delegate ID', async () => {
+      const res = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', signIn(executive))
+        .send({ delegate: 'alex' })
+        .expect(400);
+
+      expect(res.body.errors[0].msg).toBe('Delegate must be a valid user ID');
+    });
+  });
+
+  describe('approval delegations', () => {
+    const substitute = { _id: objectId(), name: 'Sue Substitute', role: 'manager', isActive: true };
+    const outOfOffice = (fields = {}) => ({
+      delegate: substitute._id.toString(),
+      type: 'approval',
+      startDate: '2026-11-02',
+      endDate: '2026-11-13',
+      ...fields
+    });
+
+    it('should set a substitute approver for an out-of-office window', async () => {
+      const res = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', signIn(executive, substitute))
+        .send(outOfOffice())
+        .expect(201);
+
+      expect(res.body.data).toMatchObject({ type: 'approval', delegate: substitute._id.toString() });
+      expect(new Date(res.body.data.endDate)).toEqual(new Date('2026-11-13'));
+    });
+
+    it('should require a valid window', async () => {
+      const missing = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', signIn(executive, substitute))
+        .send(outOfOffice({ endDate: undefined }))
+        .expect(400);
+
+      expect(missing.body.errors[0].msg).toBe('End date must be a valid date');
+
+      const backwards = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', signIn(executive, substitute))
+        .send(outOfOffice({ startDate: '2026-11-13', endDate: '2026-11-02' }))
+        .expect(400);
+
+      expect(backwards.body.message).toBe('End date must be after start date');
+    });
+
+    it('should refuse a window that overlaps another substitute', async () => {
+      Delegation.findOne.mockResolvedValue(new Delegation({ principal: executive._id, delegate: objectId(), type: 'approval' }));
+
+      const res = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', signIn(executive, substitute))
+        .send(outOfOffice())
+        .expect(400);
+
+      expect(res.body.message).toBe('Erin Exec already has a substitute approver during this period');
+    });
+
+    it('should only let managers delegate approvals to managers', async () => {
+      const fromUser = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', signIn(assistant, substitute))
+        .send(outOfOffice())
+        .expect(400);
+
+      expect(fromUser.body.message).toBe('Only managers and admins can delegate approvals');
+
+      const toUser = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', signIn(executive, assistant))
+        .send(outOfOffice({ delegate: assistant._id.toString() }))
+        .expect(400);
+
+      expect(toUser.body.message).toBe('A substitute approver must be a manager or admin');
+    });
+  });
+
+  describe('DELETE /api/delegations/:id', () => {
+    it('should refuse anyone outside the delegation', async () => {
+      const delegation = new Delegation({ principal: executive._id, delegate: assistant._id, createdBy: executive._id });
+      jest.spyOn(Delegation, 'findById').mockReturnValue(mockQuery(delegation));
+
+      await request(app)
+        .delete(`/api/delegations/${delegation._id}`)
+        .set('Authorization', signIn(stranger))
+        .expect(403);
+
+      expect(delegation.isActive).toBe(true);
+    });
+
+    it('should let the delegate step down', async () => {
+      const delegation = new Delegation({ principal: executive._id, delegate: assistant._id, createdBy: executive._id });
+      jest.spyOn(Delegation, 'findById').mockReturnValue(mockQuery(delegation));
+
+      await request(app)
+        .delete(`/api/delegations/${delegation._id}`)
+        .set('Authorization', signIn(assistant))
+        .expect(200);
+
+      expect(delegation.isActive).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const { scoreDuplicate, DUPLICATE_SCORE_THRESHOLD } = require('../server/utils/duplicateDetectionService');
+
+describe('Duplicate Detection Service', () => {
+  const expense = {
+    amount: 84.2,
+    currency: 'EUR',
+    date: new Date('2026-05-12T12:00:00Z'),
+    vendor: 'Café Central',
+    receipts: [{ fileHash: 'abc123' }]
+  };
+
+  it('should flag the same receipt file on its own', () => {
+    const { score, reasons } = scoreDuplicate(expense, {
+      amount: 12,
+      currency: 'USD',
+      date: new Date('2026-01-01'),
+      receipts: [{ fileHash: 'abc123' }]
+    });
+
+    expect(reasons).toEqual(['same_receipt_file']);
+    expect(score).toBeGreaterThanOrEqual(DUPLICATE_SCORE_THRESHOLD);
+  });
+
+  it('should flag a matching amount, date and vendor without a receipt', () => {
+    const { score, reasons } = scoreDuplicate({ ...expense, receipts: [] }, {
+      amount: 84.2,
+      currency: 'EUR',
+      date: new Date('2026-05-12T18:00:00Z'),
+      vendor: 'CAFE CENTRAL'
+    });
+
+    expect(reasons).toContain('same_amount');
+    expect(reasons).toContain('same_date');
+    expect(score).toBeGreaterThanOrEqual(DUPLICATE_SCORE_THRESHOLD);
+  });
+
+  it('should not flag the same amount on a different day at another vendor', () => {
+    const { score } = scoreDuplicate(expense, {
+      amount: 84.2,
+      currency: 'EUR',
+      date: new Date('2026-05-14T12:00:00Z'),
+      vendor: 'Taxi Co'
+    });
+
+    expect(score).toBeLessThan(DUPLICATE_SCORE_THRESHOLD);
+  });
+});
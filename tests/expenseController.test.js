@@ -0,0 +1,767 @@
+jest.mock('../server/utils/fileUpload', () => ({ getFileHash: jest.fn(async () => null) }));
+jest.mock('../server/utils/emailService');
+
+const Expense = require('../server/models/Expense');
+const Budget = require('../server/models/Budget');
+const ExpenseReport = require('../server/models/ExpenseReport');
+const PolicyRule = require('../server/models/PolicyRule');
+const User = require('../server/models/User');
+const MileageRate = require('../server/models/MileageRate');
+const Delegation = require('../server/models/Delegation');
+const {
+  getExpenses,
+  exportExpenses,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  reviewExpense,
+  notifyNextApprover,
+  getExpenseAnalytics,
+  buildExpense
+} = require('../server/controllers/expenseController');
+const { restoreFromTrash } = require('../server/controllers/trashController');
+const { sendOnBehalfNotification, sendApprovalRequest } = require('../server/utils/emailService');
+const { mockQuery, mockStreamResponse, callController, objectId } = require('./helpers/controller');
+
+describe('Expense Controller', () => {
+  const user = { _id: objectId(), role: 'user', department: 'IT' };
+  const newExpense = (fields = {}) => new Expense({
+    title: 'Team lunch',
+    amount: 40,
+    category: objectId(),
+    submittedBy: user._id,
+    department: 'IT',
+    ...fields
+  });
+  const activeBudget = (allocationRules = {}) => new Budget({
+    name: 'Team events',
+    amount: 5000,
+    period: 'yearly',
+    startDate: new Date(2026, 0, 1),
+    endDate: new Date(2026, 11, 31),
+    category: objectId(),
+    owner: objectId(),
+    status: 'active',
+    allocationRules: { autoApprovalLimit: 50, requireReceiptAbove: 1000, ...allocationRules }
+  });
+
+  // Creates an expense against the budget, returning the saved expense
+  const createAgainst = async (budget, body) => {
+    let saved;
+    jest.spyOn(Budget, 'findById').mockReturnValue(mockQuery(budget));
+    jest.spyOn(Expense.prototype, 'save').mockImplementation(async function() {
+      saved = this;
+      return this;
+    });
+    jest.spyOn(Expense, 'findById').mockImplementation(() => mockQuery(saved));
+
+    const res = await callController(createExpense, {
+      user,
+      body: { title: 'Team lunch', category: objectId().toString(), budget: budget._id.toString(), date: new Date(2026, 5, 1), ...body }
+    });
+    return { res, expense: saved };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(PolicyRule, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Expense, 'find').mockReturnValue(mockQuery([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('exportExpenses', () => {
+    const exportAs = async (exportUser, query) => {
+      const res = mockStreamResponse();
+      const next = jest.fn();
+      await exportExpenses({ user: exportUser, query }, res, next);
+      return { res, next };
+    };
+
+    it('should stream the rows the user may see as CSV', async () => {
+      // Lean documents with the category populated
+      const expense = { ...newExpense().toObject(), category: { name: 'Meals' } };
+      Expense.find.mockReturnValue(mockQuery([expense]));
+
+      const { res, next } = await exportAs(user, { format: 'csv', status: 'pending' });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(Expense.find.mock.calls[0][0]).toMatchObject({
+        $or: [{ submittedBy: user._id }, { filedBy: user._id }],
+        status: 'pending'
+      });
+      expect(res.chunks).toHaveLength(2);
+      expect(res.chunks[1]).toContain('Team lunch');
+      expect(res.chunks[1]).toContain('Meals');
+    });
+
+    it('should reject an unknown format', async () => {
+      const { res } = await exportAs(user, { format: 'pdf' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Format must be one of: csv, xlsx');
+      expect(Expense.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createExpense', () => {
+    it('should auto-approve an expense under the budget limit', async () => {
+      const budget = activeBudget();
+
+      const { res, expense } = await createAgainst(budget, { amount: 40 });
+
+      expect(res.statusCode).toBe(201);
+      expect(expense.status).toBe('approved');
+      expect(expense.autoApproved).toBe(true);
+      expect(expense.auditLog[0].changes).toMatchObject({ action: 'auto_approved', system: true, autoApprovalLimit: 50 });
+      expect(expense.auditLog[0].performedBy).toBeNull();
+      await expect(expense.validate()).resolves.toBeUndefined();
+      // Checked again for the budget alert once approved
+      expect(Budget.findById).toHaveBeenCalledTimes(2);
+    });
+
+    it('should leave an expense above the limit for manual review', async () => {
+      const { res, expense } = await createAgainst(activeBudget(), { amount: 60 });
+
+      expect(res.statusCode).toBe(201);
+      expect(expense.status).toBe('pending');
+      expect(expense.autoApproved).toBe(false);
+      expect(Budget.findById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not auto-approve without a required receipt', async () => {
+      const { expense } = await createAgainst(activeBudget({ requireReceiptAbove: 25 }), { amount: 40 });
+
+      expect(expense.receiptRequired).toBe(true);
+      expect(expense.status).toBe('pending');
+    });
+
+    it('should refuse an inactive budget', async () => {
+      const budget = activeBudget();
+      budget.status = 'draft';
+
+      const { res, expense } = await createAgainst(budget, { amount: 40 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Budget is not active');
+      expect(expense).toBeUndefined();
+    });
+  });
+
+  describe('filing on behalf of another employee', () => {
+    const assistant = { _id: objectId(), role: 'user', department: 'IT' };
+    const executive = { _id: objectId(), role: 'manager', department: 'IT', isActive: true };
+
+    // Files an expense as the assistant for the executive, returning the saved expense
+    const fileForExecutive = async () => {
+      let saved;
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery(executive));
+      jest.spyOn(Expense.prototype, 'save').mockImplementation(async function() {
+        saved = this;
+        return this;
+      });
+      jest.spyOn(Expense, 'findById').mockImplementation(() => mockQuery(saved));
+
+      const res = await callController(createExpense, {
+        user: assistant,
+        body: {
+          title: 'Client dinner',
+          amount: 120,
+          category: objectId().toString(),
+          onBehalfOf: executive._id.toString()
+        }
+      });
+      return { res, expense: saved };
+    };
+
+    afterEach(() => {
+      sendOnBehalfNotification.mockClear();
+    });
+
+    it('should file the expense for the claimant and tell them about it', async () => {
+      jest.spyOn(Delegation, 'canSubmitFor').mockResolvedValue(true);
+
+      const { res, expense } = await fileForExecutive();
+
+      expect(res.statusCode).toBe(201);
+      expect(Delegation.canSubmitFor).toHaveBeenCalledWith(assistant._id, executive._id);
+      expect(expense.submittedBy).toEqual(executive._id);
+      expect(expense.filedBy).toEqual(assistant._id);
+      expect(expense.auditLog[0]).toMatchObject({ action: 'created', performedBy: assistant._id, onBehalfOf: executive._id });
+      expect(sendOnBehalfNotification).toHaveBeenCalledWith(executive, expense, assistant);
+    });
+
+    it('should refuse a user who is not a delegate of the claimant', async () => {
+      jest.spyOn(Delegation, 'canSubmitFor').mockResolvedValue(false);
+
+      const { res, expense } = await fileForExecutive();
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Not authorized to submit expenses on behalf of this user');
+      expect(expense).toBeUndefined();
+      expect(sendOnBehalfNotification).not.toHaveBeenCalled();
+    });
+
+    it("should not let a delegate review their principal's expenses", async () => {
+      const manager = { _id: objectId(), role: 'manager', department: 'IT' };
+      const expense = newExpense({ filedBy: manager._id });
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+
+      const res = await callController(reviewExpense, {
+        user: manager,
+        params: { id: expense._id.toString() },
+        body: { status: 'approved' }
+      });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Not authorized to review expenses of a user you submit expenses for');
+      expect(expense.status).toBe('pending');
+    });
+  });
+
+  describe('deleteExpense', () => {
+    const admin = { _id: objectId(), role: 'admin', department: 'Finance' };
+
+    it('should refuse to delete an expense in a reimbursement batch', async () => {
+      const expense = newExpense({ status: 'approved', reimbursementBatch: objectId() });
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+      const softDelete = jest.spyOn(Expense.prototype, 'softDelete');
+
+      const res = await callController(deleteExpense, { user: admin, params: { id: expense._id.toString() } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot delete expense that is in a reimbursement batch or already reimbursed');
+      expect(softDelete).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to restore an expense that was in a reimbursement batch', async () => {
+      const expense = newExpense({ status: 'approved', reimbursementBatch: objectId(), isDeleted: true, deletedAt: new Date() });
+      jest.spyOn(Expense, 'findOne').mockReturnValue(mockQuery(expense));
+      const restore = jest.spyOn(Expense.prototype, 'restore');
+
+      const res = await callController(restoreFromTrash, {
+        user: admin,
+        params: { type: 'expenses', id: expense._id.toString() }
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot restore an expense that was in a reimbursement batch');
+      expect(restore).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reviewExpense', () => {
+    const manager = { _id: objectId(), role: 'manager', department: 'IT' };
+    const admin = { _id: objectId(), role: 'admin', department: 'IT' };
+
+    beforeEach(() => {
+      jest.spyOn(Delegation, 'canSubmitFor').mockResolvedValue(false);
+      jest.spyOn(Expense.prototype, 'save').mockImplementation(async function() { return this; });
+    });
+
+    it('should refuse an approver deciding a step on their own expense', async () => {
+      const expense = newExpense({ submittedBy: manager._id, approvals: [{ approver: manager._id, order: 1 }] });
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+
+      const res = await callController(reviewExpense, {
+        user: manager,
+        params: { id: expense._id.toString() },
+        body: { status: 'approved' }
+      });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Not authorized to review your own expense');
+      expect(expense.approvals[0].status).toBe('pending');
+    });
+
+    it('should refuse an admin deciding their own expense without approval steps', async () => {
+      const expense = newExpense({ submittedBy: admin._id });
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+
+      const res = await callController(reviewExpense, {
+        user: admin,
+        params: { id: expense._id.toString() },
+        body: { status: 'rejected', rejectionReason: 'Filed twice' }
+      });
+
+      expect(res.statusCode).toBe(403);
+      expect(expense.status).toBe('pending');
+      expect(Expense.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('substitute approvers', () => {
+    const absentManager = { _id: objectId(), role: 'manager', department: 'IT', isActive: true };
+    const substitute = { _id: objectId(), role: 'manager', department: 'Sales', isActive: true };
+
+    const singleStepExpense = () => newExpense({ approvals: [{ approver: absentManager._id, order: 1 }] });
+    const review = (expense) => callController(reviewExpense, {
+      user: substitute,
+      params: { id: expense._id.toString() },
+      body: { status: 'approved', comments: 'Covering for Max' }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Delegation, 'canSubmitFor').mockResolvedValue(false);
+      jest.spyOn(Expense.prototype, 'save').mockImplementation(async function() { return this; });
+      jest.spyOn(User, 'findById').mockImplementation(id => mockQuery(
+        [absentManager, substitute, user].find(candidate => candidate._id.toString() === id.toString()) || null
+      ));
+    });
+
+    afterEach(() => {
+      sendApprovalRequest.mockClear();
+    });
+
+    it("should accept the substitute's decision during the window and record who they stood in for", async () => {
+      const expense = singleStepExpense();
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+      jest.spyOn(Delegation, 'findApprovalSubstitute').mockReturnValue(mockQuery(
+        new Delegation({ principal: absentManager._id, delegate: substitute._id, type: 'approval' })
+      ));
+
+      const res = await review(expense);
+
+      expect(res.statusCode).toBe(200);
+      expect(Delegation.findApprovalSubstitute).toHaveBeenCalledWith(absentManager._id);
+      expect(expense.status).toBe('approved');
+      expect(expense.approvals[0].decidedBy).toEqual(substitute._id);
+      expect(expense.auditLog[0]).toMatchObject({ action: 'approved', performedBy: substitute._id, onBehalfOf: absentManager._id });
+    });
+
+    it('should refuse the substitute outside the window', async () => {
+      const expense = singleStepExpense();
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+      jest.spyOn(Delegation, 'findApprovalSubstitute').mockReturnValue(mockQuery(null));
+
+      const res = await review(expense);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Approval step 1 is assigned to another approver');
+      expect(expense.approvals[0].status).toBe('pending');
+    });
+
+    it('should send the approval request to the substitute while the approver is away', async () => {
+      const expense = singleStepExpense();
+      jest.spyOn(Delegation, 'findApprovalSubstitute').mockReturnValue(mockQuery(
+        new Delegation({ principal: absentManager._id, delegate: substitute._id, type: 'approval' })
+      ));
+
+      await notifyNextApprover(expense);
+
+      expect(sendApprovalRequest).toHaveBeenCalledTimes(1);
+      expect(sendApprovalRequest).toHaveBeenCalledWith(substitute, expense, user, 1, 1, absentManager);
+    });
+  });
+
+  describe('split expenses', () => {
+    it('should resolve percentage lines and give the rounding leftover to the last one', () => {
+      const { allocations, error } = Expense.resolveAllocations([
+        { department: 'IT', percentage: 33.33 },
+        { department: 'Sales', percentage: 33.33 },
+        { department: 'Finance', percentage: 33.34 }
+      ], 100.01);
+
+      expect(error).toBeUndefined();
+      expect(allocations.map(line => line.amount)).toEqual([33.33, 33.33, 33.35]);
+    });
+
+    it("should reject lines that don't add up to the expense amount", () => {
+      expect(Expense.resolveAllocations([{ amount: 60 }, { amount: 30 }], 100).error)
+        .toBe('Allocation lines add up to 90 but the expense amount is 100');
+      expect(Expense.resolveAllocations([{ department: 'IT' }], 100).error)
+        .toBe('Each allocation line needs either a percentage or an amount');
+    });
+
+    it('should refuse a split whose budget does not exist', async () => {
+      jest.spyOn(Budget, 'find').mockReturnValue(mockQuery([]));
+
+      const res = await callController(createExpense, {
+        user,
+        body: {
+          title: 'Conference fee',
+          amount: 500,
+          category: objectId().toString(),
+          allocations: [
+            { budget: objectId().toString(), percentage: 50 },
+            { department: 'Sales', percentage: 50 }
+          ]
+        }
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Allocation budget not found');
+    });
+
+    it('should charge each budget its share of the expense', () => {
+      const budget = objectId();
+      const expense = newExpense({
+        amount: 400,
+        allocations: [
+          { budget, amount: 100 },
+          { department: 'Sales', amount: 300 }
+        ]
+      });
+
+      expect(expense.getBudgetShare(budget)).toBe(0.25);
+      expect(newExpense({ budget }).getBudgetShare(budget)).toBe(1);
+    });
+  });
+
+  describe('mileage claims', () => {
+    const carRate = () => new MileageRate({
+      vehicleType: 'car',
+      country: 'US',
+      rate: 0.7,
+      unit: 'mi',
+      currency: 'USD',
+      effectiveFrom: new Date(2026, 0, 1),
+      createdBy: objectId()
+    });
+
+    const claim = (body) => buildExpense({
+      title: 'Client visit',
+      category: objectId().toString(),
+      date: new Date(2026, 5, 1, 12),
+      ...body
+    }, user);
+
+    it('should price the claim from the rate in force on the expense date', async () => {
+      const rate = carRate();
+      jest.spyOn(MileageRate, 'findRateInForce').mockReturnValue(mockQuery(rate));
+
+      const { expense, error } = await claim({ metadata: { mileage: { distance: 42.5 } } });
+
+      expect(error).toBeUndefined();
+      expect(MileageRate.findRateInForce).toHaveBeenCalledWith('car', 'US', new Date(2026, 5, 1, 12));
+      expect(expense.amount).toBe(29.75);
+      expect(expense.metadata.mileage.rateTable).toEqual(rate._id);
+    });
+
+    it("should reject an amount that doesn't match the rate", async () => {
+      jest.spyOn(MileageRate, 'findRateInForce').mockReturnValue(mockQuery(carRate()));
+
+      const { error } = await claim({ amount: 35, metadata: { mileage: { distance: 42.5 } } });
+
+      expect(error).toBe('Amount 35 does not match 42.5 mi at 0.7 USD/mi (29.75)');
+    });
+
+    it('should reject a claim without a rate in force', async () => {
+      jest.spyOn(MileageRate, 'findRateInForce').mockReturnValue(mockQuery(null));
+
+      const { error } = await claim({ metadata: { mileage: { distance: 10, country: 'fr' } } });
+
+      expect(error).toBe('No car mileage rate for FR is in force on 2026-06-01');
+    });
+  });
+
+  describe('updateExpense', () => {
+    it('should not let the submitter set status or approval state', async () => {
+      const expense = newExpense();
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+      const update = jest.spyOn(Expense, 'findByIdAndUpdate').mockReturnValue(mockQuery(expense));
+
+      const res = await callController(updateExpense, {
+        user,
+        params: { id: expense._id.toString() },
+        body: {
+          title: 'Team dinner',
+          status: 'approved',
+          approvals: [],
+          autoApproved: true,
+          receiptRequired: false,
+          duplicateCheck: { status: 'dismissed' },
+          slaEscalation: { level: 0 }
+        }
+      });
+
+      expect(res.statusCode).toBe(200);
+      const body = update.mock.calls[0][1];
+      expect(body.title).toBe('Team dinner');
+      ['status', 'approvals', 'autoApproved', 'receiptRequired', 'duplicateCheck', 'slaEscalation']
+        .forEach(field => expect(body).not.toHaveProperty(field));
+    });
+
+    it('should not let the client move a recurring series', async () => {
+      const expense = newExpense({ isRecurring: true, recurringPeriod: 'monthly', nextRecurringDate: new Date(2026, 11, 1) });
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+      const update = jest.spyOn(Expense, 'findByIdAndUpdate').mockReturnValue(mockQuery(expense));
+
+      await callController(updateExpense, {
+        user,
+        params: { id: expense._id.toString() },
+        body: {
+          nextRecurringDate: new Date(2020, 0, 1),
+          recurringOccurrenceCount: 0,
+          isRecurringPaused: false,
+          parentExpenseId: objectId()
+        }
+      });
+
+      const body = update.mock.calls[0][1];
+      ['nextRecurringDate', 'recurringOccurrenceCount', 'isRecurringPaused', 'parentExpenseId']
+        .forEach(field => expect(body).not.toHaveProperty(field));
+    });
+
+    it("should refuse to update another user's expense", async () => {
+      const expense = newExpense({ submittedBy: objectId() });
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+
+      const res = await callController(updateExpense, {
+        user,
+        params: { id: expense._id.toString() },
+        body: { title: 'Team dinner' }
+      });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should refuse user edits once the expense has left pending', async () => {
+      const expense = newExpense({ status: 'approved' });
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+
+      const res = await callController(updateExpense, {
+        user,
+        params: { id: expense._id.toString() },
+        body: { title: 'Team dinner' }
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot edit expense that is not pending');
+    });
+  });
+
+  describe('rescheduling a recurring series', () => {
+    // Updates the expense, returning the response and the fields written
+    const updateWith = async (expense, body) => {
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+      const update = jest.spyOn(Expense, 'findByIdAndUpdate').mockReturnValue(mockQuery(expense));
+      jest.spyOn(Expense.prototype, 'save').mockImplementation(async function() { return this; });
+
+      const res = await callController(updateExpense, { user, params: { id: expense._id.toString() }, body });
+      return { res, update: update.mock.calls[0] && update.mock.calls[0][1] };
+    };
+
+    it('should schedule the first occurrence when recurring is turned on', async () => {
+      const expense = newExpense({ date: new Date(2026, 5, 1) });
+
+      const { update } = await updateWith(expense, { isRecurring: true, recurringPeriod: 'monthly' });
+
+      expect(update.nextRecurringDate).toEqual(new Date(2026, 6, 1));
+    });
+
+    it('should reschedule when the period changes', async () => {
+      const expense = newExpense({
+        date: new Date(2026, 5, 1),
+        isRecurring: true,
+        recurringPeriod: 'monthly',
+        nextRecurringDate: new Date(2026, 6, 1)
+      });
+
+      const { update } = await updateWith(expense, { recurringPeriod: 'weekly' });
+
+      expect(update.nextRecurringDate).toEqual(new Date(2026, 5, 8));
+    });
+
+    it('should reschedule from the new date', async () => {
+      const expense = newExpense({
+        date: new Date(2026, 5, 1),
+        isRecurring: true,
+        recurringPeriod: 'monthly',
+        nextRecurringDate: new Date(2026, 8, 1),
+        recurringOccurrenceCount: 2
+      });
+
+      const { update } = await updateWith(expense, { date: new Date(2099, 0, 15) });
+
+      expect(update.nextRecurringDate).toEqual(new Date(2099, 1, 15));
+    });
+
+    it('should not restart a series that has ended', async () => {
+      const expense = newExpense({
+        date: new Date(2026, 5, 1),
+        isRecurring: true,
+        recurringPeriod: 'monthly',
+        recurringOccurrenceCount: 3
+      });
+
+      const { update } = await updateWith(expense, { recurringPeriod: 'weekly' });
+
+      expect(update).not.toHaveProperty('nextRecurringDate');
+    });
+
+    it('should end the series when recurring is turned off', async () => {
+      const expense = newExpense({
+        isRecurring: true,
+        recurringPeriod: 'monthly',
+        nextRecurringDate: new Date(2026, 6, 1)
+      });
+
+      const { update } = await updateWith(expense, { isRecurring: false });
+
+      expect(update.nextRecurringDate).toBeNull();
+    });
+
+    it('should require a period for a recurring expense', async () => {
+      const expense = newExpense();
+
+      const { res, update } = await updateWith(expense, { isRecurring: true });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Recurring period is required for recurring expenses');
+      expect(update).toBeUndefined();
+    });
+  });
+
+  describe('receipt requirement', () => {
+    const manager = { _id: objectId(), role: 'manager', department: 'IT' };
+
+    beforeEach(() => {
+      jest.spyOn(Delegation, 'canSubmitFor').mockResolvedValue(false);
+      jest.spyOn(Expense.prototype, 'save').mockImplementation(async function() { return this; });
+    });
+
+    it('should block approval until a required receipt is attached', async () => {
+      const budget = activeBudget({ requireReceiptAbove: 25 });
+      const expense = newExpense({ budget: budget._id, amount: 400 });
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+      jest.spyOn(Budget, 'findById').mockReturnValue(mockQuery(budget));
+
+      const res = await callController(reviewExpense, {
+        user: manager,
+        params: { id: expense._id.toString() },
+        body: { status: 'approved' }
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('A receipt is required for expenses above 25. Attach one before approving.');
+      expect(expense.status).toBe('pending');
+      expect(expense.missingReceipt).toBe(true);
+    });
+
+    it('should approve once a receipt is attached', async () => {
+      const budget = activeBudget({ requireReceiptAbove: 25 });
+      const expense = newExpense({ budget: budget._id, amount: 400 });
+      expense.addReceipt({ fileName: 'receipt.pdf', originalName: 'receipt.pdf', fileUrl: '/uploads/receipt.pdf', fileSize: 100, fileType: 'application/pdf' });
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+      jest.spyOn(Budget, 'findById').mockReturnValue(mockQuery(budget));
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery(null));
+
+      const res = await callController(reviewExpense, {
+        user: manager,
+        params: { id: expense._id.toString() },
+        body: { status: 'approved' }
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(expense.status).toBe('approved');
+      expect(expense.missingReceipt).toBe(false);
+    });
+
+    it('should filter the list to expenses missing a required receipt', async () => {
+      Expense.find.mockReturnValue(mockQuery([]));
+      jest.spyOn(Expense, 'countDocuments').mockReturnValue(mockQuery(0));
+
+      const res = await callController(getExpenses, { user, query: { missingReceipt: 'true' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(Expense.find.mock.calls[0][0]).toMatchObject({
+        receiptRequired: true,
+        'receipts.0': { $exists: false }
+      });
+    });
+  });
+
+  describe('report lines', () => {
+    it('should refuse edits to lines of a submitted expense report', async () => {
+      const report = new ExpenseReport({ title: 'Trip', submittedBy: user._id, status: 'submitted' });
+      const expense = newExpense({ expenseReport: report._id });
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+      jest.spyOn(ExpenseReport, 'findById').mockReturnValue(mockQuery(report));
+
+      const res = await callController(updateExpense, {
+        user,
+        params: { id: expense._id.toString() },
+        body: { amount: 400 }
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot edit an expense that belongs to a submitted expense report');
+    });
+  });
+
+  describe('exchange rate lock', () => {
+    it('should lock the rate when an expense is auto-approved', () => {
+      const expense = newExpense({ exchangeRate: 1.1, currency: 'EUR' });
+      const budget = new Budget({ allocationRules: { autoApprovalLimit: 100, requireReceiptAbove: 1000 } });
+
+      expect(expense.applyAutoApproval(budget)).toBe(true);
+      expect(expense.exchangeRateLockedAt).toBeInstanceOf(Date);
+    });
+
+    it('should refuse a currency change once the rate is locked', async () => {
+      const expense = newExpense({ currency: 'EUR', exchangeRate: 1.1, exchangeRateLockedAt: new Date() });
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+
+      const res = await callController(updateExpense, {
+        user: { ...user, role: 'admin' },
+        params: { id: expense._id.toString() },
+        body: { currency: 'GBP' }
+      });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should not lock the rate from an update payload', async () => {
+      const expense = newExpense();
+      jest.spyOn(Expense, 'findById').mockReturnValue(mockQuery(expense));
+      const update = jest.spyOn(Expense, 'findByIdAndUpdate').mockReturnValue(mockQuery(expense));
+
+      await callController(updateExpense, {
+        user: { ...user, role: 'admin' },
+        params: { id: expense._id.toString() },
+        body: { status: 'approved', exchangeRateLockedAt: new Date() }
+      });
+
+      expect(update.mock.calls[0][1]).not.toHaveProperty('exchangeRateLockedAt');
+    });
+  });
+
+  describe('getExpenseAnalytics', () => {
+    it('should total auto-approved spend in the base currency', async () => {
+      const admin = { _id: objectId(), role: 'admin', department: 'Finance' };
+      const euros = newExpense({ amount: 100, currency: 'EUR', exchangeRate: 1.1, convertedAmount: 110, status: 'approved', autoApproved: true, date: new Date(2026, 5, 1) });
+      const yen = newExpense({ amount: 10000, currency: 'JPY', exchangeRate: 0.0066, convertedAmount: 66, status: 'reimbursed', date: new Date(2026, 5, 2) });
+      Expense.find.mockReturnValue(mockQuery([euros, yen]));
+
+      const res = await callController(getExpenseAnalytics, { user: admin, query: {} });
+
+      expect(res.body.data.autoApproval).toEqual({ count: 1, amount: 110, shareOfApprovedAmount: 63 });
+    });
+  });
+
+  describe('buildExpense', () => {
+    it('should ignore workflow state sent with a new expense', async () => {
+      const { expense, error } = await buildExpense({
+        title: 'Team lunch',
+        amount: 40,
+        category: objectId().toString(),
+        status: 'approved',
+        autoApproved: true,
+        duplicateCheck: { status: 'dismissed' },
+        nextRecurringDate: new Date(2020, 0, 1),
+        recurringOccurrenceCount: 5,
+        parentExpenseId: objectId()
+      }, user);
+
+      expect(error).toBeUndefined();
+      expect(expense.status).toBe('pending');
+      expect(expense.autoApproved).toBe(false);
+      expect(expense.duplicateCheck.status).toBe('clear');
+      expect(expense.nextRecurringDate).toBeUndefined();
+      expect(expense.recurringOccurrenceCount).toBe(0);
+      expect(expense.parentExpenseId).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const XLSX = require('xlsx');
+const { parseSpreadsheet, buildDefaultMapping, mapRow } = require('../server/utils/expenseImportService');
+
+describe('Expense Import Service', () => {
+  it('should parse CSV rows and match columns to fields by name', () => {
+    const csv = Buffer.from('Title,Amount,Payment Method,Tags\nClient lunch,"$1,234.50",Credit Card,travel; client\n\n');
+    const { headers, rows } = parseSpreadsheet(csv, 'expenses.csv');
+    const mapping = buildDefaultMapping(headers);
+
+    expect(rows).toHaveLength(1);
+    expect(mapping).toEqual({ title: 'Title', amount: 'Amount', paymentMethod: 'Payment Method', tags: 'Tags' });
+    expect(mapRow(rows[0], mapping)).toEqual({
+      title: 'Client lunch',
+      amount: '1234.50',
+      paymentMethod: 'credit_card',
+      tags: ['travel', 'client']
+    });
+  });
+
+  it('should read the first sheet of an Excel workbook', () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+      ['Expense', 'Total', 'Spent On'],
+      ['Hotel', 120.5, new Date(2026, 3, 1)]
+    ]), 'Expenses');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    const { headers, rows } = parseSpreadsheet(buffer, 'expenses.xlsx');
+
+    expect(headers).toEqual(['Expense', 'Total', 'Spent On']);
+    expect(mapRow(rows[0], { title: 'Expense', amount: 'Total', date: 'Spent On' }))
+      .toEqual({ title: 'Hotel', amount: 120.5, date: '2026-04-01' });
+  });
+
+  it('should skip blank cells and leave unparseable values for validation', () => {
+    expect(mapRow({ Title: '  ', Amount: 'n/a' }, { title: 'Title', amount: 'Amount' })).toEqual({ amount: 'n/a' });
+  });
+});
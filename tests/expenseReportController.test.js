@@ -0,0 +1,142 @@
+jest.mock('../server/utils/fileUpload', () => ({ getFileHash: jest.fn(async () => null) }));
+jest.mock('../server/utils/emailService');
+
+const Expense = require('../server/models/Expense');
+const ExpenseReport = require('../server/models/ExpenseReport');
+const Budget = require('../server/models/Budget');
+const User = require('../server/models/User');
+const Delegation = require('../server/models/Delegation');
+const { createExpenseReport, reviewExpenseReport } = require('../server/controllers/expenseReportController');
+const { mockQuery, callController, objectId } = require('./helpers/controller');
+
+describe('Expense Report Controller', () => {
+  const submitter = { _id: objectId(), role: 'user', department: 'IT' };
+  const firstApprover = { _id: objectId(), role: 'manager', department: 'IT' };
+  const secondApprover = { _id: objectId(), role: 'manager', department: 'Finance' };
+
+  const newLine = () => new Expense({
+    title: 'Hotel',
+    amount: 200,
+    category: objectId(),
+    submittedBy: submitter._id,
+    department: 'IT',
+    approvals: [
+      { approver: firstApprover._id, order: 1 },
+      { approver: secondApprover._id, order: 2 }
+    ]
+  });
+
+  const submittedReport = (lines) => new ExpenseReport({
+    title: 'Conference trip',
+    submittedBy: submitter._id,
+    department: 'IT',
+    status: 'submitted',
+    expenses: lines.map(line => line._id)
+  });
+
+  const review = (user, report, body = {}) => callController(reviewExpenseReport, {
+    user,
+    params: { id: report._id.toString() },
+    body
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Delegation, 'canSubmitFor').mockResolvedValue(false);
+    jest.spyOn(Delegation, 'getApprovalPrincipals').mockResolvedValue([]);
+    jest.spyOn(Delegation, 'findApprovalSubstitute').mockReturnValue(mockQuery(null));
+    jest.spyOn(Budget, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(null));
+    jest.spyOn(Expense.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(ExpenseReport.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reviewExpenseReport', () => {
+    it('should not let a manager review their own report', async () => {
+      const line = newLine();
+      const report = submittedReport([line]);
+      report.submittedBy = firstApprover._id;
+      jest.spyOn(ExpenseReport, 'findById').mockReturnValue(mockQuery(report));
+
+      const res = await review(firstApprover, report);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Not authorized to review your own expense report');
+    });
+
+    it('should advance each line one approval step at a time', async () => {
+      const line = newLine();
+      line.slaEscalation = { level: 2 };
+      const report = submittedReport([line]);
+      jest.spyOn(ExpenseReport, 'findById').mockReturnValue(mockQuery(report));
+      jest.spyOn(Expense, 'find').mockReturnValue(mockQuery([line]));
+
+      const res = await review(firstApprover, report);
+
+      expect(res.statusCode).toBe(200);
+      expect(line.status).toBe('pending');
+      expect(line.approvals[0].status).toBe('approved');
+      expect(line.approvals[0].decidedBy).toEqual(firstApprover._id);
+      expect(line.approvals[1].status).toBe('pending');
+      expect(line.slaEscalation.level).toBe(0);
+      expect(report.status).toBe('submitted');
+
+      const final = await review(secondApprover, report);
+
+      expect(final.statusCode).toBe(200);
+      expect(line.status).toBe('approved');
+      expect(line.approvals[1].decidedBy).toEqual(secondApprover._id);
+      expect(line.exchangeRateLockedAt).toBeInstanceOf(Date);
+      expect(report.status).toBe('approved');
+    });
+
+    it("should refuse a reviewer who isn't the current step's approver", async () => {
+      const line = newLine();
+      const report = submittedReport([line]);
+      jest.spyOn(ExpenseReport, 'findById').mockReturnValue(mockQuery(report));
+      jest.spyOn(Expense, 'find').mockReturnValue(mockQuery([line]));
+
+      const res = await review(secondApprover, report);
+
+      expect(res.statusCode).toBe(403);
+      expect(line.approvals[0].status).toBe('pending');
+    });
+
+    it('should let a substitute decide the step of the approver they stand in for', async () => {
+      const line = newLine();
+      const report = submittedReport([line]);
+      jest.spyOn(ExpenseReport, 'findById').mockReturnValue(mockQuery(report));
+      jest.spyOn(Expense, 'find').mockReturnValue(mockQuery([line]));
+      Delegation.getApprovalPrincipals.mockResolvedValue([firstApprover._id]);
+
+      const res = await review(secondApprover, report, {
+        rejections: [{ expenseId: line._id.toString(), reason: 'Not a business trip' }]
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(line.status).toBe('rejected');
+      expect(line.approvals[0].status).toBe('rejected');
+      expect(report.status).toBe('rejected');
+    });
+  });
+
+  describe('createExpenseReport', () => {
+    it('should release claimed expenses when the report fails to save', async () => {
+      const line = newLine();
+      jest.spyOn(Expense, 'find').mockReturnValue(mockQuery([line]));
+      const updateMany = jest.spyOn(Expense, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      ExpenseReport.prototype.save.mockRejectedValue(new Error('save failed'));
+
+      await expect(callController(createExpenseReport, {
+        user: submitter,
+        body: { title: 'Conference trip', expenseIds: [line._id.toString()] }
+      })).rejects.toThrow('save failed');
+
+      expect(updateMany).toHaveBeenCalledTimes(2);
+      expect(updateMany.mock.calls[1][1]).toHaveProperty('$unset', { expenseReport: 1 });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const XLSX = require('xlsx');
+const { streamExport, EXPENSE_COLUMNS } = require('../server/utils/exportService');
+const { mockCursor, mockStreamResponse, objectId } = require('./helpers/controller');
+
+describe('Export Service', () => {
+  const columns = [
+    { header: 'Title', value: doc => doc.title },
+    { header: 'Amount', value: doc => doc.amount }
+  ];
+
+  describe('streamExport', () => {
+    it('should write the CSV a row at a time and close the cursor', async () => {
+      const res = mockStreamResponse();
+      const cursor = mockCursor([
+        { title: 'Taxi', amount: 12.5 },
+        { title: '=HYPERLINK("http://evil")', amount: 1 }
+      ]);
+
+      await streamExport(res, { cursor, columns, format: 'csv', filename: 'expenses' });
+
+      expect(res.headers['Content-Type']).toBe('text/csv; charset=utf-8');
+      expect(res.headers['Content-Disposition']).toMatch(/^attachment; filename="expenses-\d{8}-\d{6}\.csv"$/);
+      expect(res.chunks).toEqual([
+        '\uFEFFTitle,Amount\r\n',
+        'Taxi,12.5\r\n',
+        '"\'=HYPERLINK(""http://evil"")",1\r\n'
+      ]);
+      expect(cursor.close).toHaveBeenCalled();
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('should wait for the client to drain before reading more rows', async () => {
+      const res = mockStreamResponse({ full: true });
+      const cursor = mockCursor([{ title: 'Taxi', amount: 12.5 }]);
+
+      const exporting = streamExport(res, { cursor, columns, format: 'csv', filename: 'expenses' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(res.write).toHaveBeenCalledTimes(1);
+
+      res.emit('drain');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(res.write).toHaveBeenCalledTimes(2);
+
+      res.emit('drain');
+      await exporting;
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('should build a workbook for XLSX', async () => {
+      const res = mockStreamResponse();
+      const cursor = mockCursor([{ title: 'Taxi', amount: 12.5 }]);
+
+      await streamExport(res, { cursor, columns, format: 'xlsx', filename: 'expenses' });
+
+      const workbook = XLSX.read(res.chunks[0], { type: 'buffer' });
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets.expenses, { header: 1 });
+      expect(rows).toEqual([['Title', 'Amount'], ['Taxi', 12.5]]);
+    });
+  });
+
+  describe('EXPENSE_COLUMNS', () => {
+    it('should export populated names and the converted amount', () => {
+      const expense = {
+        _id: objectId(),
+        title: 'Hotel',
+        amount: 100,
+        currency: 'EUR',
+        exchangeRate: 1.1,
+        convertedAmount: 110,
+        category: { name: 'Travel' },
+        submittedBy: { name: 'Jane Doe', email: 'jane@example.com' },
+        approvedBy: { name: 'Max Manager' },
+        approvals: [{ approver: { name: 'Max Manager' }, status: 'approved' }]
+      };
+      const row = Object.fromEntries(EXPENSE_COLUMNS.map(column => [column.header, column.value(expense)]));
+
+      expect(row).toMatchObject({
+        Category: 'Travel',
+        'Converted Amount (USD)': 110,
+        'Submitted By': 'Jane Doe',
+        'Submitter Email': 'jane@example.com',
+        'Approved By': 'Max Manager',
+        Approvers: 'Max Manager (approved)'
+      });
+    });
+  });
+});
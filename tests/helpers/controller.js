@@ -0,0 +1,104 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+
+// Controller tests run without a database: any query a test doesn't stub
+// fails straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Express response double that records the status code and JSON body
+const mockResponse = () => {
+  const res = { statusCode: 200, body: undefined };
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+// Writable response double for streamed downloads; `full` makes write()
+// report backpressure until the test emits 'drain'
+const mockStreamResponse = ({ full = false } = {}) => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.chunks = [];
+  res.destroyed = false;
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.write = jest.fn(chunk => {
+    res.chunks.push(chunk);
+    return !full;
+  });
+  res.end = jest.fn(chunk => {
+    if (chunk) res.chunks.push(chunk);
+  });
+  res.destroy = jest.fn();
+  return res;
+};
+
+// Iterates over `docs` like a Mongoose query cursor
+const mockCursor = (docs) => ({
+  close: jest.fn(async () => {}),
+  async *[Symbol.asyncIterator]() {
+    yield* docs;
+  }
+});
+
+// Resolves to `value` like a Mongoose query, including chained calls
+const mockQuery = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    catch: (reject) => Promise.resolve(value).catch(reject)
+  };
+  ['populate', 'select', 'sort', 'limit', 'skip', 'lean', 'setOptions', 'session'].forEach(method => {
+    query[method] = () => query;
+  });
+  query.exec = () => Promise.resolve(value);
+  query.cursor = () => mockCursor(value);
+  return query;
+};
+
+// Run express-validator chains (and any plain middleware in the array) on a request
+const runValidation = async (validation, req) => {
+  for (const chain of validation) {
+    if (typeof chain.run === 'function') {
+      await chain.run(req);
+    }
+  }
+};
+
+// Call a controller and wait for it to respond or hand an error to next()
+const callController = async (controller, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await controller({ params: {}, query: {}, body: {}, ...req }, res, next);
+  if (next.mock.calls[0]?.[0]) {
+    throw next.mock.calls[0][0];
+  }
+  return res;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  mockResponse,
+  mockStreamResponse,
+  mockCursor,
+  mockQuery,
+  runValidation,
+  callController,
+  objectId
+};
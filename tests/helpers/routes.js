@@ -0,0 +1,28 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../../server/models/User');
+const errorHandler = require('../../server/middleware/errorHandler');
+const { mockQuery } = require('./controller');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Express app serving a single router, so route permissions and validation
+// can be exercised with supertest without starting the server
+const mountRouter = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+};
+
+// Authorization header for a user; `protect` looks the user up by the token's id
+const authAs = (user) => {
+  jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ isActive: true, ...user }));
+  return `Bearer ${jwt.sign({ id: user._id.toString() }, process.env.JWT_SECRET)}`;
+};
+
+module.exports = {
+  mountRouter,
+  authAs
+};
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const MileageRate = require('../server/models/MileageRate');
+const mileageRates = require('../server/routes/mileageRates');
+const { objectId } = require('./helpers/controller');
+const { mountRouter, authAs } = require('./helpers/routes');
+
+describe('Mileage Rate Endpoints', () => {
+  const app = mountRouter('/api/mileage-rates', mileageRates);
+  const admin = { _id: objectId(), role: 'admin' };
+  const manager = { _id: objectId(), role: 'manager' };
+
+  const rate = {
+    vehicleType: 'car',
+    country: 'de',
+    rate: 0.3,
+    unit: 'km',
+    currency: 'EUR',
+    effectiveFrom: '2026-01-01'
+  };
+
+  beforeEach(() => {
+    jest.spyOn(MileageRate, 'create').mockImplementation(async (data) => new MileageRate(data));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/mileage-rates', () => {
+    it('should let an admin add a rate table', async () => {
+      const res = await request(app)
+        .post('/api/mileage-rates')
+        .set('Authorization', authAs(admin))
+        .send(rate)
+        .expect(201);
+
+      expect(res.body.data.country).toBe('DE');
+      expect(res.body.data.createdBy).toBe(admin._id.toString());
+    });
+
+    it('should refuse anyone but an admin', async () => {
+      await request(app)
+        .post('/api/mileage-rates')
+        .set('Authorization', authAs(manager))
+        .send(rate)
+        .expect(403);
+
+      expect(MileageRate.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown vehicle type and a malformed country', async () => {
+      const res = await request(app)
+        .post('/api/mileage-rates')
+        .set('Authorization', authAs(admin))
+        .send({ ...rate, vehicleType: 'truck', country: 'Germany' })
+        .expect(400);
+
+      expect(res.body.errors.map(error => error.path)).toEqual(['vehicleType', 'country']);
+      expect(MileageRate.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('MileageRate model', () => {
+    it('should reject a period that ends before it starts', async () => {
+      const table = new MileageRate({ ...rate, effectiveTo: '2025-12-31', createdBy: admin._id });
+
+      await expect(table.validate()).rejects.toThrow('Effective to date must be after effective from date');
+    });
+
+    it('should price a distance to the cent', () => {
+      expect(MileageRate.calculateAmount(123.4, 0.3)).toBe(37.02);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { parseListOptions, encodeCursor, decodeCursor, buildSort, buildKeysetFilter } = require('../server/utils/paginationService');
+
+describe('Pagination Service', () => {
+  it('should default to keyset pagination sorted newest first', () => {
+    const options = parseListOptions({}, 'expenses');
+
+    expect(options).toMatchObject({ mode: 'cursor', sort: 'date', path: 'date', order: 'desc', limit: 10, cursor: null, includeTotal: true });
+    expect(buildSort(options)).toEqual({ date: -1, _id: -1 });
+  });
+
+  it('should reject unknown sorts and cursors from a different sort', () => {
+    const cursor = encodeCursor({ _id: new mongoose.Types.ObjectId(), date: new Date() }, 'date', 'desc', 'date');
+
+    expect(parseListOptions({ sort: 'title' }, 'expenses').error).toMatch('Sort must be one of');
+    expect(parseListOptions({ sort: 'amount', cursor }, 'expenses').error).toBe('Invalid cursor for this sort');
+    expect(parseListOptions({ cursor: 'not-a-cursor' }, 'expenses').error).toBe('Invalid cursor for this sort');
+  });
+
+  it('should continue after the last row of the previous page', () => {
+    const id = new mongoose.Types.ObjectId();
+    const date = new Date('2026-03-01T00:00:00Z');
+    const options = parseListOptions({ cursor: encodeCursor({ _id: id, date }, 'date', 'desc', 'date'), count: 'false' }, 'expenses');
+
+    expect(options.includeTotal).toBe(false);
+    expect(decodeCursor(encodeCursor({ _id: id, date }, 'date', 'desc', 'date')).v).toEqual(date);
+    expect(buildKeysetFilter(options)).toEqual({
+      $or: [
+        { date: { $lt: date } },
+        { date, _id: { $lt: id } }
+      ]
+    });
+  });
+
+  it('should rank text searches by relevance with page numbers', () => {
+    const options = parseListOptions({ q: 'hotel' }, 'expenses', { relevance: true });
+
+    expect(options).toMatchObject({ mode: 'page', page: 1, byRelevance: true });
+    expect(parseListOptions({ q: 'hotel', sort: 'amount' }, 'expenses', { relevance: true }).path).toBe('convertedAmount');
+  });
+});
@@ -0,0 +1,115 @@
+const {
+  isValidRoutingNumber,
+  getPayeesMissingBankDetails,
+  generateSepaFile,
+  generateNachaFile
+} = require('../server/utils/paymentFileService');
+
+describe('Payment File Service', () => {
+  const batch = {
+    reference: 'RBTEST123',
+    payoutCurrency: 'EUR'
+  };
+
+  const payments = [
+    {
+      amount: 120.5,
+      employee: {
+        _id: '64b7f0c2a1b2c3d4e5f60718',
+        name: 'Jane Doe',
+        bankDetails: {
+          iban: 'DE89370400440532013000',
+          bic: 'COBADEFFXXX',
+          routingNumber: '021000021',
+          accountNumber: '123456789',
+          accountType: 'checking'
+        }
+      }
+    },
+    {
+      amount: 79.5,
+      employee: {
+        _id: '64b7f0c2a1b2c3d4e5f60719',
+        name: 'José Müller & Sons',
+        bankDetails: {
+          iban: 'FR1420041010050500013M02606',
+          routingNumber: '011000015',
+          accountNumber: '987654321',
+          accountType: 'savings'
+        }
+      }
+    }
+  ];
+
+  const createdAt = new Date('2026-03-02T10:30:00Z');
+
+  describe('isValidRoutingNumber', () => {
+    it('should accept routing numbers with a valid checksum', () => {
+      expect(isValidRoutingNumber('021000021')).toBe(true);
+    });
+
+    it('should reject malformed routing numbers', () => {
+      expect(isValidRoutingNumber('021000022')).toBe(false);
+      expect(isValidRoutingNumber('12345')).toBe(false);
+    });
+  });
+
+  describe('getPayeesMissingBankDetails', () => {
+    it('should list employees without an IBAN for SEPA', () => {
+      const missing = getPayeesMissingBankDetails([
+        ...payments,
+        { amount: 10, employee: { _id: 'x', name: 'No Bank', bankDetails: {} } }
+      ], 'sepa');
+
+      expect(missing).toHaveLength(1);
+      expect(missing[0].name).toBe('No Bank');
+    });
+  });
+
+  describe('generateSepaFile', () => {
+    it('should produce a pain.001 document with matching totals', () => {
+      const xml = generateSepaFile(batch, payments, {
+        createdAt,
+        payer: { name: 'Acme GmbH', iban: 'DE02120300000000202051', bic: 'BYLADEM1001' }
+      });
+
+      expect(xml).toContain('urn:iso:std:iso:20022:tech:xsd:pain.001.001.03');
+      expect(xml).toContain('<NbOfTxs>2</NbOfTxs>');
+      expect(xml).toContain('<CtrlSum>200.00</CtrlSum>');
+      expect(xml).toContain('<InstdAmt Ccy="EUR">120.50</InstdAmt>');
+      expect(xml).toContain('<Nm>Jose Muller   Sons</Nm>');
+    });
+
+    it('should require a company IBAN', () => {
+      expect(() => generateSepaFile(batch, payments, { payer: { iban: undefined } })).toThrow('IBAN');
+    });
+  });
+
+  describe('generateNachaFile', () => {
+    const nachaBatch = { reference: 'RBTEST123', payoutCurrency: 'USD' };
+    const payer = { name: 'Acme Inc', companyId: '1234567890', routingNumber: '021000021' };
+
+    it('should produce 94-character records in blocks of ten', () => {
+      const lines = generateNachaFile(nachaBatch, payments, { createdAt, payer }).trim().split('\n');
+
+      expect(lines.length % 10).toBe(0);
+      lines.forEach(line => expect(line).toHaveLength(94));
+      expect(lines[0].startsWith('101')).toBe(true);
+      expect(lines[1].startsWith('5220')).toBe(true);
+    });
+
+    it('should total credits and entry hash in the control records', () => {
+      const lines = generateNachaFile(nachaBatch, payments, { createdAt, payer }).trim().split('\n');
+      const entries = lines.filter(line => line.startsWith('6'));
+      const batchControl = lines.find(line => line.startsWith('8'));
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0].substring(1, 3)).toBe('22');
+      expect(entries[1].substring(1, 3)).toBe('32');
+      expect(entries[0].substring(29, 39)).toBe('0000012050');
+      // 02100002 + 01100001
+      expect(batchControl.substring(10, 20)).toBe('0003200003');
+      expect(batchControl.substring(32, 44)).toBe('000000020000');
+    });
+  });
+});
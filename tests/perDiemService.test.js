@@ -0,0 +1,80 @@
+const {
+  getTripDays,
+  calculatePerDiemDay,
+  calculatePerDiemTrip
+} = require('../server/utils/perDiemService');
+
+describe('Per Diem Service', () => {
+  const rate = {
+    currency: 'EUR',
+    lodging: 120,
+    meals: { breakfast: 10, lunch: 15, dinner: 25 },
+    incidentals: 10,
+    travelDayPercentage: 75
+  };
+
+  describe('getTripDays', () => {
+    it('should include both the first and last day', () => {
+      const days = getTripDays('2026-03-30', '2026-04-02');
+
+      expect(days).toHaveLength(4);
+      expect(days[0].toISOString()).toBe('2026-03-30T00:00:00.000Z');
+      expect(days[3].toISOString()).toBe('2026-04-02T00:00:00.000Z');
+    });
+  });
+
+  describe('calculatePerDiemDay', () => {
+    it('should pay the full allowance on a full day', () => {
+      const day = calculatePerDiemDay(rate);
+
+      expect(day.dayType).toBe('full');
+      expect(day.mealsAllowance).toBe(60);
+      expect(day.lodgingAllowance).toBe(120);
+      expect(day.amount).toBe(180);
+    });
+
+    it('should reduce travel days and skip lodging on the last night', () => {
+      const day = calculatePerDiemDay(rate, { isLastDay: true });
+
+      expect(day.dayType).toBe('travel');
+      expect(day.mealsAllowance).toBe(45);
+      expect(day.lodgingAllowance).toBe(0);
+    });
+
+    it('should deduct provided meals once each', () => {
+      const day = calculatePerDiemDay(rate, { providedMeals: ['lunch', 'lunch', 'dinner', 'snack'], includeLodging: false });
+
+      expect(day.deductions).toBe(40);
+      expect(day.providedMeals).toEqual(['lunch', 'dinner']);
+      expect(day.amount).toBe(20);
+    });
+
+    it('should never go below zero', () => {
+      const day = calculatePerDiemDay(rate, {
+        isFirstDay: true,
+        providedMeals: ['breakfast', 'lunch', 'dinner'],
+        includeLodging: false
+      });
+
+      expect(day.mealsAllowance).toBe(0);
+    });
+  });
+
+  describe('calculatePerDiemTrip', () => {
+    it('should apply the rate in force on each day and the provided meals', async () => {
+      const raisedRate = { ...rate, lodging: 150 };
+      const getRate = async (date) => (date >= new Date('2026-04-01') ? raisedRate : rate);
+
+      const breakdown = await calculatePerDiemTrip('2026-03-30', '2026-04-02', getRate, {
+        providedMeals: { '2026-03-31': ['breakfast'] }
+      });
+
+      expect(breakdown.map(day => day.amount)).toEqual([165, 170, 210, 45]);
+    });
+
+    it('should fail when a day has no rate', async () => {
+      await expect(calculatePerDiemTrip('2026-03-30', '2026-03-31', async () => null))
+        .rejects.toThrow('No per diem rate is in force on 2026-03-30');
+    });
+  });
+});
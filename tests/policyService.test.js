@@ -0,0 +1,48 @@
+const { ruleApplies, evaluateRule } = require('../server/utils/policyService');
+
+describe('Policy Service', () => {
+  const expense = {
+    amount: 90,
+    exchangeRate: 1.1,
+    date: new Date('2026-06-06T10:00:00Z'), // Saturday
+    category: '64b7f0c2a1b2c3d4e5f60718',
+    department: 'Sales',
+    metadata: { attendees: [] }
+  };
+
+  it('should scope rules to categories and departments', () => {
+    expect(ruleApplies({ categories: [], departments: [] }, expense)).toBe(true);
+    expect(ruleApplies({ categories: ['64b7f0c2a1b2c3d4e5f60718'], departments: ['Sales'] }, expense)).toBe(true);
+    expect(ruleApplies({ categories: [], departments: ['Engineering'] }, expense)).toBe(false);
+  });
+
+  it('should compare amounts in the base currency', () => {
+    expect(evaluateRule({ type: 'max_amount', params: { amount: 95 } }, expense)).toMatch('exceeds');
+    expect(evaluateRule({ type: 'max_amount', params: { amount: 95 } }, { ...expense, exchangeRate: 1 })).toBeNull();
+  });
+
+  it('should use the daily total for per-day limits', () => {
+    const rule = { type: 'max_amount_per_day', params: { amount: 150 } };
+
+    expect(evaluateRule(rule, expense, { dailyTotal: 99 })).toBeNull();
+    expect(evaluateRule(rule, expense, { dailyTotal: 160 })).toMatch('daily limit');
+  });
+
+  it('should reject weekend spend', () => {
+    expect(evaluateRule({ type: 'no_weekend' }, expense)).toMatch('weekends');
+    expect(evaluateRule({ type: 'no_weekend' }, { ...expense, date: new Date('2026-06-08T10:00:00Z') })).toBeNull();
+  });
+
+  it('should require attendees only above the threshold', () => {
+    const rule = { type: 'attendees_required', params: { amount: 50, minAttendees: 2 } };
+
+    expect(evaluateRule(rule, expense)).toMatch('at least 2 attendee');
+    expect(evaluateRule(rule, { ...expense, amount: 40, exchangeRate: 1 })).toBeNull();
+    expect(evaluateRule(rule, { ...expense, metadata: { attendees: [{ name: 'A' }, { name: 'B' }] } })).toBeNull();
+  });
+
+  it('should require a business purpose', () => {
+    expect(evaluateRule({ type: 'business_purpose_required' }, expense)).toMatch('business purpose');
+    expect(evaluateRule({ type: 'business_purpose_required' }, { ...expense, metadata: { businessPurpose: 'Client visit' } })).toBeNull();
+  });
+});
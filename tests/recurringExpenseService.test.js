@@ -0,0 +1,123 @@
+const Expense = require('../server/models/Expense');
+const {
+  isWithinSeries,
+  getUpcomingOccurrences,
+  advanceRecurringDate,
+  processRecurringExpense
+} = require('../server/utils/recurringExpenseService');
+const { objectId } = require('./helpers/controller');
+
+describe('Recurring Expense Service', () => {
+  const series = (fields = {}) => new Expense({
+    title: 'Office rent',
+    amount: 1000,
+    category: objectId(),
+    submittedBy: objectId(),
+    date: new Date(2026, 0, 31),
+    isRecurring: true,
+    recurringPeriod: 'monthly',
+    nextRecurringDate: new Date(2026, 1, 28),
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should stop at the end date and the occurrence limit', () => {
+    const expense = series({ recurringEndDate: new Date(2026, 5, 1), recurringOccurrenceLimit: 3 });
+
+    expect(isWithinSeries(expense, new Date(2026, 4, 31), 2)).toBe(true);
+    expect(isWithinSeries(expense, new Date(2026, 5, 30), 2)).toBe(false);
+    expect(isWithinSeries(expense, new Date(2026, 4, 31), 3)).toBe(false);
+  });
+
+  it('should return to the anchor day after a short month', () => {
+    const expense = series();
+
+    expect(advanceRecurringDate(expense)).toEqual(new Date(2026, 2, 31));
+    expect(advanceRecurringDate(expense)).toEqual(new Date(2026, 3, 30));
+    expect(advanceRecurringDate(expense)).toEqual(new Date(2026, 4, 31));
+    expect(getUpcomingOccurrences(series(), 3)).toEqual([
+      new Date(2026, 1, 28),
+      new Date(2026, 2, 31),
+      new Date(2026, 3, 30)
+    ]);
+  });
+
+  it('should end the series once the next date is past its limits', () => {
+    const expense = series({ recurringEndDate: new Date(2026, 2, 15) });
+
+    expect(advanceRecurringDate(expense)).toBeUndefined();
+    expect(expense.nextRecurringDate).toBeUndefined();
+  });
+
+  it('should not generate an occurrence another run already claimed', async () => {
+    const expense = series();
+    jest.spyOn(Expense, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const save = jest.spyOn(Expense.prototype, 'save').mockImplementation(async function() { return this; });
+
+    const generated = await processRecurringExpense(expense, new Date(2026, 2, 1));
+
+    expect(generated).toHaveLength(0);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(save.mock.contexts[0]).toBe(expense);
+  });
+
+  it('should move the stored series on before creating the occurrence', async () => {
+    const expense = series();
+    const calls = [];
+    jest.spyOn(Expense, 'updateOne').mockImplementation(async (filter, update) => {
+      calls.push('claim');
+      expect(filter.nextRecurringDate).toEqual(new Date(2026, 1, 28));
+      expect(update.$set).toEqual({ nextRecurringDate: new Date(2026, 2, 31), recurringOccurrenceCount: 1 });
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Expense.prototype, 'save').mockImplementation(async function() {
+      calls.push(this === expense ? 'parent' : 'occurrence');
+      return this;
+    });
+
+    const generated = await processRecurringExpense(expense, new Date(2026, 2, 1));
+
+    expect(calls).toEqual(['claim', 'occurrence', 'parent']);
+    expect(generated).toHaveLength(1);
+    expect(generated[0].date).toEqual(new Date(2026, 1, 28));
+    expect(expense.recurringOccurrenceCount).toBe(1);
+    expect(expense.nextRecurringDate).toEqual(new Date(2026, 2, 31));
+  });
+
+  it('should put a failed occurrence back for the next run to retry', async () => {
+    const expense = series();
+    const claims = [];
+    jest.spyOn(Expense, 'updateOne').mockImplementation(async (filter, update) => {
+      claims.push(update.$set);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Expense.prototype, 'save').mockImplementation(async function() {
+      if (this !== expense) throw new Error('Category not found');
+      return this;
+    });
+
+    await expect(processRecurringExpense(expense, new Date(2026, 3, 1))).rejects.toThrow('Category not found');
+
+    expect(claims).toEqual([
+      { nextRecurringDate: new Date(2026, 2, 31), recurringOccurrenceCount: 1 },
+      { nextRecurringDate: new Date(2026, 1, 28), recurringOccurrenceCount: 0 }
+    ]);
+    expect(expense.nextRecurringDate).toEqual(new Date(2026, 1, 28));
+    expect(expense.recurringOccurrenceCount).toBe(0);
+    expect(expense.auditLog[0].changes).toMatchObject({ action: 'recurring_failed', occurrence: 1, released: true });
+    expect(expense.auditLog[0].reason).toBe('Category not found');
+  });
+
+  it('should leave rejected and deleted series alone', () => {
+    const filter = Expense.getRecurringExpenses().getFilter();
+
+    expect(filter).toMatchObject({
+      isRecurring: true,
+      status: { $ne: 'rejected' },
+      isDeleted: { $ne: true }
+    });
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('../server/utils/currencyService', () => ({
+  ...jest.requireActual('../server/utils/currencyService'),
+  convertCurrency: jest.fn(),
+  getHistoricalRate: jest.fn()
+}));
+
+const Expense = require('../server/models/Expense');
+const ReimbursementBatch = require('../server/models/ReimbursementBatch');
+const { convertCurrency, getHistoricalRate } = require('../server/utils/currencyService');
+const { createReimbursementBatch } = require('../server/controllers/reimbursementController');
+const { mockQuery, callController, objectId } = require('./helpers/controller');
+
+describe('Reimbursement Controller', () => {
+  const admin = { _id: objectId(), role: 'admin' };
+  const employee = objectId();
+
+  const approvedExpense = (fields = {}) => new Expense({
+    title: 'Flight',
+    amount: 100,
+    category: objectId(),
+    submittedBy: employee,
+    status: 'approved',
+    exchangeRateLockedAt: new Date(2026, 2, 1),
+    ...fields
+  });
+
+  const createBatch = (body) => callController(createReimbursementBatch, { user: admin, body });
+
+  beforeEach(() => {
+    jest.spyOn(ReimbursementBatch, 'create').mockImplementation(async (data) => new ReimbursementBatch(data));
+    jest.spyOn(Expense, 'updateMany').mockImplementation(async (filter) => ({ modifiedCount: filter._id.$in.length }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    convertCurrency.mockReset();
+    getHistoricalRate.mockReset();
+  });
+
+  it('should pay out the amount converted at the locked rate', async () => {
+    const expenses = [
+      approvedExpense({ currency: 'GBP', exchangeRate: 1.25, convertedAmount: 125 }),
+      approvedExpense({ currency: 'USD', amount: 40, convertedAmount: 40 })
+    ];
+    jest.spyOn(Expense, 'find').mockReturnValue(mockQuery(expenses));
+
+    const res = await createBatch({ paymentFormat: 'nacha' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.payments[0].amount).toBe(165);
+    expect(convertCurrency).not.toHaveBeenCalled();
+    expect(getHistoricalRate).not.toHaveBeenCalled();
+  });
+
+  it('should convert to another payout currency at the rate of the locked conversion', async () => {
+    const rateDate = new Date(Date.UTC(2026, 1, 27));
+    const expenses = [
+      approvedExpense({ currency: 'GBP', convertedAmount: 125, exchangeRateDate: rateDate }),
+      approvedExpense({ currency: 'EUR', amount: 30, convertedAmount: 33 })
+    ];
+    jest.spyOn(Expense, 'find').mockReturnValue(mockQuery(expenses));
+    getHistoricalRate.mockResolvedValue({ rate: 1.25, source: 'API', date: rateDate });
+
+    const res = await createBatch({ paymentFormat: 'sepa' });
+
+    expect(res.statusCode).toBe(201);
+    expect(getHistoricalRate).toHaveBeenCalledWith('EUR', rateDate);
+    expect(res.body.data.payments[0].amount).toBe(130);
+    expect(convertCurrency).not.toHaveBeenCalled();
+  });
+
+  it("should refuse a payout currency the format can't settle in", async () => {
+    const res = await createBatch({ paymentFormat: 'sepa', payoutCurrency: 'USD' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('SEPA payments must be made in EUR');
+  });
+});
@@ -0,0 +1,116 @@
+const request = require('supertest');
+const SavedView = require('../server/models/SavedView');
+const savedViews = require('../server/routes/savedViews');
+const { mockQuery, objectId } = require('./helpers/controller');
+const { mountRouter, authAs } = require('./helpers/routes');
+
+describe('Saved View Endpoints', () => {
+  const app = mountRouter('/api/saved-views', savedViews);
+  const manager = { _id: objectId(), role: 'manager', department: 'IT' };
+  const colleague = { _id: objectId(), role: 'user', department: 'IT' };
+  const outsider = { _id: objectId(), role: 'user', department: 'Sales' };
+
+  const newView = (fields = {}) => new SavedView({
+    name: 'Pending over 500',
+    resource: 'expenses',
+    filters: { status: 'pending', minAmount: '500' },
+    sort: { field: 'amount', order: 'desc' },
+    owner: manager._id,
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(SavedView, 'create').mockImplementation(async (data) => {
+      const view = new SavedView(data);
+      await view.validate();
+      return view;
+    });
+    jest.spyOn(SavedView.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/saved-views', () => {
+    it("should share a manager's view with their own department and return its query string", async () => {
+      const res = await request(app)
+        .post('/api/saved-views')
+        .set('Authorization', authAs(manager))
+        .send({
+          name: 'Pending over 500',
+          resource: 'expenses',
+          filters: { status: 'pending', minAmount: '500' },
+          sort: { field: 'amount', order: 'desc' },
+          isShared: true,
+          department: 'Finance'
+        })
+        .expect(201);
+
+      expect(res.body.data.department).toBe('IT');
+      expect(res.body.data.queryString).toBe('status=pending&minAmount=500&sort=amount&order=desc');
+    });
+
+    it('should reject an unknown resource', async () => {
+      const res = await request(app)
+        .post('/api/saved-views')
+        .set('Authorization', authAs(manager))
+        .send({ name: 'Vendors', resource: 'vendors' })
+        .expect(400);
+
+      expect(res.body.errors[0].msg).toBe('Resource must be expenses or budgets');
+      expect(SavedView.create).not.toHaveBeenCalled();
+    });
+
+    it("should reject filters the list doesn't support", async () => {
+      // The error handler logs the validation error
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const res = await request(app)
+        .post('/api/saved-views')
+        .set('Authorization', authAs(manager))
+        .send({ name: 'By vendor', resource: 'budgets', filters: { vendor: 'Acme' } })
+        .expect(400);
+
+      expect(res.body.message).toContain('Filter "vendor" is not supported for budgets');
+    });
+  });
+
+  describe('GET /api/saved-views/:id', () => {
+    it('should show a shared view to the department', async () => {
+      const view = newView({ isShared: true, department: 'IT' });
+      jest.spyOn(SavedView, 'findById').mockReturnValue(mockQuery(view));
+
+      await request(app)
+        .get(`/api/saved-views/${view._id}`)
+        .set('Authorization', authAs(colleague))
+        .expect(200);
+    });
+
+    it('should hide a view from other departments', async () => {
+      const view = newView({ isShared: true, department: 'IT' });
+      jest.spyOn(SavedView, 'findById').mockReturnValue(mockQuery(view));
+
+      await request(app)
+        .get(`/api/saved-views/${view._id}`)
+        .set('Authorization', authAs(outsider))
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/saved-views/:id/share', () => {
+    it("should only let the owner change a view's sharing", async () => {
+      const view = newView({ isShared: true, department: 'IT' });
+      jest.spyOn(SavedView, 'findById').mockReturnValue(mockQuery(view));
+
+      await request(app)
+        .put(`/api/saved-views/${view._id}/share`)
+        .set('Authorization', authAs(colleague))
+        .send({ isShared: false })
+        .expect(403);
+
+      expect(view.isShared).toBe(true);
+      expect(SavedView.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+});
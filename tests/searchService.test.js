@@ -0,0 +1,27 @@
+const { getSearchTerms, highlightText, getExpenseHighlights } = require('../server/utils/searchService');
+
+describe('Search Service', () => {
+  it('should keep phrases, drop negated words and trim plural suffixes', () => {
+    expect(getSearchTerms('Lunches "client dinner" -taxi')).toEqual(['lunch', 'client dinner']);
+  });
+
+  it('should mark matches and escape the surrounding text', () => {
+    expect(highlightText('Team lunch <b>', ['lunch'])).toBe('Team <mark>lunch</mark> &lt;b&gt;');
+    expect(highlightText('Brunch', ['lunch'])).toBeNull();
+  });
+
+  it('should highlight each matching field of an expense', () => {
+    const expense = {
+      title: 'Client lunch',
+      vendor: 'Cafe Luna',
+      tags: ['meals', 'lunch'],
+      receipts: [{ originalName: 'lunch-receipt.pdf' }]
+    };
+
+    expect(getExpenseHighlights(expense, ['lunch'])).toEqual({
+      title: 'Client <mark>lunch</mark>',
+      tags: ['<mark>lunch</mark>'],
+      'receipts.originalName': ['<mark>lunch</mark>-receipt.pdf']
+    });
+  });
+});
@@ -0,0 +1,21 @@
+const { excludeDeleted, excludeDeletedFromPipeline } = require('../server/utils/softDeletePlugin');
+
+describe('Soft Delete Plugin', () => {
+  it('should hide deleted documents unless asked for them', () => {
+    expect(excludeDeleted({ status: 'pending' })).toEqual({ status: 'pending', isDeleted: { $ne: true } });
+    expect(excludeDeleted({ status: 'pending' }, { withDeleted: true })).toEqual({ status: 'pending' });
+    expect(excludeDeleted({ isDeleted: true })).toEqual({ isDeleted: true });
+  });
+
+  it('should filter aggregations without moving a text search', () => {
+    const textSearch = [{ $match: { $text: { $search: 'taxi' } } }, { $group: { _id: '$category' } }];
+    expect(excludeDeletedFromPipeline(textSearch)[0]).toEqual({
+      $match: { $text: { $search: 'taxi' }, isDeleted: { $ne: true } }
+    });
+
+    const grouped = excludeDeletedFromPipeline([{ $group: { _id: '$status' } }]);
+    expect(grouped).toEqual([{ $match: { isDeleted: { $ne: true } } }, { $group: { _id: '$status' } }]);
+
+    expect(excludeDeletedFromPipeline([{ $group: { _id: null } }], { withDeleted: true })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const Tag = require('../server/models/Tag');
+const { matchTags, getTagBreakdown } = require('../server/utils/tagService');
+
+describe('Tag Service', () => {
+  const tag = (name, isActive = true) => ({ _id: new mongoose.Types.ObjectId(), name, key: Tag.normalizeKey(name), isActive });
+  const travel = tag('Travel');
+  const clientMeeting = tag('Client Meeting');
+  const legacy = tag('Legacy', false);
+  const catalogue = [travel, clientMeeting, legacy];
+
+  it('should use the catalogue spelling regardless of case and spacing', () => {
+    expect(Tag.normalizeKey('  Client   MEETING ')).toBe('client meeting');
+    expect(matchTags(['travel', 'client  meeting', 'TRAVEL'], catalogue)).toEqual({
+      tags: ['Travel', 'Client Meeting'],
+      unknown: [],
+      notAllowed: []
+    });
+  });
+
+  it('should reject unknown, inactive and disallowed tags', () => {
+    expect(matchTags(['travel', 'party', 'legacy'], catalogue).unknown).toEqual(['party', 'legacy']);
+    expect(matchTags(['travel', 'client meeting'], catalogue, [travel._id])).toEqual({
+      tags: ['Travel'],
+      unknown: [],
+      notAllowed: ['Client Meeting']
+    });
+  });
+
+  it('should count an expense under each of its tags', () => {
+    const breakdown = getTagBreakdown([
+      { amount: 100, tags: ['Travel', 'Client Meeting'] },
+      { amount: 40, tags: ['Travel', 'Travel'] },
+      { amount: 25, tags: [] },
+      { amount: 10 }
+    ]);
+
+    expect(breakdown).toEqual({
+      Travel: { amount: 140, count: 2 },
+      'Client Meeting': { amount: 100, count: 1 }
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Vendor = require('../server/models/Vendor');
+const { getNamePrefixes, findVendorMatch, indexVendors, buildVendorSpend } = require('../server/utils/vendorService');
+
+describe('Vendor Service', () => {
+  const amazon = new Vendor({ name: 'Amazon', aliases: ['AMZN Mktp', 'Amazon Web Services'], createdBy: new mongoose.Types.ObjectId() });
+  const uber = new Vendor({ name: 'Uber', aliases: ['Uber Trip'], createdBy: new mongoose.Types.ObjectId() });
+
+  beforeAll(async () => {
+    await amazon.validate();
+    await uber.validate();
+  });
+
+  it('should normalize spellings of the same vendor to one key', () => {
+    expect(Vendor.normalizeName('Amazon')).toBe('amazon');
+    expect(Vendor.normalizeName('www.amazon.com')).toBe('amazon');
+    expect(Vendor.normalizeName('Amazon.co.uk')).toBe('amazon');
+    expect(Vendor.normalizeName('Café Nero Ltd.')).toBe('cafe nero');
+    expect(Vendor.normalizeName('Smith & Co')).toBe('smith');
+    expect(amazon.normalizedNames).toEqual(['amazon', 'amzn mktp', 'amazon web services']);
+  });
+
+  it('should list leading word prefixes, longest first', () => {
+    expect(getNamePrefixes('amzn mktp us 2k3')).toEqual(['amzn mktp us 2k3', 'amzn mktp us', 'amzn mktp', 'amzn']);
+    expect(getNamePrefixes('a b')).toEqual(['a b']);
+    expect(getNamePrefixes('')).toEqual([]);
+  });
+
+  it('should match free text on a full name or the longest alias prefix', () => {
+    const vendorsByName = indexVendors([amazon, uber]);
+
+    expect(findVendorMatch('amazon.com', vendorsByName)).toBe(amazon);
+    expect(findVendorMatch('AMZN Mktp US*2K3LM', vendorsByName)).toBe(amazon);
+    expect(findVendorMatch('UBER *TRIP HELP.UBER.COM', vendorsByName)).toBe(uber);
+    expect(findVendorMatch('Ubermensch Books', vendorsByName)).toBeNull();
+    expect(findVendorMatch('', vendorsByName)).toBeNull();
+  });
+
+  it('should total spend per vendor and group unmatched spellings', () => {
+    const spend = buildVendorSpend([
+      { vendor: 'Amazon', matchedVendor: amazon, amount: 50, convertedAmount: 50, date: new Date('2026-09-01') },
+      { vendor: 'AMZN Mktp', matchedVendor: amazon, amount: 100, convertedAmount: 110, date: new Date('2026-10-01') },
+      { vendor: 'Corner Cafe', amount: 12, date: new Date('2026-10-02') },
+      { vendor: 'corner café', amount: 8, date: new Date('2026-10-03') }
+    ]);
+
+    expect(spend).toHaveLength(2);
+    expect(spend[0]).toMatchObject({
+      name: 'Amazon',
+      amount: 160,
+      count: 2,
+      averageAmount: 80,
+      spellings: ['AMZN Mktp', 'Amazon'],
+      lastExpenseDate: new Date('2026-10-01')
+    });
+    expect(spend[1]).toMatchObject({ vendor: null, name: 'Corner Cafe', amount: 20, count: 2 });
+  });
+});